@@ -0,0 +1,430 @@
+import React from 'react'
+import { Card, CardBody, CardTitle, Button, ButtonGroup, Input, Alert, Badge } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
+
+// Selections stay on the slip between pages and visits
+const STORAGE_KEY = 'betSlip'
+
+/**
+ * Selections saved on this browser's bet slip
+ * @returns {Array} [{ eventId, eventName, marketId, marketName, selectionId, selectionName, price }]
+ */
+export function loadSlip() {
+  if (typeof window === 'undefined' || !window.localStorage) return []
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || []
+  } catch (error) {
+    return []
+  }
+}
+
+export function saveSlip(selections) {
+  if (typeof window === 'undefined' || !window.localStorage) return
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(selections))
+}
+
+export const slipKey = (selection) => `${selection.eventId}:${selection.selectionId}`
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Bet slip - singles on every selection and an accumulator across them
+ *
+ * Before anything is placed the selections are checked again
+ * (/api/bets/slip/check); moved prices the player's odds preference won't take
+ * are shown for them to confirm. The bets then go in one request
+ * (/api/bets/slip) and each one comes back placed or with its reason.
+ *
+ * Props:
+ * - selections: what is on the slip (see loadSlip), with current prices
+ * - presets: quick stake amounts; bonuses: free bets and odds boosts held
+ * - onChange(selections): the slip changed (removed, re-priced or placed)
+ * - onPresetsChange(presets), onPlaced(response)
+ */
+export default class BetSlip extends React.Component {
+  constructor(props) {
+    super(props)
+    this.state = {
+      stakes: {},
+      accumulatorStake: '',
+      bonusFor: {},
+      reasons: {},
+      notice: null,
+      error: null,
+      submitting: false
+    }
+  }
+
+  setStake(key, value) {
+    this.setState({ stakes: { ...this.state.stakes, [key]: value } })
+  }
+
+  remove(selection) {
+    const key = slipKey(selection)
+    const { [key]: stake, ...stakes } = this.state.stakes
+    const { [key]: reason, ...reasons } = this.state.reasons
+    this.setState({ stakes, reasons })
+    this.props.onChange(this.props.selections.filter(item => slipKey(item) !== key))
+  }
+
+  clear() {
+    this.setState({ stakes: {}, accumulatorStake: '', bonusFor: {}, reasons: {}, notice: null, error: null })
+    this.props.onChange([])
+  }
+
+  async editPresets() {
+    const entered = prompt('Quick stakes ($, separated by commas):', this.props.presets.join(', '))
+    if (!entered) return
+
+    try {
+      const res = await fetch('/api/wallet/preferences', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ stakePresets: entered.split(',').map(value => value.trim()).filter(Boolean) })
+      })
+      const data = await res.json()
+      if (res.ok) {
+        this.props.onPresetsChange(data.stakePresets)
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  // An accumulator needs two or more selections, each on a different event
+  canCombine(selections = this.props.selections) {
+    const events = selections.map(selection => selection.eventId)
+    return selections.length >= 2 && new Set(events).size === events.length
+  }
+
+  bonus(key) {
+    return this.props.bonuses.find(bonus => bonus._id === this.state.bonusFor[key]) || null
+  }
+
+  // What a single returns if it wins: a free bet pays winnings only, a boost raises the odds
+  singleReturn(selection, stake) {
+    const bonus = this.bonus(slipKey(selection))
+    if (bonus && bonus.type === 'free_bet') return round(stake * (selection.price - 1))
+    if (bonus && bonus.type === 'odds_boost') return round(stake * round(1 + (selection.price - 1) * (1 + bonus.boost)))
+    return round(stake * selection.price)
+  }
+
+  singleStake(selection) {
+    const bonus = this.bonus(slipKey(selection))
+    if (bonus && bonus.type === 'free_bet') return bonus.balance
+    return parseFloat(this.state.stakes[slipKey(selection)]) || 0
+  }
+
+  accumulatorOdds(selections = this.props.selections) {
+    return round(selections.reduce((odds, selection) => odds * selection.price, 1))
+  }
+
+  // Bets to place, in slip order, with the selection (or null for the accumulator) each came from
+  bets(selections = this.props.selections) {
+    const bets = []
+
+    for (const selection of selections) {
+      const stake = this.singleStake(selection)
+      if (stake <= 0) continue
+
+      const bonus = this.bonus(slipKey(selection))
+      bets.push({
+        from: selection,
+        bet: {
+          eventId: selection.eventId,
+          marketId: selection.marketId,
+          selectionId: selection.selectionId,
+          amount: stake,
+          expectedOdds: selection.price,
+          ...(bonus ? (bonus.type === 'free_bet' ? { freeBetId: bonus._id } : { boostId: bonus._id }) : {})
+        }
+      })
+    }
+
+    const accumulatorStake = parseFloat(this.state.accumulatorStake) || 0
+    if (this.canCombine(selections) && accumulatorStake > 0) {
+      bets.push({
+        from: null,
+        bet: {
+          type: 'accumulator',
+          amount: accumulatorStake,
+          legs: selections.map(selection => ({
+            eventId: selection.eventId,
+            marketId: selection.marketId,
+            selectionId: selection.selectionId,
+            expectedOdds: selection.price
+          }))
+        }
+      })
+    }
+
+    return bets
+  }
+
+  // Take the latest prices; null if anything needs the player's attention first
+  async revalidate() {
+    const { selections } = this.props
+    const res = await fetch('/api/bets/slip/check', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+      body: JSON.stringify({
+        selections: selections.map(selection => ({
+          eventId: selection.eventId,
+          marketId: selection.marketId,
+          selectionId: selection.selectionId,
+          expectedOdds: selection.price
+        }))
+      })
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      throw new Error(data.error)
+    }
+
+    const reasons = {}
+    let attention = false
+    const updated = selections.map((selection, index) => {
+      const check = data.selections[index]
+      if (!check.available) {
+        reasons[slipKey(selection)] = check.error
+        attention = true
+        return selection
+      }
+      if (check.changed) {
+        reasons[slipKey(selection)] = `Price changed from ${selection.price.toFixed(2)} to ${check.price.toFixed(2)}`
+        attention = attention || !check.accepted
+        return { ...selection, price: check.price }
+      }
+      return selection
+    })
+
+    this.setState({ reasons })
+    this.props.onChange(updated)
+    return attention ? null : updated
+  }
+
+  async place() {
+    if (this.bets().length === 0) {
+      this.setState({ error: 'Enter a stake for at least one bet' })
+      return
+    }
+
+    this.setState({ submitting: true, error: null, notice: null })
+
+    try {
+      const selections = await this.revalidate()
+      if (!selections) {
+        this.setState({ notice: 'Some selections changed. Check the slip and place again.' })
+        return
+      }
+
+      const bets = this.bets(selections)
+      const res = await fetch('/api/bets/slip', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ bets: bets.map(item => item.bet) })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        this.setState({ error: data.error })
+        return
+      }
+
+      // Placed singles leave the slip; rejected ones stay with their reason,
+      // at the new price when that was why
+      const placed = new Set()
+      const quotes = {}
+      const reasons = {}
+      let accumulatorPlaced = false
+      data.results.forEach(result => {
+        const { from } = bets[result.index]
+        if (result.status === 'placed') {
+          if (from) placed.add(slipKey(from))
+          else accumulatorPlaced = true
+          return
+        }
+        reasons[from ? slipKey(from) : 'accumulator'] = result.error
+        if (from && result.quote) quotes[slipKey(from)] = result.quote.price
+      })
+
+      const stakes = { ...this.state.stakes }
+      const bonusFor = { ...this.state.bonusFor }
+      placed.forEach(key => {
+        delete stakes[key]
+        delete bonusFor[key]
+      })
+
+      // A rejected accumulator keeps all of its selections for another try
+      const keepAll = bets.some(item => !item.from) && !accumulatorPlaced
+      const remaining = data.rejected === 0
+        ? []
+        : selections
+          .filter(selection => keepAll || !placed.has(slipKey(selection)))
+          .map(selection => quotes[slipKey(selection)] ? { ...selection, price: quotes[slipKey(selection)] } : selection)
+
+      this.setState({
+        stakes,
+        bonusFor,
+        reasons,
+        accumulatorStake: accumulatorPlaced ? '' : this.state.accumulatorStake,
+        notice: data.message
+      })
+      this.props.onChange(remaining)
+      this.props.onPlaced(data)
+    } catch (error) {
+      this.setState({ error: error.message })
+    } finally {
+      this.setState({ submitting: false })
+    }
+  }
+
+  renderSingle(selection) {
+    const { presets, bonuses } = this.props
+    const key = slipKey(selection)
+    const bonus = this.bonus(key)
+    const stake = this.singleStake(selection)
+    const reason = this.state.reasons[key]
+
+    return (
+      <div key={key} className="border-bottom pb-2 mb-2">
+        <div className="d-flex justify-content-between">
+          <div>
+            <strong>{selection.selectionName}</strong>
+            <div><small className="text-muted">{selection.marketName} - {selection.eventName}</small></div>
+          </div>
+          <div className="text-right">
+            <strong>{selection.price.toFixed(2)}</strong>
+            <Button close className="ml-2" onClick={() => this.remove(selection)} />
+          </div>
+        </div>
+        {reason && <small className="d-block text-danger">{reason}</small>}
+        <div className="d-flex align-items-center mt-1">
+          <Input
+            type="number"
+            bsSize="sm"
+            min="0"
+            step="0.01"
+            placeholder="Stake"
+            style={{ maxWidth: '90px' }}
+            value={bonus && bonus.type === 'free_bet' ? bonus.balance : (this.state.stakes[key] || '')}
+            disabled={!!(bonus && bonus.type === 'free_bet')}
+            onChange={(e) => this.setStake(key, e.target.value)}
+          />
+          <ButtonGroup size="sm" className="ml-2">
+            {presets.map(preset => (
+              <Button key={preset} color="light" disabled={!!(bonus && bonus.type === 'free_bet')} onClick={() => this.setStake(key, String(preset))}>
+                {preset}
+              </Button>
+            ))}
+          </ButtonGroup>
+        </div>
+        {bonuses.length > 0 && (
+          <Input
+            type="select"
+            bsSize="sm"
+            className="mt-1"
+            value={this.state.bonusFor[key] || ''}
+            onChange={(e) => this.setState({ bonusFor: { ...this.state.bonusFor, [key]: e.target.value } })}
+          >
+            <option value="">No bonus</option>
+            {bonuses.map(item => (
+              <option key={item._id} value={item._id}>
+                {item.type === 'free_bet'
+                  ? `${item.name} - $${item.balance.toFixed(2)} free bet`
+                  : `${item.name} - +${Math.round(item.boost * 100)}% odds boost`}
+              </option>
+            ))}
+          </Input>
+        )}
+        {stake > 0 && (
+          <small className="d-block text-muted mt-1">Returns ${this.singleReturn(selection, stake).toFixed(2)}</small>
+        )}
+      </div>
+    )
+  }
+
+  render() {
+    const { selections, presets } = this.props
+    const { accumulatorStake, reasons, notice, error, submitting } = this.state
+
+    const bets = this.bets()
+    const totalStake = round(bets.reduce((sum, item) => sum + item.bet.amount, 0))
+    const singlesReturn = selections.reduce((sum, selection) => sum + this.singleReturn(selection, this.singleStake(selection)), 0)
+    const accumulatorReturn = this.canCombine() ? round((parseFloat(accumulatorStake) || 0) * this.accumulatorOdds()) : 0
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <CardTitle tag="h5" className="d-flex justify-content-between">
+            <span>Bet Slip {selections.length > 0 && <Badge color="primary">{selections.length}</Badge>}</span>
+            {selections.length > 0 && (
+              <Button color="link" size="sm" className="p-0" onClick={() => this.clear()}>Clear</Button>
+            )}
+          </CardTitle>
+
+          {notice && <Alert color="info" toggle={() => this.setState({ notice: null })}>{notice}</Alert>}
+          {error && <Alert color="danger" toggle={() => this.setState({ error: null })}>{error}</Alert>}
+
+          {selections.length === 0 ? (
+            <p className="text-muted mb-0">Pick a price to add it to your slip.</p>
+          ) : (
+            <React.Fragment>
+              {selections.map(selection => this.renderSingle(selection))}
+
+              {this.canCombine() && (
+                <div className="border-bottom pb-2 mb-2">
+                  <div className="d-flex justify-content-between">
+                    <strong>{selections.length}-Fold Accumulator</strong>
+                    <strong>{this.accumulatorOdds().toFixed(2)}</strong>
+                  </div>
+                  {reasons.accumulator && <small className="d-block text-danger">{reasons.accumulator}</small>}
+                  <div className="d-flex align-items-center mt-1">
+                    <Input
+                      type="number"
+                      bsSize="sm"
+                      min="0"
+                      step="0.01"
+                      placeholder="Stake"
+                      style={{ maxWidth: '90px' }}
+                      value={accumulatorStake}
+                      onChange={(e) => this.setState({ accumulatorStake: e.target.value })}
+                    />
+                    <ButtonGroup size="sm" className="ml-2">
+                      {presets.map(preset => (
+                        <Button key={preset} color="light" onClick={() => this.setState({ accumulatorStake: String(preset) })}>
+                          {preset}
+                        </Button>
+                      ))}
+                    </ButtonGroup>
+                  </div>
+                  {accumulatorReturn > 0 && (
+                    <small className="d-block text-muted mt-1">Returns ${accumulatorReturn.toFixed(2)}</small>
+                  )}
+                </div>
+              )}
+
+              <div className="d-flex justify-content-between">
+                <span>Total stake</span>
+                <strong>${totalStake.toFixed(2)}</strong>
+              </div>
+              <div className="d-flex justify-content-between mb-3">
+                <span>Potential returns</span>
+                <strong className="text-success">${round(singlesReturn + accumulatorReturn).toFixed(2)}</strong>
+              </div>
+
+              <Button color="success" block disabled={submitting || bets.length === 0} onClick={() => this.place()}>
+                {submitting ? 'Placing...' : `Place ${bets.length || ''} Bet(s)`}
+              </Button>
+            </React.Fragment>
+          )}
+
+          <Button color="link" size="sm" className="p-0 mt-2" onClick={() => this.editPresets()}>
+            Edit quick stakes
+          </Button>
+        </CardBody>
+      </Card>
+    )
+  }
+}
@@ -0,0 +1,125 @@
+import React from 'react'
+
+/**
+ * Small SVG chart for reports - lines or grouped bars over a list of points
+ *
+ * @param {Object} props
+ * - data: [{ label, ...values }] - one entry per point along the x axis
+ * - series: [{ key, name, color }] - the values to plot
+ * - type: 'line' (default) or 'bar'
+ * - format(value): how values are written on the axis and in tooltips
+ * - height: in pixels (the chart takes the full width)
+ */
+
+const WIDTH = 600
+const PADDING = { top: 10, right: 10, bottom: 30, left: 60 }
+const TICKS = 4
+
+// Round axis bounds out to a tidy step so the ticks read well
+function niceStep(range) {
+  const rough = range / TICKS
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)))
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= rough)
+  return step * magnitude
+}
+
+export default class extends React.Component {
+  bounds() {
+    const { data, series } = this.props
+    const values = data.reduce((all, point) =>
+      all.concat(series.map(line => point[line.key]).filter(value => typeof value === 'number')), [])
+
+    // Bars and lines both start from zero, so losses show below the axis
+    const min = Math.min(0, ...values)
+    const max = Math.max(0, ...values)
+    const step = niceStep(max - min || 1)
+    return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step || step, step }
+  }
+
+  render() {
+    const { data, series, type = 'line', format = value => value, height = 220 } = this.props
+
+    if (!data || data.length === 0) {
+      return <p className="text-muted">No data for this range.</p>
+    }
+
+    const { min, max, step } = this.bounds()
+    const plotWidth = WIDTH - PADDING.left - PADDING.right
+    const plotHeight = height - PADDING.top - PADDING.bottom
+    const slot = plotWidth / data.length
+    const x = index => PADDING.left + slot * index + slot / 2
+    const y = value => PADDING.top + plotHeight - ((value - min) / (max - min)) * plotHeight
+
+    const ticks = []
+    for (let value = min; value <= max + step / 2; value += step) {
+      ticks.push(value)
+    }
+
+    // Label every point when there's room, otherwise about ten of them
+    const labelEvery = Math.max(1, Math.ceil(data.length / 10))
+    const barWidth = Math.max(1, (slot * 0.8) / series.length)
+
+    return (
+      <div>
+        <svg viewBox={`0 0 ${WIDTH} ${height}`} style={{ width: '100%', height: 'auto' }}>
+          {ticks.map(value => (
+            <g key={value}>
+              <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)}
+                stroke={value === 0 ? '#6c757d' : '#e9ecef'} />
+              <text x={PADDING.left - 5} y={y(value) + 4} textAnchor="end" fontSize="11" fill="#6c757d">
+                {format(value)}
+              </text>
+            </g>
+          ))}
+
+          {data.map((point, index) => index % labelEvery === 0 && (
+            <text key={index} x={x(index)} y={height - 10} textAnchor="middle" fontSize="11" fill="#6c757d">
+              {point.label}
+            </text>
+          ))}
+
+          {type === 'bar' && series.map((line, lineIndex) => data.map((point, index) => {
+            const value = point[line.key] || 0
+            return (
+              <rect
+                key={`${line.key}-${index}`}
+                x={x(index) - (barWidth * series.length) / 2 + barWidth * lineIndex}
+                y={Math.min(y(value), y(0))}
+                width={barWidth}
+                height={Math.abs(y(value) - y(0))}
+                fill={line.color}
+              >
+                <title>{`${point.label} - ${line.name}: ${format(value)}`}</title>
+              </rect>
+            )
+          }))}
+
+          {type === 'line' && series.map(line => (
+            <g key={line.key}>
+              <polyline
+                fill="none"
+                stroke={line.color}
+                strokeWidth="2"
+                points={data.map((point, index) => `${x(index)},${y(point[line.key] || 0)}`).join(' ')}
+              />
+              {data.map((point, index) => (
+                <circle key={index} cx={x(index)} cy={y(point[line.key] || 0)} r="3" fill={line.color}>
+                  <title>{`${point.label} - ${line.name}: ${format(point[line.key] || 0)}`}</title>
+                </circle>
+              ))}
+            </g>
+          ))}
+        </svg>
+
+        <div className="text-center">
+          {series.map(line => (
+            <small key={line.key} className="mr-3">
+              <span style={{ display: 'inline-block', width: '10px', height: '10px', background: line.color }} className="mr-1"></span>
+              {line.name}
+            </small>
+          ))}
+        </div>
+      </div>
+    )
+  }
+}
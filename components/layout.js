@@ -1,5 +1,6 @@
 import React from 'react'
 import Router from 'next/router'
+import getConfig from 'next/config'
 import Head from 'next/head'
 import Link from 'next/link'
 import { Container, Row, Col, Nav, NavItem, Button, Form, NavLink, Collapse,
@@ -11,6 +12,13 @@ import Cookies from 'universal-cookie'
 import Package from '../package'
 import Styles from '../css/index.scss'
 
+// Modules this deployment runs (see ENABLED_MODULES) - null means all of them
+export const moduleEnabled = (name) => {
+  const config = getConfig()
+  const enabledModules = config && config.publicRuntimeConfig ? config.publicRuntimeConfig.enabledModules : null
+  return !enabledModules || enabledModules.includes(name)
+}
+
 export default class extends React.Component {
 
   static propTypes() {
@@ -69,21 +77,25 @@ export default class extends React.Component {
           <label tabIndex="1" htmlFor="nojs-navbar-check" className="nojs-navbar-label mt-2" />
           <div className="nojs-navbar">
             <Nav navbar>
-              <NavItem>
-                <Link prefetch href="/dashboard">
-                  <a href="/dashboard" className="nav-link"><span className="icon ion-ios-speedometer mr-1"></span> Dashboard</a>
-                </Link>
-              </NavItem>
-              <NavItem>
-                <Link prefetch href="/create-invoice">
-                  <a href="/create-invoice" className="nav-link"><span className="icon ion-ios-add-circle mr-1"></span> New Invoice</a>
-                </Link>
-              </NavItem>
-              <NavItem>
-                <Link prefetch href="/pricing">
-                  <a href="/pricing" className="nav-link"><span className="icon ion-ios-pricetag mr-1"></span> Pricing</a>
-                </Link>
-              </NavItem>
+              {moduleEnabled('invoicing') &&
+                <React.Fragment>
+                  <NavItem>
+                    <Link prefetch href="/dashboard">
+                      <a href="/dashboard" className="nav-link"><span className="icon ion-ios-speedometer mr-1"></span> Dashboard</a>
+                    </Link>
+                  </NavItem>
+                  <NavItem>
+                    <Link prefetch href="/create-invoice">
+                      <a href="/create-invoice" className="nav-link"><span className="icon ion-ios-add-circle mr-1"></span> New Invoice</a>
+                    </Link>
+                  </NavItem>
+                  <NavItem>
+                    <Link prefetch href="/pricing">
+                      <a href="/pricing" className="nav-link"><span className="icon ion-ios-pricetag mr-1"></span> Pricing</a>
+                    </Link>
+                  </NavItem>
+                </React.Fragment>
+              }
             </Nav>
             <UserMenu session={this.props.session} toggleModal={this.toggleModal} signinBtn={this.props.signinBtn}/>
           </div>
@@ -133,15 +145,19 @@ export class MainBody extends React.Component {
             <Col xs="12" md="3" lg="2" style={{paddingTop: '1em'}}>
               <h5 className="text-muted text-uppercase">Menu</h5>
               <ListGroup>
-                <ListGroupItem>
-                  <Link prefetch href="/sports"><a href="/sports" className="d-block"><span className="icon ion-ios-football mr-1"></span> Sports</a></Link>
-                </ListGroupItem>
-                <ListGroupItem>
-                    <Link prefetch href="/my-bets"><a href="/my-bets" className="d-block"><span className="icon ion-ios-list mr-1"></span> My Bets</a></Link>
-                </ListGroupItem>
-                <ListGroupItem>
-                  <Link prefetch href="/wallet"><a href="/wallet" className="d-block"><span className="icon ion-ios-wallet mr-1"></span> Wallet</a></Link>
-                </ListGroupItem>
+                {moduleEnabled('betting') &&
+                  <React.Fragment>
+                    <ListGroupItem>
+                      <Link prefetch href="/sports"><a href="/sports" className="d-block"><span className="icon ion-ios-football mr-1"></span> Sports</a></Link>
+                    </ListGroupItem>
+                    <ListGroupItem>
+                      <Link prefetch href="/my-bets"><a href="/my-bets" className="d-block"><span className="icon ion-ios-list mr-1"></span> My Bets</a></Link>
+                    </ListGroupItem>
+                    <ListGroupItem>
+                      <Link prefetch href="/wallet"><a href="/wallet" className="d-block"><span className="icon ion-ios-wallet mr-1"></span> Wallet</a></Link>
+                    </ListGroupItem>
+                  </React.Fragment>
+                }
                 <ListGroupItem>
                   <Link prefetch href="/account"><a href="/account" className="d-block"><span className="icon ion-md-person mr-1"></span> Account</a></Link>
                 </ListGroupItem>
@@ -230,12 +246,34 @@ export class AdminMenuItem extends React.Component {
     if (this.props.session.user && this.props.session.user.admin === true) {
       return (
         <React.Fragment>
-          <Link prefetch href="/admin-financials">
-            <a href="/admin-financials" className="dropdown-item"><span className="icon ion-ios-cash mr-1"></span> Financials</a>
-          </Link>
-          <Link prefetch href="/admin-events">
-            <a href="/admin-events" className="dropdown-item"><span className="icon ion-md-settings mr-1"></span> Manage Events</a>
-          </Link>
+          {moduleEnabled('betting') &&
+            <React.Fragment>
+              <Link prefetch href="/admin-financials">
+                <a href="/admin-financials" className="dropdown-item"><span className="icon ion-ios-cash mr-1"></span> Financials</a>
+              </Link>
+              <Link prefetch href="/admin-events">
+                <a href="/admin-events" className="dropdown-item"><span className="icon ion-md-settings mr-1"></span> Manage Events</a>
+              </Link>
+              <Link prefetch href="/admin-fixtures">
+                <a href="/admin-fixtures" className="dropdown-item"><span className="icon ion-md-list mr-1"></span> Fixtures</a>
+              </Link>
+              <Link prefetch href="/admin-withdrawals">
+                <a href="/admin-withdrawals" className="dropdown-item"><span className="icon ion-md-exit mr-1"></span> Withdrawals</a>
+              </Link>
+              <Link prefetch href="/admin-fraud">
+                <a href="/admin-fraud" className="dropdown-item"><span className="icon ion-md-alert mr-1"></span> Fraud Review</a>
+              </Link>
+              <Link prefetch href="/admin-kyc">
+                <a href="/admin-kyc" className="dropdown-item"><span className="icon ion-md-person mr-1"></span> Verification</a>
+              </Link>
+              <Link prefetch href="/admin-promotions">
+                <a href="/admin-promotions" className="dropdown-item"><span className="icon ion-md-gift mr-1"></span> Promotions</a>
+              </Link>
+              <Link prefetch href="/admin-feed">
+                <a href="/admin-feed" className="dropdown-item"><span className="icon ion-md-pulse mr-1"></span> Results Feed</a>
+              </Link>
+            </React.Fragment>
+          }
           <Link prefetch href="/admin">
             <a href="/admin" className="dropdown-item"><span className="icon ion-md-settings mr-1"></span> Admin</a>
           </Link>
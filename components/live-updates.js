@@ -0,0 +1,23 @@
+/**
+ * Subscribe to the server's live update stream (see services/LiveUpdateService.js)
+ *
+ * This code only runs in the browser, so call it from componentDidMount. The
+ * browser reconnects a dropped stream by itself, and `connected` is sent on
+ * every (re)connection so a page can reload whatever it missed.
+ *
+ * @param {Object} handlers - { connected, odds, status, score, settlement, bet, wallet }
+ * @returns {Function} Closes the stream
+ */
+export default function subscribeToLiveUpdates(handlers) {
+  if (typeof window === 'undefined' || !window.EventSource) {
+    return () => {}
+  }
+
+  const source = new EventSource('/api/live')
+
+  Object.keys(handlers).forEach(type => {
+    source.addEventListener(type, (message) => handlers[type](JSON.parse(message.data)))
+  })
+
+  return () => source.close()
+}
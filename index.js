@@ -1,5 +1,9 @@
 'use strict'
 
+// Load environment variables from .env file if present - first, as routes,
+// services and the database adapter read their settings when required
+require('dotenv').load()
+
 const next = require('next')
 const nextAuth = require('next-auth')
 const nextAuthConfig = require('./next-auth.config')
@@ -7,11 +11,11 @@ const nextAuthConfig = require('./next-auth.config')
 const routes = {
   admin:  require('./routes/admin'),
   account:  require('./routes/account'),
-  invoice: require('./routes/invoice')
+  webhooks: require('./routes/webhooks')
 }
 
-// Load environment variables from .env file if present
-require('dotenv').load()
+// Product modules (invoicing, betting) - reads ENABLED_MODULES, so load after .env
+const modules = require('./modules')
 
 process.on('uncaughtException', function(err) {
   console.error('Uncaught Exception: ', err)
@@ -51,14 +55,25 @@ nextApp
   const express = nextAuthOptions.express
   const expressApp = nextAuthOptions.expressApp
 
+  // Only believe X-Forwarded-For from the proxies named in TRUST_PROXY, so
+  // req.ip is the client's real address (see Express's 'trust proxy' setting)
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY
+    expressApp.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy)
+  }
+
   // Add admin routes
   routes.admin(expressApp)
 
   // Add account management route - reuses functions defined for NextAuth
   routes.account(expressApp, nextAuthOptions.functions)
 
-  // Add invoice routes
-  routes.invoice(expressApp)
+  // Mount enabled modules (routes, models, webhook handlers) and return 404
+  // for the pages and APIs of disabled ones
+  modules.mount(expressApp, { nextApp, functions: nextAuthOptions.functions })
+
+  // Add the Stripe webhook endpoint shared by every module
+  routes.webhooks(expressApp)
   
   // Serve fonts from ionicon npm module
   expressApp.use('/fonts/ionicons', express.static('./node_modules/ionicons/dist/fonts'))
@@ -82,6 +97,9 @@ nextApp
       throw err
     }
     console.log('> Ready on http://localhost:' + process.env.PORT + ' [' + process.env.NODE_ENV + ']')
+
+    // Background work of enabled modules (e.g. the event scheduler)
+    modules.start().catch(err => console.error('Failed to start modules:', err))
   })
 })
 .catch(err => {
@@ -0,0 +1,180 @@
+/**
+ * Bet Types - Singles, accumulators and system bets
+ * A multi-leg bet is stored with its legs (one selection per event) and the
+ * lines it expands into. An accumulator is one line holding every leg; a
+ * system bet (Trixie, Yankee, ...) is every combination of its legs from a
+ * minimum size upwards. Each line is staked separately.
+ */
+
+const { ValidationError } = require('./errors')
+const { OUTCOMES, returnFactor } = require('./settlement')
+
+const BET_TYPES = {
+  SINGLE: 'single',
+  ACCUMULATOR: 'accumulator',
+  SYSTEM: 'system',
+}
+
+// A settled leg takes the outcome of its selection (won, push, half_won, ...)
+const LEG_STATUS = {
+  PENDING: 'pending',
+  ...OUTCOMES,
+}
+
+const LINE_STATUS = {
+  PENDING: 'pending',
+  WON: 'won',
+  LOST: 'lost',
+  VOID: 'void', // Every leg void - stake returned
+}
+
+// selections: legs required; minSize: smallest combination (1 = includes singles)
+const SYSTEM_BETS = {
+  trixie: { name: 'Trixie', selections: 3, minSize: 2 },
+  patent: { name: 'Patent', selections: 3, minSize: 1 },
+  yankee: { name: 'Yankee', selections: 4, minSize: 2 },
+  lucky15: { name: 'Lucky 15', selections: 4, minSize: 1 },
+  canadian: { name: 'Canadian', selections: 5, minSize: 2 },
+  lucky31: { name: 'Lucky 31', selections: 5, minSize: 1 },
+  heinz: { name: 'Heinz', selections: 6, minSize: 2 },
+  lucky63: { name: 'Lucky 63', selections: 6, minSize: 1 },
+  superHeinz: { name: 'Super Heinz', selections: 7, minSize: 2 },
+  goliath: { name: 'Goliath', selections: 8, minSize: 2 },
+}
+
+const MIN_ACCUMULATOR_LEGS = 2
+const MAX_ACCUMULATOR_LEGS = 20
+
+/**
+ * Every combination of `size` indexes out of `count`
+ * @returns {Array} Arrays of leg indexes
+ */
+function combinations(count, size, start = 0) {
+  if (size === 0) return [[]]
+
+  const result = []
+  for (let index = start; index <= count - size; index++) {
+    for (const rest of combinations(count, size - 1, index + 1)) {
+      result.push([index, ...rest])
+    }
+  }
+  return result
+}
+
+/**
+ * Lines a multi-leg bet expands into
+ * @param {String} type - accumulator or system
+ * @param {Number} legCount - Number of legs
+ * @param {String} systemType - Key of SYSTEM_BETS (system bets only)
+ * @returns {Array} Arrays of leg indexes, one per line
+ */
+function expandLines(type, legCount, systemType = null) {
+  if (type === BET_TYPES.ACCUMULATOR) {
+    if (legCount < MIN_ACCUMULATOR_LEGS || legCount > MAX_ACCUMULATOR_LEGS) {
+      throw new ValidationError(
+        `An accumulator needs between ${MIN_ACCUMULATOR_LEGS} and ${MAX_ACCUMULATOR_LEGS} legs`,
+        'legs'
+      )
+    }
+    return [Array.from({ length: legCount }, (value, index) => index)]
+  }
+
+  if (type === BET_TYPES.SYSTEM) {
+    const system = SYSTEM_BETS[systemType]
+    if (!system) {
+      throw new ValidationError(
+        `Unknown system bet. Must be one of: ${Object.keys(SYSTEM_BETS).join(', ')}`,
+        'systemType'
+      )
+    }
+
+    if (legCount !== system.selections) {
+      throw new ValidationError(`A ${system.name} needs exactly ${system.selections} legs`, 'legs')
+    }
+
+    const lines = []
+    for (let size = system.minSize; size <= legCount; size++) {
+      lines.push(...combinations(legCount, size))
+    }
+    return lines
+  }
+
+  throw new ValidationError(`Unknown bet type. Must be one of: ${Object.values(BET_TYPES).join(', ')}`, 'type')
+}
+
+/**
+ * Combined odds of a line if all its legs win
+ */
+function lineOdds(legs, legIndexes) {
+  return legIndexes.reduce((odds, index) => odds * legs[index].odds, 1)
+}
+
+/**
+ * Work out where a line stands from its legs
+ * Each settled leg multiplies the line by what $1 on it returns: void and
+ * push legs count at odds of 1, half won/lost and dead heats at their share
+ * @param {Array} legs - Bet legs with status (and deadHeatFactor)
+ * @param {Object} line - { legs: [indexes], stake }
+ * @returns {Object} { status, odds, payout }
+ */
+function evaluateLine(legs, line) {
+  const lineLegs = line.legs.map(index => legs[index])
+
+  if (lineLegs.some(leg => leg.status === LEG_STATUS.LOST)) {
+    return { status: LINE_STATUS.LOST, odds: 0, payout: 0 }
+  }
+
+  if (lineLegs.some(leg => leg.status === LEG_STATUS.PENDING)) {
+    return { status: LINE_STATUS.PENDING, odds: null, payout: 0 }
+  }
+
+  const odds = lineLegs.reduce((product, leg) => product * returnFactor(leg.status, leg.odds, leg.deadHeatFactor), 1)
+  const allVoid = lineLegs.every(leg => leg.status === LEG_STATUS.VOID || leg.status === LEG_STATUS.PUSH)
+
+  return {
+    status: allVoid ? LINE_STATUS.VOID : LINE_STATUS.WON,
+    odds,
+    payout: Math.round(line.stake * odds * 100) / 100,
+  }
+}
+
+/**
+ * Work out where a whole multi-leg bet stands
+ * The bet settles once every line has an outcome; an accumulator with a
+ * losing leg is lost straight away
+ * @param {Object} bet - Multi-leg bet with legs and lines
+ * @returns {Object} { settled, status, lines, payout }
+ */
+function evaluateMultiple(bet) {
+  const lines = bet.lines.map(line => ({ ...line, ...evaluateLine(bet.legs, line) }))
+  const settled = lines.every(line => line.status !== LINE_STATUS.PENDING)
+  const payout = lines.reduce((sum, line) => sum + line.payout, 0)
+
+  let status = null
+  if (settled) {
+    if (lines.every(line => line.status === LINE_STATUS.VOID)) {
+      status = LINE_STATUS.VOID
+    } else if (lines.some(line => line.status === LINE_STATUS.WON)) {
+      status = 'won'
+    } else {
+      // Any void lines still return their stake through payout
+      status = 'lost'
+    }
+  }
+
+  return { settled, status, lines, payout: Math.round(payout * 100) / 100 }
+}
+
+module.exports = {
+  BET_TYPES,
+  LEG_STATUS,
+  LINE_STATUS,
+  SYSTEM_BETS,
+  MIN_ACCUMULATOR_LEGS,
+  MAX_ACCUMULATOR_LEGS,
+  combinations,
+  expandLines,
+  lineOdds,
+  evaluateLine,
+  evaluateMultiple,
+}
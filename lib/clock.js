@@ -0,0 +1,38 @@
+/**
+ * Clock - Where time-driven code gets the current time from
+ * The system clock in production; a manual clock lets tests and replays
+ * move time forward on demand instead of waiting for it
+ */
+
+const systemClock = {
+  now: () => new Date(),
+}
+
+class ManualClock {
+  constructor(start = new Date()) {
+    this.current = new Date(start)
+  }
+
+  now() {
+    return new Date(this.current)
+  }
+
+  set(date) {
+    this.current = new Date(date)
+    return this.now()
+  }
+
+  /**
+   * Move time forward
+   * @param {Number} ms - Milliseconds
+   */
+  advance(ms) {
+    this.current = new Date(this.current.getTime() + ms)
+    return this.now()
+  }
+}
+
+module.exports = {
+  systemClock,
+  ManualClock,
+}
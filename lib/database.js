@@ -2,6 +2,10 @@
  * Database Adapter - Unified interface for NeDB and MongoDB
  * Automatically switches based on environment configuration
  * Supports both serverless (Vercel) and traditional (Railway/Heroku) deployments
+ *
+ * Every write accepts an optional `tx` (see lib/unit-of-work.js). On MongoDB with
+ * transactions the write joins the transaction's session; otherwise the adapter
+ * registers a compensating action that undoes the write if the unit rolls back.
  */
 
 const USE_MONGODB = process.env.USE_MONGODB === 'true' && process.env.MONGODB_URI
@@ -90,6 +94,37 @@ class DatabaseAdapter {
     this.useMongo = USE_MONGODB
   }
 
+  /**
+   * Session of the unit of work, when the backend runs a real transaction
+   * @private
+   */
+  _session(options) {
+    return options.tx && options.tx.session ? options.tx.session : undefined
+  }
+
+  /**
+   * Unit of work that needs compensating actions for this write
+   * @private
+   */
+  _compensating(options) {
+    return options.tx && !options.tx.session ? options.tx : null
+  }
+
+  /**
+   * Build an _id query, converting to ObjectId on MongoDB
+   * @private
+   */
+  _idQuery(id) {
+    if (this.useMongo) {
+      try {
+        return { _id: typeof id === 'string' ? new ObjectId(id) : id }
+      } catch (err) {
+        throw new Error('Invalid ID format')
+      }
+    }
+    return { _id: id }
+  }
+
   /**
    * Get collection (MongoDB) or store (NeDB)
    */
@@ -105,21 +140,23 @@ class DatabaseAdapter {
   /**
    * Insert one document
    * @param {Object} doc - Document to insert
+   * @param {Object} options - Options (tx)
    * @returns {Promise<Object>} Inserted document with _id
    */
-  async insertOne(doc) {
+  async insertOne(doc, options = {}) {
     const collection = await this.getCollection()
     const timestamp = new Date()
+    let inserted
 
     if (this.useMongo) {
       const result = await collection.insertOne({
         ...doc,
         createdAt: timestamp,
         updatedAt: timestamp,
-      })
-      return { ...doc, _id: result.insertedId, createdAt: timestamp, updatedAt: timestamp }
+      }, { session: this._session(options) })
+      inserted = { ...doc, _id: result.insertedId, createdAt: timestamp, updatedAt: timestamp }
     } else {
-      return new Promise((resolve, reject) => {
+      inserted = await new Promise((resolve, reject) => {
         collection.insert(
           { ...doc, createdAt: timestamp, updatedAt: timestamp },
           (err, newDoc) => {
@@ -129,6 +166,13 @@ class DatabaseAdapter {
         )
       })
     }
+
+    const tx = this._compensating(options)
+    if (tx) {
+      tx.onRollback(() => this.deleteOne({ _id: inserted._id }))
+    }
+
+    return inserted
   }
 
   /**
@@ -141,7 +185,7 @@ class DatabaseAdapter {
     const collection = await this.getCollection()
 
     if (this.useMongo) {
-      const cursor = collection.find(query)
+      const cursor = collection.find(query, { session: this._session(options) })
 
       if (options.sort) cursor.sort(options.sort)
       if (options.limit) cursor.limit(options.limit)
@@ -167,13 +211,14 @@ class DatabaseAdapter {
   /**
    * Find one document
    * @param {Object} query - Query object
+   * @param {Object} options - Options (tx)
    * @returns {Promise<Object|null>} Document or null
    */
-  async findOne(query) {
+  async findOne(query, options = {}) {
     const collection = await this.getCollection()
 
     if (this.useMongo) {
-      return await collection.findOne(query)
+      return await collection.findOne(query, { session: this._session(options) })
     } else {
       return new Promise((resolve, reject) => {
         collection.findOne(query, (err, doc) => {
@@ -187,48 +232,103 @@ class DatabaseAdapter {
   /**
    * Find by ID
    * @param {String} id - Document ID
+   * @param {Object} options - Options (tx)
    * @returns {Promise<Object|null>} Document or null
    */
-  async findById(id) {
-    if (this.useMongo) {
-      try {
-        return await this.findOne({ _id: new ObjectId(id) })
-      } catch (err) {
-        return null // Invalid ObjectId format
-      }
-    } else {
-      return await this.findOne({ _id: id })
+  async findById(id, options = {}) {
+    let query
+    try {
+      query = this._idQuery(id)
+    } catch (err) {
+      return null // Invalid ObjectId format
     }
+    return await this.findOne(query, options)
   }
 
   /**
    * Update one document
    * @param {Object} query - Query object
    * @param {Object} update - Update object
-   * @param {Object} options - Options (upsert)
+   * @param {Object} options - Options (upsert, tx)
    * @returns {Promise<Object>} Update result
    */
   async updateOne(query, update, options = {}) {
+    const tx = this._compensating(options)
+    if (tx) {
+      // Snapshot the fields we are about to overwrite so they can be restored
+      const previous = await this.findOne(query)
+      if (previous) {
+        const restore = {}
+        const unset = {}
+        for (const field of Object.keys(update)) {
+          if (previous[field] === undefined) unset[field] = true
+          else restore[field] = previous[field]
+        }
+        tx.onRollback(() => this._write({ _id: previous._id }, {
+          $set: { ...restore, updatedAt: previous.updatedAt },
+          ...(Object.keys(unset).length > 0 && { $unset: unset }),
+        }))
+      }
+    }
+
+    return await this._write(query, { $set: { ...update, updatedAt: new Date() } }, options)
+  }
+
+  /**
+   * Atomically increment numeric fields on one document
+   * @param {Object} query - Query object (may include guards such as { balance: { $gte: 10 } })
+   * @param {Object} increments - Fields and amounts to add
+   * @param {Object} options - Options (tx)
+   * @returns {Promise<Object>} Update result
+   */
+  async incrementOne(query, increments, options = {}) {
+    const tx = this._compensating(options)
+    if (!tx) {
+      return await this._write(query, { $inc: increments, $set: { updatedAt: new Date() } }, options)
+    }
+
+    // Pin the write to one document so the compensation reverses exactly it
+    const target = await this.findOne(query)
+    if (!target) {
+      return { modifiedCount: 0 }
+    }
+
+    const result = await this._write(
+      { ...query, _id: target._id },
+      { $inc: increments, $set: { updatedAt: new Date() } },
+      options
+    )
+
+    if (result.modifiedCount > 0) {
+      const reverse = {}
+      for (const field of Object.keys(increments)) {
+        reverse[field] = -increments[field]
+      }
+      tx.onRollback(() => this._write({ _id: target._id }, { $inc: reverse }))
+    }
+
+    return result
+  }
+
+  /**
+   * Apply a raw update document to one document
+   * @private
+   */
+  async _write(query, updateDoc, options = {}) {
     const collection = await this.getCollection()
-    const timestamp = new Date()
+    const { tx, ...writeOptions } = options
 
     if (this.useMongo) {
-      return await collection.updateOne(
-        query,
-        { $set: { ...update, updatedAt: timestamp } },
-        options
-      )
+      return await collection.updateOne(query, updateDoc, {
+        ...writeOptions,
+        session: this._session(options),
+      })
     } else {
       return new Promise((resolve, reject) => {
-        collection.update(
-          query,
-          { $set: { ...update, updatedAt: timestamp } },
-          options,
-          (err, numAffected) => {
-            if (err) reject(new Error(`NeDB update error: ${err.message}`))
-            else resolve({ modifiedCount: numAffected })
-          }
-        )
+        collection.update(query, updateDoc, writeOptions, (err, numAffected) => {
+          if (err) reject(new Error(`NeDB update error: ${err.message}`))
+          else resolve({ modifiedCount: numAffected })
+        })
       })
     }
   }
@@ -237,30 +337,45 @@ class DatabaseAdapter {
    * Update by ID
    * @param {String} id - Document ID
    * @param {Object} update - Update object
+   * @param {Object} options - Options (tx, where: conditions the document must also match)
    * @returns {Promise<Object>} Update result
    */
-  async updateById(id, update) {
-    if (this.useMongo) {
-      try {
-        return await this.updateOne({ _id: new ObjectId(id) }, update)
-      } catch (err) {
-        throw new Error('Invalid ID format')
-      }
-    } else {
-      return await this.updateOne({ _id: id }, update)
-    }
+  async updateById(id, update, options = {}) {
+    const { where, ...rest } = options
+    return await this.updateOne({ ...where, ...this._idQuery(id) }, update, rest)
+  }
+
+  /**
+   * Increment fields on a document by ID
+   * @param {String} id - Document ID
+   * @param {Object} increments - { field: amount }
+   * @param {Object} options - Options (tx, where: conditions the document must also match)
+   * @returns {Promise<Object>} Update result
+   */
+  async incrementById(id, increments, options = {}) {
+    const { where, ...rest } = options
+    return await this.incrementOne({ ...where, ...this._idQuery(id) }, increments, rest)
   }
 
   /**
    * Delete one document
    * @param {Object} query - Query object
+   * @param {Object} options - Options (tx)
    * @returns {Promise<Object>} Delete result
    */
-  async deleteOne(query) {
+  async deleteOne(query, options = {}) {
     const collection = await this.getCollection()
 
+    const tx = this._compensating(options)
+    if (tx) {
+      const previous = await this.findOne(query)
+      if (previous) {
+        tx.onRollback(() => this._restore(previous))
+      }
+    }
+
     if (this.useMongo) {
-      return await collection.deleteOne(query)
+      return await collection.deleteOne(query, { session: this._session(options) })
     } else {
       return new Promise((resolve, reject) => {
         collection.remove(query, { multi: false }, (err, numRemoved) => {
@@ -274,17 +389,29 @@ class DatabaseAdapter {
   /**
    * Delete by ID
    * @param {String} id - Document ID
+   * @param {Object} options - Options (tx)
    * @returns {Promise<Object>} Delete result
    */
-  async deleteById(id) {
+  async deleteById(id, options = {}) {
+    return await this.deleteOne(this._idQuery(id), options)
+  }
+
+  /**
+   * Put a deleted document back exactly as it was (used by compensations)
+   * @private
+   */
+  async _restore(doc) {
+    const collection = await this.getCollection()
+
     if (this.useMongo) {
-      try {
-        return await this.deleteOne({ _id: new ObjectId(id) })
-      } catch (err) {
-        throw new Error('Invalid ID format')
-      }
+      await collection.insertOne(doc)
     } else {
-      return await this.deleteOne({ _id: id })
+      await new Promise((resolve, reject) => {
+        collection.insert(doc, (err) => {
+          if (err) reject(new Error(`NeDB insert error: ${err.message}`))
+          else resolve()
+        })
+      })
     }
   }
 
@@ -356,6 +483,7 @@ async function testConnection() {
 
 module.exports = {
   createAdapter,
+  connectToMongoDB,
   testConnection,
   DatabaseAdapter,
   USE_MONGODB,
@@ -0,0 +1,40 @@
+/**
+ * Devices - Which browser and IP address a request came from
+ * A browser gets a random device ID in a long-lived cookie the first time it
+ * is seen, so accounts signing in from the same browser can be linked (see
+ * services/FraudService.js).
+ */
+
+const crypto = require('crypto')
+
+const DEVICE_COOKIE = 'device_id'
+const DEVICE_COOKIE_MAX_AGE = 5 * 365 * 24 * 60 * 60 * 1000
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || ''
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`))
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null
+}
+
+/**
+ * Device ID and IP address of a request, setting the device cookie if missing
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} { deviceId, ip }
+ */
+function clientInfo(req, res) {
+  let deviceId = readCookie(req, DEVICE_COOKIE)
+  if (!deviceId || !/^[a-f0-9]{32}$/.test(deviceId)) {
+    deviceId = crypto.randomBytes(16).toString('hex')
+    res.cookie(DEVICE_COOKIE, deviceId, { maxAge: DEVICE_COOKIE_MAX_AGE, httpOnly: true, sameSite: 'lax' })
+  }
+
+  // req.ip only reads X-Forwarded-For from trusted proxies (TRUST_PROXY), so
+  // a client can't claim someone else's address
+  return { deviceId, ip: req.ip || null }
+}
+
+module.exports = {
+  DEVICE_COOKIE,
+  clientInfo,
+}
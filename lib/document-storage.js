@@ -0,0 +1,121 @@
+/**
+ * Document Storage - Where uploaded documents (KYC) are kept
+ * DOCUMENT_STORAGE picks a backend:
+ * - 'local' (default): files under DOCUMENT_STORAGE_PATH (./uploads)
+ * - 'memory': kept in memory and lost on restart, for development and tests
+ *
+ * A backend's save(key, data) stores a Buffer, read(key) resolves to it and
+ * remove(key) deletes it. Keys come from documentKey(), never from the user.
+ * Another backend (S3, say) only has to offer the same three methods.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { NotFoundError } = require('./errors')
+
+// File types a document can be uploaded as
+const CONTENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf',
+}
+
+/**
+ * Local storage - one file per document under a root directory
+ */
+class LocalDocumentStorage {
+  constructor(root) {
+    this.name = 'local'
+    this.root = path.resolve(root)
+  }
+
+  // Keys are relative paths; anything resolving outside the root is refused
+  _path(key) {
+    const file = path.resolve(this.root, key)
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid document key '${key}'`)
+    }
+    return file
+  }
+
+  async save(key, data) {
+    const file = this._path(key)
+    await fs.promises.mkdir(path.dirname(file), { recursive: true })
+    await fs.promises.writeFile(file, data, { flag: 'wx' })
+  }
+
+  async read(key) {
+    try {
+      return await fs.promises.readFile(this._path(key))
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new NotFoundError('Document file', key)
+      throw error
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this._path(key))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+}
+
+/**
+ * Memory storage - documents live as long as the process
+ */
+class MemoryDocumentStorage {
+  constructor() {
+    this.name = 'memory'
+    this.files = new Map()
+  }
+
+  async save(key, data) {
+    this.files.set(key, Buffer.from(data))
+  }
+
+  async read(key) {
+    if (!this.files.has(key)) throw new NotFoundError('Document file', key)
+    return this.files.get(key)
+  }
+
+  async remove(key) {
+    this.files.delete(key)
+  }
+}
+
+const BACKENDS = {
+  local: () => new LocalDocumentStorage(process.env.DOCUMENT_STORAGE_PATH || './uploads'),
+  memory: () => new MemoryDocumentStorage(),
+}
+
+/**
+ * Create the configured storage backend
+ * @param {String} name - Backend name (defaults to DOCUMENT_STORAGE)
+ */
+function createDocumentStorage(name = process.env.DOCUMENT_STORAGE || 'local') {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown document storage '${name}'. Use one of: ${Object.keys(BACKENDS).join(', ')}`)
+  }
+  return BACKENDS[name]()
+}
+
+/**
+ * A new, unguessable key for a user's document
+ * @param {String} userId - Owner
+ * @param {String} contentType - One of CONTENT_TYPES
+ */
+function documentKey(userId, contentType) {
+  const folder = String(userId).replace(/[^a-zA-Z0-9_-]/g, '_')
+  return `kyc/${folder}/${crypto.randomBytes(16).toString('hex')}${CONTENT_TYPES[contentType] || ''}`
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  LocalDocumentStorage,
+  MemoryDocumentStorage,
+  createDocumentStorage,
+  documentKey,
+}
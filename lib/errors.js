@@ -151,6 +151,51 @@ class InvalidStateTransitionError extends BusinessRuleError {
   }
 }
 
+/**
+ * Insufficient Funds Error - Wallet or house bankroll cannot cover an amount
+ */
+class InsufficientFundsError extends BusinessRuleError {
+  constructor(message, details = {}) {
+    super(message, 'INSUFFICIENT_FUNDS')
+    this.statusCode = 400
+    this.details = { rule: 'INSUFFICIENT_FUNDS', ...details }
+  }
+}
+
+/**
+ * Bet Rejected Error - Bet cannot be accepted as requested
+ */
+class BetRejectedError extends BusinessRuleError {
+  constructor(message, rule = null, details = {}) {
+    super(message, rule)
+    this.statusCode = 400
+    this.details = { rule, ...details }
+  }
+}
+
+/**
+ * Player Protection Error - A player's own limits, cool-off or self-exclusion
+ * stop a deposit or bet
+ */
+class PlayerProtectionError extends BusinessRuleError {
+  constructor(message, rule = null, details = {}) {
+    super(message, rule)
+    this.statusCode = 403
+    this.details = { rule, ...details }
+  }
+}
+
+/**
+ * Verification Required Error - The player has to pass KYC checks first
+ */
+class VerificationRequiredError extends BusinessRuleError {
+  constructor(message, rule = null, details = {}) {
+    super(message, rule)
+    this.statusCode = 403
+    this.details = { rule, ...details }
+  }
+}
+
 /**
  * External Service Error - Third-party service failed
  */
@@ -220,6 +265,10 @@ module.exports = {
   DatabaseError,
   SubscriptionLimitError,
   InvalidStateTransitionError,
+  InsufficientFundsError,
+  BetRejectedError,
+  PlayerProtectionError,
+  VerificationRequiredError,
   ExternalServiceError,
   isOperationalError,
   handleError,
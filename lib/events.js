@@ -37,6 +37,14 @@ const EVENTS = {
   USER_LOGIN: 'user.login',
   USER_LOGOUT: 'user.logout',
 
+  // Betting events (emitted once the change is committed)
+  ODDS_CHANGED: 'betting.odds_changed',
+  EVENT_STATUS_CHANGED: 'betting.event_status_changed',
+  EVENT_SCORE_UPDATED: 'betting.event_score_updated',
+  EVENT_SETTLED: 'betting.event_settled',
+  BET_UPDATED: 'betting.bet_updated',
+  WALLET_UPDATED: 'betting.wallet_updated',
+
   // System events
   SYSTEM_ERROR: 'system.error',
   SYSTEM_WARNING: 'system.warning',
@@ -278,6 +286,20 @@ const PaymentEvents = {
   refunded: (payment) => eventBus.emit(EVENTS.PAYMENT_REFUNDED, payment),
 }
 
+/**
+ * Emit betting events
+ */
+const BettingEvents = {
+  oddsChanged: (eventId, prices) => eventBus.emit(EVENTS.ODDS_CHANGED, { eventId, prices }),
+  statusChanged: (eventId, status, previousStatus) => {
+    eventBus.emit(EVENTS.EVENT_STATUS_CHANGED, { eventId, status, previousStatus })
+  },
+  scoreUpdated: (eventId, score) => eventBus.emit(EVENTS.EVENT_SCORE_UPDATED, { eventId, score }),
+  settled: (eventId, results, resettled) => eventBus.emit(EVENTS.EVENT_SETTLED, { eventId, results, resettled }),
+  betUpdated: (bet) => eventBus.emit(EVENTS.BET_UPDATED, bet),
+  walletUpdated: (userId) => eventBus.emit(EVENTS.WALLET_UPDATED, { userId }),
+}
+
 module.exports = {
   EVENTS,
   eventBus,
@@ -287,4 +309,5 @@ module.exports = {
   SubscriptionEvents,
   ClientEvents,
   PaymentEvents,
+  BettingEvents,
 }
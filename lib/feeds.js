@@ -0,0 +1,172 @@
+/**
+ * Feed Adapters - Fixtures, scores and results from an external source
+ * FEED_PROVIDER picks one (FEED_SOURCE says where it reads from):
+ * - 'none' (default): no feed, results are entered by hand
+ * - 'file': a JSON file, read again on every poll
+ * - 'http': a JSON document fetched from a URL (FEED_API_KEY is sent as a bearer token)
+ * - 'replay': a recorded file played back one batch per poll, for development and tests
+ *
+ * An adapter's fetch() resolves to a list of messages, each with a `type` and
+ * the fixture's `externalId`:
+ * - { type: 'fixture', externalId, name, sport, homeTeam, awayTeam, startTime, markets }
+ * - { type: 'score', externalId, home, away, status } (status: 'live' or 'finished', optional)
+ * - { type: 'result', externalId, home, away, firstScorer }
+ * Sources may send the same message again; services/FeedService.js ignores what it already has.
+ */
+
+const fs = require('fs')
+const { promisify } = require('util')
+const { ValidationError, ExternalServiceError } = require('./errors')
+
+const readFile = promisify(fs.readFile)
+
+const MESSAGE_TYPES = {
+  FIXTURE: 'fixture',
+  SCORE: 'score',
+  RESULT: 'result',
+}
+
+/**
+ * Messages from a parsed document: a list, or { messages: [...] }
+ */
+function messagesFrom(document, source) {
+  const messages = Array.isArray(document) ? document : (document && document.messages)
+  if (!Array.isArray(messages)) {
+    throw new ValidationError(`Feed ${source} must be a list of messages or { messages: [...] }`, 'source')
+  }
+  return messages
+}
+
+/**
+ * File adapter - the whole file is the feed's current state
+ */
+class FileFeedAdapter {
+  constructor(path) {
+    if (!path) {
+      throw new ValidationError('The file feed needs FEED_SOURCE set to a file path', 'source')
+    }
+    this.name = 'file'
+    this.path = path
+  }
+
+  async fetch() {
+    try {
+      return messagesFrom(JSON.parse(await readFile(this.path, 'utf8')), this.path)
+    } catch (error) {
+      if (error instanceof ValidationError) throw error
+      throw new ExternalServiceError('Feed file', error.message, error)
+    }
+  }
+}
+
+/**
+ * HTTP adapter - GETs the feed's current state as JSON
+ */
+class HttpFeedAdapter {
+  constructor(url, { apiKey = null } = {}) {
+    if (!url) {
+      throw new ValidationError('The HTTP feed needs FEED_SOURCE set to a URL', 'source')
+    }
+    this.name = 'http'
+    this.url = url
+    this.apiKey = apiKey
+  }
+
+  async fetch() {
+    const fetch = require('isomorphic-fetch')
+    const headers = { Accept: 'application/json' }
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`
+    }
+
+    let res
+    try {
+      res = await fetch(this.url, { headers })
+    } catch (error) {
+      throw new ExternalServiceError('Feed', error.message, error)
+    }
+
+    if (!res.ok) {
+      throw new ExternalServiceError('Feed', `${this.url} answered ${res.status}`)
+    }
+
+    return messagesFrom(await res.json(), this.url)
+  }
+}
+
+// A message on its own in a recording is a batch of one
+function asBatches(entries) {
+  return entries.map(entry => Array.isArray(entry) ? entry : [entry])
+}
+
+/**
+ * Replay adapter - plays back recorded batches, one per fetch()
+ * Takes a list of batches (each a list of messages) or a file holding one;
+ * once every batch has been played fetch() returns nothing
+ */
+class ReplayFeedAdapter {
+  constructor(batches = []) {
+    this.name = 'replay'
+    this.source = typeof batches === 'string' ? batches : null
+    this.batches = typeof batches === 'string' ? null : asBatches(batches)
+    this.position = 0
+  }
+
+  /**
+   * Queue more batches after the ones left
+   */
+  push(...batches) {
+    this.batches = [...(this.batches || []), ...asBatches(batches)]
+  }
+
+  /**
+   * Start again from the first batch
+   */
+  reset() {
+    this.position = 0
+  }
+
+  get done() {
+    return this.batches !== null && this.position >= this.batches.length
+  }
+
+  async fetch() {
+    if (this.batches === null) {
+      this.batches = asBatches(messagesFrom(JSON.parse(await readFile(this.source, 'utf8')), this.source))
+    }
+
+    if (this.done) {
+      return []
+    }
+
+    return this.batches[this.position++]
+  }
+}
+
+const ADAPTERS = {
+  none: () => null,
+  file: (source) => new FileFeedAdapter(source),
+  http: (source) => new HttpFeedAdapter(source, { apiKey: process.env.FEED_API_KEY || null }),
+  replay: (source) => new ReplayFeedAdapter(source),
+}
+
+/**
+ * Create the configured feed adapter
+ * @param {String} name - Adapter name (defaults to FEED_PROVIDER)
+ * @param {String} source - Path or URL (defaults to FEED_SOURCE)
+ * @returns {Object|null} Adapter, or null when there is no feed
+ */
+function createFeedAdapter(name = process.env.FEED_PROVIDER || 'none', source = process.env.FEED_SOURCE) {
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown feed provider '${name}'. Use one of: ${Object.keys(ADAPTERS).join(', ')}`)
+  }
+  return ADAPTERS[name](source)
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  FileFeedAdapter,
+  HttpFeedAdapter,
+  ReplayFeedAdapter,
+  createFeedAdapter,
+}
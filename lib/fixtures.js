@@ -0,0 +1,187 @@
+/**
+ * Fixture files - events to import, as CSV or JSON
+ * Used by services/FixtureService.js (bulk import) and the admin fixtures page.
+ *
+ * CSV has a header row; columns are matched without regard to case, spaces or
+ * underscores:
+ *   sport, league, home_team, away_team, start_time, opens_at, name, status,
+ *   home_price, away_price, draw_price
+ * The prices make a match winner market (draw_price is optional).
+ *
+ * JSON is a list of fixtures (or { fixtures: [...] }) with the same fields in
+ * camelCase. A JSON fixture may give `markets` (see lib/markets.js) instead of
+ * prices, and `leagueId`, `homeTeamId` and `awayTeamId` instead of names.
+ */
+
+const { MARKET_TYPES } = require('./markets')
+const { ValidationError } = require('./errors')
+
+const FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+}
+
+// Most rows a single import takes
+const MAX_FIXTURES = 500
+
+const FIELDS = [
+  'sport', 'league', 'leagueId', 'homeTeam', 'homeTeamId', 'awayTeam', 'awayTeamId',
+  'startTime', 'opensAt', 'name', 'status', 'homePrice', 'awayPrice', 'drawPrice',
+]
+
+// CSV header (lower case, no spaces or underscores) -> field
+const COLUMNS = FIELDS.reduce((columns, field) => ({ ...columns, [field.toLowerCase()]: field }), {})
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells with commas, doubled quotes and line breaks in them
+ */
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError('CSV has a quote that is never closed', 'data')
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  // Blank lines are skipped
+  return rows.filter(cells => cells.some(value => value.trim() !== ''))
+}
+
+function fromCsv(text) {
+  const [header, ...rows] = parseCsv(text)
+  if (!header) {
+    throw new ValidationError('CSV is empty', 'data')
+  }
+
+  const fields = header.map(name => COLUMNS[name.trim().toLowerCase().replace(/[\s_]/g, '')] || null)
+  const unknown = header.filter((name, index) => fields[index] === null)
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown CSV column(s): ${unknown.join(', ')}`, 'data')
+  }
+
+  // Line 1 is the header
+  return rows.map((cells, index) => {
+    const fixture = {}
+    fields.forEach((field, column) => {
+      const value = (cells[column] || '').trim()
+      if (value !== '') fixture[field] = value
+    })
+    return { line: index + 2, fixture }
+  })
+}
+
+function fromJson(text) {
+  let document
+  try {
+    document = JSON.parse(text)
+  } catch (error) {
+    throw new ValidationError(`JSON is not valid: ${error.message}`, 'data')
+  }
+
+  const fixtures = Array.isArray(document) ? document : (document && document.fixtures)
+  if (!Array.isArray(fixtures)) {
+    throw new ValidationError('JSON must be a list of fixtures or { fixtures: [...] }', 'data')
+  }
+
+  return fixtures.map((fixture, index) => ({
+    line: index + 1,
+    fixture: fixture && typeof fixture === 'object' ? fixture : {},
+  }))
+}
+
+/**
+ * Read the fixtures in an import file
+ * @param {String} text - File contents
+ * @param {String} format - 'csv' or 'json' (guessed from the text when not given)
+ * @returns {Array} [{ line, fixture }] - line is the CSV line or position in the JSON list
+ */
+function parseFixtures(text, format = null) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ValidationError('Nothing to import', 'data')
+  }
+
+  const trimmed = text.trim()
+  const chosen = format || (trimmed[0] === '[' || trimmed[0] === '{' ? FORMATS.JSON : FORMATS.CSV)
+  if (!Object.values(FORMATS).includes(chosen)) {
+    throw new ValidationError(`Format must be one of: ${Object.values(FORMATS).join(', ')}`, 'format')
+  }
+
+  const rows = chosen === FORMATS.JSON ? fromJson(trimmed) : fromCsv(trimmed)
+  if (rows.length === 0) {
+    throw new ValidationError('No fixtures found', 'data')
+  }
+  if (rows.length > MAX_FIXTURES) {
+    throw new ValidationError(`An import takes at most ${MAX_FIXTURES} fixtures`, 'data')
+  }
+
+  return rows
+}
+
+/**
+ * Markets of an imported fixture: its own, or a match winner built from its prices
+ */
+function fixtureMarkets(fixture) {
+  if (Array.isArray(fixture.markets) && fixture.markets.length > 0) {
+    return fixture.markets
+  }
+
+  if (fixture.homePrice === undefined || fixture.awayPrice === undefined) {
+    throw new ValidationError('Give home and away prices (or markets)', 'markets')
+  }
+
+  const selections = [
+    { type: 'home', price: parseFloat(fixture.homePrice) },
+    { type: 'away', price: parseFloat(fixture.awayPrice) },
+  ]
+  if (fixture.drawPrice !== undefined && fixture.drawPrice !== '') {
+    selections.push({ type: 'draw', price: parseFloat(fixture.drawPrice) })
+  }
+
+  return [{ type: MARKET_TYPES.MATCH_WINNER, selections }]
+}
+
+module.exports = {
+  FORMATS,
+  MAX_FIXTURES,
+  parseCsv,
+  parseFixtures,
+  fixtureMarkets,
+}
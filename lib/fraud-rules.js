@@ -0,0 +1,215 @@
+/**
+ * Fraud Rules - Signs of multi-accounting, bonus abuse and sharp or
+ * suspicious betting
+ * Used by services/FraudService.js, which gathers what a rule looks at and
+ * flags the account for review when the weights of the rules that fire add
+ * up to FRAUD_FLAG_SCORE.
+ *
+ * A rule checks an account (everything it has done) or a single bet as it is
+ * placed. `check(context)` returns null, or { reason, details } when it fires.
+ */
+
+// Score at which an account goes to the review queue
+const FLAG_SCORE = parseInt(process.env.FRAUD_FLAG_SCORE || '50', 10)
+
+// A bet this close to the start (or after it, before the event was closed) is late.
+// Betting closes BET_CUTOFF_SECONDS before the start, so keep this above that
+const LATE_BET_SECONDS = parseInt(process.env.FRAUD_LATE_BET_SECONDS || '300', 10)
+
+// A withdrawal this soon after a deposit, with little staked between, is a cycle
+const CYCLE_HOURS = parseInt(process.env.FRAUD_CYCLE_HOURS || '24', 10)
+
+// Cycles before an account is flagged; staked share of the deposit that still counts as a cycle
+const CYCLES_TO_FLAG = 2
+const CYCLE_TURNOVER = 1
+
+// Late bets before an account is flagged
+const LATE_BETS_TO_FLAG = 3
+
+// Settled singles needed before closing prices are compared, and
+// how often and by how much they must beat the close
+const CLOSING_PRICE_MIN_BETS = 10
+const CLOSING_PRICE_BEAT_SHARE = 0.7
+const CLOSING_PRICE_EDGE = 0.05
+
+// A stake this many times the player's average is a spike (once they have a history)
+const STAKE_SPIKE_MULTIPLE = 5
+const STAKE_SPIKE_MIN_BETS = 5
+
+const SCOPES = {
+  ACCOUNT: 'account',
+  BET: 'bet',
+}
+
+const HOUR = 60 * 60 * 1000
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+function isLate(bet, event) {
+  if (!event || !event.startTime) return false
+  return new Date(event.startTime) - new Date(bet.createdAt) < LATE_BET_SECONDS * 1000
+}
+
+// Other accounts seen on the account's devices (or IPs), by user ID
+function linkedUsers(links) {
+  return [...new Set(links.map(link => link.userId))]
+}
+
+const RULES = [
+  {
+    id: 'SHARED_DEVICE',
+    scope: SCOPES.ACCOUNT,
+    weight: 40,
+    description: 'Uses a device another account has used',
+    check: ({ links }) => {
+      const users = linkedUsers(links.device)
+      return users.length === 0 ? null : {
+        reason: `Device shared with ${users.length} other account(s)`,
+        details: { userIds: users },
+      }
+    },
+  },
+  {
+    id: 'SHARED_IP',
+    scope: SCOPES.ACCOUNT,
+    weight: 15,
+    description: 'Bets from an IP address other accounts use',
+    check: ({ links }) => {
+      const users = linkedUsers(links.ip)
+      return users.length === 0 ? null : {
+        reason: `IP address shared with ${users.length} other account(s)`,
+        details: { userIds: users },
+      }
+    },
+  },
+  {
+    id: 'BONUS_CLUSTER',
+    scope: SCOPES.ACCOUNT,
+    weight: 30,
+    description: 'Claims bonuses that linked accounts also claimed',
+    check: ({ bonuses, linkedBonuses }) => {
+      const promotions = new Set(bonuses.map(bonus => bonus.promotionId).filter(Boolean))
+      const shared = linkedBonuses.filter(bonus => promotions.has(bonus.promotionId))
+      if (shared.length === 0) return null
+
+      const users = [...new Set(shared.map(bonus => bonus.userId))]
+      return {
+        reason: `Same promotions claimed by ${users.length} linked account(s)`,
+        details: { userIds: users, promotionIds: [...new Set(shared.map(bonus => bonus.promotionId))] },
+      }
+    },
+  },
+  {
+    id: 'LATE_BETS',
+    scope: SCOPES.ACCOUNT,
+    weight: 25,
+    description: `Keeps betting within ${LATE_BET_SECONDS} seconds of the start`,
+    check: ({ bets, eventsById }) => {
+      const late = bets.filter(bet => !bet.legs && isLate(bet, eventsById.get(String(bet.eventId))))
+      return late.length < LATE_BETS_TO_FLAG ? null : {
+        reason: `${late.length} bets placed within ${LATE_BET_SECONDS}s of the start`,
+        details: { betIds: late.map(bet => String(bet._id)) },
+      }
+    },
+  },
+  {
+    id: 'BEATS_CLOSING_PRICE',
+    scope: SCOPES.ACCOUNT,
+    weight: 35,
+    description: 'Consistently bets at better prices than the market closes at',
+    check: ({ closingPrices }) => {
+      if (closingPrices.length < CLOSING_PRICE_MIN_BETS) return null
+
+      // How much better than the close each bet was priced (0.1 = 10%)
+      const edges = closingPrices.map(({ odds, closing }) => odds / closing - 1)
+      const beatShare = edges.filter(edge => edge > 0).length / edges.length
+      const averageEdge = edges.reduce((sum, edge) => sum + edge, 0) / edges.length
+
+      return beatShare < CLOSING_PRICE_BEAT_SHARE || averageEdge < CLOSING_PRICE_EDGE ? null : {
+        reason: `Beat the closing price on ${Math.round(beatShare * 100)}% of ${edges.length} bets, ` +
+          `by ${round(averageEdge * 100)}% on average`,
+        details: { bets: edges.length, beatShare: round(beatShare), averageEdge: round(averageEdge) },
+      }
+    },
+  },
+  {
+    id: 'RAPID_CYCLES',
+    scope: SCOPES.ACCOUNT,
+    weight: 30,
+    description: `Deposits and withdraws within ${CYCLE_HOURS} hours with little betting between`,
+    check: ({ deposits, withdrawals, stakes }) => {
+      const cycles = deposits.filter(deposit => {
+        const withdrawal = withdrawals.find(candidate =>
+          candidate.at >= deposit.at && candidate.at - deposit.at <= CYCLE_HOURS * HOUR)
+        if (!withdrawal) return false
+
+        const staked = stakes
+          .filter(stake => stake.at >= deposit.at && stake.at <= withdrawal.at)
+          .reduce((sum, stake) => sum + stake.amount, 0)
+        return staked <= deposit.amount * CYCLE_TURNOVER
+      })
+
+      return cycles.length < CYCLES_TO_FLAG ? null : {
+        reason: `${cycles.length} deposits withdrawn within ${CYCLE_HOURS}h with little staked`,
+        details: { cycles: cycles.length },
+      }
+    },
+  },
+  {
+    id: 'LATE_BET',
+    scope: SCOPES.BET,
+    weight: 10,
+    description: `Bet within ${LATE_BET_SECONDS} seconds of the start`,
+    check: ({ bet, event }) => {
+      if (!isLate(bet, event)) return null
+
+      const seconds = Math.round((new Date(event.startTime) - new Date(bet.createdAt)) / 1000)
+      return {
+        reason: `${bet.selection} placed ${Math.abs(seconds)}s ${seconds >= 0 ? 'before' : 'after'} the start`,
+        details: { eventId: String(event._id), seconds },
+      }
+    },
+  },
+  {
+    id: 'STAKE_SPIKE',
+    scope: SCOPES.BET,
+    weight: 20,
+    description: `Stake ${STAKE_SPIKE_MULTIPLE} times the player's average or more`,
+    check: ({ bet, priorBets }) => {
+      if (priorBets.length < STAKE_SPIKE_MIN_BETS) return null
+
+      const average = priorBets.reduce((sum, prior) => sum + prior.amount, 0) / priorBets.length
+      return bet.amount < average * STAKE_SPIKE_MULTIPLE ? null : {
+        reason: `$${bet.amount.toFixed(2)} stake against a $${average.toFixed(2)} average`,
+        details: { average: round(average) },
+      }
+    },
+  },
+]
+
+/**
+ * Run the rules of one scope
+ * @param {String} scope - One of SCOPES
+ * @param {Object} context - What the rules look at (see FraudService)
+ * @returns {Object} { score, findings: [{ rule, weight, reason, details }] }
+ */
+function evaluate(scope, context) {
+  const findings = []
+  for (const rule of RULES.filter(candidate => candidate.scope === scope)) {
+    const result = rule.check(context)
+    if (result) {
+      findings.push({ rule: rule.id, weight: rule.weight, reason: result.reason, details: result.details || null })
+    }
+  }
+
+  return { score: findings.reduce((sum, finding) => sum + finding.weight, 0), findings }
+}
+
+module.exports = {
+  FLAG_SCORE,
+  SCOPES,
+  RULES,
+  evaluate,
+}
@@ -0,0 +1,311 @@
+/**
+ * Markets - What can be bet on within an event
+ * An event owns a list of markets (match winner, over/under, handicap, first
+ * scorer), each with typed selections and prices held on the server.
+ * Shared by the Event model, BettingService and the admin/sports pages.
+ */
+
+const { ValidationError } = require('./errors')
+
+const MARKET_TYPES = {
+  MATCH_WINNER: 'match_winner',
+  OVER_UNDER: 'over_under',
+  HANDICAP: 'handicap',
+  FIRST_SCORER: 'first_scorer',
+}
+
+const MARKET_STATUS = {
+  OPEN: 'open',
+  SUSPENDED: 'suspended',
+  SETTLED: 'settled',
+}
+
+// Selection types allowed per market; `repeatable` types may appear more than once
+const MARKET_DEFINITIONS = {
+  [MARKET_TYPES.MATCH_WINNER]: {
+    name: 'Match Winner',
+    selectionTypes: ['home', 'away', 'draw'],
+    requiresLine: false,
+  },
+  [MARKET_TYPES.OVER_UNDER]: {
+    name: 'Total Over/Under',
+    selectionTypes: ['over', 'under'],
+    requiresLine: true,
+  },
+  [MARKET_TYPES.HANDICAP]: {
+    name: 'Handicap',
+    selectionTypes: ['home', 'away'],
+    requiresLine: true,
+  },
+  [MARKET_TYPES.FIRST_SCORER]: {
+    name: 'First Scorer',
+    selectionTypes: ['player', 'no_scorer'],
+    repeatable: ['player'],
+    requiresLine: false,
+  },
+}
+
+// What a bettor accepts when the price moved since they saw it
+const PRICE_CHANGE_POLICIES = {
+  NEVER: 'never', // Reject and re-quote on any change
+  BETTER: 'better', // Accept if the new price pays more
+  ANY: 'any', // Accept whatever the current price is
+}
+
+const MIN_PRICE = 1.01
+const MAX_PRICE = 1000
+
+// Market of events created before markets existed (team1/team2/odds1/odds2/drawOdds)
+const LEGACY_MARKET_ID = 'legacy-winner'
+
+function generateId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+}
+
+function signedLine(line) {
+  return line > 0 ? `+${line}` : `${line}`
+}
+
+/**
+ * Name a selection from its type when the admin left it blank
+ */
+function defaultSelectionName(market, selection, event = {}) {
+  const home = event.homeTeam || 'Home'
+  const away = event.awayTeam || 'Away'
+
+  switch (selection.type) {
+    case 'home':
+      return market.type === MARKET_TYPES.HANDICAP ? `${home} ${signedLine(market.line)}` : home
+    case 'away':
+      return market.type === MARKET_TYPES.HANDICAP ? `${away} ${signedLine(-market.line)}` : away
+    case 'draw':
+      return 'Draw'
+    case 'over':
+      return `Over ${market.line}`
+    case 'under':
+      return `Under ${market.line}`
+    case 'no_scorer':
+      return 'No Goalscorer'
+    default:
+      return null
+  }
+}
+
+/**
+ * Blank selections for a new market of the given type (used by the admin form)
+ */
+function defaultSelections(type) {
+  const definition = MARKET_DEFINITIONS[type]
+  if (!definition) return []
+
+  return definition.selectionTypes.map(selectionType => ({
+    type: selectionType,
+    name: '',
+    price: 2.0,
+  }))
+}
+
+function validatePrice(price, field = 'price') {
+  const value = parseFloat(price)
+  if (isNaN(value) || value < MIN_PRICE || value > MAX_PRICE) {
+    throw new ValidationError(`Price must be between ${MIN_PRICE} and ${MAX_PRICE}`, field)
+  }
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * Validate one market and fill in IDs, names and defaults
+ * @param {Object} market - { id?, type, name?, line?, selections }
+ * @param {Object} event - Event the market belongs to (for default names)
+ * @returns {Object} Normalized market
+ */
+function normalizeMarket(market, event = {}) {
+  const definition = MARKET_DEFINITIONS[market && market.type]
+  if (!definition) {
+    throw new ValidationError(
+      `Unknown market type. Must be one of: ${Object.values(MARKET_TYPES).join(', ')}`,
+      'markets.type'
+    )
+  }
+
+  let line = null
+  if (definition.requiresLine) {
+    line = parseFloat(market.line)
+    if (isNaN(line)) {
+      throw new ValidationError(`${definition.name} market requires a line`, 'markets.line')
+    }
+  }
+
+  const normalized = {
+    id: market.id || generateId('mkt'),
+    type: market.type,
+    name: market.name || (line !== null ? `${definition.name} ${line}` : definition.name),
+    line,
+    status: market.status || MARKET_STATUS.OPEN,
+    selections: [],
+  }
+
+  const selections = Array.isArray(market.selections) ? market.selections : []
+  if (selections.length < 2) {
+    throw new ValidationError(`${normalized.name} needs at least two selections`, 'markets.selections')
+  }
+
+  const seenTypes = new Set()
+  const seenIds = new Set()
+
+  for (const selection of selections) {
+    if (!definition.selectionTypes.includes(selection.type)) {
+      throw new ValidationError(
+        `${normalized.name} selections must be one of: ${definition.selectionTypes.join(', ')}`,
+        'markets.selections.type'
+      )
+    }
+
+    const repeatable = (definition.repeatable || []).includes(selection.type)
+    if (!repeatable && seenTypes.has(selection.type)) {
+      throw new ValidationError(`${normalized.name} has more than one '${selection.type}' selection`, 'markets.selections.type')
+    }
+    seenTypes.add(selection.type)
+
+    const name = (selection.name && selection.name.trim()) || defaultSelectionName(normalized, selection, event)
+    if (!name) {
+      throw new ValidationError(`Every ${selection.type} selection needs a name`, 'markets.selections.name')
+    }
+
+    const id = selection.id || generateId('sel')
+    if (seenIds.has(id)) {
+      throw new ValidationError(`Duplicate selection ID ${id}`, 'markets.selections.id')
+    }
+    seenIds.add(id)
+
+    normalized.selections.push({
+      ...selection,
+      id,
+      type: selection.type,
+      name,
+      price: validatePrice(selection.price, 'markets.selections.price'),
+    })
+  }
+
+  return normalized
+}
+
+/**
+ * Validate every market of an event
+ * @param {Array} markets - Markets as submitted
+ * @param {Object} event - Event the markets belong to
+ * @returns {Array} Normalized markets
+ */
+function normalizeMarkets(markets, event = {}) {
+  if (!Array.isArray(markets) || markets.length === 0) {
+    throw new ValidationError('An event needs at least one market', 'markets')
+  }
+
+  const normalized = markets.map(market => normalizeMarket(market, event))
+
+  const ids = normalized.map(market => market.id)
+  if (new Set(ids).size !== ids.length) {
+    throw new ValidationError('Market IDs must be unique within an event', 'markets.id')
+  }
+
+  return normalized
+}
+
+/**
+ * Build the match winner market of an event stored with team1/team2 fields
+ * IDs are fixed so bets placed against it can be settled later
+ */
+function fromLegacy(event) {
+  const selections = [
+    { id: 'home', type: 'home', name: event.team1, price: event.odds1 },
+    { id: 'away', type: 'away', name: event.team2, price: event.odds2 },
+  ]
+  if (event.drawOdds) {
+    selections.push({ id: 'draw', type: 'draw', name: 'Draw', price: event.drawOdds })
+  }
+
+  return [{
+    id: LEGACY_MARKET_ID,
+    type: MARKET_TYPES.MATCH_WINNER,
+    name: MARKET_DEFINITIONS[MARKET_TYPES.MATCH_WINNER].name,
+    line: null,
+    status: ['settled', 'cancelled'].includes(event.status) ? MARKET_STATUS.SETTLED : MARKET_STATUS.OPEN,
+    selections: selections.filter(selection => selection.name && selection.price),
+  }]
+}
+
+/**
+ * Decide whether a bet goes through at the current price
+ * @param {String} policy - One of PRICE_CHANGE_POLICIES
+ * @param {Number} expected - Price the bettor saw
+ * @param {Number} current - Price on the server now
+ * @returns {Boolean} True if the bet may be placed at `current`
+ */
+function acceptsPrice(policy, expected, current) {
+  const expectedCents = Math.round(expected * 100)
+  const currentCents = Math.round(current * 100)
+
+  if (expectedCents === currentCents) return true
+
+  switch (policy) {
+    case PRICE_CHANGE_POLICIES.ANY:
+      return true
+    case PRICE_CHANGE_POLICIES.BETTER:
+      return currentCents > expectedCents
+    default:
+      return false
+  }
+}
+
+/**
+ * Find a market and selection of an event
+ * @returns {Object|null} { market, selection }
+ */
+function findSelection(event, marketId, selectionId) {
+  const market = (event.markets || []).find(candidate => candidate.id === marketId)
+  if (!market) return null
+
+  const selection = market.selections.find(candidate => candidate.id === selectionId)
+  if (!selection) return null
+
+  return { market, selection }
+}
+
+/**
+ * The markets and selections an event offers, without prices or statuses -
+ * what bets are placed against, so it can't change once there are any
+ * @param {Array} markets - Normalized markets
+ * @returns {Array} Markets by ID, each with its selections by ID
+ */
+function marketStructure(markets) {
+  const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  return (markets || [])
+    .map(market => ({
+      id: market.id,
+      type: market.type,
+      line: market.line === undefined ? null : market.line,
+      name: market.name,
+      selections: market.selections
+        .map(selection => ({ id: selection.id, type: selection.type, name: selection.name }))
+        .sort(byId),
+    }))
+    .sort(byId)
+}
+
+module.exports = {
+  MARKET_TYPES,
+  MARKET_STATUS,
+  MARKET_DEFINITIONS,
+  PRICE_CHANGE_POLICIES,
+  MIN_PRICE,
+  MAX_PRICE,
+  LEGACY_MARKET_ID,
+  defaultSelections,
+  validatePrice,
+  normalizeMarket,
+  normalizeMarkets,
+  fromLegacy,
+  findSelection,
+  acceptsPrice,
+  marketStructure,
+}
@@ -0,0 +1,199 @@
+/**
+ * Module Registry - Product areas as enableable modules
+ * Each module (invoicing, betting) brings its own routes, models, pages and
+ * Stripe webhook handlers. ENABLED_MODULES decides which ones a deployment
+ * runs; pages and APIs of disabled modules answer 404.
+ */
+
+const { ValidationError, ConflictError } = require('./errors')
+
+/**
+ * Parse a comma separated module list (e.g. ENABLED_MODULES)
+ * Kept free of requires so next.config.js can use it at build time
+ * @param {String} value - "invoicing,betting", "all" or empty
+ * @returns {Array|null} Module names, or null for "every module"
+ */
+function parseModuleList(value) {
+  if (!value || value.trim() === '' || value.trim() === 'all') {
+    return null
+  }
+
+  return value
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name.length > 0)
+}
+
+class ModuleRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.webhooks - Dispatcher that module webhook handlers register with
+   */
+  constructor({ webhooks = null } = {}) {
+    this.webhooks = webhooks
+    this.modules = new Map()
+    this.enabledNames = null
+    this.models = {}
+    this.loaded = false
+  }
+
+  /**
+   * Register a module definition
+   * @param {Object} definition
+   * @param {String} definition.name - Unique module name
+   * @param {String} definition.description - Shown in startup logs
+   * @param {Function} definition.models - () => { Name: model }, required lazily
+   * @param {Function} definition.routes - (expressApp, context) => void
+   * @param {Array} definition.pages - Next.js page paths owned by the module
+   * @param {Array} definition.api - API path prefixes owned by the module
+   * @param {Object} definition.webhooks - { handlerName: { matches, handle } }
+   * @param {Function} definition.start - async () => void, background work once the server listens
+   */
+  register(definition) {
+    if (!definition || !definition.name) {
+      throw new ValidationError('Module definition requires a name', 'name')
+    }
+
+    if (this.modules.has(definition.name)) {
+      throw new ConflictError(`Module '${definition.name}' is already registered`, 'DUPLICATE_MODULE')
+    }
+
+    this.modules.set(definition.name, {
+      description: '',
+      models: () => ({}),
+      routes: () => {},
+      pages: [],
+      api: [],
+      webhooks: {},
+      start: async () => {},
+      ...definition,
+    })
+  }
+
+  /**
+   * Choose which modules are enabled
+   * @param {String|Array} enabled - Module names, a comma separated list, or empty for all
+   */
+  configure(enabled) {
+    const names = Array.isArray(enabled) ? enabled : parseModuleList(enabled)
+
+    if (names === null) {
+      this.enabledNames = null
+      return
+    }
+
+    const unknown = names.filter(name => !this.modules.has(name))
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown module(s): ${unknown.join(', ')}. Available: ${this.names().join(', ')}`,
+        'ENABLED_MODULES'
+      )
+    }
+
+    this.enabledNames = names
+  }
+
+  names() {
+    return Array.from(this.modules.keys())
+  }
+
+  isEnabled(name) {
+    if (!this.modules.has(name)) return false
+    return this.enabledNames === null || this.enabledNames.includes(name)
+  }
+
+  enabled() {
+    return this.names().filter(name => this.isEnabled(name)).map(name => this.modules.get(name))
+  }
+
+  disabled() {
+    return this.names().filter(name => !this.isEnabled(name)).map(name => this.modules.get(name))
+  }
+
+  /**
+   * Load models and register webhook handlers of enabled modules
+   * Safe to call more than once - also used by serverless entry points that
+   * never run index.js
+   */
+  load() {
+    if (this.loaded) return this
+
+    for (const module of this.enabled()) {
+      this.models[module.name] = module.models()
+
+      if (this.webhooks) {
+        for (const [name, handler] of Object.entries(module.webhooks)) {
+          this.webhooks.register(name, handler)
+        }
+      }
+    }
+
+    this.loaded = true
+    return this
+  }
+
+  /**
+   * Models of an enabled module
+   * @param {String} name - Module name
+   * @returns {Object|null} Models keyed by name
+   */
+  getModels(name) {
+    return this.models[name] || null
+  }
+
+  /**
+   * Mount enabled modules on Express and fence off disabled ones
+   * Must run before the Next.js catch-all handler
+   * @param {Object} expressApp - Express instance
+   * @param {Object} context - { nextApp, functions } passed to module routes
+   */
+  mount(expressApp, context = {}) {
+    if (expressApp === null) {
+      throw new Error('expressApp option must be an express server instance')
+    }
+
+    this.load()
+
+    for (const module of this.enabled()) {
+      module.routes(expressApp, context)
+      console.log(`> Module enabled: ${module.name} (${module.description})`)
+    }
+
+    for (const module of this.disabled()) {
+      const notEnabled = { error: `The ${module.name} module is not enabled` }
+
+      module.api.forEach(prefix => {
+        expressApp.use(prefix, (req, res) => res.status(404).json(notEnabled))
+      })
+
+      module.pages.forEach(page => {
+        expressApp.get(page, (req, res) => {
+          if (context.nextApp) {
+            res.statusCode = 404
+            return context.nextApp.render404(req, res)
+          }
+          res.status(404).send(notEnabled.error)
+        })
+      })
+
+      console.log(`> Module disabled: ${module.name}`)
+    }
+  }
+
+  /**
+   * Start background work (schedulers) of enabled modules
+   * Only the long running server calls this, never serverless entry points
+   */
+  async start() {
+    this.load()
+
+    for (const module of this.enabled()) {
+      await module.start()
+    }
+  }
+}
+
+module.exports = {
+  ModuleRegistry,
+  parseModuleList,
+}
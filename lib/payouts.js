@@ -0,0 +1,105 @@
+/**
+ * Payout Providers - Send withdrawals to the user
+ * PAYOUT_PROVIDER picks one:
+ * - 'fake': records payouts in memory and moves no money, for development and
+ *   tests. The default outside production, and refused in production
+ * - 'stripe': transfers to the user's connected Stripe account (acct_...)
+ *
+ * A provider's send({ withdrawalId, userId, amount, destination }) resolves to
+ * { reference } once the money has gone, or throws.
+ */
+
+const { ValidationError, ExternalServiceError } = require('./errors')
+
+/**
+ * Fake provider - every payout succeeds unless told to fail
+ */
+class FakePayoutProvider {
+  constructor() {
+    this.name = 'fake'
+    this.sent = []
+    this.failure = null
+  }
+
+  /**
+   * Make the next payout fail with a message
+   */
+  failNext(message = 'Payout declined') {
+    this.failure = message
+  }
+
+  async send(payout) {
+    if (this.failure) {
+      const message = this.failure
+      this.failure = null
+      throw new ExternalServiceError('Fake payouts', message)
+    }
+
+    const reference = `fake_po_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+    this.sent.push({ ...payout, reference, sentAt: new Date() })
+    return { reference }
+  }
+}
+
+/**
+ * Stripe provider - a transfer to the user's connected account
+ */
+class StripePayoutProvider {
+  constructor(stripe) {
+    this.name = 'stripe'
+    this.stripe = stripe
+  }
+
+  async send({ withdrawalId, userId, amount, destination }) {
+    if (!destination || !String(destination).startsWith('acct_')) {
+      throw new ValidationError('Stripe payouts need a connected account ID (acct_...)', 'destination')
+    }
+
+    try {
+      const transfer = await this.stripe.transfers.create({
+        amount: Math.round(amount * 100),
+        currency: 'usd',
+        destination,
+        metadata: { withdrawalId: String(withdrawalId), userId },
+      }, {
+        // Retrying a payout never sends it twice
+        idempotencyKey: `withdrawal-${withdrawalId}`,
+      })
+      return { reference: transfer.id }
+    } catch (error) {
+      throw new ExternalServiceError('Stripe', error.message, error)
+    }
+  }
+}
+
+const PROVIDERS = {
+  fake: () => new FakePayoutProvider(),
+  stripe: () => new StripePayoutProvider(require('stripe')(process.env.STRIPE_SECRET_KEY)),
+}
+
+/**
+ * Create the configured payout provider
+ * Throws an ExternalServiceError when it isn't usable, so only payouts fail
+ * @param {String} name - Provider name (defaults to PAYOUT_PROVIDER)
+ */
+function createPayoutProvider(name = process.env.PAYOUT_PROVIDER) {
+  // Never let production approve withdrawals that send nothing
+  const production = process.env.NODE_ENV === 'production'
+  if (!name && production) {
+    throw new ExternalServiceError('Payouts', 'PAYOUT_PROVIDER must be set in production. Use: stripe')
+  }
+  if (name === 'fake' && production) {
+    throw new ExternalServiceError('Payouts', 'The fake payout provider sends no money and is refused in production. Use: stripe')
+  }
+  name = name || 'fake'
+  if (!PROVIDERS[name]) {
+    throw new ExternalServiceError('Payouts', `Unknown payout provider '${name}'. Use one of: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+  return PROVIDERS[name]()
+}
+
+module.exports = {
+  FakePayoutProvider,
+  StripePayoutProvider,
+  createPayoutProvider,
+}
@@ -0,0 +1,80 @@
+/**
+ * PDF - Minimal text-only PDF writer
+ * Enough for statements and reports: pages of fixed-width lines in Courier,
+ * which every PDF reader has built in, so there is nothing to embed and no
+ * dependency to install.
+ */
+
+const PAGE_WIDTH = 595 // A4 in points
+const PAGE_HEIGHT = 842
+const MARGIN = 40
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)')
+    .replace(/[^\x20-\x7e]/g, '?')
+}
+
+/**
+ * Build a PDF from lines of text
+ * @param {Array<String>} lines - Lines to print, top to bottom
+ * @param {Object} options - { title, fontSize }
+ * @returns {Buffer} PDF file
+ */
+function createTextPdf(lines, options = {}) {
+  const fontSize = options.fontSize || 9
+  const leading = fontSize + 3
+  const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / leading)
+
+  const pages = []
+  for (let start = 0; start < Math.max(lines.length, 1); start += linesPerPage) {
+    pages.push(lines.slice(start, start + linesPerPage))
+  }
+
+  // 1 catalog, 2 page tree, 3 font, 4 info, then a page and its content per page
+  const objects = []
+  const pageIds = pages.map((page, index) => 5 + index * 2)
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>'
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>'
+  objects[4] = `<< /Title (${escapeText(options.title || '')}) >>`
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index]
+    const stream = [
+      'BT',
+      `/F1 ${fontSize} Tf`,
+      `${leading} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...pageLines.map(line => `(${escapeText(line)}) Tj T*`),
+      'ET',
+    ].join('\n')
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`
+  })
+
+  let pdf = '%PDF-1.4\n'
+  const offsets = []
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf)
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`
+  }
+
+  const xref = Buffer.byteLength(pdf)
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+
+  return Buffer.from(pdf, 'latin1')
+}
+
+module.exports = {
+  createTextPdf,
+}
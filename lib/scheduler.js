@@ -0,0 +1,135 @@
+/**
+ * Scheduler - Runs stored jobs when they come due
+ * Jobs live in a store (see models/scheduled-job.js) rather than in timers,
+ * so a restart loses nothing: due jobs that were missed run on the first tick.
+ * Time comes from an injectable clock, so tests drive it with tick() and a
+ * ManualClock instead of waiting.
+ */
+
+const { systemClock } = require('./clock')
+const { ValidationError } = require('./errors')
+
+class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Job store (create, findDue, claim, finish, cancelPending, requeueRunning)
+   * @param {Object} options.clock - { now() } - defaults to the system clock
+   * @param {Number} options.interval - Seconds between ticks once started
+   */
+  constructor({ store, clock = systemClock, interval = 15 }) {
+    this.store = store
+    this.clock = clock
+    this.interval = interval
+    this.handlers = new Map()
+    this.timer = null
+    this.ticking = false
+  }
+
+  /**
+   * Register what runs for a job type
+   * A handler returns a result to store, or { skipped: reason } when the job
+   * no longer applies; a thrown error marks the job failed
+   * @param {String} type - Job type
+   * @param {Function} handler - async (payload, job) => result
+   */
+  register(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new ValidationError(`Handler for '${type}' must be a function`, 'handler')
+    }
+    this.handlers.set(type, handler)
+  }
+
+  /**
+   * Plan a job
+   * @param {String} type - Registered job type
+   * @param {Date} runAt - When it is due
+   * @param {Object} options - { key, payload }
+   */
+  async schedule(type, runAt, { key = null, payload = {} } = {}, tx = null) {
+    if (!this.handlers.has(type)) {
+      throw new ValidationError(`No handler registered for job type '${type}'`, 'type')
+    }
+    return await this.store.create({ type, key, payload, runAt }, tx)
+  }
+
+  /**
+   * Cancel every pending job with a key
+   */
+  async cancel(key, tx = null) {
+    return await this.store.cancelPending(key, tx)
+  }
+
+  /**
+   * Run every job due now, oldest first
+   * @returns {Promise<Object>} { done, skipped, failed }
+   */
+  async tick() {
+    const summary = { done: 0, skipped: 0, failed: 0 }
+
+    // A slow tick must not overlap the next one
+    if (this.ticking) return summary
+    this.ticking = true
+
+    try {
+      const due = await this.store.findDue(this.clock.now())
+      const { JOB_STATUS } = this.store
+
+      for (const job of due) {
+        if (!(await this.store.claim(job))) continue
+
+        const handler = this.handlers.get(job.type)
+        try {
+          if (!handler) {
+            throw new Error(`No handler registered for job type '${job.type}'`)
+          }
+
+          const result = await handler(job.payload, job)
+          if (result && result.skipped) {
+            await this.store.finish(job._id, JOB_STATUS.SKIPPED, { result })
+            summary.skipped++
+          } else {
+            await this.store.finish(job._id, JOB_STATUS.DONE, { result: result || null })
+            summary.done++
+          }
+        } catch (error) {
+          console.error(`Scheduled job ${job.type} (${job._id}) failed:`, error.message)
+          await this.store.finish(job._id, JOB_STATUS.FAILED, { error: error.message })
+          summary.failed++
+        }
+      }
+    } finally {
+      this.ticking = false
+    }
+
+    return summary
+  }
+
+  /**
+   * Start ticking: jobs interrupted by a crash are requeued and anything
+   * already due runs straight away
+   */
+  async start() {
+    if (this.timer) return
+
+    await this.store.requeueRunning()
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Scheduler tick failed:', error.message))
+    }, this.interval * 1000)
+
+    // Never keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref()
+
+    await this.tick()
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+}
+
+module.exports = {
+  Scheduler,
+}
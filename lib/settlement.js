@@ -0,0 +1,209 @@
+/**
+ * Settlement - Outcomes a selection can settle with and what each one returns
+ * Every outcome maps to a share of the stake handed back (refund) and an
+ * amount won (payout), which is what the ledger records for it.
+ */
+
+const { ValidationError } = require('./errors')
+const { MARKET_TYPES } = require('./markets')
+
+const OUTCOMES = {
+  WON: 'won',
+  LOST: 'lost',
+  VOID: 'void', // Market voided - stake back
+  PUSH: 'push', // Exact handicap/total line - stake back
+  HALF_WON: 'half_won', // Quarter-line Asian handicap: half wins, half returned
+  HALF_LOST: 'half_lost', // Quarter-line Asian handicap: half lost, half returned
+  DEAD_HEAT: 'dead_heat', // Tied for the win: stake divided between the tied selections
+}
+
+/**
+ * Turn an admin's result for one market into an outcome per selection
+ * Accepted forms:
+ * - 'sel-1' or ['sel-1', 'sel-2']: those won, the rest lost
+ * - 'void': every selection void
+ * - { 'sel-1': 'half_won', 'sel-2': 'half_lost' }: unlisted selections lost;
+ *   a dead heat is shared equally between the selections marked dead_heat
+ * @param {Object} market - Market being settled
+ * @param {*} result - Result as submitted
+ * @returns {Object} { void, outcomes: { selectionId: outcome }, deadHeatFactor }
+ */
+function normalizeMarketResult(market, result) {
+  if (result === undefined || result === null || result === '' ||
+    (Array.isArray(result) && result.length === 0)) {
+    throw new ValidationError(`Missing result for ${market.name}`, 'results')
+  }
+
+  const selectionIds = market.selections.map(selection => selection.id)
+  const outcomes = {}
+  selectionIds.forEach(id => { outcomes[id] = OUTCOMES.LOST })
+
+  if (result === OUTCOMES.VOID) {
+    selectionIds.forEach(id => { outcomes[id] = OUTCOMES.VOID })
+    return { void: true, outcomes, deadHeatFactor: null }
+  }
+
+  const given = typeof result === 'object' && !Array.isArray(result)
+    ? result
+    : (Array.isArray(result) ? result : [result]).reduce((map, id) => ({ ...map, [id]: OUTCOMES.WON }), {})
+
+  for (const [selectionId, outcome] of Object.entries(given)) {
+    if (!selectionIds.includes(selectionId)) {
+      throw new ValidationError(`Unknown selection ${selectionId} for ${market.name}`, 'results')
+    }
+    if (!Object.values(OUTCOMES).includes(outcome)) {
+      throw new ValidationError(
+        `Outcome must be one of: ${Object.values(OUTCOMES).join(', ')}`,
+        'results'
+      )
+    }
+    outcomes[selectionId] = outcome
+  }
+
+  const deadHeats = Object.values(outcomes).filter(outcome => outcome === OUTCOMES.DEAD_HEAT).length
+  if (deadHeats === 1) {
+    throw new ValidationError(`A dead heat in ${market.name} needs at least two selections`, 'results')
+  }
+
+  return {
+    void: Object.values(outcomes).every(outcome => outcome === OUTCOMES.VOID),
+    outcomes,
+    deadHeatFactor: deadHeats > 0 ? 1 / deadHeats : null,
+  }
+}
+
+/**
+ * What a stake returns for an outcome
+ * @param {String} outcome - One of OUTCOMES
+ * @param {Number} stake - Amount staked
+ * @param {Number} odds - Price the bet was struck at
+ * @param {Number} deadHeatFactor - Share of the stake that stands in a dead heat
+ * @returns {Object} { refund, payout } in dollars
+ */
+function settlementAmounts(outcome, stake, odds, deadHeatFactor = null) {
+  const round = amount => Math.round(amount * 100) / 100
+
+  switch (outcome) {
+    case OUTCOMES.WON:
+      return { refund: 0, payout: round(stake * odds) }
+    case OUTCOMES.VOID:
+    case OUTCOMES.PUSH:
+      return { refund: round(stake), payout: 0 }
+    case OUTCOMES.HALF_WON:
+      return { refund: round(stake / 2), payout: round((stake / 2) * odds) }
+    case OUTCOMES.HALF_LOST:
+      return { refund: round(stake / 2), payout: 0 }
+    case OUTCOMES.DEAD_HEAT:
+      return { refund: 0, payout: round(stake * (deadHeatFactor || 1) * odds) }
+    default:
+      return { refund: 0, payout: 0 }
+  }
+}
+
+/**
+ * Multiplier a resolved leg contributes to an accumulator line
+ * (what $1 on the leg returns); null while the leg is pending
+ */
+function returnFactor(outcome, odds, deadHeatFactor = null) {
+  switch (outcome) {
+    case OUTCOMES.WON:
+      return odds
+    case OUTCOMES.VOID:
+    case OUTCOMES.PUSH:
+      return 1
+    case OUTCOMES.HALF_WON:
+      return (odds + 1) / 2
+    case OUTCOMES.HALF_LOST:
+      return 0.5
+    case OUTCOMES.DEAD_HEAT:
+      return odds * (deadHeatFactor || 1)
+    case OUTCOMES.LOST:
+      return 0
+    default:
+      return null
+  }
+}
+
+/**
+ * Outcome of backing a side that finishes `margin` ahead once a line is
+ * applied; quarter lines (e.g. -0.25) are half on each neighbouring line
+ */
+function lineOutcome(margin, line) {
+  const whole = (value) => value > 0 ? OUTCOMES.WON : (value < 0 ? OUTCOMES.LOST : OUTCOMES.PUSH)
+
+  if (Math.abs(Math.round(line * 4)) % 2 === 0) {
+    return whole(margin + line)
+  }
+
+  const lower = whole(margin + line - 0.25)
+  const upper = whole(margin + line + 0.25)
+  if (lower === upper) return lower
+  return [lower, upper].includes(OUTCOMES.WON) ? OUTCOMES.HALF_WON : OUTCOMES.HALF_LOST
+}
+
+/**
+ * Work out market results from a final score (used for results from a feed)
+ * Markets that can't be decided from the score - a first scorer market when
+ * the scorer isn't known - are left out
+ * @param {Array} markets - Event markets
+ * @param {Object} score - { home, away, firstScorer } (firstScorer: a player's name, null for no goals)
+ * @returns {Object} { marketId: result } in the form normalizeMarketResult accepts
+ */
+function resultsFromScore(markets, score) {
+  const home = Number(score.home)
+  const away = Number(score.away)
+  const results = {}
+
+  for (const market of markets) {
+    const outcomes = {}
+    const select = (type) => market.selections.filter(selection => selection.type === type)
+    const mark = (type, outcome) => select(type).forEach(selection => { outcomes[selection.id] = outcome })
+
+    switch (market.type) {
+      case MARKET_TYPES.MATCH_WINNER: {
+        const winner = home > away ? 'home' : (away > home ? 'away' : 'draw')
+        // A tie in a market without a draw is void
+        if (select(winner).length === 0) {
+          results[market.id] = OUTCOMES.VOID
+          continue
+        }
+        mark(winner, OUTCOMES.WON)
+        break
+      }
+      case MARKET_TYPES.OVER_UNDER:
+        mark('over', lineOutcome(home + away, -market.line))
+        mark('under', lineOutcome(-(home + away), market.line))
+        break
+      case MARKET_TYPES.HANDICAP:
+        mark('home', lineOutcome(home - away, market.line))
+        mark('away', lineOutcome(away - home, -market.line))
+        break
+      case MARKET_TYPES.FIRST_SCORER: {
+        if (home + away === 0) {
+          mark('no_scorer', OUTCOMES.WON)
+          break
+        }
+        if (!score.firstScorer) continue
+        const name = String(score.firstScorer).trim().toLowerCase()
+        select('player')
+          .filter(selection => selection.name.trim().toLowerCase() === name)
+          .forEach(selection => { outcomes[selection.id] = OUTCOMES.WON })
+        break
+      }
+      default:
+        continue
+    }
+
+    results[market.id] = outcomes
+  }
+
+  return results
+}
+
+module.exports = {
+  OUTCOMES,
+  normalizeMarketResult,
+  resultsFromScore,
+  settlementAmounts,
+  returnFactor,
+}
@@ -337,6 +337,266 @@ class SubscriptionStateMachine extends StateMachine {
   }
 }
 
+/**
+ * Event State Machine
+ *
+ * States: scheduled → open ⇄ suspended → live → finished → settled
+ *                       ↓                   ↓
+ *                   postponed           abandoned → settled
+ *                       ↓
+ *                   cancelled (every bet void)
+ */
+class EventStateMachine extends StateMachine {
+  static STATES = {
+    SCHEDULED: 'scheduled',
+    OPEN: 'open',
+    SUSPENDED: 'suspended',
+    LIVE: 'live',
+    FINISHED: 'finished',
+    SETTLED: 'settled',
+    POSTPONED: 'postponed',
+    ABANDONED: 'abandoned',
+    CANCELLED: 'cancelled',
+  }
+
+  static TRANSITIONS = {
+    [EventStateMachine.STATES.SCHEDULED]: [
+      EventStateMachine.STATES.OPEN,
+      EventStateMachine.STATES.POSTPONED,
+      EventStateMachine.STATES.CANCELLED,
+    ],
+    [EventStateMachine.STATES.OPEN]: [
+      EventStateMachine.STATES.SUSPENDED,
+      EventStateMachine.STATES.LIVE,
+      EventStateMachine.STATES.POSTPONED,
+      EventStateMachine.STATES.CANCELLED,
+    ],
+    [EventStateMachine.STATES.SUSPENDED]: [
+      EventStateMachine.STATES.OPEN,
+      EventStateMachine.STATES.LIVE,
+      EventStateMachine.STATES.FINISHED,
+      EventStateMachine.STATES.POSTPONED,
+      EventStateMachine.STATES.ABANDONED,
+      EventStateMachine.STATES.CANCELLED,
+    ],
+    [EventStateMachine.STATES.LIVE]: [
+      EventStateMachine.STATES.SUSPENDED,
+      EventStateMachine.STATES.FINISHED,
+      EventStateMachine.STATES.ABANDONED,
+    ],
+    [EventStateMachine.STATES.FINISHED]: [
+      EventStateMachine.STATES.SETTLED,
+    ],
+    [EventStateMachine.STATES.POSTPONED]: [
+      EventStateMachine.STATES.SCHEDULED,
+      EventStateMachine.STATES.OPEN,
+      EventStateMachine.STATES.CANCELLED,
+    ],
+    [EventStateMachine.STATES.ABANDONED]: [
+      EventStateMachine.STATES.SETTLED,
+      EventStateMachine.STATES.CANCELLED,
+    ],
+    [EventStateMachine.STATES.SETTLED]: [], // Terminal state (results can still be corrected)
+    [EventStateMachine.STATES.CANCELLED]: [], // Terminal state
+  }
+
+  constructor(initialState = EventStateMachine.STATES.SCHEDULED) {
+    super(initialState, EventStateMachine.TRANSITIONS)
+  }
+
+  /**
+   * Open for betting
+   */
+  open() {
+    return this.transitionTo(EventStateMachine.STATES.OPEN, {
+      action: 'opened',
+    })
+  }
+
+  /**
+   * Stop betting for a while (e.g. team news, price review)
+   */
+  suspend(reason = null) {
+    return this.transitionTo(EventStateMachine.STATES.SUSPENDED, {
+      action: 'suspended',
+      reason,
+    })
+  }
+
+  /**
+   * Event has kicked off
+   */
+  goLive() {
+    return this.transitionTo(EventStateMachine.STATES.LIVE, {
+      action: 'kicked_off',
+    })
+  }
+
+  /**
+   * Event is over and waiting for its results
+   */
+  finish() {
+    return this.transitionTo(EventStateMachine.STATES.FINISHED, {
+      action: 'finished',
+    })
+  }
+
+  /**
+   * Results entered and bets paid
+   */
+  settle() {
+    return this.transitionTo(EventStateMachine.STATES.SETTLED, {
+      action: 'settled',
+    })
+  }
+
+  /**
+   * Cancel event - every bet on it is void
+   */
+  cancel(reason = null) {
+    return this.transitionTo(EventStateMachine.STATES.CANCELLED, {
+      action: 'cancelled',
+      reason,
+    })
+  }
+
+  /**
+   * Check if bets can be placed
+   */
+  acceptsBets() {
+    return this.currentState === EventStateMachine.STATES.OPEN
+  }
+
+  /**
+   * Check if prices are live enough to cash out against
+   */
+  canTrade() {
+    return [
+      EventStateMachine.STATES.OPEN,
+      EventStateMachine.STATES.LIVE,
+    ].includes(this.currentState)
+  }
+
+  /**
+   * Check if results can be entered
+   */
+  canSettle() {
+    return this.canTransitionTo(EventStateMachine.STATES.SETTLED)
+  }
+
+  /**
+   * Check if event is in terminal state
+   */
+  isTerminal() {
+    return [
+      EventStateMachine.STATES.SETTLED,
+      EventStateMachine.STATES.CANCELLED,
+    ].includes(this.currentState)
+  }
+}
+
+/**
+ * Withdrawal State Machine
+ * Funds are held from the request until the withdrawal is paid or turned down
+ */
+class WithdrawalStateMachine extends StateMachine {
+  static STATES = {
+    REQUESTED: 'requested',
+    UNDER_REVIEW: 'under_review',
+    APPROVED: 'approved',
+    PAID: 'paid',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+  }
+
+  static TRANSITIONS = {
+    [WithdrawalStateMachine.STATES.REQUESTED]: [
+      WithdrawalStateMachine.STATES.UNDER_REVIEW,
+      WithdrawalStateMachine.STATES.REJECTED,
+      WithdrawalStateMachine.STATES.CANCELLED,
+    ],
+    [WithdrawalStateMachine.STATES.UNDER_REVIEW]: [
+      WithdrawalStateMachine.STATES.APPROVED,
+      WithdrawalStateMachine.STATES.REJECTED,
+    ],
+    [WithdrawalStateMachine.STATES.APPROVED]: [
+      WithdrawalStateMachine.STATES.PAID,
+      WithdrawalStateMachine.STATES.REJECTED,
+    ],
+    [WithdrawalStateMachine.STATES.PAID]: [], // Terminal state
+    [WithdrawalStateMachine.STATES.REJECTED]: [], // Terminal state
+    [WithdrawalStateMachine.STATES.CANCELLED]: [], // Terminal state
+  }
+
+  constructor(initialState = WithdrawalStateMachine.STATES.REQUESTED) {
+    super(initialState, WithdrawalStateMachine.TRANSITIONS)
+  }
+
+  /**
+   * Admin picks the request up
+   */
+  review() {
+    return this.transitionTo(WithdrawalStateMachine.STATES.UNDER_REVIEW, {
+      action: 'reviewed',
+    })
+  }
+
+  /**
+   * Checks passed - ready to pay
+   */
+  approve() {
+    return this.transitionTo(WithdrawalStateMachine.STATES.APPROVED, {
+      action: 'approved',
+    })
+  }
+
+  /**
+   * Money sent by the payout provider
+   */
+  pay() {
+    return this.transitionTo(WithdrawalStateMachine.STATES.PAID, {
+      action: 'paid',
+    })
+  }
+
+  /**
+   * Turned down - held funds go back to the wallet
+   */
+  reject(reason = null) {
+    return this.transitionTo(WithdrawalStateMachine.STATES.REJECTED, {
+      action: 'rejected',
+      reason,
+    })
+  }
+
+  /**
+   * Withdrawn by the user before review
+   */
+  cancel() {
+    return this.transitionTo(WithdrawalStateMachine.STATES.CANCELLED, {
+      action: 'cancelled',
+    })
+  }
+
+  /**
+   * Check if the funds are still held
+   */
+  isHolding() {
+    return !this.isTerminal()
+  }
+
+  /**
+   * Check if withdrawal is in terminal state
+   */
+  isTerminal() {
+    return [
+      WithdrawalStateMachine.STATES.PAID,
+      WithdrawalStateMachine.STATES.REJECTED,
+      WithdrawalStateMachine.STATES.CANCELLED,
+    ].includes(this.currentState)
+  }
+}
+
 /**
  * Create invoice state machine from current state
  */
@@ -351,6 +611,20 @@ function createSubscriptionStateMachine(currentState = 'active') {
   return new SubscriptionStateMachine(currentState)
 }
 
+/**
+ * Create event state machine from current state
+ */
+function createEventStateMachine(currentState = 'scheduled') {
+  return new EventStateMachine(currentState)
+}
+
+/**
+ * Create withdrawal state machine from current state
+ */
+function createWithdrawalStateMachine(currentState = 'requested') {
+  return new WithdrawalStateMachine(currentState)
+}
+
 /**
  * Validate invoice state transition
  */
@@ -367,12 +641,25 @@ function validateSubscriptionTransition(fromState, toState) {
   return machine.canTransitionTo(toState)
 }
 
+/**
+ * Validate event state transition
+ */
+function validateEventTransition(fromState, toState) {
+  const machine = new EventStateMachine(fromState)
+  return machine.canTransitionTo(toState)
+}
+
 module.exports = {
   StateMachine,
   InvoiceStateMachine,
   SubscriptionStateMachine,
+  EventStateMachine,
+  WithdrawalStateMachine,
   createInvoiceStateMachine,
   createSubscriptionStateMachine,
+  createEventStateMachine,
+  createWithdrawalStateMachine,
   validateInvoiceTransition,
   validateSubscriptionTransition,
+  validateEventTransition,
 }
@@ -0,0 +1,193 @@
+/**
+ * Stripe Webhook Dispatcher - Verify, store, deduplicate and route events
+ * Every verified event is persisted before it is handled, so a replayed
+ * delivery (same Stripe event ID) is acknowledged without running twice
+ */
+
+const crypto = require('crypto')
+const { ValidationError, NotFoundError, ConflictError } = require('./errors')
+
+const EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  IGNORED: 'ignored',
+}
+
+// An event still processing after this long was left behind by a crashed
+// delivery, and an admin may replay it
+const STALE_CLAIM_MINUTES = parseFloat(process.env.WEBHOOK_STALE_CLAIM_MINUTES || '15')
+
+/**
+ * Produce a Stripe-Signature header for a payload
+ * Lets tests and local scripts send fake events that pass real verification
+ * @param {String} payload - Raw JSON body
+ * @param {String} secret - Webhook signing secret
+ * @param {Number} timestamp - Unix seconds (defaults to now)
+ * @returns {String} Header value
+ */
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`, 'utf8')
+    .digest('hex')
+
+  return `t=${timestamp},v1=${signature}`
+}
+
+/**
+ * User a checkout session was created for
+ */
+function sessionUserId(session) {
+  return (session.metadata && session.metadata.userId) || session.client_reference_id
+}
+
+/**
+ * True for a completed checkout whose metadata.type is one of `types`
+ */
+function isCheckoutOfType(event, types) {
+  if (event.type !== 'checkout.session.completed') return false
+  const metadata = event.data.object.metadata || {}
+  return types.includes(metadata.type)
+}
+
+class StripeWebhookDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Event store (see models/stripe-event.js)
+   * @param {Object} options.stripe - Stripe client (for signature verification)
+   * @param {String} options.secret - Webhook signing secret
+   */
+  constructor({ store, stripe, secret }) {
+    this.store = store
+    this.stripe = stripe
+    this.secret = secret
+    this.handlers = []
+  }
+
+  /**
+   * Register a handler
+   * @param {String} name - Handler name, recorded against each event it handles
+   * @param {Object} handler - { matches(event) => Boolean, handle(event) => Promise }
+   */
+  register(name, handler) {
+    if (this.handlers.some((existing) => existing.name === name)) {
+      throw new ConflictError(`Webhook handler '${name}' is already registered`, 'DUPLICATE_HANDLER')
+    }
+    this.handlers.push({ name, ...handler })
+  }
+
+  /**
+   * Find the handler responsible for an event
+   */
+  route(event) {
+    return this.handlers.find((handler) => handler.matches(event)) || null
+  }
+
+  /**
+   * Verify the signature and parse the event
+   * @param {Buffer|String} rawBody - Body exactly as Stripe sent it
+   * @param {String} signature - Stripe-Signature header
+   */
+  verify(rawBody, signature) {
+    if (!rawBody || !Buffer.isBuffer(rawBody) && typeof rawBody !== 'string') {
+      throw new ValidationError('Webhook body must be the raw request payload', 'body')
+    }
+
+    try {
+      return this.stripe.webhooks.constructEvent(rawBody, signature, this.secret)
+    } catch (error) {
+      throw new ValidationError(`Webhook Error: ${error.message}`, 'stripe-signature')
+    }
+  }
+
+  /**
+   * Verify, persist and dispatch a delivery
+   * @returns {Promise<Object>} { received, duplicate, status, handler }
+   */
+  async receive(rawBody, signature) {
+    const event = this.verify(rawBody, signature)
+    const { record, duplicate } = await this.store.record(event)
+
+    if (duplicate && record.status !== EVENT_STATUS.FAILED) {
+      return { received: true, duplicate: true, status: record.status }
+    }
+
+    return await this._process(event.id, [EVENT_STATUS.RECEIVED, EVENT_STATUS.FAILED])
+  }
+
+  /**
+   * Run a stored event through its handler again (admin recovery)
+   * @param {String} stripeEventId - Stripe event ID
+   */
+  async replay(stripeEventId) {
+    const record = await this.store.findByStripeId(stripeEventId)
+    if (!record) {
+      throw new NotFoundError('Webhook event', stripeEventId)
+    }
+
+    if (record.status === EVENT_STATUS.PROCESSED) {
+      throw new ConflictError('Event has already been processed', 'ALREADY_PROCESSED')
+    }
+
+    // Only take over a delivery that has been processing for too long; a live
+    // one would run the handler a second time alongside it
+    if (record.status === EVENT_STATUS.PROCESSING) {
+      const claimedBefore = new Date(Date.now() - STALE_CLAIM_MINUTES * 60 * 1000)
+      const result = await this._process(stripeEventId, [EVENT_STATUS.PROCESSING], claimedBefore)
+      if (result.duplicate) {
+        throw new ConflictError(
+          `Event is still being processed - it can be replayed after ${STALE_CLAIM_MINUTES} minutes`,
+          'IN_PROGRESS'
+        )
+      }
+      return result
+    }
+
+    return await this._process(stripeEventId, [
+      EVENT_STATUS.RECEIVED,
+      EVENT_STATUS.FAILED,
+      EVENT_STATUS.IGNORED,
+    ])
+  }
+
+  /**
+   * Claim the stored event and run its handler
+   * @private
+   */
+  async _process(stripeEventId, claimableStatuses, claimedBefore = null) {
+    const claimed = await this.store.claim(stripeEventId, claimableStatuses, claimedBefore)
+    if (!claimed) {
+      // Another delivery is handling it right now
+      return { received: true, duplicate: true, status: EVENT_STATUS.PROCESSING }
+    }
+
+    const record = await this.store.findByStripeId(stripeEventId)
+    const event = record.payload
+    const handler = this.route(event)
+
+    if (!handler) {
+      await this.store.markIgnored(stripeEventId)
+      return { received: true, duplicate: false, status: EVENT_STATUS.IGNORED }
+    }
+
+    try {
+      await handler.handle(event)
+    } catch (error) {
+      await this.store.markFailed(stripeEventId, handler.name, error)
+      throw error
+    }
+
+    await this.store.markProcessed(stripeEventId, handler.name)
+    return { received: true, duplicate: false, status: EVENT_STATUS.PROCESSED, handler: handler.name }
+  }
+}
+
+module.exports = {
+  StripeWebhookDispatcher,
+  signPayload,
+  sessionUserId,
+  isCheckoutOfType,
+  EVENT_STATUS,
+}
@@ -0,0 +1,77 @@
+/**
+ * Trading - Prices that follow the money
+ * A market's prices start from the ones an admin set. As money comes in, each
+ * selection's chance is pulled towards its share of the money, and the book
+ * is priced back up to the configured overround.
+ */
+
+const { MIN_PRICE, MAX_PRICE } = require('./markets')
+const { ValidationError } = require('./errors')
+
+// Fields an event's trading config can set and the range each one accepts
+const TRADING_FIELDS = {
+  overround: { min: 1, max: 1.5 }, // 1.05 = book adds up to 105%
+  minPrice: { min: MIN_PRICE, max: MAX_PRICE },
+  maxPrice: { min: MIN_PRICE, max: MAX_PRICE },
+  sensitivity: { min: 0, max: 1 }, // How far prices can move towards the money
+  liquidity: { min: 1, max: Infinity }, // Money in the market before half of that move applies
+}
+
+/**
+ * Validate an event's trading config
+ * @param {Object} config - { enabled, overround, minPrice, maxPrice, sensitivity, liquidity }
+ * @returns {Object|null} Config with numbers parsed; unset fields use the defaults
+ */
+function parseTradingConfig(config) {
+  if (!config) return null
+
+  const parsed = { enabled: config.enabled === true || config.enabled === 'true' }
+  for (const [field, range] of Object.entries(TRADING_FIELDS)) {
+    if (config[field] === undefined || config[field] === null || config[field] === '') continue
+    const value = parseFloat(config[field])
+    if (isNaN(value) || value < range.min || value > range.max) {
+      throw new ValidationError(`Trading ${field} must be between ${range.min} and ${range.max}`, `trading.${field}`)
+    }
+    parsed[field] = value
+  }
+
+  if (parsed.minPrice !== undefined && parsed.maxPrice !== undefined && parsed.minPrice >= parsed.maxPrice) {
+    throw new ValidationError('Trading minPrice must be below maxPrice', 'trading.minPrice')
+  }
+
+  return parsed
+}
+
+/**
+ * Price a market from its base prices and the money on each selection
+ * @param {Array<Number>} basePrices - Prices the admin set, one per selection
+ * @param {Array<Number>} handles - Money on each selection
+ * @param {Object} config - Full trading config (defaults applied)
+ * @returns {Array<Object>} [{ price, probability, moneyShare }] in selection order
+ */
+function bookPrices(basePrices, handles, config) {
+  const implied = basePrices.map(price => 1 / price)
+  const book = implied.reduce((sum, chance) => sum + chance, 0)
+  const total = handles.reduce((sum, handle) => sum + handle, 0)
+
+  // A few dollars barely move the book; a deep one can move it by sensitivity
+  const weight = total > 0 ? config.sensitivity * (total / (total + config.liquidity)) : 0
+
+  return implied.map((chance, index) => {
+    const moneyShare = total > 0 ? handles[index] / total : 0
+    const probability = (1 - weight) * (chance / book) + weight * moneyShare
+    const raw = probability > 0 ? 1 / (probability * config.overround) : config.maxPrice
+
+    return {
+      price: Math.min(config.maxPrice, Math.max(config.minPrice, Math.round(raw * 100) / 100)),
+      probability: Math.round(probability * 10000) / 10000,
+      moneyShare: Math.round(moneyShare * 10000) / 10000,
+    }
+  })
+}
+
+module.exports = {
+  TRADING_FIELDS,
+  parseTradingConfig,
+  bookPrices,
+}
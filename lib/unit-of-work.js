@@ -0,0 +1,144 @@
+/**
+ * Unit of Work - All-or-nothing groups of database writes
+ * Uses a real MongoDB transaction when the backend supports one, and falls back
+ * to compensating actions (undo the writes in reverse order) on NeDB or when
+ * MongoDB transactions are disabled with MONGODB_TRANSACTIONS=false
+ */
+
+const { USE_MONGODB, connectToMongoDB } = require('./database')
+const { DatabaseError } = require('./errors')
+
+const STATES = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  COMMITTED: 'committed',
+  ROLLED_BACK: 'rolled_back',
+}
+
+class UnitOfWork {
+  constructor() {
+    this.session = null
+    this.state = STATES.PENDING
+    this._compensations = []
+    this._afterCommit = []
+  }
+
+  /**
+   * Check if the backend runs this unit as a native transaction
+   */
+  get isTransactional() {
+    return this.session !== null
+  }
+
+  /**
+   * Start the unit (opens a MongoDB transaction where available)
+   */
+  async begin() {
+    if (USE_MONGODB && process.env.MONGODB_TRANSACTIONS !== 'false') {
+      const { client } = await connectToMongoDB()
+      this.session = client.startSession()
+      this.session.startTransaction()
+    }
+    this.state = STATES.ACTIVE
+    return this
+  }
+
+  /**
+   * Register an action that undoes a write (ignored for native transactions)
+   */
+  onRollback(compensation) {
+    this._compensations.push(compensation)
+  }
+
+  /**
+   * Register a side effect that must only happen once the writes are durable
+   */
+  afterCommit(callback) {
+    this._afterCommit.push(callback)
+  }
+
+  /**
+   * Make all writes durable
+   */
+  async commit() {
+    if (this.session) {
+      await this.session.commitTransaction()
+      this.session.endSession()
+    }
+    this.state = STATES.COMMITTED
+    this._compensations = []
+
+    for (const callback of this._afterCommit) {
+      try {
+        await callback()
+      } catch (error) {
+        console.error('Error in unit of work afterCommit callback:', error)
+      }
+    }
+  }
+
+  /**
+   * Undo all writes made in this unit
+   */
+  async rollback() {
+    if (this.state !== STATES.ACTIVE) {
+      return
+    }
+
+    if (this.session) {
+      await this.session.abortTransaction()
+      this.session.endSession()
+      this.state = STATES.ROLLED_BACK
+      return
+    }
+
+    const failures = []
+    for (const compensation of this._compensations.reverse()) {
+      try {
+        await compensation()
+      } catch (error) {
+        failures.push(error)
+      }
+    }
+    this._compensations = []
+    this.state = STATES.ROLLED_BACK
+
+    if (failures.length > 0) {
+      failures.forEach((error) => console.error('Compensating action failed:', error))
+      throw new DatabaseError(
+        `Rollback incomplete: ${failures.length} compensating action(s) failed`,
+        'rollback',
+        failures[0]
+      )
+    }
+  }
+}
+
+/**
+ * Run work inside a unit of work, committing on success and rolling back on error
+ * @param {Function} work - async (tx) => result
+ * @returns {Promise<*>} Result of work
+ */
+async function withUnitOfWork(work) {
+  const tx = await new UnitOfWork().begin()
+
+  try {
+    const result = await work(tx)
+    await tx.commit()
+    return result
+  } catch (error) {
+    try {
+      await tx.rollback()
+    } catch (rollbackError) {
+      // Keep the original error - it explains why we rolled back
+      error.rollbackError = rollbackError
+    }
+    throw error
+  }
+}
+
+module.exports = {
+  UnitOfWork,
+  withUnitOfWork,
+  STATES,
+}
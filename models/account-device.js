@@ -0,0 +1,83 @@
+/**
+ * Account Device Model - Devices and IP addresses each account has used
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - One document per account and device (or IP), counting how often it was seen
+ * - Finds the other accounts behind a device or IP for fraud checks
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const DEVICE_KINDS = {
+  DEVICE: 'device', // Browser cookie (see lib/devices.js)
+  IP: 'ip',
+}
+
+class AccountDeviceModel {
+  constructor() {
+    this.db = createAdapter('account_devices')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ userId: 1 })
+      await this.db.createIndex({ value: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Note that an account used a device or IP
+   * @param {Object} user - { id, email }
+   * @param {String} kind - One of DEVICE_KINDS
+   * @param {String} value - Device ID or IP address
+   * @returns {Promise<Object>} The sighting
+   */
+  async record(user, kind, value) {
+    const existing = await this.db.findOne({ userId: user.id, kind, value })
+    if (existing) {
+      await this.db.updateById(existing._id, { lastSeenAt: new Date(), count: (existing.count || 1) + 1 })
+      return existing
+    }
+
+    return await this.db.insertOne({
+      userId: user.id,
+      userEmail: user.email || null,
+      kind,
+      value,
+      count: 1,
+      firstSeenAt: new Date(),
+      lastSeenAt: new Date(),
+    })
+  }
+
+  /**
+   * Devices and IPs an account has used
+   * @param {String} userId - User ID
+   * @returns {Promise<Array>} Sightings, most recent first
+   */
+  async findByUser(userId) {
+    return await this.db.find({ userId }, { sort: { lastSeenAt: -1 } })
+  }
+
+  /**
+   * Every account seen on a device or IP
+   * @param {String} kind - One of DEVICE_KINDS
+   * @param {String} value - Device ID or IP address
+   * @returns {Promise<Array>} Sightings
+   */
+  async findByValue(kind, value) {
+    return await this.db.find({ kind, value })
+  }
+}
+
+const accountDevice = new AccountDeviceModel()
+accountDevice.DEVICE_KINDS = DEVICE_KINDS
+
+module.exports = accountDevice
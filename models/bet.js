@@ -1,83 +1,84 @@
-const NeDB = require('nedb')
+const { createAdapter } = require('../lib/database')
 
+// Write methods take an optional unit of work (see lib/unit-of-work.js) as
+// their last argument so they can be grouped into all-or-nothing operations
 class Bet {
   constructor() {
-    const dbPath = process.env.NEDB_PATH || './db'
-    this.db = new NeDB({
-      filename: `${dbPath}/bets.db`,
-      autoload: true
-    })
-    this.db.ensureIndex({ fieldName: 'userId' })
-    this.db.ensureIndex({ fieldName: 'eventId' })
-    this.db.ensureIndex({ fieldName: 'status' })
+    this.db = createAdapter('bets')
+    Promise.all([
+      this.db.createIndex({ userId: 1 }),
+      this.db.createIndex({ eventId: 1 }),
+      this.db.createIndex({ eventIds: 1 }),
+      this.db.createIndex({ status: 1 }),
+      this.db.createIndex({ createdAt: 1 }),
+      this.db.createIndex({ settledAt: 1 })
+    ]).catch(err => console.warn('Failed to create indexes:', err.message))
   }
 
-  create(bet) {
-    return new Promise((resolve, reject) => {
-      this.db.insert(bet, (err, doc) => {
-        if (err) return reject(err)
-        resolve(doc)
-      })
-    })
+  create(bet, tx = null) {
+    return this.db.insertOne(bet, { tx })
   }
 
   findById(id) {
-    return new Promise((resolve, reject) => {
-      this.db.findOne({ _id: id }, (err, doc) => {
-        if (err) return reject(err)
-        resolve(doc)
-      })
-    })
+    return this.db.findById(id)
   }
 
   findByUserId(userId) {
-    return new Promise((resolve, reject) => {
-      this.db.find({ userId }).sort({ createdAt: -1 }).exec((err, docs) => {
-        if (err) return reject(err)
-        resolve(docs)
-      })
-    })
+    return this.db.find({ userId }, { sort: { createdAt: -1 } })
   }
 
-  findByEventId(eventId) {
-    return new Promise((resolve, reject) => {
-      this.db.find({ eventId }).exec((err, docs) => {
-        if (err) return reject(err)
-        resolve(docs)
-      })
-    })
+  // Event IDs are kept as strings, whatever type the database gives _id
+  findByEventId(eventId, tx = null) {
+    return this.db.find({ eventId: String(eventId) }, { tx })
+  }
+
+  // Accumulators and system bets with a leg on the event
+  findMultiplesByEventId(eventId, tx = null) {
+    return this.db.find({ eventIds: String(eventId) }, { tx })
+  }
+
+  // Whether any single or multiple has been placed on the event
+  async existsForEvent(eventId) {
+    return await this.db.count({ $or: [{ eventId: String(eventId) }, { eventIds: String(eventId) }] }) > 0
+  }
+
+  // Bets placed between two dates (inclusive)
+  findPlacedBetween(from, to) {
+    return this.db.find({ createdAt: { $gte: from, $lte: to } }, { sort: { createdAt: 1 } })
+  }
+
+  // Bets settled or cashed out between two dates (inclusive)
+  findSettledBetween(from, to) {
+    return this.db.find({ settledAt: { $gte: from, $lte: to } }, { sort: { settledAt: 1 } })
   }
 
   findActive(userId) {
-    return new Promise((resolve, reject) => {
-      this.db.find({ userId, status: 'active' }).sort({ createdAt: -1 }).exec((err, docs) => {
-        if (err) return reject(err)
-        resolve(docs)
-      })
-    })
+    return this.db.find({ userId, status: 'active' }, { sort: { createdAt: -1 } })
+  }
+
+  async update(id, updates, tx = null) {
+    const result = await this.db.updateById(id, updates, { tx })
+    return result.modifiedCount
   }
 
-  update(id, updates) {
-    return new Promise((resolve, reject) => {
-      this.db.update({ _id: id }, { $set: updates }, {}, (err, numReplaced) => {
-        if (err) return reject(err)
-        resolve(numReplaced)
-      })
-    })
+  // Only an active bet can be cashed out; 0 means it was settled meanwhile
+  async cashOut(id, amount, tx = null) {
+    const result = await this.db.updateById(id, {
+      status: 'cashed_out',
+      payout: amount,
+      cashedOutAt: new Date(),
+      settledAt: new Date()
+    }, { tx, where: { status: 'active' } })
+    return result.modifiedCount
   }
 
-  settle(id, result) {
-    return new Promise((resolve, reject) => {
-      this.db.update(
-        { _id: id },
-        { $set: { status: result, settledAt: new Date() } },
-        {},
-        (err, numReplaced) => {
-          if (err) return reject(err)
-          resolve(numReplaced)
-        }
-      )
-    })
+  // settlement: { status, payout, refund, ... } - what the bet returned and how.
+  // Only applies while the bet is still in fromStatus; 0 means it was settled
+  // or cashed out meanwhile
+  async settle(id, settlement, fromStatus, tx = null) {
+    const settledAt = settlement.status === 'active' ? null : new Date()
+    const update = await this.db.updateById(id, { ...settlement, settledAt }, { tx, where: { status: fromStatus } })
+    return update.modifiedCount
   }
 }
 
@@ -0,0 +1,142 @@
+/**
+ * Bonus Model - Bonuses granted to players by promotions
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - Each bonus keeps its own remaining balance and wagering; the wallet's
+ *   bonusBalance is their total
+ * - Spending and status changes only apply to the state they were checked
+ *   against, so two bets can't spend the same funds
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const STATES = {
+  PENDING: 'pending', // Claimed, waiting for the deposit it matches
+  ACTIVE: 'active',
+  USED: 'used', // Free bet or odds boost spent
+  COMPLETED: 'completed', // Wagering met - converted to cash
+  EXPIRED: 'expired',
+}
+
+class BonusModel {
+  constructor() {
+    this.db = createAdapter('bonuses')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ userId: 1 })
+      await this.db.createIndex({ status: 1 })
+      await this.db.createIndex({ reference: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Store a bonus
+   * @param {Object} bonus - { userId, promotion, status, amount, wageringRequired, expiresAt, reference }
+   * @param {Object} tx - Optional unit of work
+   * @returns {Promise<Object>} Created bonus
+   */
+  async create(bonus, tx = null) {
+    const { promotion } = bonus
+    return await this.db.insertOne({
+      userId: bonus.userId,
+      promotionId: String(promotion._id),
+      name: promotion.name,
+      type: promotion.type,
+      status: bonus.status,
+      amount: bonus.amount || 0,
+      balance: bonus.amount || 0,
+      wageringRequired: bonus.wageringRequired || 0,
+      wagered: 0,
+      minOdds: promotion.minOdds || null,
+      boost: promotion.boost || null,
+      expiresAt: bonus.expiresAt,
+      reference: bonus.reference || null,
+      grantedAt: new Date(),
+    }, { tx })
+  }
+
+  async findById(id) {
+    return await this.db.findById(id)
+  }
+
+  /**
+   * A user's bonuses, newest first
+   */
+  async findByUserId(userId) {
+    return await this.db.find({ userId }, { sort: { grantedAt: -1 } })
+  }
+
+  /**
+   * A user's bonuses in the given statuses, soonest to expire first
+   * @param {String} userId - User ID
+   * @param {Array<String>} statuses - Statuses to include
+   * @param {Object} tx - Optional unit of work
+   */
+  async findByStatus(userId, statuses, tx = null) {
+    return await this.db.find({ userId, status: { $in: statuses } }, { sort: { expiresAt: 1 }, tx })
+  }
+
+  async findByPromotion(userId, promotionId) {
+    return await this.db.findOne({ userId, promotionId: String(promotionId) })
+  }
+
+  async findByReference(reference) {
+    return await this.db.findOne({ reference })
+  }
+
+  /**
+   * Spend from an active bonus if it still has the funds
+   * @returns {Promise<Number>} 1 if spent, 0 if not
+   */
+  async spend(id, amount, tx = null) {
+    const result = await this.db.incrementById(id, { balance: -amount }, {
+      tx,
+      where: { status: STATES.ACTIVE, balance: { $gte: amount } },
+    })
+    return result.modifiedCount
+  }
+
+  /**
+   * Put funds back on a bonus (returns on its stakes), or take them back with a negative amount
+   */
+  async credit(id, amount, tx = null) {
+    const result = await this.db.incrementById(id, { balance: amount }, { tx })
+    return result.modifiedCount
+  }
+
+  async addWagering(id, amount, tx = null) {
+    const result = await this.db.incrementById(id, { wagered: amount }, { tx })
+    return result.modifiedCount
+  }
+
+  /**
+   * Move a bonus to a new status if its status and balance are still as read
+   * @param {Object} bonus - Bonus as read
+   * @param {String} status - New status
+   * @param {Object} fields - Other fields to set with the change
+   * @param {Object} tx - Optional unit of work
+   * @returns {Promise<Number>} 1 if moved, 0 if it changed first
+   */
+  async setStatus(bonus, status, fields = {}, tx = null) {
+    const result = await this.db.updateById(bonus._id, {
+      ...fields,
+      status,
+      [`${status}At`]: new Date(),
+    }, { tx, where: { status: bonus.status, balance: bonus.balance } })
+    return result.modifiedCount
+  }
+}
+
+const bonuses = new BonusModel()
+bonuses.STATES = STATES
+
+module.exports = bonuses
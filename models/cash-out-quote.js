@@ -0,0 +1,72 @@
+/**
+ * Cash-Out Quote Model - Offers to settle an active bet early
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - Records the prices a quote was made from and when it expires
+ * - A quote can be accepted once
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const QUOTE_STATUS = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+}
+
+class CashOutQuoteModel {
+  constructor() {
+    this.db = createAdapter('cash_out_quotes')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ betId: 1 })
+      await this.db.createIndex({ expiresAt: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Store a quote
+   * @param {Object} quote - { betId, userId, amount, prices, expiresAt }
+   * @returns {Promise<Object>} Created quote
+   */
+  async create(quote) {
+    return await this.db.insertOne({
+      betId: String(quote.betId),
+      userId: quote.userId,
+      amount: quote.amount,
+      prices: quote.prices,
+      status: QUOTE_STATUS.OPEN,
+      expiresAt: quote.expiresAt,
+    })
+  }
+
+  async findById(id) {
+    return await this.db.findById(id)
+  }
+
+  /**
+   * Mark an open quote accepted
+   * @returns {Promise<Boolean>} False if it was already used
+   */
+  async accept(id, tx = null) {
+    const result = await this.db.updateById(
+      id,
+      { status: QUOTE_STATUS.ACCEPTED, acceptedAt: new Date() },
+      { tx, where: { status: QUOTE_STATUS.OPEN } }
+    )
+    return result.modifiedCount > 0
+  }
+}
+
+const cashOutQuote = new CashOutQuoteModel()
+cashOutQuote.QUOTE_STATUS = QUOTE_STATUS
+
+module.exports = cashOutQuote
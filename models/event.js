@@ -1,82 +1,208 @@
-const NeDB = require('nedb')
+const { createAdapter } = require('../lib/database')
+const { normalizeMarkets, fromLegacy, findSelection, validatePrice } = require('../lib/markets')
+const { EventStateMachine } = require('../lib/state-machines')
+const { parseTradingConfig } = require('../lib/trading')
+const { NotFoundError, ValidationError } = require('../lib/errors')
 
+const { STATES } = EventStateMachine
+
+// Events that haven't started
+const UPCOMING_STATES = [STATES.SCHEDULED, STATES.OPEN, STATES.SUSPENDED, STATES.POSTPONED]
+
+function parseTime(value, field) {
+  const time = new Date(value)
+  if (!value || isNaN(time.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`, field)
+  }
+  return time
+}
+
+// Caps on what the house can lose on the event, in dollars (see
+// services/RiskService.js); unset caps fall back to a share of the bankroll
+function parseLiabilityLimits(limits) {
+  if (!limits) return null
+  const parsed = {}
+  for (const scope of ['selection', 'event']) {
+    if (limits[scope] === undefined || limits[scope] === null || limits[scope] === '') continue
+    const amount = parseFloat(limits[scope])
+    if (isNaN(amount) || amount <= 0) {
+      throw new ValidationError(`${scope} liability limit must be a positive amount`, 'liabilityLimits')
+    }
+    parsed[scope] = amount
+  }
+  return Object.keys(parsed).length > 0 ? parsed : null
+}
+
+// Write methods take an optional unit of work (see lib/unit-of-work.js) as
+// their last argument so they can be grouped into all-or-nothing operations
 class Event {
   constructor() {
-    const dbPath = process.env.NEDB_PATH || './db'
-    this.db = new NeDB({
-      filename: `${dbPath}/events.db`,
-      autoload: true
-    })
-    this.db.ensureIndex({ fieldName: 'status' })
-    this.db.ensureIndex({ fieldName: 'startTime' })
-  }
-
-  create(event) {
-    return new Promise((resolve, reject) => {
-      this.db.insert({
-        ...event,
-        createdAt: new Date(),
-        status: 'upcoming'
-      }, (err, doc) => {
-        if (err) return reject(err)
-        resolve(doc)
-      })
-    })
+    this.db = createAdapter('events')
+    Promise.all([
+      this.db.createIndex({ status: 1 }),
+      this.db.createIndex({ startTime: 1 }),
+      this.db.createIndex({ leagueId: 1 })
+    ]).catch(err => console.warn('Failed to create indexes:', err.message))
   }
 
-  findById(id) {
-    return new Promise((resolve, reject) => {
-      this.db.findOne({ _id: id }, (err, doc) => {
-        if (err) return reject(err)
-        resolve(doc)
-      })
-    })
+  // Events stored before the lifecycle existed were 'upcoming' until settled,
+  // when they became 'finished' with their result
+  _storedStatuses(status) {
+    if (status === STATES.OPEN) return [STATES.OPEN, 'upcoming']
+    if (status === STATES.SETTLED) return [STATES.SETTLED, STATES.FINISHED]
+    return [status]
   }
 
-  findUpcoming() {
-    return new Promise((resolve, reject) => {
-      this.db.find({ status: 'upcoming' }).sort({ startTime: 1 }).exec((err, docs) => {
-        if (err) return reject(err)
-        resolve(docs)
-      })
-    })
+  _withStatus(event) {
+    if (event.status === 'upcoming') return { ...event, status: STATES.OPEN }
+    if (event.status === STATES.FINISHED && (event.results || event.winner)) {
+      return { ...event, status: STATES.SETTLED }
+    }
+    return event
   }
 
-  findLive() {
-    return new Promise((resolve, reject) => {
-      this.db.find({ status: 'live' }).sort({ startTime: 1 }).exec((err, docs) => {
-        if (err) return reject(err)
-        resolve(docs)
-      })
-    })
+  // Events stored before markets existed get their match winner market on read
+  _withMarkets(event) {
+    if (!event) return event
+    event = this._withStatus(event)
+    if (event.markets && event.markets.length > 0) return event
+    if (!event.team1) return { ...event, markets: [] }
+    return { ...event, markets: fromLegacy(event) }
   }
 
-  findAll() {
-    return new Promise((resolve, reject) => {
-      this.db.find({}).sort({ startTime: 1 }).exec((err, docs) => {
-        if (err) return reject(err)
-        resolve(docs)
-      })
-    })
+  // New events are scheduled unless created straight into betting
+  create(event, tx = null) {
+    const status = event.status || STATES.SCHEDULED
+    if (![STATES.SCHEDULED, STATES.OPEN].includes(status)) {
+      throw new ValidationError(`New events must be ${STATES.SCHEDULED} or ${STATES.OPEN}`, 'status')
+    }
+
+    return this.db.insertOne({
+      ...event,
+      startTime: parseTime(event.startTime, 'startTime'),
+      opensAt: event.opensAt ? parseTime(event.opensAt, 'opensAt') : null,
+      liabilityLimits: parseLiabilityLimits(event.liabilityLimits),
+      trading: parseTradingConfig(event.trading),
+      markets: normalizeMarkets(event.markets, event),
+      status,
+      statusHistory: [{ from: null, to: status, at: new Date() }]
+    }, { tx })
   }
 
-  update(id, updates) {
-    return new Promise((resolve, reject) => {
-      this.db.update({ _id: id }, { $set: updates }, {}, (err, numReplaced) => {
-        if (err) return reject(err)
-        resolve(numReplaced)
-      })
-    })
+  async findById(id, tx = null) {
+    return this._withMarkets(await this.db.findById(id, { tx }))
+  }
+
+  // Postponed events stay listed until they are rescheduled or cancelled
+  // filter: { sport, leagueId } narrows the list for browsing
+  async findUpcoming(now = new Date(), filter = {}) {
+    const query = { status: { $in: [...UPCOMING_STATES, 'upcoming'] } }
+    if (filter.sport) query.sport = filter.sport
+    if (filter.leagueId) query.leagueId = String(filter.leagueId)
+    const events = await this.db.find(query, { sort: { startTime: 1 } })
+    return events
+      .map(event => this._withMarkets(event))
+      .filter(event => event.status === STATES.POSTPONED || new Date(event.startTime) > now)
   }
 
-  delete(id) {
-    return new Promise((resolve, reject) => {
-      this.db.remove({ _id: id }, {}, (err, numRemoved) => {
-        if (err) return reject(err)
-        resolve(numRemoved)
-      })
+  async findLive() {
+    const events = await this.db.find({ status: STATES.LIVE }, { sort: { startTime: 1 } })
+    return events.map(event => this._withMarkets(event))
+  }
+
+  async findAll() {
+    const events = await this.db.find({}, { sort: { startTime: 1 } })
+    return events.map(event => this._withMarkets(event))
+  }
+
+  async update(id, updates, tx = null) {
+    if (updates.startTime !== undefined) {
+      updates = { ...updates, startTime: parseTime(updates.startTime, 'startTime') }
+    }
+    if (updates.opensAt) {
+      updates = { ...updates, opensAt: parseTime(updates.opensAt, 'opensAt') }
+    }
+    if (updates.liabilityLimits !== undefined) {
+      updates = { ...updates, liabilityLimits: parseLiabilityLimits(updates.liabilityLimits) }
+    }
+    if (updates.trading !== undefined) {
+      updates = { ...updates, trading: parseTradingConfig(updates.trading) }
+    }
+    if (updates.markets) {
+      const existing = await this.findById(id, tx)
+      updates = { ...updates, markets: normalizeMarkets(updates.markets, { ...existing, ...updates }) }
+    }
+    const result = await this.db.updateById(id, updates, { tx })
+    return result.modifiedCount
+  }
+
+  /**
+   * Move an event to a new lifecycle state and record who moved it
+   * Check the move with EventStateMachine first
+   * @param {Object} event - Event as read (status is where it moves from)
+   * @param {String} status - New state
+   * @param {Object} meta - { changedBy, reason }
+   * @returns {Promise<Number>} 1 if moved, 0 if the event moved elsewhere since it was read
+   */
+  async setStatus(event, status, meta = {}, tx = null) {
+    const result = await this.db.updateById(event._id, {
+      status,
+      statusHistory: [
+        ...(event.statusHistory || []),
+        { from: event.status, to: status, at: new Date(), by: meta.changedBy || null, reason: meta.reason || null }
+      ]
+    }, { tx, where: { status: { $in: this._storedStatuses(event.status) } } })
+    return result.modifiedCount
+  }
+
+  /**
+   * Store an event's results and settled markets
+   * @param {Object} event - Event as read
+   * @param {Object} updates - { markets, results, settledAt, previousResults }
+   * @returns {Promise<Number>} 1 if stored, 0 if it was settled again since it was read
+   */
+  async recordSettlement(event, updates, tx = null) {
+    const where = event.settledAt
+      ? { settledAt: event.settledAt }
+      : { $or: [{ settledAt: { $exists: false } }, { settledAt: null }] }
+    const result = await this.db.updateById(event._id, updates, { tx, where })
+    return result.modifiedCount
+  }
+
+  /**
+   * Change the price of one selection
+   * @returns {Promise<Object>} { market, selection } with the new price
+   */
+  async setSelectionPrice(id, marketId, selectionId, price, tx = null) {
+    const event = await this.findById(id, tx)
+    if (!event) {
+      throw new NotFoundError('Event', id)
+    }
+
+    if (!findSelection(event, marketId, selectionId)) {
+      throw new NotFoundError('Selection', selectionId)
+    }
+
+    const newPrice = validatePrice(price)
+    const markets = event.markets.map(market => market.id !== marketId ? market : {
+      ...market,
+      selections: market.selections.map(selection =>
+        selection.id === selectionId ? { ...selection, price: newPrice } : selection
+      )
     })
+
+    await this.db.updateById(id, { markets }, { tx })
+    return findSelection({ markets }, marketId, selectionId)
+  }
+
+  async delete(id, tx = null) {
+    const result = await this.db.deleteById(id, { tx })
+    return result.deletedCount
   }
 }
 
-module.exports = new Event()
+const events = new Event()
+
+events.STATES = STATES
+
+module.exports = events
@@ -0,0 +1,56 @@
+/**
+ * Feed Mapping Model - Links a fixture in an external feed to an Event
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - One event per (provider, externalId); created when the feed brings in a
+ *   new fixture, or by an admin linking an event that already exists
+ */
+
+const { createAdapter } = require('../lib/database')
+
+class FeedMappingModel {
+  constructor() {
+    this.db = createAdapter('feed_mappings')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ externalId: 1 })
+      await this.db.createIndex({ eventId: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * @param {Object} mapping - { provider, externalId, eventId, createdBy }
+   */
+  async create(mapping, tx = null) {
+    return await this.db.insertOne({
+      provider: mapping.provider,
+      externalId: String(mapping.externalId),
+      eventId: String(mapping.eventId),
+      createdBy: mapping.createdBy || null,
+      createdAt: new Date(),
+    }, { tx })
+  }
+
+  async findByExternalId(provider, externalId) {
+    return await this.db.findOne({ provider, externalId: String(externalId) })
+  }
+
+  async findByEventId(eventId) {
+    return await this.db.findOne({ eventId: String(eventId) })
+  }
+
+  async findByProvider(provider) {
+    return await this.db.find({ provider }, { sort: { createdAt: -1 } })
+  }
+}
+
+module.exports = new FeedMappingModel()
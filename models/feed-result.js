@@ -0,0 +1,85 @@
+/**
+ * Feed Result Model - Final results a feed reported for an event
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - A result is proposed until an admin confirms (settling the event with it)
+ *   or rejects it; with auto-settle on it is confirmed by the feed
+ * - A newer result for the same event supersedes a proposal still waiting
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const STATES = {
+  PROPOSED: 'proposed',
+  CONFIRMED: 'confirmed',
+  REJECTED: 'rejected',
+  SUPERSEDED: 'superseded',
+}
+
+class FeedResultModel {
+  constructor() {
+    this.db = createAdapter('feed_results')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ eventId: 1 })
+      await this.db.createIndex({ status: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * @param {Object} result - { eventId, provider, externalId, score, results, missingMarkets, resettle }
+   */
+  async create(result, tx = null) {
+    return await this.db.insertOne({
+      ...result,
+      eventId: String(result.eventId),
+      status: STATES.PROPOSED,
+      receivedAt: new Date(),
+    }, { tx })
+  }
+
+  async findById(id) {
+    return await this.db.findById(id)
+  }
+
+  /**
+   * Results in a state, newest first
+   */
+  async findByStatus(status) {
+    return await this.db.find({ status }, { sort: { receivedAt: -1 } })
+  }
+
+  /**
+   * Every result received for an event, newest first
+   */
+  async findByEventId(eventId) {
+    return await this.db.find({ eventId: String(eventId) }, { sort: { receivedAt: -1 } })
+  }
+
+  /**
+   * Move a result on from `from`
+   * @returns {Promise<Boolean>} False if it had already moved on
+   */
+  async setStatus(id, from, status, fields = {}, tx = null) {
+    const result = await this.db.updateById(
+      id,
+      { ...fields, status, decidedAt: new Date() },
+      { tx, where: { status: from } }
+    )
+    return result.modifiedCount > 0
+  }
+}
+
+const feedResult = new FeedResultModel()
+feedResult.STATES = STATES
+
+module.exports = feedResult
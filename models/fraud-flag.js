@@ -0,0 +1,112 @@
+/**
+ * Fraud Flag Model - Accounts waiting on a fraud review
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - An account has at most one open flag; later findings are added to it
+ * - Each finding names the rule that fired (see lib/fraud-rules.js)
+ * - Reviews only apply to a flag that is still open, so two admins can't
+ *   close the same flag differently
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const FLAG_STATUS = {
+  OPEN: 'open', // Waiting on review
+  CLEARED: 'cleared', // Reviewed, nothing wrong
+  RESTRICTED: 'restricted', // Reviewed, stakes limited
+}
+
+class FraudFlagModel {
+  constructor() {
+    this.db = createAdapter('fraud_flags')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ userId: 1 })
+      await this.db.createIndex({ status: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Open a flag
+   * @param {Object} flag - { userId, userEmail, score, findings: [{ rule, weight, reason, betId, details }] }
+   * @returns {Promise<Object>} Created flag
+   */
+  async create(flag) {
+    return await this.db.insertOne({
+      userId: flag.userId,
+      userEmail: flag.userEmail || null,
+      status: FLAG_STATUS.OPEN,
+      score: flag.score,
+      findings: flag.findings.map(finding => ({ ...finding, at: new Date() })),
+      reviewedBy: null,
+      reviewedAt: null,
+      note: null,
+    })
+  }
+
+  async findById(id) {
+    return await this.db.findById(id)
+  }
+
+  async findOpenByUser(userId) {
+    return await this.db.findOne({ userId, status: FLAG_STATUS.OPEN })
+  }
+
+  /**
+   * An account's flags, newest first
+   */
+  async findByUser(userId) {
+    return await this.db.find({ userId }, { sort: { createdAt: -1 } })
+  }
+
+  /**
+   * Flags in a status (or all), highest score first
+   * @param {String|null} status - One of FLAG_STATUS
+   */
+  async findByStatus(status = null) {
+    return await this.db.find(status ? { status } : {}, { sort: { score: -1, createdAt: 1 } })
+  }
+
+  /**
+   * Add findings to an open flag and raise its score
+   * @returns {Promise<Number>} 1 if added, 0 if the flag was reviewed meanwhile
+   */
+  async addFindings(flag, findings, score) {
+    const result = await this.db.updateById(flag._id, {
+      score: Math.max(flag.score, score),
+      findings: [...flag.findings, ...findings.map(finding => ({ ...finding, at: new Date() }))],
+    }, { where: { status: FLAG_STATUS.OPEN } })
+    return result.modifiedCount
+  }
+
+  /**
+   * Close an open flag
+   * @param {Object} flag - Flag as read
+   * @param {String} status - CLEARED or RESTRICTED
+   * @param {Object} meta - { reviewedBy, note }
+   * @returns {Promise<Number>} 1 if closed, 0 if someone else reviewed it first
+   */
+  async review(flag, status, meta = {}) {
+    const result = await this.db.updateById(flag._id, {
+      status,
+      reviewedBy: meta.reviewedBy || null,
+      reviewedAt: new Date(),
+      note: meta.note || null,
+    }, { where: { status: FLAG_STATUS.OPEN } })
+    return result.modifiedCount
+  }
+}
+
+const fraudFlags = new FraudFlagModel()
+fraudFlags.FLAG_STATUS = FLAG_STATUS
+
+module.exports = fraudFlags
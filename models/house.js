@@ -1,119 +1,192 @@
-const NeDB = require('nedb')
+const { createAdapter } = require('../lib/database')
+const { InsufficientFundsError } = require('../lib/errors')
 
+// Write methods take an optional unit of work (see lib/unit-of-work.js) as
+// their last argument so they can be grouped into all-or-nothing operations
 class HouseBankroll {
   constructor() {
-    const dbPath = process.env.NEDB_PATH || './db'
-    this.db = new NeDB({
-      filename: `${dbPath}/house.db`,
-      autoload: true
-    })
+    this.db = createAdapter('house')
   }
 
   async initialize() {
-    return new Promise((resolve, reject) => {
-      this.db.findOne({ type: 'bankroll' }, (err, doc) => {
-        if (err) return reject(err)
-        if (!doc) {
-          // Initialize house bankroll with starting balance
-          this.db.insert({
-            type: 'bankroll',
-            balance: 0, // Start at $0, grows from membership fees
-            totalMembershipRevenue: 0,
-            totalBetsReceived: 0,
-            totalPayouts: 0,
-            profit: 0,
-            createdAt: new Date()
-          }, (err, doc) => {
-            if (err) return reject(err)
-            resolve(doc)
-          })
-        } else {
-          resolve(doc)
-        }
-      })
+    const doc = await this.db.findOne({ type: 'bankroll' })
+    if (doc) {
+      return doc
+    }
+
+    // Initialize house bankroll with starting balance
+    return await this.db.insertOne({
+      type: 'bankroll',
+      balance: 0, // Start at $0, grows from membership fees
+      totalMembershipRevenue: 0,
+      totalBetsReceived: 0,
+      totalPayouts: 0,
+      totalCashOuts: 0,
+      totalBonusCost: 0,
+      totalBonusStakes: 0,
+      profit: 0
     })
   }
 
-  async getBalance() {
+  async getBalance(tx = null) {
     await this.initialize()
-    return new Promise((resolve, reject) => {
-      this.db.findOne({ type: 'bankroll' }, (err, doc) => {
-        if (err) return reject(err)
-        resolve(doc)
-      })
-    })
+    return await this.db.findOne({ type: 'bankroll' }, { tx })
   }
 
-  async addMembershipFee(amount) {
+  async addMembershipFee(amount, tx = null) {
     await this.initialize()
-    return new Promise((resolve, reject) => {
-      this.db.update(
-        { type: 'bankroll' },
-        {
-          $inc: {
-            balance: amount,
-            totalMembershipRevenue: amount,
-            profit: amount
-          }
-        },
-        {},
-        (err, numReplaced) => {
-          if (err) return reject(err)
-          resolve(numReplaced)
-        }
-      )
-    })
+    const result = await this.db.incrementOne(
+      { type: 'bankroll' },
+      {
+        balance: amount,
+        totalMembershipRevenue: amount,
+        profit: amount
+      },
+      { tx }
+    )
+    return result.modifiedCount
   }
 
-  async receiveBet(amount) {
+  async receiveBet(amount, tx = null) {
     // When user places bet, house receives the funds
     await this.initialize()
-    return new Promise((resolve, reject) => {
-      this.db.update(
-        { type: 'bankroll' },
-        {
-          $inc: {
-            balance: amount,
-            totalBetsReceived: amount
-          }
-        },
-        {},
-        (err, numReplaced) => {
-          if (err) return reject(err)
-          resolve(numReplaced)
-        }
-      )
-    })
+    const result = await this.db.incrementOne(
+      { type: 'bankroll' },
+      {
+        balance: amount,
+        totalBetsReceived: amount
+      },
+      { tx }
+    )
+    return result.modifiedCount
   }
 
-  async payout(amount) {
-    // When winner gets paid
+  async payout(amount, tx = null) {
+    // When winner gets paid - only if the bankroll covers it
     await this.initialize()
-    return new Promise((resolve, reject) => {
-      this.db.findOne({ type: 'bankroll' }, (err, doc) => {
-        if (err) return reject(err)
-
-        if (doc.balance < amount) {
-          return reject(new Error('Insufficient house funds'))
-        }
-
-        this.db.update(
-          { type: 'bankroll' },
-          {
-            $inc: {
-              balance: -amount,
-              totalPayouts: amount,
-              profit: -amount
-            }
-          },
-          {},
-          (err, numReplaced) => {
-            if (err) return reject(err)
-            resolve(numReplaced)
-          }
-        )
-      })
-    })
+    const result = await this.db.incrementOne(
+      { type: 'bankroll', balance: { $gte: amount } },
+      {
+        balance: -amount,
+        totalPayouts: amount,
+        profit: -amount
+      },
+      { tx }
+    )
+
+    if (result.modifiedCount === 0) {
+      throw new InsufficientFundsError('Insufficient house funds', { amount })
+    }
+    return result.modifiedCount
+  }
+
+  async cashOut(amount, tx = null) {
+    // Early settlement agreed with the bettor - only if the bankroll covers it
+    await this.initialize()
+    const result = await this.db.incrementOne(
+      { type: 'bankroll', balance: { $gte: amount } },
+      {
+        balance: -amount,
+        totalCashOuts: amount,
+        profit: -amount
+      },
+      { tx }
+    )
+
+    if (result.modifiedCount === 0) {
+      throw new InsufficientFundsError('Insufficient house funds', { amount })
+    }
+    return result.modifiedCount
+  }
+
+  async refundBet(amount, tx = null) {
+    // When a stake is returned to the user the house never really received it
+    await this.initialize()
+    const result = await this.db.incrementOne(
+      { type: 'bankroll' },
+      {
+        balance: -amount,
+        totalBetsReceived: -amount
+      },
+      { tx }
+    )
+    return result.modifiedCount
+  }
+
+  async reversePayout(amount, tx = null) {
+    // A payout made on a wrong result comes back to the house
+    await this.initialize()
+    const result = await this.db.incrementOne(
+      { type: 'bankroll' },
+      {
+        balance: amount,
+        totalPayouts: -amount,
+        profit: amount
+      },
+      { tx }
+    )
+    return result.modifiedCount
+  }
+
+  async reverseRefund(amount, tx = null) {
+    // A stake refunded on a wrong result was received after all
+    await this.initialize()
+    const result = await this.db.incrementOne(
+      { type: 'bankroll' },
+      {
+        balance: amount,
+        totalBetsReceived: amount
+      },
+      { tx }
+    )
+    return result.modifiedCount
+  }
+
+  async payBonus(amount, tx = null) {
+    // Cash a promotion costs the house (converted bonus, free bet winnings,
+    // odds boost) - kept apart from payouts so bonuses don't flatter the edge
+    await this.initialize()
+    const result = await this.db.incrementOne(
+      { type: 'bankroll', balance: { $gte: amount } },
+      {
+        balance: -amount,
+        totalBonusCost: amount,
+        profit: -amount
+      },
+      { tx }
+    )
+
+    if (result.modifiedCount === 0) {
+      throw new InsufficientFundsError('Insufficient house funds', { amount })
+    }
+    return result.modifiedCount
+  }
+
+  async reverseBonusCost(amount, tx = null) {
+    // Bonus winnings paid on a wrong result come back to the house
+    await this.initialize()
+    const result = await this.db.incrementOne(
+      { type: 'bankroll' },
+      {
+        balance: amount,
+        totalBonusCost: -amount,
+        profit: amount
+      },
+      { tx }
+    )
+    return result.modifiedCount
+  }
+
+  async receiveBonusStake(amount, tx = null) {
+    // Stakes paid with bonus funds bring no money in, so they are counted
+    // apart from totalBetsReceived and leave the balance alone
+    await this.initialize()
+    const result = await this.db.incrementOne(
+      { type: 'bankroll' },
+      { totalBonusStakes: amount },
+      { tx }
+    )
+    return result.modifiedCount
   }
 
   async calculateMaxBet(odds) {
@@ -133,6 +206,9 @@ class HouseBankroll {
       totalMembershipRevenue: house.totalMembershipRevenue,
       totalBetsReceived: house.totalBetsReceived,
       totalPayouts: house.totalPayouts,
+      totalCashOuts: house.totalCashOuts || 0,
+      totalBonusCost: house.totalBonusCost || 0,
+      totalBonusStakes: house.totalBonusStakes || 0,
       profit: house.profit,
       roi: house.totalBetsReceived > 0
         ? ((house.profit / house.totalBetsReceived) * 100).toFixed(2)
@@ -0,0 +1,96 @@
+/**
+ * KYC Document Model - Identity documents players upload for verification
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - Holds the details of the file; the file itself is in document storage
+ *   (lib/document-storage.js) under `key`
+ * - Reviews only apply to a document that is still pending, so two admins
+ *   can't decide the same document differently
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const DOCUMENT_TYPES = {
+  PHOTO_ID: 'photo_id', // Passport, driving licence or national ID card
+  PROOF_OF_ADDRESS: 'proof_of_address', // Utility bill or bank statement
+}
+
+const DOCUMENT_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+}
+
+class KycDocumentModel {
+  constructor() {
+    this.db = createAdapter('kyc_documents')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ userId: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Record an uploaded document
+   * @param {Object} document - { userId, type, filename, contentType, size, storage, key }
+   * @returns {Promise<Object>} Created document
+   */
+  async create(document) {
+    return await this.db.insertOne({
+      userId: document.userId,
+      type: document.type,
+      filename: document.filename,
+      contentType: document.contentType,
+      size: document.size,
+      storage: document.storage,
+      key: document.key,
+      status: DOCUMENT_STATUS.PENDING,
+      reason: null,
+      reviewedBy: null,
+      reviewedAt: null,
+    })
+  }
+
+  async findById(id) {
+    return await this.db.findById(id)
+  }
+
+  /**
+   * A user's documents, newest first
+   */
+  async findByUserId(userId) {
+    return await this.db.find({ userId }, { sort: { createdAt: -1 } })
+  }
+
+  /**
+   * Accept or reject a pending document
+   * @param {Object} document - Document as read
+   * @param {String} status - ACCEPTED or REJECTED
+   * @param {Object} meta - { reviewedBy, reason }
+   * @returns {Promise<Number>} 1 if reviewed, 0 if someone else reviewed it first
+   */
+  async review(document, status, meta = {}) {
+    const result = await this.db.updateById(document._id, {
+      status,
+      reason: meta.reason || null,
+      reviewedBy: meta.reviewedBy || null,
+      reviewedAt: new Date(),
+    }, { where: { status: DOCUMENT_STATUS.PENDING } })
+    return result.modifiedCount
+  }
+}
+
+const kycDocuments = new KycDocumentModel()
+kycDocuments.DOCUMENT_TYPES = DOCUMENT_TYPES
+kycDocuments.DOCUMENT_STATUS = DOCUMENT_STATUS
+
+module.exports = kycDocuments
@@ -0,0 +1,62 @@
+/**
+ * League Model - Competitions events are played in
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - A league belongs to one sport; names are unique within a sport
+ *   (checked by services/FixtureService.js, NeDB has no compound unique index)
+ */
+
+const { createAdapter } = require('../lib/database')
+
+class LeagueModel {
+  constructor() {
+    this.db = createAdapter('leagues')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ sport: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * @param {Object} league - { name, sport, country, createdBy }
+   */
+  async create(league, tx = null) {
+    return await this.db.insertOne({
+      name: league.name,
+      sport: league.sport,
+      country: league.country || null,
+      active: true,
+      createdBy: league.createdBy || null,
+      createdAt: new Date(),
+    }, { tx })
+  }
+
+  async findById(id, tx = null) {
+    return await this.db.findById(id, { tx })
+  }
+
+  /**
+   * Leagues by sport, then name
+   * @param {Object} filter - { sport }
+   */
+  async findAll(filter = {}) {
+    const query = filter.sport ? { sport: filter.sport } : {}
+    return await this.db.find(query, { sort: { sport: 1, name: 1 } })
+  }
+
+  async update(id, updates, tx = null) {
+    const result = await this.db.updateById(id, { ...updates, updatedAt: new Date() }, { tx })
+    return result.modifiedCount
+  }
+}
+
+module.exports = new LeagueModel()
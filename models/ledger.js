@@ -0,0 +1,270 @@
+/**
+ * Ledger Model - Double-entry journal for betting funds
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - Every journal is stored as a single document, so a posting is atomic
+ * - Debits must equal credits or the journal is rejected
+ * - Account balances are derived from the posted lines
+ *
+ * Amounts on journal lines are stored in integer cents to avoid floating point
+ * drift; the public methods accept and return dollars like the rest of the app.
+ */
+
+const { createAdapter } = require('../lib/database')
+const { ValidationError } = require('../lib/errors')
+
+// Chart of accounts
+const ACCOUNTS = {
+  EXTERNAL_STRIPE: 'external:stripe', // Money that came in from (or left to) Stripe
+  HOUSE_BANKROLL: 'house:bankroll', // House funds available to pay winners
+  wallet: (userId) => `wallet:${userId}`, // Funds the house owes a user
+  held: (userId) => `held:${userId}`, // User funds held for a withdrawal in progress
+  bonus: (userId) => `bonus:${userId}`, // Bonus funds a user can bet with but not withdraw
+  PROMOTIONS: 'promotions:issued', // Bonus funds issued and not yet spent, returned or converted
+}
+
+// The side on which each account type normally carries its balance
+const NORMAL_BALANCE = {
+  external: 'debit',
+  house: 'credit',
+  wallet: 'credit',
+  held: 'credit',
+  bonus: 'credit',
+  promotions: 'debit',
+}
+
+const TRANSACTION_TYPES = {
+  DEPOSIT: 'deposit',
+  STAKE: 'stake',
+  PAYOUT: 'payout',
+  MEMBERSHIP_FEE: 'membership_fee',
+  REFUND: 'refund',
+  CASH_OUT: 'cash_out',
+  PAYOUT_REVERSAL: 'payout_reversal', // Re-settlement taking back a payout
+  REFUND_REVERSAL: 'refund_reversal', // Re-settlement taking back a refund
+  WITHDRAWAL_HOLD: 'withdrawal_hold', // Withdrawal requested - funds set aside
+  WITHDRAWAL_RELEASE: 'withdrawal_release', // Withdrawal turned down - funds back in the wallet
+  WITHDRAWAL: 'withdrawal', // Withdrawal paid out
+  BONUS_GRANT: 'bonus_grant', // Promotion credited to the bonus balance
+  BONUS_STAKE: 'bonus_stake', // Bonus funds staked on a bet
+  BONUS_RETURN: 'bonus_return', // Returns on a bonus stake back in the bonus balance
+  BONUS_RETURN_REVERSAL: 'bonus_return_reversal', // Re-settlement taking back a bonus return
+  BONUS_CONVERSION: 'bonus_conversion', // Wagering met - bonus funds become cash
+  BONUS_WINNINGS: 'bonus_winnings', // Cash paid because of a promotion (free bet winnings, odds boost)
+  BONUS_WINNINGS_REVERSAL: 'bonus_winnings_reversal', // Re-settlement taking back bonus winnings
+  BONUS_FORFEIT: 'bonus_forfeit', // Bonus expired or forfeited
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100)
+}
+
+function toDollars(cents) {
+  return cents / 100
+}
+
+function accountType(account) {
+  return account.split(':')[0]
+}
+
+class LedgerModel {
+  constructor() {
+    this.db = createAdapter('ledger')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ accounts: 1 })
+      await this.db.createIndex({ type: 1 })
+      await this.db.createIndex({ reference: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Post a balanced journal
+   * @param {String} type - One of TRANSACTION_TYPES
+   * @param {Array} lines - [{ account, debit }] or [{ account, credit }] in dollars
+   * @param {Object} meta - Optional { reference, userId, memo }
+   * @param {UnitOfWork} tx - Optional unit of work
+   * @returns {Promise<Object>} Stored journal
+   */
+  async post(type, lines, meta = {}, tx = null) {
+    if (!Object.values(TRANSACTION_TYPES).includes(type)) {
+      throw new ValidationError(`Unknown ledger transaction type '${type}'`, 'type')
+    }
+
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw new ValidationError('A journal needs at least two lines', 'lines')
+    }
+
+    const normalized = lines.map((line) => ({
+      account: line.account,
+      debit: toCents(line.debit || 0),
+      credit: toCents(line.credit || 0),
+    }))
+
+    for (const line of normalized) {
+      if (!line.account) {
+        throw new ValidationError('Every journal line needs an account', 'account')
+      }
+      if (line.debit < 0 || line.credit < 0 || (line.debit > 0) === (line.credit > 0)) {
+        throw new ValidationError(
+          `Line for '${line.account}' must have either a positive debit or a positive credit`,
+          'lines'
+        )
+      }
+    }
+
+    const totalDebits = normalized.reduce((sum, line) => sum + line.debit, 0)
+    const totalCredits = normalized.reduce((sum, line) => sum + line.credit, 0)
+
+    if (totalDebits !== totalCredits) {
+      throw new ValidationError(
+        `Journal is unbalanced: debits ${toDollars(totalDebits)} != credits ${toDollars(totalCredits)}`,
+        'lines'
+      )
+    }
+
+    return await this.db.insertOne({
+      type,
+      lines: normalized,
+      accounts: [...new Set(normalized.map((line) => line.account))],
+      amount: totalDebits,
+      reference: meta.reference || null,
+      userId: meta.userId || null,
+      memo: meta.memo || null,
+      postedAt: new Date(),
+    }, { tx })
+  }
+
+  /**
+   * Find journals touching an account
+   * @param {String} account - Account name
+   * @param {Object} options - Options (sort, limit, skip)
+   * @returns {Promise<Array>} Journals, oldest first by default
+   */
+  async findByAccount(account, options = {}) {
+    return await this.db.find({ accounts: account }, { sort: { postedAt: 1 }, ...options })
+  }
+
+  /**
+   * Find journals touching an account (or any of several) posted since a moment
+   * @param {String|Array<String>} account - Account name(s)
+   * @param {Date} since - Earliest posting time
+   * @returns {Promise<Array>} Journals, oldest first
+   */
+  async findByAccountSince(account, since) {
+    const accounts = Array.isArray(account) ? { $in: account } : account
+    return await this.db.find({ accounts, postedAt: { $gte: since } }, { sort: { postedAt: 1 } })
+  }
+
+  /**
+   * Journals that concern a user: their wallet, held and bonus accounts, and what
+   * they paid the house directly (membership fees)
+   * @param {String} userId - User ID
+   * @returns {Promise<Array>} Journals, oldest first
+   */
+  async findByUser(userId) {
+    return await this.db.find({
+      $or: [
+        { accounts: ACCOUNTS.wallet(userId) },
+        { accounts: ACCOUNTS.held(userId) },
+        { accounts: ACCOUNTS.bonus(userId) },
+        { userId },
+      ],
+    }, { sort: { postedAt: 1 } })
+  }
+
+  /**
+   * Find journals by external reference (Stripe session, bet ID...)
+   * @param {String} reference - Reference
+   * @returns {Promise<Array>} Journals
+   */
+  async findByReference(reference) {
+    return await this.db.find({ reference })
+  }
+
+  /**
+   * Sum debits and credits posted to an account, grouped by transaction type
+   * @param {String} account - Account name
+   * @returns {Promise<Object>} { debit, credit, byType: { [type]: { debit, credit } } } in dollars
+   */
+  async getAccountTotals(account) {
+    const journals = await this.findByAccount(account)
+    const totals = { debit: 0, credit: 0, byType: {} }
+
+    for (const journal of journals) {
+      if (!totals.byType[journal.type]) {
+        totals.byType[journal.type] = { debit: 0, credit: 0 }
+      }
+      for (const line of journal.lines) {
+        if (line.account !== account) continue
+        totals.debit += line.debit
+        totals.credit += line.credit
+        totals.byType[journal.type].debit += line.debit
+        totals.byType[journal.type].credit += line.credit
+      }
+    }
+
+    totals.debit = toDollars(totals.debit)
+    totals.credit = toDollars(totals.credit)
+    for (const type of Object.keys(totals.byType)) {
+      totals.byType[type].debit = toDollars(totals.byType[type].debit)
+      totals.byType[type].credit = toDollars(totals.byType[type].credit)
+    }
+
+    return totals
+  }
+
+  /**
+   * Get account balance on its normal side
+   * @param {String} account - Account name
+   * @returns {Promise<Number>} Balance in dollars
+   */
+  async getAccountBalance(account) {
+    const totals = await this.getAccountTotals(account)
+    const balance = NORMAL_BALANCE[accountType(account)] === 'debit'
+      ? totals.debit - totals.credit
+      : totals.credit - totals.debit
+
+    return Math.round(balance * 100) / 100
+  }
+
+  /**
+   * Trial balance across the whole journal - debits and credits must match
+   * @returns {Promise<Object>} { debit, credit, balanced, journals }
+   */
+  async getTrialBalance() {
+    const journals = await this.db.find({})
+    let debit = 0
+    let credit = 0
+
+    for (const journal of journals) {
+      for (const line of journal.lines) {
+        debit += line.debit
+        credit += line.credit
+      }
+    }
+
+    return {
+      debit: toDollars(debit),
+      credit: toDollars(credit),
+      balanced: debit === credit,
+      journals: journals.length,
+    }
+  }
+}
+
+const ledger = new LedgerModel()
+
+ledger.ACCOUNTS = ACCOUNTS
+ledger.TRANSACTION_TYPES = TRANSACTION_TYPES
+
+module.exports = ledger
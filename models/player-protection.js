@@ -0,0 +1,101 @@
+/**
+ * Player Protection Model - Limits and exclusions a player has set themselves
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - One document per user, created on first use
+ * - Limit increases wait in pendingLimits until they take effect
+ * - Every change is kept in history
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const LIMIT_TYPES = {
+  DEPOSIT: 'deposit', // Money paid in
+  LOSS: 'loss', // Stakes less what came back
+  STAKE: 'stake', // Money staked
+}
+
+// Rolling windows a limit can cover; stake limits can also cap a single bet
+const LIMIT_PERIODS = {
+  PER_BET: 'per_bet',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+}
+
+const PERIOD_MS = {
+  [LIMIT_PERIODS.DAILY]: 24 * 60 * 60 * 1000,
+  [LIMIT_PERIODS.WEEKLY]: 7 * 24 * 60 * 60 * 1000,
+  [LIMIT_PERIODS.MONTHLY]: 30 * 24 * 60 * 60 * 1000,
+}
+
+class PlayerProtectionModel {
+  constructor() {
+    this.db = createAdapter('player_protection')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ userId: 1 }, { unique: true })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Protection settings of a user, created with no limits if missing
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Settings
+   */
+  async findByUserId(userId) {
+    const existing = await this.db.findOne({ userId })
+    if (existing) return existing
+
+    try {
+      return await this.db.insertOne({
+        userId,
+        limits: {},
+        pendingLimits: [],
+        coolOffUntil: null,
+        selfExcludedUntil: null,
+        sessionReminderMinutes: null,
+        session: null,
+        history: [],
+      })
+    } catch (error) {
+      // Another request created it first
+      const created = await this.db.findOne({ userId })
+      if (created) return created
+      throw error
+    }
+  }
+
+  /**
+   * Change a user's settings, recording what changed
+   * @param {String} userId - User ID
+   * @param {Object} updates - Fields to set
+   * @param {Object} entry - History entry ({ action, ... }), or null for bookkeeping
+   * @param {Object} tx - Optional unit of work
+   */
+  async update(userId, updates, entry = null, tx = null) {
+    const current = await this.findByUserId(userId)
+    const history = entry
+      ? [...(current.history || []), { ...entry, at: new Date() }]
+      : current.history
+
+    const result = await this.db.updateOne({ userId }, { ...updates, history }, { tx })
+    return result.modifiedCount
+  }
+}
+
+const playerProtection = new PlayerProtectionModel()
+playerProtection.LIMIT_TYPES = LIMIT_TYPES
+playerProtection.LIMIT_PERIODS = LIMIT_PERIODS
+playerProtection.PERIOD_MS = PERIOD_MS
+
+module.exports = playerProtection
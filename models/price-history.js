@@ -0,0 +1,112 @@
+/**
+ * Price History Model - Every price a selection has been offered at
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - Append only: one entry per price change, including the opening price
+ * - Answers "what was the price at time T" when a bet is disputed
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const PRICE_SOURCES = {
+  OPENING: 'opening',
+  ADMIN: 'admin',
+  TRADING: 'trading', // Moved by the trading engine (services/TradingService.js)
+}
+
+class PriceHistoryModel {
+  constructor() {
+    this.db = createAdapter('price_history')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ eventId: 1 })
+      await this.db.createIndex({ selectionId: 1 })
+      await this.db.createIndex({ changedAt: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Record a price change
+   * @param {Object} entry - { eventId, marketId, selectionId, price, previousPrice, source, changedBy, reason, details }
+   * @param {Object} tx - Optional unit of work
+   * @returns {Promise<Object>} Created entry
+   */
+  async record(entry, tx = null) {
+    return await this.db.insertOne({
+      eventId: String(entry.eventId),
+      marketId: entry.marketId,
+      selectionId: entry.selectionId,
+      price: entry.price,
+      previousPrice: entry.previousPrice === undefined ? null : entry.previousPrice,
+      source: entry.source || PRICE_SOURCES.ADMIN,
+      changedBy: entry.changedBy || null,
+      reason: entry.reason || null,
+      details: entry.details || null,
+      changedAt: new Date(),
+    }, { tx })
+  }
+
+  /**
+   * Price changes for an event, oldest first
+   * @param {String} eventId - Event ID
+   * @param {Object} filters - Optional { marketId, selectionId }
+   * @returns {Promise<Array>} Entries
+   */
+  async findByEvent(eventId, filters = {}) {
+    const query = { eventId: String(eventId) }
+    if (filters.marketId) query.marketId = filters.marketId
+    if (filters.selectionId) query.selectionId = filters.selectionId
+
+    return await this.db.find(query, { sort: { changedAt: 1 } })
+  }
+
+  /**
+   * Price a selection was offered at a moment in time
+   * @param {String} eventId - Event ID
+   * @param {String} selectionId - Selection ID
+   * @param {Date} at - Moment to look up
+   * @returns {Promise<Object|null>} Entry in force at that moment
+   */
+  async priceAt(eventId, selectionId, at) {
+    const entries = await this.db.find(
+      { eventId: String(eventId), selectionId, changedAt: { $lte: new Date(at) } },
+      { sort: { changedAt: -1 }, limit: 1 }
+    )
+    return entries[0] || null
+  }
+
+  /**
+   * Price a selection was last given by hand (or opened at)
+   * Falls back to the price before the first automatic move
+   * @param {String} eventId - Event ID
+   * @param {String} selectionId - Selection ID
+   * @returns {Promise<Number|null>} Price, or null if none was recorded
+   */
+  async basePrice(eventId, selectionId) {
+    const set = await this.db.find(
+      { eventId: String(eventId), selectionId, source: { $ne: PRICE_SOURCES.TRADING } },
+      { sort: { changedAt: -1 }, limit: 1 }
+    )
+    if (set[0]) return set[0].price
+
+    const moved = await this.db.find(
+      { eventId: String(eventId), selectionId },
+      { sort: { changedAt: 1 }, limit: 1 }
+    )
+    return moved[0] ? moved[0].previousPrice : null
+  }
+}
+
+const priceHistory = new PriceHistoryModel()
+priceHistory.PRICE_SOURCES = PRICE_SOURCES
+
+module.exports = priceHistory
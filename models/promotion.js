@@ -0,0 +1,79 @@
+/**
+ * Promotion Model - Offers that hand out bonuses
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - A promotion with a code is claimed by the player; without one it is
+ *   applied automatically (deposit matches on a first deposit)
+ * - Settings are checked by services/BonusService.js before they are stored
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const TYPES = {
+  DEPOSIT_MATCH: 'deposit_match', // A share of a deposit as bonus funds
+  FREE_BET: 'free_bet', // One stake paid by the house, winnings paid without it
+  ODDS_BOOST: 'odds_boost', // Better odds on one single
+  REFERRAL: 'referral', // Bonus funds for bringing in a depositing player
+}
+
+class PromotionModel {
+  constructor() {
+    this.db = createAdapter('promotions')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ code: 1 })
+      await this.db.createIndex({ type: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  async create(promotion, tx = null) {
+    return await this.db.insertOne({ ...promotion, active: true }, { tx })
+  }
+
+  async findById(id) {
+    return await this.db.findById(id)
+  }
+
+  /**
+   * Every promotion, newest first
+   */
+  async findAll() {
+    return await this.db.find({}, { sort: { createdAt: -1 } })
+  }
+
+  async findByCode(code) {
+    return await this.db.findOne({ code })
+  }
+
+  /**
+   * Active promotions of a type running at a moment
+   * @param {String} type - One of TYPES
+   * @param {Date} at - Moment to check
+   */
+  async findRunning(type, at = new Date()) {
+    const promotions = await this.db.find({ type, active: true }, { sort: { createdAt: 1 } })
+    return promotions.filter(promotion =>
+      (!promotion.startsAt || new Date(promotion.startsAt) <= at) &&
+      (!promotion.endsAt || new Date(promotion.endsAt) > at)
+    )
+  }
+
+  async setActive(id, active, tx = null) {
+    const result = await this.db.updateById(id, { active }, { tx })
+    return result.modifiedCount
+  }
+}
+
+const promotions = new PromotionModel()
+promotions.TYPES = TYPES
+
+module.exports = promotions
@@ -0,0 +1,133 @@
+/**
+ * Scheduled Job Model - Work due at a point in time
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - Jobs are stored, so a restart picks up where the scheduler left off
+ * - A job is claimed before it runs so it only runs once
+ * - Jobs share a key (e.g. event:<id>) so everything planned for one thing
+ *   can be cancelled together
+ */
+
+const { createAdapter } = require('../lib/database')
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  SKIPPED: 'skipped', // No longer applies when it came due
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+}
+
+class ScheduledJobModel {
+  constructor() {
+    this.db = createAdapter('scheduled_jobs')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ status: 1, runAt: 1 })
+      await this.db.createIndex({ key: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Store a job
+   * @param {Object} job - { type, key, payload, runAt }
+   * @returns {Promise<Object>} Created job
+   */
+  async create(job, tx = null) {
+    return await this.db.insertOne({
+      type: job.type,
+      key: job.key || null,
+      payload: job.payload || {},
+      runAt: new Date(job.runAt),
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      result: null,
+      error: null,
+    }, { tx })
+  }
+
+  /**
+   * Pending jobs due at `now`, oldest first
+   */
+  async findDue(now, limit = 50) {
+    return await this.db.find(
+      { status: JOB_STATUS.PENDING, runAt: { $lte: now } },
+      { sort: { runAt: 1 }, limit }
+    )
+  }
+
+  async findByKey(key) {
+    return await this.db.find({ key }, { sort: { runAt: 1 } })
+  }
+
+  async findPending() {
+    return await this.db.find({ status: JOB_STATUS.PENDING }, { sort: { runAt: 1 } })
+  }
+
+  /**
+   * Take a pending job to run it
+   * @returns {Promise<Boolean>} False if something else took it first
+   */
+  async claim(job) {
+    const result = await this.db.updateById(
+      job._id,
+      { status: JOB_STATUS.RUNNING, startedAt: new Date(), attempts: (job.attempts || 0) + 1 },
+      { where: { status: JOB_STATUS.PENDING } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  /**
+   * Record how a running job ended
+   * @param {String} status - done, skipped or failed
+   */
+  async finish(id, status, { result = null, error = null } = {}) {
+    const update = await this.db.updateById(id, { status, result, error, finishedAt: new Date() })
+    return update.modifiedCount
+  }
+
+  /**
+   * Cancel every pending job with a key
+   * @returns {Promise<Number>} Jobs cancelled
+   */
+  async cancelPending(key, tx = null) {
+    const jobs = await this.db.find({ key, status: JOB_STATUS.PENDING })
+    let cancelled = 0
+    for (const job of jobs) {
+      const result = await this.db.updateById(
+        job._id,
+        { status: JOB_STATUS.CANCELLED, finishedAt: new Date() },
+        { tx, where: { status: JOB_STATUS.PENDING } }
+      )
+      cancelled += result.modifiedCount
+    }
+    return cancelled
+  }
+
+  /**
+   * Put jobs left running by a crash back in the queue
+   * @returns {Promise<Number>} Jobs requeued
+   */
+  async requeueRunning() {
+    const jobs = await this.db.find({ status: JOB_STATUS.RUNNING })
+    for (const job of jobs) {
+      await this.db.updateById(job._id, { status: JOB_STATUS.PENDING }, { where: { status: JOB_STATUS.RUNNING } })
+    }
+    return jobs.length
+  }
+}
+
+const scheduledJob = new ScheduledJobModel()
+scheduledJob.JOB_STATUS = JOB_STATUS
+
+module.exports = scheduledJob
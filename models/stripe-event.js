@@ -0,0 +1,137 @@
+/**
+ * Stripe Event Model - Store of every webhook delivery we accepted
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - Unique on Stripe event ID, which is what makes webhook handling idempotent
+ * - Keeps the full payload so events can be replayed by an admin
+ */
+
+const { createAdapter } = require('../lib/database')
+const { EVENT_STATUS } = require('../lib/stripe-webhooks')
+
+class StripeEventModel {
+  constructor() {
+    this.db = createAdapter('stripe_events')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ stripeEventId: 1 }, { unique: true })
+      await this.db.createIndex({ status: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Persist an event unless we have already seen its ID
+   * @param {Object} event - Verified Stripe event
+   * @returns {Promise<Object>} { record, duplicate }
+   */
+  async record(event) {
+    const existing = await this.findByStripeId(event.id)
+    if (existing) {
+      return { record: existing, duplicate: true }
+    }
+
+    try {
+      const record = await this.db.insertOne({
+        stripeEventId: event.id,
+        type: event.type,
+        livemode: !!event.livemode,
+        payload: event,
+        status: EVENT_STATUS.RECEIVED,
+        handler: null,
+        attempts: 0,
+        error: null,
+        receivedAt: new Date(),
+        processedAt: null,
+      })
+      return { record, duplicate: false }
+    } catch (error) {
+      // A concurrent delivery of the same event won the unique index
+      const raced = await this.findByStripeId(event.id)
+      if (raced) {
+        return { record: raced, duplicate: true }
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Find by Stripe event ID
+   * @param {String} stripeEventId - Stripe event ID
+   * @returns {Promise<Object|null>} Stored event
+   */
+  async findByStripeId(stripeEventId) {
+    return await this.db.findOne({ stripeEventId })
+  }
+
+  /**
+   * Atomically move an event to processing
+   * @param {String} stripeEventId - Stripe event ID
+   * @param {Array} fromStatuses - Statuses the event may be claimed from
+   * @param {Date} claimedBefore - Only take it if the last claim is older than this
+   *   (or it was never claimed), for taking over an abandoned delivery
+   * @returns {Promise<Boolean>} True if this caller owns the event now
+   */
+  async claim(stripeEventId, fromStatuses, claimedBefore = null) {
+    const query = { stripeEventId, status: { $in: fromStatuses } }
+    if (claimedBefore) {
+      query.$or = [{ claimedAt: { $lt: claimedBefore } }, { claimedAt: { $exists: false } }]
+    }
+
+    const result = await this.db.updateOne(query, { status: EVENT_STATUS.PROCESSING, claimedAt: new Date() })
+    if (result.modifiedCount > 0) {
+      await this.db.incrementOne({ stripeEventId }, { attempts: 1 })
+      return true
+    }
+    return false
+  }
+
+  async markProcessed(stripeEventId, handler) {
+    return await this.db.updateOne({ stripeEventId }, {
+      status: EVENT_STATUS.PROCESSED,
+      handler,
+      error: null,
+      processedAt: new Date(),
+    })
+  }
+
+  async markFailed(stripeEventId, handler, error) {
+    return await this.db.updateOne({ stripeEventId }, {
+      status: EVENT_STATUS.FAILED,
+      handler,
+      error: error.message,
+    })
+  }
+
+  async markIgnored(stripeEventId) {
+    return await this.db.updateOne({ stripeEventId }, {
+      status: EVENT_STATUS.IGNORED,
+      processedAt: new Date(),
+    })
+  }
+
+  /**
+   * List recent events, newest first
+   * @param {Object} filters - Optional { status, type }
+   * @param {Number} limit - Maximum results
+   * @returns {Promise<Array>} Stored events (without payloads)
+   */
+  async findRecent(filters = {}, limit = 50) {
+    const query = {}
+    if (filters.status) query.status = filters.status
+    if (filters.type) query.type = filters.type
+
+    const events = await this.db.find(query, { sort: { receivedAt: -1 }, limit })
+    return events.map(({ payload, ...event }) => event)
+  }
+}
+
+module.exports = new StripeEventModel()
@@ -0,0 +1,66 @@
+/**
+ * Team Model - Sides that play in events
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - A team plays one sport and may belong to a league; names are unique within
+ *   a sport (checked by services/FixtureService.js)
+ * - Events keep the team's ID and its name at the time (homeTeam/awayTeam)
+ */
+
+const { createAdapter } = require('../lib/database')
+
+class TeamModel {
+  constructor() {
+    this.db = createAdapter('teams')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ sport: 1 })
+      await this.db.createIndex({ leagueId: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * @param {Object} team - { name, sport, leagueId, shortName, createdBy }
+   */
+  async create(team, tx = null) {
+    return await this.db.insertOne({
+      name: team.name,
+      sport: team.sport,
+      leagueId: team.leagueId ? String(team.leagueId) : null,
+      shortName: team.shortName || null,
+      createdBy: team.createdBy || null,
+      createdAt: new Date(),
+    }, { tx })
+  }
+
+  async findById(id, tx = null) {
+    return await this.db.findById(id, { tx })
+  }
+
+  /**
+   * Teams by name
+   * @param {Object} filter - { sport, leagueId }
+   */
+  async findAll(filter = {}) {
+    const query = {}
+    if (filter.sport) query.sport = filter.sport
+    if (filter.leagueId) query.leagueId = String(filter.leagueId)
+    return await this.db.find(query, { sort: { name: 1 } })
+  }
+
+  async update(id, updates, tx = null) {
+    const result = await this.db.updateById(id, { ...updates, updatedAt: new Date() }, { tx })
+    return result.modifiedCount
+  }
+}
+
+module.exports = new TeamModel()
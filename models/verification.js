@@ -0,0 +1,120 @@
+/**
+ * Verification Model - Where each player is in know-your-customer (KYC) checks
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - One document per user, created on first use
+ * - An age and an identity check, each with its own status and reviewer
+ * - Every change is kept in history
+ */
+
+const { createAdapter } = require('../lib/database')
+
+// Overall status, worked out from the checks (see KycService)
+const VERIFICATION_STATUS = {
+  UNVERIFIED: 'unverified', // Nothing (or not enough) sent yet
+  PENDING: 'pending', // Waiting on an admin
+  VERIFIED: 'verified', // Every check passed
+  REJECTED: 'rejected', // A check failed - the player can send new documents
+}
+
+const CHECKS = {
+  AGE: 'age', // Old enough to bet, from the date of birth on a photo ID
+  IDENTITY: 'identity', // Name and address match the documents
+}
+
+const CHECK_STATUS = {
+  NOT_STARTED: 'not_started',
+  PENDING: 'pending',
+  PASSED: 'passed',
+  FAILED: 'failed',
+}
+
+function emptyCheck() {
+  return { status: CHECK_STATUS.NOT_STARTED, reason: null, reviewedBy: null, reviewedAt: null }
+}
+
+class VerificationModel {
+  constructor() {
+    this.db = createAdapter('verifications')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ userId: 1 }, { unique: true })
+      await this.db.createIndex({ status: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * A user's verification, created unverified if missing
+   * @param {String} userId - User ID
+   * @param {String} userEmail - Kept for the review queue
+   * @returns {Promise<Object>} Verification
+   */
+  async findByUserId(userId, userEmail = null) {
+    const existing = await this.db.findOne({ userId })
+    if (existing) return existing
+
+    try {
+      return await this.db.insertOne({
+        userId,
+        userEmail,
+        status: VERIFICATION_STATUS.UNVERIFIED,
+        fullName: null,
+        dateOfBirth: null,
+        checks: Object.values(CHECKS).reduce((checks, check) => ({ ...checks, [check]: emptyCheck() }), {}),
+        submittedAt: null,
+        verifiedAt: null,
+        history: [],
+      })
+    } catch (error) {
+      // Another request created it first
+      const created = await this.db.findOne({ userId })
+      if (created) return created
+      throw error
+    }
+  }
+
+  // Look up without creating one
+  findExisting(userId) {
+    return this.db.findOne({ userId })
+  }
+
+  /**
+   * Verifications in some statuses, longest waiting first
+   * @param {Array} statuses - VERIFICATION_STATUS values
+   */
+  async findByStatus(statuses) {
+    return await this.db.find({ status: { $in: statuses } }, { sort: { submittedAt: 1, createdAt: 1 } })
+  }
+
+  /**
+   * Change a user's verification, recording what changed
+   * @param {String} userId - User ID
+   * @param {Object} updates - Fields to set
+   * @param {Object} entry - History entry ({ action, ... }), or null for bookkeeping
+   */
+  async update(userId, updates, entry = null) {
+    const current = await this.findByUserId(userId)
+    const history = entry
+      ? [...(current.history || []), { ...entry, at: new Date() }]
+      : current.history
+
+    const result = await this.db.updateOne({ userId }, { ...updates, history })
+    return result.modifiedCount
+  }
+}
+
+const verification = new VerificationModel()
+verification.VERIFICATION_STATUS = VERIFICATION_STATUS
+verification.CHECKS = CHECKS
+verification.CHECK_STATUS = CHECK_STATUS
+
+module.exports = verification
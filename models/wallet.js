@@ -1,82 +1,238 @@
-const NeDB = require('nedb')
+const { createAdapter } = require('../lib/database')
+const { InsufficientFundsError, ValidationError } = require('../lib/errors')
+const { PRICE_CHANGE_POLICIES } = require('../lib/markets')
 
+// Quick stakes offered on the bet slip until a player sets their own
+const DEFAULT_STAKE_PRESETS = [5, 10, 25, 50]
+const MAX_STAKE_PRESETS = 6
+
+// Write methods take an optional unit of work (see lib/unit-of-work.js) as
+// their last argument so they can be grouped into all-or-nothing operations
 class Wallet {
   constructor() {
-    const dbPath = process.env.NEDB_PATH || './db'
-    this.db = new NeDB({
-      filename: `${dbPath}/wallets.db`,
-      autoload: true
-    })
-    this.db.ensureIndex({ fieldName: 'userId', unique: true })
-  }
-
-  create(userId) {
-    return new Promise((resolve, reject) => {
-      this.db.insert({
-        userId,
-        balance: 0,
-        createdAt: new Date()
-      }, (err, doc) => {
-        if (err) return reject(err)
-        resolve(doc)
-      })
+    this.db = createAdapter('wallets')
+    this.db.createIndex({ userId: 1 }, { unique: true }).catch(err => {
+      console.warn('Failed to create indexes:', err.message)
     })
   }
 
-  findByUserId(userId) {
-    return new Promise((resolve, reject) => {
-      this.db.findOne({ userId }, (err, doc) => {
-        if (err) return reject(err)
-        // Create wallet if it doesn't exist
-        if (!doc) {
-          this.create(userId).then(resolve).catch(reject)
-        } else {
-          resolve(doc)
-        }
-      })
-    })
+  create(userId, tx = null) {
+    return this.db.insertOne({
+      userId,
+      balance: 0,
+      oddsPreference: PRICE_CHANGE_POLICIES.NEVER
+    }, { tx })
+  }
+
+  async findByUserId(userId) {
+    const wallet = await this.db.findOne({ userId })
+    if (wallet) {
+      return wallet
+    }
+
+    // Create wallet if it doesn't exist
+    try {
+      return await this.create(userId)
+    } catch (err) {
+      // Another request created it first
+      const existing = await this.db.findOne({ userId })
+      if (existing) return existing
+      throw err
+    }
+  }
+
+  // Look up without creating one
+  findExisting(userId) {
+    return this.db.findOne({ userId })
+  }
+
+  findAll() {
+    return this.db.find({})
   }
 
-  addFunds(userId, amount) {
-    return new Promise((resolve, reject) => {
-      this.db.update(
-        { userId },
-        { $inc: { balance: amount } },
-        { upsert: true },
-        (err, numReplaced) => {
-          if (err) return reject(err)
-          resolve(numReplaced)
-        }
+  async addFunds(userId, amount, tx = null) {
+    await this.findByUserId(userId)
+    const result = await this.db.incrementOne({ userId }, { balance: amount }, { tx })
+    return result.modifiedCount
+  }
+
+  async deductFunds(userId, amount, tx = null) {
+    await this.findByUserId(userId)
+
+    // Only decrement when the balance covers the amount
+    const result = await this.db.incrementOne(
+      { userId, balance: { $gte: amount } },
+      { balance: -amount },
+      { tx }
+    )
+
+    if (result.modifiedCount === 0) {
+      throw new InsufficientFundsError('Insufficient balance', { userId, amount })
+    }
+    return result.modifiedCount
+  }
+
+  // Unlike deductFunds this may leave the balance below zero - used to take
+  // back winnings paid on a wrong result that the user has already spent
+  async clawBack(userId, amount, tx = null) {
+    await this.findByUserId(userId)
+    const result = await this.db.incrementOne({ userId }, { balance: -amount }, { tx })
+    return result.modifiedCount
+  }
+
+  // Set funds aside for a withdrawal; they stay the user's but can't be bet
+  async holdFunds(userId, amount, tx = null) {
+    await this.findByUserId(userId)
+
+    const result = await this.db.incrementOne(
+      { userId, balance: { $gte: amount } },
+      { balance: -amount, heldBalance: amount },
+      { tx }
+    )
+
+    if (result.modifiedCount === 0) {
+      throw new InsufficientFundsError('Insufficient balance', { userId, amount })
+    }
+    return result.modifiedCount
+  }
+
+  // Return held funds to the balance (withdrawal rejected or cancelled)
+  async releaseFunds(userId, amount, tx = null) {
+    const result = await this.db.incrementOne(
+      { userId, heldBalance: { $gte: amount } },
+      { balance: amount, heldBalance: -amount },
+      { tx }
+    )
+    return result.modifiedCount
+  }
+
+  // Held funds have been paid out
+  async removeHeldFunds(userId, amount, tx = null) {
+    const result = await this.db.incrementOne(
+      { userId, heldBalance: { $gte: amount } },
+      { heldBalance: -amount },
+      { tx }
+    )
+    return result.modifiedCount
+  }
+
+  // Bonus funds sit in their own balance: they can be bet but not withdrawn
+  async addBonusFunds(userId, amount, tx = null) {
+    await this.findByUserId(userId)
+    const result = await this.db.incrementOne({ userId }, { bonusBalance: amount }, { tx })
+    return result.modifiedCount
+  }
+
+  async deductBonusFunds(userId, amount, tx = null) {
+    await this.findByUserId(userId)
+
+    const result = await this.db.incrementOne(
+      { userId, bonusBalance: { $gte: amount } },
+      { bonusBalance: -amount },
+      { tx }
+    )
+
+    if (result.modifiedCount === 0) {
+      throw new InsufficientFundsError('Insufficient bonus balance', { userId, amount })
+    }
+    return result.modifiedCount
+  }
+
+  // Like clawBack, for bonus returns paid on a wrong result
+  async clawBackBonusFunds(userId, amount, tx = null) {
+    await this.findByUserId(userId)
+    const result = await this.db.incrementOne({ userId }, { bonusBalance: -amount }, { tx })
+    return result.modifiedCount
+  }
+
+  // Wagering met - bonus funds become cash
+  async convertBonusFunds(userId, amount, tx = null) {
+    const result = await this.db.incrementOne(
+      { userId, bonusBalance: { $gte: amount } },
+      { bonusBalance: -amount, balance: amount },
+      { tx }
+    )
+
+    if (result.modifiedCount === 0) {
+      throw new InsufficientFundsError('Insufficient bonus balance', { userId, amount })
+    }
+    return result.modifiedCount
+  }
+
+  // A user can be referred once, before their first deposit
+  async setReferrer(userId, referrerId, tx = null) {
+    await this.findByUserId(userId)
+    const result = await this.db.updateOne(
+      { userId, referredBy: { $exists: false } },
+      { referredBy: referrerId, referredAt: new Date() },
+      { tx }
+    )
+    return result.modifiedCount
+  }
+
+  async markMembershipPaid(userId, tx = null) {
+    await this.findByUserId(userId)
+    const result = await this.db.updateOne(
+      { userId },
+      { membershipPaid: true, membershipPaidAt: new Date() },
+      { tx }
+    )
+    return result.modifiedCount
+  }
+
+  // What to do when the price moves between quote and bet (see lib/markets.js)
+  async setOddsPreference(userId, preference, tx = null) {
+    if (!Object.values(PRICE_CHANGE_POLICIES).includes(preference)) {
+      throw new ValidationError(
+        `Odds preference must be one of: ${Object.values(PRICE_CHANGE_POLICIES).join(', ')}`,
+        'oddsPreference'
       )
-    })
+    }
+
+    await this.findByUserId(userId)
+    const result = await this.db.updateOne({ userId }, { oddsPreference: preference }, { tx })
+    return result.modifiedCount
   }
 
-  deductFunds(userId, amount) {
-    return new Promise((resolve, reject) => {
-      // First check if user has enough balance
-      this.findByUserId(userId).then(wallet => {
-        if (wallet.balance < amount) {
-          return reject(new Error('Insufficient balance'))
-        }
-        this.db.update(
-          { userId },
-          { $inc: { balance: -amount } },
-          {},
-          (err, numReplaced) => {
-            if (err) return reject(err)
-            resolve(numReplaced)
-          }
-        )
-      }).catch(reject)
-    })
+  async getOddsPreference(userId) {
+    const wallet = await this.findByUserId(userId)
+    return wallet.oddsPreference || PRICE_CHANGE_POLICIES.NEVER
   }
 
-  getBalance(userId) {
-    return new Promise((resolve, reject) => {
-      this.findByUserId(userId).then(wallet => {
-        resolve(wallet ? wallet.balance : 0)
-      }).catch(reject)
-    })
+  // Quick stake amounts on the bet slip, smallest first
+  async setStakePresets(userId, presets, tx = null) {
+    if (!Array.isArray(presets) || presets.length === 0 || presets.length > MAX_STAKE_PRESETS) {
+      throw new ValidationError(`Give between 1 and ${MAX_STAKE_PRESETS} quick stakes`, 'stakePresets')
+    }
+
+    const amounts = presets.map(preset => Math.round(parseFloat(preset) * 100) / 100)
+    if (amounts.some(amount => isNaN(amount) || amount <= 0)) {
+      throw new ValidationError('Quick stakes must be positive amounts', 'stakePresets')
+    }
+
+    const sorted = [...new Set(amounts)].sort((a, b) => a - b)
+    await this.findByUserId(userId)
+    await this.db.updateOne({ userId }, { stakePresets: sorted }, { tx })
+    return sorted
+  }
+
+  async getStakePresets(userId) {
+    const wallet = await this.findByUserId(userId)
+    return wallet.stakePresets || DEFAULT_STAKE_PRESETS
+  }
+
+  // Most the house lets this account stake on one bet, set after a fraud review;
+  // null lifts it. restriction: { maxStake, reason, setBy }
+  async setStakeRestriction(userId, restriction, tx = null) {
+    await this.findByUserId(userId)
+    const value = restriction ? { ...restriction, setAt: new Date() } : null
+    const result = await this.db.updateOne({ userId }, { stakeRestriction: value }, { tx })
+    return result.modifiedCount
+  }
+
+  async getBalance(userId) {
+    const wallet = await this.findByUserId(userId)
+    return wallet ? wallet.balance : 0
   }
 }
 
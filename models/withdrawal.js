@@ -0,0 +1,107 @@
+/**
+ * Withdrawal Model - Requests to take money out of a wallet
+ * Features:
+ * - Works with both NeDB and MongoDB
+ * - Status follows WithdrawalStateMachine (lib/state-machines.js)
+ * - Every status change is kept in statusHistory
+ * - Status changes only apply from the status they were checked against, so
+ *   two admins can't act on the same request at once
+ */
+
+const { createAdapter } = require('../lib/database')
+const { WithdrawalStateMachine } = require('../lib/state-machines')
+
+const { STATES } = WithdrawalStateMachine
+
+class WithdrawalModel {
+  constructor() {
+    this.db = createAdapter('withdrawals')
+    this._initializeIndexes()
+  }
+
+  /**
+   * Initialize database indexes
+   * @private
+   */
+  async _initializeIndexes() {
+    try {
+      await this.db.createIndex({ userId: 1 })
+      await this.db.createIndex({ status: 1 })
+    } catch (error) {
+      console.warn('Failed to create indexes:', error.message)
+    }
+  }
+
+  /**
+   * Store a new request
+   * @param {Object} withdrawal - { userId, userEmail, amount, destination }
+   * @param {Object} tx - Optional unit of work
+   * @returns {Promise<Object>} Created withdrawal
+   */
+  async create(withdrawal, tx = null) {
+    return await this.db.insertOne({
+      userId: withdrawal.userId,
+      userEmail: withdrawal.userEmail || null,
+      amount: withdrawal.amount,
+      destination: withdrawal.destination || null,
+      status: STATES.REQUESTED,
+      statusHistory: [{ from: null, to: STATES.REQUESTED, at: new Date(), by: withdrawal.userEmail || null }],
+      payoutReference: null,
+      payoutError: null,
+      requestedAt: new Date(),
+    }, { tx })
+  }
+
+  async findById(id) {
+    return await this.db.findById(id)
+  }
+
+  /**
+   * A user's withdrawals, newest first
+   */
+  async findByUserId(userId) {
+    return await this.db.find({ userId }, { sort: { requestedAt: -1 } })
+  }
+
+  /**
+   * Withdrawals in the given statuses, oldest first (review queue order)
+   * @param {Array<String>} statuses - Statuses to include
+   */
+  async findByStatus(statuses) {
+    return await this.db.find({ status: { $in: statuses } }, { sort: { requestedAt: 1 } })
+  }
+
+  /**
+   * Move a withdrawal to a new status if it is still where it was read
+   * @param {Object} withdrawal - Withdrawal as read
+   * @param {String} status - New status
+   * @param {Object} meta - { changedBy, reason }
+   * @param {Object} fields - Other fields to set with the change
+   * @param {Object} tx - Optional unit of work
+   * @returns {Promise<Number>} 1 if moved, 0 if someone else moved it first
+   */
+  async setStatus(withdrawal, status, meta = {}, fields = {}, tx = null) {
+    const result = await this.db.updateById(withdrawal._id, {
+      ...fields,
+      status,
+      statusHistory: [
+        ...(withdrawal.statusHistory || []),
+        { from: withdrawal.status, to: status, at: new Date(), by: meta.changedBy || null, reason: meta.reason || null }
+      ]
+    }, { tx, where: { status: withdrawal.status } })
+    return result.modifiedCount
+  }
+
+  /**
+   * Note a payout attempt that failed; the withdrawal stays approved
+   */
+  async recordPayoutError(id, message) {
+    const result = await this.db.updateById(id, { payoutError: message, payoutFailedAt: new Date() })
+    return result.modifiedCount
+  }
+}
+
+const withdrawals = new WithdrawalModel()
+withdrawals.STATES = STATES
+
+module.exports = withdrawals
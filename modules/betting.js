@@ -0,0 +1,119 @@
+/**
+ * Betting Module - Events, bets, wallets, house bankroll and ledger
+ */
+
+const { sessionUserId, isCheckoutOfType } = require('../lib/stripe-webhooks')
+const { PlayerProtectionError, VerificationRequiredError } = require('../lib/errors')
+
+function bettingService() {
+  return require('../services/BettingService')
+}
+
+function stripe() {
+  return require('stripe')(process.env.STRIPE_SECRET_KEY)
+}
+
+module.exports = {
+  name: 'betting',
+  description: 'sports events, bets, wallets and the house bankroll',
+
+  models: () => ({
+    Event: require('../models/event'),
+    League: require('../models/league'),
+    Team: require('../models/team'),
+    Bet: require('../models/bet'),
+    Wallet: require('../models/wallet'),
+    House: require('../models/house'),
+    Ledger: require('../models/ledger'),
+    PriceHistory: require('../models/price-history'),
+    CashOutQuote: require('../models/cash-out-quote'),
+    ScheduledJob: require('../models/scheduled-job'),
+    PlayerProtection: require('../models/player-protection'),
+    Withdrawal: require('../models/withdrawal'),
+    Promotion: require('../models/promotion'),
+    Bonus: require('../models/bonus'),
+    FeedMapping: require('../models/feed-mapping'),
+    FeedResult: require('../models/feed-result'),
+    AccountDevice: require('../models/account-device'),
+    FraudFlag: require('../models/fraud-flag'),
+    Verification: require('../models/verification'),
+    KycDocument: require('../models/kyc-document'),
+  }),
+
+  routes: (expressApp) => {
+    require('../routes/betting')(expressApp)
+  },
+
+  // Open, cut off and start events on schedule, push changes to live pages
+  // and poll the results feed
+  start: async () => {
+    require('../services/LiveUpdateService').start()
+    await require('../services/EventScheduleService').start()
+    require('../services/FeedService').start()
+  },
+
+  pages: ['/sports', '/my-bets', '/wallet', '/admin-events', '/admin-financials', '/admin-withdrawals', '/admin-promotions', '/admin-feed', '/admin-fixtures', '/admin-fraud', '/admin-kyc'],
+
+  api: [
+    '/api/events',
+    '/api/sports',
+    '/api/leagues',
+    '/api/teams',
+    '/api/bets',
+    '/api/wallet',
+    '/api/bonuses',
+    '/api/kyc',
+    '/api/live',
+    '/api/admin/events',
+    '/api/admin/house',
+    '/api/admin/analytics',
+    '/api/admin/ledger',
+    '/api/admin/withdrawals',
+    '/api/admin/fraud',
+    '/api/admin/kyc',
+    '/api/admin/promotions',
+    '/api/admin/feed',
+    '/api/admin/leagues',
+    '/api/admin/teams',
+  ],
+
+  webhooks: {
+    // Membership fee paid
+    'betting.membership': {
+      matches: (event) => isCheckoutOfType(event, ['membership']),
+      handle: async (event) => {
+        const session = event.data.object
+        const userId = sessionUserId(session)
+        if (!userId) return
+
+        const MEMBERSHIP_FEE = parseFloat(process.env.MEMBERSHIP_FEE || '10')
+        await bettingService().activateMembership(userId, MEMBERSHIP_FEE, session.id)
+      },
+    },
+
+    // Wallet deposit paid
+    'betting.deposit': {
+      matches: (event) => isCheckoutOfType(event, ['deposit']),
+      handle: async (event) => {
+        const session = event.data.object
+        const userId = sessionUserId(session)
+        const amount = parseFloat(session.metadata.amount)
+        if (!userId || !amount) return
+
+        try {
+          await bettingService().creditDeposit(userId, amount, session.id)
+        } catch (error) {
+          if (!(error instanceof PlayerProtectionError || error instanceof VerificationRequiredError)) throw error
+
+          // Refused since the checkout opened (a limit was reached or the player
+          // excluded themselves) - the money goes back rather than into the wallet
+          await stripe().refunds.create(
+            { payment_intent: session.payment_intent, metadata: { userId, rule: error.details.rule } },
+            { idempotencyKey: `deposit-refund-${session.id}` }
+          )
+          console.warn(`Deposit ${session.id} for user ${userId} refunded: ${error.message}`)
+        }
+      },
+    },
+  },
+}
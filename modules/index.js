@@ -0,0 +1,17 @@
+/**
+ * Modules enabled for this deployment
+ * Set ENABLED_MODULES (e.g. "invoicing", "betting" or "invoicing,betting");
+ * unset runs every module
+ */
+
+const { ModuleRegistry } = require('../lib/modules')
+const StripeWebhookService = require('../services/StripeWebhookService')
+
+const registry = new ModuleRegistry({ webhooks: StripeWebhookService.dispatcher })
+
+registry.register(require('./invoicing'))
+registry.register(require('./betting'))
+
+registry.configure(process.env.ENABLED_MODULES)
+
+module.exports = registry
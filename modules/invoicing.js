@@ -0,0 +1,69 @@
+/**
+ * Invoicing Module - Invoices, clients and plan subscriptions
+ */
+
+const { sessionUserId } = require('../lib/stripe-webhooks')
+
+const PLAN_LIMITS = {
+  starter: 25,
+  pro: -1, // Unlimited
+  business: -1 // Unlimited
+}
+
+function subscriptionModel() {
+  return require('../models/subscription')
+}
+
+module.exports = {
+  name: 'invoicing',
+  description: 'invoices, clients and subscription plans',
+
+  models: () => ({
+    Invoice: require('../models/invoice'),
+    Client: require('../models/client'),
+    Subscription: subscriptionModel(),
+  }),
+
+  routes: (expressApp) => {
+    require('../routes/invoice')(expressApp)
+  },
+
+  pages: ['/dashboard', '/create-invoice', '/pricing'],
+
+  api: ['/api/subscription', '/api/invoices', '/api/clients'],
+
+  webhooks: {
+    // Plan checkout completed
+    'invoicing.plan': {
+      matches: (event) => event.type === 'checkout.session.completed' &&
+        !!(event.data.object.metadata && event.data.object.metadata.plan),
+      handle: async (event) => {
+        const session = event.data.object
+        const userId = sessionUserId(session)
+        const plan = session.metadata.plan
+        if (!userId || !PLAN_LIMITS.hasOwnProperty(plan)) return
+
+        await subscriptionModel().update(userId, {
+          plan,
+          status: 'active',
+          invoiceLimit: PLAN_LIMITS[plan],
+          stripeSubscriptionId: session.subscription
+        })
+      },
+    },
+
+    // Subscription cancelled - downgrade to free
+    'invoicing.cancellation': {
+      matches: (event) => event.type === 'customer.subscription.deleted' &&
+        !!(event.data.object.metadata && event.data.object.metadata.userId),
+      handle: async (event) => {
+        const subscription = event.data.object
+        await subscriptionModel().update(subscription.metadata.userId, {
+          plan: 'free',
+          status: 'active',
+          invoiceLimit: 3
+        })
+      },
+    },
+  },
+}
@@ -76,7 +76,13 @@ module.exports = () => {
         // Define oAuth Providers
         providers: nextAuthProviders(),
         // Define functions for manging users and sending email.
-        functions: functions
+        functions: functions,
+        // Keep the raw request body so Stripe webhook signatures can be verified
+        bodyParserJsonOptions: {
+          verify: (req, res, buf) => { req.rawBody = buf }
+        },
+        // Stripe cannot send a CSRF token - webhooks are verified by signature
+        csrf: { blacklist: ['/api/webhook/'] }
       })
     })
   })
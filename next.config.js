@@ -1,4 +1,11 @@
+const { parseModuleList } = require('./lib/modules')
+
 module.exports = {
+  // Lets components hide navigation for modules this deployment doesn't run
+  // (null means every module is enabled)
+  publicRuntimeConfig: {
+    enabledModules: parseModuleList(process.env.ENABLED_MODULES)
+  },
   webpack: (config, { dev }) => {
     config.module.rules.push(
       {
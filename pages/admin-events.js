@@ -1,27 +1,102 @@
 import React from 'react'
 import { Container, Row, Col, Card, CardBody, Button, Table, Form, FormGroup, Label, Input, Alert, Modal, ModalHeader, ModalBody, ModalFooter } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
 import Page from '../components/page'
 import Layout from '../components/layout'
+import { MARKET_TYPES, MARKET_DEFINITIONS, defaultSelections } from '../lib/markets'
+import { OUTCOMES } from '../lib/settlement'
+import { EventStateMachine, createEventStateMachine } from '../lib/state-machines'
+
+const { STATES } = EventStateMachine
+
+// Lifecycle moves offered as buttons; settling and cancelling have their own
+const STATUS_ACTIONS = {
+  [STATES.OPEN]: { label: 'Open', color: 'primary' },
+  [STATES.SUSPENDED]: { label: 'Suspend', color: 'warning' },
+  [STATES.LIVE]: { label: 'Go Live', color: 'success' },
+  [STATES.FINISHED]: { label: 'Finish', color: 'info' },
+  [STATES.POSTPONED]: { label: 'Postpone', color: 'secondary' },
+  [STATES.SCHEDULED]: { label: 'Reschedule', color: 'secondary' },
+  [STATES.ABANDONED]: { label: 'Abandon', color: 'dark' },
+}
+
+// Sports offered when creating an event; a league's sport is added if it isn't here
+const SPORTS = ['Football', 'Basketball', 'Baseball', 'Hockey', 'Soccer', 'Tennis', 'MMA', 'Boxing']
+
+const STATUS_COLORS = {
+  [STATES.SCHEDULED]: 'light',
+  [STATES.OPEN]: 'primary',
+  [STATES.SUSPENDED]: 'warning',
+  [STATES.LIVE]: 'success',
+  [STATES.FINISHED]: 'info',
+  [STATES.SETTLED]: 'secondary',
+  [STATES.POSTPONED]: 'light',
+  [STATES.ABANDONED]: 'dark',
+  [STATES.CANCELLED]: 'danger',
+}
+
+const OUTCOME_LABELS = {
+  [OUTCOMES.WON]: 'Won',
+  [OUTCOMES.LOST]: 'Lost',
+  [OUTCOMES.PUSH]: 'Push (stake back)',
+  [OUTCOMES.HALF_WON]: 'Half won',
+  [OUTCOMES.HALF_LOST]: 'Half lost',
+  [OUTCOMES.DEAD_HEAT]: 'Dead heat',
+  [OUTCOMES.VOID]: 'Void',
+}
+
+// Results form of an event: { marketId: 'void' | { selectionId: outcome } }
+const resultsFor = (event) => {
+  const results = {}
+  for (const market of event.markets) {
+    const stored = event.results && event.results[market.id]
+    if (stored === OUTCOMES.VOID) {
+      results[market.id] = OUTCOMES.VOID
+      continue
+    }
+
+    results[market.id] = {}
+    for (const selection of market.selections) {
+      // Events settled before per-selection outcomes stored the winning IDs
+      const won = Array.isArray(stored) ? stored.includes(selection.id) : stored === selection.id
+      results[market.id][selection.id] = stored && typeof stored === 'object' && !Array.isArray(stored)
+        ? stored[selection.id] || OUTCOMES.LOST
+        : won ? OUTCOMES.WON : OUTCOMES.LOST
+    }
+  }
+  return results
+}
+
+const emptyEvent = () => ({
+  name: '',
+  sport: 'Football',
+  leagueId: '',
+  homeTeamId: '',
+  awayTeamId: '',
+  homeTeam: '',
+  awayTeam: '',
+  startTime: '',
+  status: STATES.OPEN,
+  trading: { enabled: false, overround: '', minPrice: '', maxPrice: '' },
+  markets: [
+    { type: MARKET_TYPES.MATCH_WINNER, line: '', selections: defaultSelections(MARKET_TYPES.MATCH_WINNER) }
+  ]
+})
 
 export default class extends Page {
   constructor(props) {
     super(props)
     this.state = {
       events: [],
+      leagues: [],
+      teams: [],
       modal: false,
       settleModal: false,
+      resettle: false,
       selectedEvent: null,
-      newEvent: {
-        name: '',
-        sport: 'Football',
-        team1: '',
-        team2: '',
-        odds1: 2.0,
-        odds2: 2.0,
-        drawOdds: 3.0,
-        startTime: ''
-      },
-      winner: '',
+      newEvent: emptyEvent(),
+      newMarketType: MARKET_TYPES.OVER_UNDER,
+      results: {},
       loading: true,
       error: null,
       success: null
@@ -36,8 +111,16 @@ export default class extends Page {
     try {
       const res = await fetch('/api/events/all')
       const data = await res.json()
+
+      // Leagues and teams to pick from when creating an event
+      const [leaguesRes, teamsRes] = await Promise.all([fetch('/api/leagues'), fetch('/api/teams')])
+      const leaguesData = await leaguesRes.json()
+      const teamsData = await teamsRes.json()
+
       this.setState({
         events: data.events || [],
+        leagues: leaguesData.leagues || [],
+        teams: teamsData.teams || [],
         loading: false
       })
     } catch (error) {
@@ -49,14 +132,29 @@ export default class extends Page {
     this.setState({ modal: !this.state.modal })
   }
 
-  toggleSettleModal(event = null) {
+  toggleSettleModal(event = null, resettle = false) {
     this.setState({
       settleModal: !this.state.settleModal,
+      resettle,
       selectedEvent: event,
-      winner: ''
+      results: event ? resultsFor(event) : {}
     })
   }
 
+  setOutcome(marketId, selectionId, outcome) {
+    const { results } = this.state
+    this.setState({
+      results: { ...results, [marketId]: { ...results[marketId], [selectionId]: outcome } }
+    })
+  }
+
+  toggleMarketVoid(market, isVoid) {
+    const { results } = this.state
+    const outcomes = {}
+    market.selections.forEach(selection => { outcomes[selection.id] = OUTCOMES.LOST })
+    this.setState({ results: { ...results, [market.id]: isVoid ? OUTCOMES.VOID : outcomes } })
+  }
+
   handleInputChange(field, value) {
     this.setState({
       newEvent: {
@@ -66,12 +164,108 @@ export default class extends Page {
     })
   }
 
+  // The league decides the sport; teams picked for another sport are dropped
+  handleSportChange(sport, leagueId = '') {
+    const { newEvent, teams } = this.state
+    const keep = (side) => {
+      const team = teams.find(candidate => candidate._id === newEvent[`${side}TeamId`])
+      return team && team.sport === sport ? team._id : ''
+    }
+
+    this.setState({
+      newEvent: { ...newEvent, sport, leagueId, homeTeamId: keep('home'), awayTeamId: keep('away') }
+    })
+  }
+
+  chooseTeam(side, teamId) {
+    const team = this.state.teams.find(candidate => candidate._id === teamId)
+    this.setState({
+      newEvent: {
+        ...this.state.newEvent,
+        [`${side}TeamId`]: teamId,
+        [`${side}Team`]: team ? team.name : ''
+      }
+    })
+  }
+
+  renderTeamField(side) {
+    const { newEvent, teams } = this.state
+    const choices = teams.filter(team => team.sport === newEvent.sport)
+
+    return (
+      <Col md="6" key={side}>
+        <FormGroup>
+          <Label>{side === 'home' ? 'Home Team' : 'Away Team'}</Label>
+          {choices.length > 0 && (
+            <Input
+              type="select"
+              className="mb-2"
+              value={newEvent[`${side}TeamId`]}
+              onChange={(e) => this.chooseTeam(side, e.target.value)}
+            >
+              <option value="">Not listed - enter a name</option>
+              {choices.map(team => (
+                <option key={team._id} value={team._id}>{team.name}</option>
+              ))}
+            </Input>
+          )}
+          {!newEvent[`${side}TeamId`] && (
+            <Input
+              type="text"
+              value={newEvent[`${side}Team`]}
+              onChange={(e) => this.handleInputChange(`${side}Team`, e.target.value)}
+              required
+            />
+          )}
+        </FormGroup>
+      </Col>
+    )
+  }
+
+  addMarket() {
+    const { newEvent, newMarketType } = this.state
+    this.handleInputChange('markets', [
+      ...newEvent.markets,
+      { type: newMarketType, line: '', selections: defaultSelections(newMarketType) }
+    ])
+  }
+
+  removeMarket(marketIndex) {
+    this.handleInputChange('markets', this.state.newEvent.markets.filter((market, index) => index !== marketIndex))
+  }
+
+  handleMarketChange(marketIndex, field, value) {
+    this.handleInputChange('markets', this.state.newEvent.markets.map((market, index) =>
+      index === marketIndex ? { ...market, [field]: value } : market
+    ))
+  }
+
+  handleSelectionChange(marketIndex, selectionIndex, field, value) {
+    const market = this.state.newEvent.markets[marketIndex]
+    this.handleMarketChange(marketIndex, 'selections', market.selections.map((selection, index) =>
+      index === selectionIndex ? { ...selection, [field]: value } : selection
+    ))
+  }
+
+  addPlayer(marketIndex) {
+    const market = this.state.newEvent.markets[marketIndex]
+    this.handleMarketChange(marketIndex, 'selections', [
+      ...market.selections,
+      { type: 'player', name: '', price: 2.0 }
+    ])
+  }
+
+  removeSelection(marketIndex, selectionIndex) {
+    const market = this.state.newEvent.markets[marketIndex]
+    this.handleMarketChange(marketIndex, 'selections', market.selections.filter((selection, index) => index !== selectionIndex))
+  }
+
   async createEvent(e) {
     e.preventDefault()
     try {
       const res = await fetch('/api/admin/events/create', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
         body: JSON.stringify(this.state.newEvent)
       })
 
@@ -81,16 +275,7 @@ export default class extends Page {
         this.setState({
           success: 'Event created successfully!',
           modal: false,
-          newEvent: {
-            name: '',
-            sport: 'Football',
-            team1: '',
-            team2: '',
-            odds1: 2.0,
-            odds2: 2.0,
-            drawOdds: 3.0,
-            startTime: ''
-          }
+          newEvent: emptyEvent()
         })
         await this.loadData()
       } else {
@@ -102,28 +287,36 @@ export default class extends Page {
   }
 
   async settleEvent() {
-    const { selectedEvent, winner } = this.state
+    const { selectedEvent, results, resettle } = this.state
 
-    if (!winner) {
-      this.setState({ error: 'Please select a winner' })
+    const unresulted = selectedEvent.markets.filter(market => results[market.id] !== OUTCOMES.VOID &&
+      Object.values(results[market.id]).every(outcome => outcome === OUTCOMES.LOST))
+    if (unresulted.length > 0) {
+      this.setState({ error: `Please select a result for ${unresulted.map(market => market.name).join(', ')}` })
+      return
+    }
+
+    if (resettle && !confirm('Re-settling adjusts wallets of every bet whose return changes. Continue?')) {
       return
     }
 
     try {
-      const res = await fetch(`/api/admin/events/${selectedEvent._id}/settle`, {
+      const res = await fetch(`/api/admin/events/${selectedEvent._id}/${resettle ? 'resettle' : 'settle'}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ winner })
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ results })
       })
 
       const data = await res.json()
 
       if (res.ok) {
         this.setState({
-          success: 'Event settled successfully!',
+          success: resettle
+            ? `Event re-settled - ${data.corrected} bet(s) corrected`
+            : 'Event settled successfully!',
           settleModal: false,
           selectedEvent: null,
-          winner: ''
+          results: {}
         })
         await this.loadData()
       } else {
@@ -134,6 +327,112 @@ export default class extends Page {
     }
   }
 
+  async changeStatus(event, status) {
+    let reason = null
+    if (status === STATES.CANCELLED) {
+      reason = prompt(`Cancel ${event.name}? Every bet on it will be void. Reason:`)
+      if (reason === null) {
+        return
+      }
+    }
+
+    try {
+      const res = await fetch(`/api/admin/events/${event._id}/status`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ status, reason })
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({
+          success: data.settlement
+            ? `${event.name} cancelled - ${data.settlement.voided} bet(s) voided`
+            : data.message
+        })
+        await this.loadData()
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  // Switch automatic odds on or off, keeping the rest of the trading config
+  async toggleTrading(event) {
+    const enabled = !(event.trading && event.trading.enabled)
+    try {
+      const res = await fetch(`/api/admin/events/${event._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ trading: { ...event.trading, enabled } })
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: `Automatic odds ${enabled ? 'on' : 'off'} for ${event.name}` })
+        await this.loadData()
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  async rebalance(event) {
+    try {
+      const res = await fetch(`/api/admin/events/${event._id}/rebalance`, {
+        method: 'POST',
+        headers: { 'x-csrf-token': await NextAuth.csrfToken() }
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: `${event.name}: ${data.message}` })
+        await this.loadData()
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  // Pushed straight to everyone watching the event
+  async updateScore(event) {
+    const current = event.score ? `${event.score.home}-${event.score.away}` : '0-0'
+    const entered = prompt(`Score for ${event.name} (home-away):`, current)
+    if (entered === null) {
+      return
+    }
+
+    const [home, away] = entered.split('-').map(part => part.trim())
+
+    try {
+      const res = await fetch(`/api/admin/events/${event._id}/score`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ home, away })
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: `${event.name}: ${data.message}` })
+        await this.loadData()
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
   async deleteEvent(eventId) {
     if (!confirm('Are you sure you want to delete this event?')) {
       return
@@ -141,7 +440,8 @@ export default class extends Page {
 
     try {
       const res = await fetch(`/api/admin/events/${eventId}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: { 'x-csrf-token': await NextAuth.csrfToken() }
       })
 
       const data = await res.json()
@@ -164,7 +464,7 @@ export default class extends Page {
 
   render() {
     const { session } = this.props
-    const { events, modal, settleModal, selectedEvent, newEvent, winner, loading, error, success } = this.state
+    const { events, leagues, modal, settleModal, resettle, selectedEvent, newEvent, newMarketType, results, loading, error, success } = this.state
 
     if (loading) {
       return (
@@ -219,8 +519,7 @@ export default class extends Page {
               <tr>
                 <th>Event</th>
                 <th>Sport</th>
-                <th>Teams</th>
-                <th>Odds</th>
+                <th>Markets</th>
                 <th>Start Time</th>
                 <th>Status</th>
                 <th>Actions</th>
@@ -229,41 +528,130 @@ export default class extends Page {
             <tbody>
               {events.map(event => (
                 <tr key={event._id}>
-                  <td><strong>{event.name}</strong></td>
-                  <td>{event.sport}</td>
                   <td>
-                    {event.team1} vs {event.team2}
+                    <strong>{event.name}</strong>
+                    {event.trading && event.trading.enabled && (
+                      <span className="badge badge-info ml-2">Auto odds</span>
+                    )}
                   </td>
                   <td>
-                    {event.odds1} / {event.odds2}
-                    {event.drawOdds && ` / ${event.drawOdds}`}
+                    {event.sport}
+                    {event.leagueId && leagues.find(league => league._id === event.leagueId) && (
+                      <div><small className="text-muted">{leagues.find(league => league._id === event.leagueId).name}</small></div>
+                    )}
+                  </td>
+                  <td>
+                    {event.markets.map(market => (
+                      <div key={market.id}>
+                        <small>
+                          <strong>{market.name}:</strong>{' '}
+                          {market.selections.map(selection => (
+                            <span key={selection.id} className={`mr-2 ${selection.result === OUTCOMES.WON ? 'text-success font-weight-bold' : ''}`}>
+                              {selection.name} {selection.price.toFixed(2)}
+                              {selection.result && selection.result !== OUTCOMES.WON && selection.result !== OUTCOMES.LOST && (
+                                <em> ({OUTCOME_LABELS[selection.result]})</em>
+                              )}
+                            </span>
+                          ))}
+                        </small>
+                      </div>
+                    ))}
                   </td>
                   <td>{this.formatDate(event.startTime)}</td>
                   <td>
-                    <span className={`badge badge-${event.status === 'upcoming' ? 'primary' : event.status === 'live' ? 'success' : 'secondary'}`}>
+                    <span className={`badge badge-${STATUS_COLORS[event.status] || 'secondary'}`}>
                       {event.status}
                     </span>
-                    {event.winner && <div><small>Winner: {event.winner}</small></div>}
+                    {event.score && (
+                      <div><strong>{event.score.home} - {event.score.away}</strong></div>
+                    )}
                   </td>
                   <td>
-                    {event.status !== 'finished' && (
-                      <>
+                    {createEventStateMachine(event.status).getAllowedTransitions()
+                      .filter(status => STATUS_ACTIONS[status])
+                      .map(status => (
                         <Button
-                          color="success"
+                          key={status}
+                          color={STATUS_ACTIONS[status].color}
                           size="sm"
-                          className="mr-2"
-                          onClick={() => this.toggleSettleModal(event)}
+                          outline
+                          className="mr-2 mb-1"
+                          onClick={() => this.changeStatus(event, status)}
                         >
-                          Settle
+                          {STATUS_ACTIONS[status].label}
                         </Button>
-                        <Button
-                          color="danger"
-                          size="sm"
-                          onClick={() => this.deleteEvent(event._id)}
-                        >
-                          Delete
-                        </Button>
-                      </>
+                      ))}
+                    {[STATES.LIVE, STATES.FINISHED].includes(event.status) && (
+                      <Button
+                        color="success"
+                        size="sm"
+                        outline
+                        className="mr-2 mb-1"
+                        onClick={() => this.updateScore(event)}
+                      >
+                        Score
+                      </Button>
+                    )}
+                    {createEventStateMachine(event.status).canSettle() && (
+                      <Button
+                        color="success"
+                        size="sm"
+                        className="mr-2 mb-1"
+                        onClick={() => this.toggleSettleModal(event)}
+                      >
+                        Settle
+                      </Button>
+                    )}
+                    {createEventStateMachine(event.status).canTransitionTo(STATES.CANCELLED) && (
+                      <Button
+                        color="danger"
+                        size="sm"
+                        outline
+                        className="mr-2 mb-1"
+                        onClick={() => this.changeStatus(event, STATES.CANCELLED)}
+                      >
+                        Cancel
+                      </Button>
+                    )}
+                    {[STATES.SCHEDULED, STATES.OPEN, STATES.POSTPONED].includes(event.status) && (
+                      <Button
+                        color="danger"
+                        size="sm"
+                        className="mb-1"
+                        onClick={() => this.deleteEvent(event._id)}
+                      >
+                        Delete
+                      </Button>
+                    )}
+                    {createEventStateMachine(event.status).canTrade() && (
+                      <Button
+                        color="info"
+                        size="sm"
+                        outline
+                        className="mr-2 mb-1"
+                        onClick={() => this.toggleTrading(event)}
+                      >
+                        {event.trading && event.trading.enabled ? 'Fix Odds' : 'Auto Odds'}
+                      </Button>
+                    )}
+                    {event.trading && event.trading.enabled && createEventStateMachine(event.status).canTrade() && (
+                      <Button
+                        color="info"
+                        size="sm"
+                        className="mr-2 mb-1"
+                        onClick={() => this.rebalance(event)}
+                      >
+                        Rebalance
+                      </Button>
+                    )}
+                    {event.status === STATES.SETTLED && (
+                      <Button
+                        color="warning"
+                        size="sm"
+                        onClick={() => this.toggleSettleModal(event, true)}
+                      >
+                        Correct Result
+                      </Button>
                     )}
                   </td>
                 </tr>
@@ -289,82 +677,40 @@ export default class extends Page {
                     required
                   />
                 </FormGroup>
+                {leagues.some(league => league.active) && (
+                  <FormGroup>
+                    <Label>League</Label>
+                    <Input
+                      type="select"
+                      value={newEvent.leagueId}
+                      onChange={(e) => {
+                        const league = leagues.find(candidate => candidate._id === e.target.value)
+                        this.handleSportChange(league ? league.sport : newEvent.sport, e.target.value)
+                      }}
+                    >
+                      <option value="">No league</option>
+                      {leagues.filter(league => league.active).map(league => (
+                        <option key={league._id} value={league._id}>{league.sport} - {league.name}</option>
+                      ))}
+                    </Input>
+                  </FormGroup>
+                )}
                 <FormGroup>
                   <Label>Sport</Label>
                   <Input
                     type="select"
                     value={newEvent.sport}
-                    onChange={(e) => this.handleInputChange('sport', e.target.value)}
+                    disabled={!!newEvent.leagueId}
+                    onChange={(e) => this.handleSportChange(e.target.value)}
                   >
-                    <option>Football</option>
-                    <option>Basketball</option>
-                    <option>Baseball</option>
-                    <option>Hockey</option>
-                    <option>Soccer</option>
-                    <option>Tennis</option>
-                    <option>MMA</option>
-                    <option>Boxing</option>
+                    {(SPORTS.includes(newEvent.sport) ? SPORTS : [...SPORTS, newEvent.sport]).map(sport => (
+                      <option key={sport}>{sport}</option>
+                    ))}
                   </Input>
                 </FormGroup>
                 <Row>
-                  <Col md="6">
-                    <FormGroup>
-                      <Label>Team 1</Label>
-                      <Input
-                        type="text"
-                        value={newEvent.team1}
-                        onChange={(e) => this.handleInputChange('team1', e.target.value)}
-                        required
-                      />
-                    </FormGroup>
-                  </Col>
-                  <Col md="6">
-                    <FormGroup>
-                      <Label>Team 1 Odds</Label>
-                      <Input
-                        type="number"
-                        step="0.01"
-                        value={newEvent.odds1}
-                        onChange={(e) => this.handleInputChange('odds1', parseFloat(e.target.value))}
-                        required
-                      />
-                    </FormGroup>
-                  </Col>
+                  {['home', 'away'].map(side => this.renderTeamField(side))}
                 </Row>
-                <Row>
-                  <Col md="6">
-                    <FormGroup>
-                      <Label>Team 2</Label>
-                      <Input
-                        type="text"
-                        value={newEvent.team2}
-                        onChange={(e) => this.handleInputChange('team2', e.target.value)}
-                        required
-                      />
-                    </FormGroup>
-                  </Col>
-                  <Col md="6">
-                    <FormGroup>
-                      <Label>Team 2 Odds</Label>
-                      <Input
-                        type="number"
-                        step="0.01"
-                        value={newEvent.odds2}
-                        onChange={(e) => this.handleInputChange('odds2', parseFloat(e.target.value))}
-                        required
-                      />
-                    </FormGroup>
-                  </Col>
-                </Row>
-                <FormGroup>
-                  <Label>Draw Odds (optional)</Label>
-                  <Input
-                    type="number"
-                    step="0.01"
-                    value={newEvent.drawOdds}
-                    onChange={(e) => this.handleInputChange('drawOdds', parseFloat(e.target.value))}
-                  />
-                </FormGroup>
                 <FormGroup>
                   <Label>Start Time</Label>
                   <Input
@@ -374,6 +720,138 @@ export default class extends Page {
                     required
                   />
                 </FormGroup>
+                <FormGroup check>
+                  <Label check>
+                    <Input
+                      type="checkbox"
+                      checked={newEvent.status === STATES.OPEN}
+                      onChange={(e) => this.handleInputChange('status', e.target.checked ? STATES.OPEN : STATES.SCHEDULED)}
+                    />{' '}
+                    Open for betting now (otherwise scheduled until opened)
+                  </Label>
+                </FormGroup>
+                {newEvent.status === STATES.SCHEDULED && (
+                  <FormGroup className="mt-2">
+                    <Label>Opens At (optional)</Label>
+                    <Input
+                      type="datetime-local"
+                      value={newEvent.opensAt || ''}
+                      onChange={(e) => this.handleInputChange('opensAt', e.target.value)}
+                    />
+                    <small className="text-muted">Leave empty to open it by hand.</small>
+                  </FormGroup>
+                )}
+                <small className="text-muted d-block mt-2">
+                  Betting closes shortly before the start time and the event goes live at it.
+                </small>
+                <FormGroup check className="mt-3">
+                  <Label check>
+                    <Input
+                      type="checkbox"
+                      checked={newEvent.trading.enabled}
+                      onChange={(e) => this.handleInputChange('trading', { ...newEvent.trading, enabled: e.target.checked })}
+                    />{' '}
+                    Move odds automatically as money comes in
+                  </Label>
+                </FormGroup>
+                {newEvent.trading.enabled && (
+                  <Row className="mt-2">
+                    {[['overround', 'Overround', '1.05'], ['minPrice', 'Min Price', '1.01'], ['maxPrice', 'Max Price', '50']].map(([field, label, placeholder]) => (
+                      <Col md="4" key={field}>
+                        <FormGroup>
+                          <Label>{label}</Label>
+                          <Input
+                            type="number"
+                            step="0.01"
+                            placeholder={placeholder}
+                            value={newEvent.trading[field]}
+                            onChange={(e) => this.handleInputChange('trading', { ...newEvent.trading, [field]: e.target.value })}
+                          />
+                        </FormGroup>
+                      </Col>
+                    ))}
+                  </Row>
+                )}
+                <h5 className="mt-4">Markets</h5>
+                {newEvent.markets.map((market, marketIndex) => (
+                  <Card key={marketIndex} className="mb-3">
+                    <CardBody>
+                      <Row className="mb-2">
+                        <Col>
+                          <strong>{MARKET_DEFINITIONS[market.type].name}</strong>
+                        </Col>
+                        {MARKET_DEFINITIONS[market.type].requiresLine && (
+                          <Col md="4">
+                            <Input
+                              type="number"
+                              step="0.25"
+                              placeholder="Line (e.g. 2.5)"
+                              value={market.line}
+                              onChange={(e) => this.handleMarketChange(marketIndex, 'line', e.target.value)}
+                              required
+                            />
+                          </Col>
+                        )}
+                        <Col md="auto">
+                          <Button color="link" size="sm" className="text-danger" onClick={() => this.removeMarket(marketIndex)}>
+                            Remove
+                          </Button>
+                        </Col>
+                      </Row>
+                      {market.selections.map((selection, selectionIndex) => (
+                        <Row key={selectionIndex} className="mb-2">
+                          <Col md="3"><small className="text-muted">{selection.type}</small></Col>
+                          <Col md="5">
+                            <Input
+                              type="text"
+                              bsSize="sm"
+                              placeholder={selection.type === 'player' ? 'Player name' : 'Name (optional)'}
+                              value={selection.name}
+                              onChange={(e) => this.handleSelectionChange(marketIndex, selectionIndex, 'name', e.target.value)}
+                              required={selection.type === 'player'}
+                            />
+                          </Col>
+                          <Col md="3">
+                            <Input
+                              type="number"
+                              step="0.01"
+                              bsSize="sm"
+                              value={selection.price}
+                              onChange={(e) => this.handleSelectionChange(marketIndex, selectionIndex, 'price', parseFloat(e.target.value))}
+                              required
+                            />
+                          </Col>
+                          <Col md="1">
+                            {selection.type === 'player' && (
+                              <Button close onClick={() => this.removeSelection(marketIndex, selectionIndex)}/>
+                            )}
+                          </Col>
+                        </Row>
+                      ))}
+                      {market.type === MARKET_TYPES.FIRST_SCORER && (
+                        <Button color="secondary" size="sm" outline onClick={() => this.addPlayer(marketIndex)}>
+                          Add Player
+                        </Button>
+                      )}
+                    </CardBody>
+                  </Card>
+                ))}
+                <Row>
+                  <Col md="6">
+                    <Input
+                      type="select"
+                      value={newMarketType}
+                      onChange={(e) => this.setState({ newMarketType: e.target.value })}
+                    >
+                      {Object.values(MARKET_TYPES).map(type => (
+                        <option key={type} value={type}>{MARKET_DEFINITIONS[type].name}</option>
+                      ))}
+                    </Input>
+                  </Col>
+                  <Col md="auto">
+                    <Button color="secondary" outline onClick={() => this.addMarket()}>Add Market</Button>
+                  </Col>
+                </Row>
               </ModalBody>
               <ModalFooter>
                 <Button color="secondary" onClick={() => this.toggleModal()}>Cancel</Button>
@@ -384,58 +862,61 @@ export default class extends Page {
 
           {/* Settle Event Modal */}
           <Modal isOpen={settleModal} toggle={() => this.toggleSettleModal()}>
-            <ModalHeader toggle={() => this.toggleSettleModal()}>Settle Event</ModalHeader>
+            <ModalHeader toggle={() => this.toggleSettleModal()}>{resettle ? 'Correct Result' : 'Settle Event'}</ModalHeader>
             <ModalBody>
               {selectedEvent && (
                 <>
                   <h5>{selectedEvent.name}</h5>
-                  <FormGroup tag="fieldset">
-                    <legend>Select Winner:</legend>
-                    <FormGroup check>
-                      <Label check>
-                        <Input
-                          type="radio"
-                          name="winner"
-                          value={selectedEvent.team1}
-                          checked={winner === selectedEvent.team1}
-                          onChange={(e) => this.setState({ winner: e.target.value })}
-                        />{' '}
-                        {selectedEvent.team1}
-                      </Label>
-                    </FormGroup>
-                    <FormGroup check>
-                      <Label check>
-                        <Input
-                          type="radio"
-                          name="winner"
-                          value={selectedEvent.team2}
-                          checked={winner === selectedEvent.team2}
-                          onChange={(e) => this.setState({ winner: e.target.value })}
-                        />{' '}
-                        {selectedEvent.team2}
-                      </Label>
-                    </FormGroup>
-                    {selectedEvent.drawOdds && (
-                      <FormGroup check>
+                  {resettle && (
+                    <Alert color="warning">
+                      Bets are re-settled on the corrected result. Payouts and refunds made on the old
+                      result are taken back from wallets, even if that leaves a negative balance.
+                    </Alert>
+                  )}
+                  {selectedEvent.markets.map(market => (
+                    <FormGroup tag="fieldset" key={market.id}>
+                      <legend>{market.name}</legend>
+                      <FormGroup check className="mb-2">
                         <Label check>
                           <Input
-                            type="radio"
-                            name="winner"
-                            value="Draw"
-                            checked={winner === 'Draw'}
-                            onChange={(e) => this.setState({ winner: e.target.value })}
+                            type="checkbox"
+                            checked={results[market.id] === OUTCOMES.VOID}
+                            onChange={(e) => this.toggleMarketVoid(market, e.target.checked)}
                           />{' '}
-                          Draw
+                          <span className="text-muted">Void market (stakes returned)</span>
                         </Label>
                       </FormGroup>
-                    )}
-                  </FormGroup>
+                      {results[market.id] && results[market.id] !== OUTCOMES.VOID && market.selections.map(selection => (
+                        <FormGroup row key={selection.id}>
+                          <Label sm={6}>{selection.name}</Label>
+                          <Col sm={6}>
+                            <Input
+                              type="select"
+                              bsSize="sm"
+                              value={results[market.id][selection.id]}
+                              onChange={(e) => this.setOutcome(market.id, selection.id, e.target.value)}
+                            >
+                              {Object.values(OUTCOMES).map(outcome => (
+                                <option key={outcome} value={outcome}>{OUTCOME_LABELS[outcome]}</option>
+                              ))}
+                            </Input>
+                          </Col>
+                        </FormGroup>
+                      ))}
+                    </FormGroup>
+                  ))}
+                  <small className="text-muted">
+                    Half won/lost settle quarter-line handicaps. A dead heat splits the stake between
+                    every selection marked as one.
+                  </small>
                 </>
               )}
             </ModalBody>
             <ModalFooter>
               <Button color="secondary" onClick={() => this.toggleSettleModal()}>Cancel</Button>
-              <Button color="success" onClick={() => this.settleEvent()}>Settle Event</Button>
+              <Button color={resettle ? 'warning' : 'success'} onClick={() => this.settleEvent()}>
+                {resettle ? 'Re-settle Event' : 'Settle Event'}
+              </Button>
             </ModalFooter>
           </Modal>
         </Container>
@@ -0,0 +1,375 @@
+import React from 'react'
+import { Container, Row, Col, Card, CardBody, Button, Table, Input, Form, FormGroup, Label, Alert, Badge } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
+import Page from '../components/page'
+import Layout from '../components/layout'
+import { OUTCOMES } from '../lib/settlement'
+
+const STATUS_LABELS = {
+  proposed: 'Waiting',
+  confirmed: 'Confirmed',
+  rejected: 'Rejected',
+  superseded: 'Superseded',
+}
+
+const STATUS_COLORS = {
+  proposed: 'warning',
+  confirmed: 'success',
+  rejected: 'danger',
+  superseded: 'secondary',
+}
+
+export default class extends Page {
+  constructor(props) {
+    super(props)
+    this.state = {
+      feed: null,
+      results: [],
+      events: [],
+      status: 'proposed',
+      // { resultId: { marketId: selectionId | 'void' } } for markets the feed couldn't decide
+      picks: {},
+      link: { eventId: '', externalId: '' },
+      polling: false,
+      loading: true,
+      error: null,
+      success: null
+    }
+  }
+
+  async componentDidMount() {
+    await this.loadData()
+  }
+
+  async loadData(status = this.state.status) {
+    try {
+      const [feedRes, eventsRes] = await Promise.all([
+        fetch(`/api/admin/feed?status=${status}`),
+        fetch('/api/events/all')
+      ])
+      const data = await feedRes.json()
+      const events = await eventsRes.json()
+
+      if (!feedRes.ok) {
+        this.setState({ error: data.error, loading: false })
+        return
+      }
+
+      this.setState({
+        feed: data.feed,
+        results: data.results || [],
+        events: events.events || [],
+        status,
+        loading: false
+      })
+    } catch (error) {
+      this.setState({ error: error.message, loading: false })
+    }
+  }
+
+  async send(url, body) {
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify(body)
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message })
+        await this.loadData()
+        return true
+      }
+      this.setState({ error: data.error })
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+    return false
+  }
+
+  async poll() {
+    this.setState({ polling: true })
+    await this.send('/api/admin/feed/poll', {})
+    this.setState({ polling: false })
+  }
+
+  async confirm(result) {
+    const picks = this.state.picks[result._id] || {}
+    const verb = result.resettle ? 'Re-settle' : 'Settle'
+    if (!confirm(`${verb} ${result.eventName} with ${result.score.home}-${result.score.away}?`)) {
+      return
+    }
+
+    const body = Object.keys(picks).length > 0 ? { results: picks } : {}
+    if (await this.send(`/api/admin/feed/results/${result._id}/confirm`, body)) {
+      const { [result._id]: done, ...rest } = this.state.picks
+      this.setState({ picks: rest })
+    }
+  }
+
+  async reject(result) {
+    const reason = prompt(`Why reject the feed's result for ${result.eventName}?`)
+    if (reason === null) {
+      return
+    }
+    await this.send(`/api/admin/feed/results/${result._id}/reject`, { reason })
+  }
+
+  async linkEvent() {
+    if (await this.send('/api/admin/feed/links', this.state.link)) {
+      this.setState({ link: { eventId: '', externalId: '' } })
+    }
+  }
+
+  pick(result, marketId, value) {
+    const picks = { ...(this.state.picks[result._id] || {}), [marketId]: value }
+    if (!value) {
+      delete picks[marketId]
+    }
+    this.setState({ picks: { ...this.state.picks, [result._id]: picks } })
+  }
+
+  // Winning selections of each market the feed decided, by name
+  describeResults(result, event) {
+    if (!event) {
+      return null
+    }
+
+    return event.markets
+      .filter(market => result.results[market.id] !== undefined)
+      .map(market => {
+        const outcome = result.results[market.id]
+        const winners = outcome === OUTCOMES.VOID
+          ? 'Void'
+          : market.selections
+            .filter(selection => outcome[selection.id] && outcome[selection.id] !== OUTCOMES.LOST)
+            .map(selection => outcome[selection.id] === OUTCOMES.WON ? selection.name : `${selection.name} (${outcome[selection.id].replace('_', ' ')})`)
+            .join(', ') || 'No winner'
+        return <div key={market.id}><small><strong>{market.name}:</strong> {winners}</small></div>
+      })
+  }
+
+  renderMissing(result, event) {
+    if (!event || result.status !== 'proposed') {
+      return null
+    }
+
+    const picks = this.state.picks[result._id] || {}
+    return result.missingMarkets.map(missing => {
+      const market = event.markets.find(m => m.id === missing.id)
+      if (!market) {
+        return null
+      }
+      return (
+        <FormGroup key={market.id} className="mb-1">
+          <Label className="mb-0"><small>{market.name}</small></Label>
+          <Input type="select" bsSize="sm" value={picks[market.id] || ''} onChange={(e) => this.pick(result, market.id, e.target.value)}>
+            <option value="">Choose winner...</option>
+            {market.selections.map(selection => (
+              <option key={selection.id} value={selection.id}>{selection.name}</option>
+            ))}
+            <option value={OUTCOMES.VOID}>Void market</option>
+          </Input>
+        </FormGroup>
+      )
+    })
+  }
+
+  renderFeed() {
+    const { feed, polling } = this.state
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <Row>
+            <Col md="8">
+              <h4>Feed</h4>
+              {feed.provider ? (
+                <p className="mb-0">
+                  <strong>{feed.provider}</strong>
+                  {feed.running ? `, polled every ${feed.pollSeconds}s` : ', polled on request'}
+                  {'. '}
+                  {feed.settlement === 'auto'
+                    ? 'Complete results settle events straight away; corrections wait here.'
+                    : 'Every result waits here for confirmation.'}
+                </p>
+              ) : (
+                <p className="text-muted mb-0">No feed is configured (set FEED_PROVIDER). Results are entered on Manage Events.</p>
+              )}
+              {feed.lastPoll && (
+                <small className={feed.lastPoll.error ? 'text-danger' : 'text-muted'}>
+                  Last poll {new Date(feed.lastPoll.at).toLocaleString()}
+                  {feed.lastPoll.error
+                    ? `: ${feed.lastPoll.error}`
+                    : `: ${feed.lastPoll.summary.errors.length} message(s) failed`}
+                </small>
+              )}
+            </Col>
+            <Col md="4" className="text-md-right">
+              <Button color="primary" disabled={!feed.provider || polling} onClick={() => this.poll()}>
+                {polling ? 'Polling...' : 'Poll Feed Now'}
+              </Button>
+            </Col>
+          </Row>
+          {feed.lastPoll && feed.lastPoll.summary && feed.lastPoll.summary.errors.length > 0 && (
+            <ul className="mt-2 mb-0">
+              {feed.lastPoll.summary.errors.map((error, i) => (
+                <li key={i}><small>{error.type} {error.externalId}: {error.error}</small></li>
+              ))}
+            </ul>
+          )}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  renderLink() {
+    const { link, events } = this.state
+    const set = (field) => (e) => this.setState({ link: { ...link, [field]: e.target.value } })
+    const linkable = events.filter(event => !['settled', 'cancelled'].includes(event.status))
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>Link an Event</h4>
+          <p className="text-muted">
+            Fixtures the feed sends become new events. To have the feed report on an event you created yourself,
+            link it to the fixture's ID in the feed.
+          </p>
+          <Form inline onSubmit={(e) => { e.preventDefault(); this.linkEvent() }}>
+            <Input type="select" className="mr-2 mb-2" value={link.eventId} onChange={set('eventId')} required>
+              <option value="">Choose event...</option>
+              {linkable.map(event => (
+                <option key={event._id} value={event._id}>{event.name}</option>
+              ))}
+            </Input>
+            <Input className="mr-2 mb-2" placeholder="Feed fixture ID" value={link.externalId} onChange={set('externalId')} required />
+            <Button color="secondary" className="mb-2" type="submit">Link</Button>
+          </Form>
+        </CardBody>
+      </Card>
+    )
+  }
+
+  render() {
+    const { session } = this.props
+    const { results, events, status, loading, error, success } = this.state
+
+    if (loading) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <h1 className="display-4 mt-4">Loading...</h1>
+          </Container>
+        </Layout>
+      )
+    }
+
+    if (!session.user || !session.user.admin || !this.state.feed) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <Alert color="danger" className="mt-4">
+              Unauthorized. Admin access required.
+            </Alert>
+          </Container>
+        </Layout>
+      )
+    }
+
+    return (
+      <Layout {...this.props} navmenu={true}>
+        <Container className="mt-4 mb-5">
+          <h1 className="display-4 mb-4">Results Feed</h1>
+
+          {success && (
+            <Alert color="success" toggle={() => this.setState({ success: null })}>
+              {success}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert color="danger" toggle={() => this.setState({ error: null })}>
+              {error}
+            </Alert>
+          )}
+
+          {this.renderFeed()}
+          {this.renderLink()}
+
+          <Row className="mb-3">
+            <Col md="8"><h4>Results</h4></Col>
+            <Col md="4">
+              <Input type="select" value={status} onChange={(e) => this.loadData(e.target.value)}>
+                {Object.keys(STATUS_LABELS).map(value => (
+                  <option key={value} value={value}>{STATUS_LABELS[value]}</option>
+                ))}
+              </Input>
+            </Col>
+          </Row>
+
+          <Table responsive striped>
+            <thead>
+              <tr>
+                <th>Event</th>
+                <th>Score</th>
+                <th>Results</th>
+                <th>Received</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => {
+                const event = events.find(e => e._id === result.eventId)
+                return (
+                  <tr key={result._id}>
+                    <td>
+                      {result.eventName}
+                      <br />
+                      <small className="text-muted">{result.provider} {result.externalId}</small>
+                      {result.resettle && <div><Badge color="warning">Correction</Badge></div>}
+                    </td>
+                    <td>
+                      <strong>{result.score.home} - {result.score.away}</strong>
+                      {result.score.firstScorer && <div><small>First: {result.score.firstScorer}</small></div>}
+                    </td>
+                    <td>
+                      {this.describeResults(result, event)}
+                      {this.renderMissing(result, event)}
+                      {result.error && <div><small className="text-danger">{result.error}</small></div>}
+                      {result.reason && <div><small className="text-muted">Reason: {result.reason}</small></div>}
+                    </td>
+                    <td><small>{new Date(result.receivedAt).toLocaleString()}</small></td>
+                    <td>
+                      <Badge color={STATUS_COLORS[result.status]}>{STATUS_LABELS[result.status]}</Badge>
+                      {result.decidedBy && <div><small className="text-muted">{result.decidedBy}</small></div>}
+                    </td>
+                    <td>
+                      {result.status === 'proposed' && (
+                        <React.Fragment>
+                          <Button color="success" size="sm" className="mr-2 mb-1" onClick={() => this.confirm(result)}>
+                            {result.resettle ? 'Re-settle' : 'Settle'}
+                          </Button>
+                          <Button color="danger" size="sm" outline className="mb-1" onClick={() => this.reject(result)}>
+                            Reject
+                          </Button>
+                        </React.Fragment>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </Table>
+
+          {results.length === 0 && (
+            <Alert color="info">No {STATUS_LABELS[status].toLowerCase()} results.</Alert>
+          )}
+        </Container>
+      </Layout>
+    )
+  }
+}
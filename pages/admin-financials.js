@@ -1,13 +1,27 @@
 import React from 'react'
-import { Container, Row, Col, Card, CardBody, Alert, Badge, Progress } from 'reactstrap'
+import { Container, Row, Col, Card, CardBody, Alert, Badge, Progress, Form, Input, Button, Nav, NavItem, NavLink } from 'reactstrap'
 import Page from '../components/page'
 import Layout from '../components/layout'
+import Chart from '../components/chart'
+
+const BREAKDOWNS = {
+  sports: 'Sport',
+  markets: 'Market',
+  events: 'Event',
+}
+
+const money = value => `$${value.toFixed(2)}`
 
 export default class extends Page {
   constructor(props) {
     super(props)
     this.state = {
       stats: null,
+      liability: null,
+      analytics: null,
+      range: { from: '', to: '', interval: 'day' },
+      breakdown: 'sports',
+      analyticsError: null,
       loading: true,
       error: null
     }
@@ -15,6 +29,7 @@ export default class extends Page {
 
   async componentDidMount() {
     await this.loadStats()
+    await this.loadAnalytics()
     // Refresh every 10 seconds
     this.interval = setInterval(() => this.loadStats(), 10000)
   }
@@ -25,14 +40,51 @@ export default class extends Page {
 
   async loadStats() {
     try {
-      const res = await fetch('/api/admin/house/stats')
-      const data = await res.json()
-      this.setState({ stats: data, loading: false })
+      const [statsRes, liabilityRes] = await Promise.all([
+        fetch('/api/admin/house/stats'),
+        fetch('/api/admin/house/liability')
+      ])
+      const data = await statsRes.json()
+      const liability = liabilityRes.ok ? await liabilityRes.json() : null
+      this.setState({ stats: data, liability, loading: false })
     } catch (error) {
       this.setState({ error: error.message, loading: false })
     }
   }
 
+  analyticsQuery(extra = {}) {
+    const params = { ...this.state.range, ...extra }
+    return Object.keys(params)
+      .filter(key => params[key])
+      .map(key => `${key}=${encodeURIComponent(params[key])}`)
+      .join('&')
+  }
+
+  // Reports cover a date range, so they load on request rather than on every refresh
+  async loadAnalytics() {
+    try {
+      const res = await fetch(`/api/admin/analytics?${this.analyticsQuery()}`)
+      const data = await res.json()
+
+      if (!res.ok) {
+        this.setState({ analyticsError: data.error })
+        return
+      }
+
+      this.setState({
+        analytics: data,
+        range: { ...this.state.range, from: data.from.slice(0, 10), to: data.to.slice(0, 10) },
+        analyticsError: null
+      })
+    } catch (error) {
+      this.setState({ analyticsError: error.message })
+    }
+  }
+
+  csvLink(table) {
+    return `/api/admin/analytics?${this.analyticsQuery({ format: 'csv', table })}`
+  }
+
   getHealthStatus(balance) {
     if (balance > 1000) return { color: 'success', text: 'EXCELLENT', width: 100 }
     if (balance > 500) return { color: 'success', text: 'HEALTHY', width: 75 }
@@ -41,6 +93,279 @@ export default class extends Page {
     return { color: 'danger', text: 'CRITICAL', width: 10 }
   }
 
+  // How much of a cap a position has used, for the progress bars
+  getUsage(amount, cap) {
+    const percent = cap > 0 ? Math.max(0, Math.min(100, Math.round((amount / cap) * 100))) : 0
+    const color = percent >= 90 ? 'danger' : percent >= 60 ? 'warning' : 'success'
+    return { percent, color }
+  }
+
+  renderLiability() {
+    const { liability } = this.state
+    if (!liability) return null
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4 className="mb-1">Liability</h4>
+          <p className="text-muted">
+            What the house pays out if each selection wins, less the stakes it keeps from the rest of the market.
+            Worst case across all open events: <strong>${liability.totalWorstCase.toFixed(2)}</strong>
+          </p>
+
+          {liability.events.length === 0 && (
+            <p className="text-muted mb-0">No open events.</p>
+          )}
+
+          {liability.events.map(event => {
+            const eventUsage = this.getUsage(event.worstCase, event.caps.event)
+            return (
+              <div key={event.eventId} className="mb-4">
+                <Row className="align-items-center mb-2">
+                  <Col md="6">
+                    <h5 className="mb-0">
+                      {event.eventName} <Badge color="secondary">{event.status}</Badge>
+                    </h5>
+                  </Col>
+                  <Col md="6">
+                    <small className="text-muted">
+                      Worst case ${event.worstCase.toFixed(2)} of ${event.caps.event.toFixed(2)} event cap
+                    </small>
+                    <Progress value={eventUsage.percent} color={eventUsage.color}>
+                      {eventUsage.percent}%
+                    </Progress>
+                  </Col>
+                </Row>
+                <table className="table table-sm">
+                  <thead>
+                    <tr>
+                      <th>Market</th>
+                      <th>Selection</th>
+                      <th className="text-right">Odds</th>
+                      <th className="text-right">Staked</th>
+                      <th className="text-right">Pays If Wins</th>
+                      <th className="text-right">Net</th>
+                      <th style={{width: '20%'}}>Selection Cap (${event.caps.selection.toFixed(2)})</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {event.markets.map(market => market.selections.map((selection, index) => {
+                      const usage = this.getUsage(selection.liability, event.caps.selection)
+                      return (
+                        <tr key={`${market.marketId}-${selection.selectionId}`}>
+                          <td>{index === 0 ? market.name : ''}</td>
+                          <td>{selection.name}</td>
+                          <td className="text-right">{selection.price.toFixed(2)}</td>
+                          <td className="text-right">${selection.stakes.toFixed(2)}</td>
+                          <td className="text-right">${selection.payouts.toFixed(2)}</td>
+                          <td className={`text-right ${selection.liability > 0 ? 'text-danger' : 'text-success'}`}>
+                            {selection.liability > 0 ? '-' : '+'}${Math.abs(selection.liability).toFixed(2)}
+                          </td>
+                          <td>
+                            <Progress value={usage.percent} color={usage.color}>{usage.percent}%</Progress>
+                          </td>
+                        </tr>
+                      )
+                    }))}
+                  </tbody>
+                </table>
+              </div>
+            )
+          })}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  renderAnalytics() {
+    const { analytics, range, breakdown, analyticsError } = this.state
+    const setRange = (field) => (e) => this.setState({ range: { ...range, [field]: e.target.value } })
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4 className="mb-1">Betting Analytics</h4>
+          <p className="text-muted">
+            Turnover counts stakes when bets are placed. Gross gaming revenue (GGR) is stakes less payouts,
+            cash-outs and refunds on bets settled in the range; margin is GGR as a share of those stakes.
+          </p>
+
+          <Form inline className="mb-3" onSubmit={(e) => { e.preventDefault(); this.loadAnalytics() }}>
+            <Input type="date" className="mr-2 mb-2" value={range.from} onChange={setRange('from')} />
+            <span className="mr-2 mb-2">to</span>
+            <Input type="date" className="mr-2 mb-2" value={range.to} onChange={setRange('to')} />
+            <Input type="select" className="mr-2 mb-2" value={range.interval} onChange={setRange('interval')}>
+              <option value="day">Daily</option>
+              <option value="week">Weekly</option>
+              <option value="month">Monthly</option>
+            </Input>
+            <Button color="primary" className="mr-2 mb-2" type="submit">Update</Button>
+            <Button color="secondary" outline className="mb-2" href={this.csvLink('series')}>Export CSV</Button>
+          </Form>
+
+          {analyticsError && <Alert color="danger">{analyticsError}</Alert>}
+
+          {analytics && this.renderReport(analytics, breakdown)}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  renderReport(analytics, breakdown) {
+    const { totals } = analytics
+    const data = analytics.series.map(point => ({
+      ...point,
+      label: analytics.interval === 'month' ? point.period.slice(0, 7) : point.period.slice(5, 10),
+      margin: point.margin || 0
+    }))
+
+    return (
+      <React.Fragment>
+        <Row className="mb-3 text-center">
+          {[
+            ['Turnover', money(totals.turnover)],
+            ['GGR', money(totals.ggr)],
+            ['Margin', totals.margin === null ? '-' : `${totals.margin.toFixed(2)}%`],
+            ['Payouts', money(totals.payouts)],
+            ['Active Bettors', totals.activeBettors],
+            ['Average Stake', money(totals.averageStake)]
+          ].map(([label, value]) => (
+            <Col xs="6" md="2" key={label} className="mb-2">
+              <small className="text-muted d-block">{label}</small>
+              <h5 className={label === 'GGR' ? (totals.ggr >= 0 ? 'text-success' : 'text-danger') : ''}>{value}</h5>
+            </Col>
+          ))}
+        </Row>
+
+        <Row>
+          <Col lg="6" className="mb-4">
+            <h6>Turnover, Payouts and GGR</h6>
+            <Chart
+              data={data}
+              format={value => `$${Math.round(value)}`}
+              series={[
+                { key: 'turnover', name: 'Turnover', color: '#007bff' },
+                { key: 'payouts', name: 'Payouts', color: '#ffc107' },
+                { key: 'ggr', name: 'GGR', color: '#28a745' }
+              ]}
+            />
+          </Col>
+          <Col lg="6" className="mb-4">
+            <h6>Margin</h6>
+            <Chart
+              type="bar"
+              data={data}
+              format={value => `${Math.round(value)}%`}
+              series={[{ key: 'margin', name: 'Margin %', color: '#17a2b8' }]}
+            />
+          </Col>
+          <Col lg="6" className="mb-4">
+            <h6>Active Bettors and Bets</h6>
+            <Chart
+              type="bar"
+              data={data}
+              series={[
+                { key: 'activeBettors', name: 'Active bettors', color: '#6f42c1' },
+                { key: 'bets', name: 'Bets', color: '#adb5bd' }
+              ]}
+            />
+          </Col>
+          <Col lg="6" className="mb-4">
+            <h6>Average Stake</h6>
+            <Chart
+              data={data}
+              format={value => `$${Math.round(value)}`}
+              series={[{ key: 'averageStake', name: 'Average stake', color: '#fd7e14' }]}
+            />
+          </Col>
+        </Row>
+
+        <Nav tabs className="mb-3">
+          {Object.keys(BREAKDOWNS).map(key => (
+            <NavItem key={key}>
+              <NavLink href="#" active={breakdown === key} onClick={(e) => { e.preventDefault(); this.setState({ breakdown: key }) }}>
+                By {BREAKDOWNS[key]}
+              </NavLink>
+            </NavItem>
+          ))}
+        </Nav>
+        {this.renderBreakdown(analytics[breakdown], BREAKDOWNS[breakdown], breakdown)}
+
+        <Row className="mt-4">
+          <Col lg="6">{this.renderPlayers(analytics.winners, 'Top Winners', 'winners')}</Col>
+          <Col lg="6">{this.renderPlayers(analytics.losers, 'Top Losers', 'losers')}</Col>
+        </Row>
+      </React.Fragment>
+    )
+  }
+
+  renderBreakdown(rows, label, table) {
+    return (
+      <React.Fragment>
+        <table className="table table-sm table-striped">
+          <thead>
+            <tr>
+              <th>{label}</th>
+              <th className="text-right">Bets</th>
+              <th className="text-right">Turnover</th>
+              <th className="text-right">Settled Stakes</th>
+              <th className="text-right">Payouts</th>
+              <th className="text-right">GGR</th>
+              <th className="text-right">Margin</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key}>
+                <td>{row.name}</td>
+                <td className="text-right">{row.bets}</td>
+                <td className="text-right">{money(row.turnover)}</td>
+                <td className="text-right">{money(row.settledStakes)}</td>
+                <td className="text-right">{money(row.payouts)}</td>
+                <td className={`text-right ${row.ggr >= 0 ? 'text-success' : 'text-danger'}`}>{money(row.ggr)}</td>
+                <td className="text-right">{row.margin === null ? '-' : `${row.margin.toFixed(2)}%`}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && <p className="text-muted">No bets in this range.</p>}
+        <a href={this.csvLink(table)}><small>Download as CSV</small></a>
+      </React.Fragment>
+    )
+  }
+
+  renderPlayers(players, title, table) {
+    return (
+      <React.Fragment>
+        <h5>{title}</h5>
+        <table className="table table-sm">
+          <thead>
+            <tr>
+              <th>Player</th>
+              <th className="text-right">Bets</th>
+              <th className="text-right">Staked</th>
+              <th className="text-right">Net</th>
+            </tr>
+          </thead>
+          <tbody>
+            {players.map(player => (
+              <tr key={player.userId}>
+                <td>{player.email || player.userId}</td>
+                <td className="text-right">{player.bets}</td>
+                <td className="text-right">{money(player.staked)}</td>
+                <td className={`text-right ${player.net > 0 ? 'text-danger' : 'text-success'}`}>
+                  {player.net > 0 ? '+' : '-'}{money(Math.abs(player.net))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {players.length === 0 && <p className="text-muted">None in this range.</p>}
+        <a href={this.csvLink(table)}><small>Download as CSV</small></a>
+      </React.Fragment>
+    )
+  }
+
   render() {
     const { session } = this.props
     const { stats, loading, error } = this.state
@@ -213,6 +538,12 @@ export default class extends Page {
             </CardBody>
           </Card>
 
+          {/* Turnover, GGR and margin over time */}
+          {this.renderAnalytics()}
+
+          {/* Liability per open event */}
+          {this.renderLiability()}
+
           {/* Financial Breakdown */}
           <Card>
             <CardBody>
@@ -235,6 +566,15 @@ export default class extends Page {
                     <td><strong>- Payouts to Winners</strong></td>
                     <td className="text-right text-warning">-${stats.totalPayouts.toFixed(2)}</td>
                   </tr>
+                  {stats.totalBonusCost > 0 && (
+                    <tr className="table-warning">
+                      <td>
+                        <strong>- Bonus Cost</strong>
+                        <div><small className="text-muted">Converted bonuses, free bet winnings and odds boosts. ${stats.totalBonusStakes.toFixed(2)} staked with bonus funds is not counted in bets received.</small></div>
+                      </td>
+                      <td className="text-right text-warning">-${stats.totalBonusCost.toFixed(2)}</td>
+                    </tr>
+                  )}
                   <tr className="table-active">
                     <td><strong>= Current Balance</strong></td>
                     <td className="text-right"><strong>${stats.balance.toFixed(2)}</strong></td>
@@ -0,0 +1,406 @@
+import React from 'react'
+import { Container, Row, Col, Card, CardBody, Button, Table, Input, Form, FormGroup, Alert, Badge } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
+import Page from '../components/page'
+import Layout from '../components/layout'
+
+const ROW_COLORS = {
+  create: 'success',
+  duplicate: 'secondary',
+  invalid: 'danger',
+}
+
+const ROW_LABELS = {
+  create: 'New',
+  duplicate: 'Already listed',
+  invalid: 'Error',
+}
+
+const CSV_EXAMPLE = 'sport,league,home_team,away_team,start_time,home_price,away_price,draw_price\n' +
+  'Soccer,Premier League,Arsenal,Chelsea,2026-11-01T15:00:00Z,2.10,3.40,3.30'
+
+const EMPTY_LEAGUE = { name: '', sport: '', country: '' }
+const EMPTY_TEAM = { name: '', sport: '', leagueId: '', shortName: '' }
+
+export default class extends Page {
+  constructor(props) {
+    super(props)
+    this.state = {
+      leagues: [],
+      teams: [],
+      importData: '',
+      format: '',
+      preview: null,
+      importing: false,
+      league: EMPTY_LEAGUE,
+      team: EMPTY_TEAM,
+      loading: true,
+      error: null,
+      success: null
+    }
+  }
+
+  async componentDidMount() {
+    await this.loadData()
+  }
+
+  async loadData() {
+    try {
+      const [leaguesRes, teamsRes] = await Promise.all([fetch('/api/leagues'), fetch('/api/teams')])
+      const leaguesData = await leaguesRes.json()
+      const teamsData = await teamsRes.json()
+      this.setState({
+        leagues: leaguesData.leagues || [],
+        teams: teamsData.teams || [],
+        loading: false
+      })
+    } catch (error) {
+      this.setState({ error: error.message, loading: false })
+    }
+  }
+
+  async send(url, method, body) {
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify(body)
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message, error: null })
+        await this.loadData()
+        return data
+      }
+      this.setState({ error: data.error, success: null })
+    } catch (error) {
+      this.setState({ error: error.message, success: null })
+    }
+    return null
+  }
+
+  readFile(e) {
+    const file = e.target.files[0]
+    if (!file) {
+      return
+    }
+
+    const reader = new FileReader()
+    reader.onload = () => this.setState({
+      importData: reader.result,
+      format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+      preview: null
+    })
+    reader.readAsText(file)
+  }
+
+  // A dry run shows what the file would create; importing needs every row valid
+  async runImport(dryRun) {
+    const { importData, format } = this.state
+    this.setState({ importing: true })
+
+    const data = await this.send('/api/admin/events/import', 'POST', { data: importData, format: format || null, dryRun })
+    if (data) {
+      this.setState({ preview: data })
+      if (!dryRun) {
+        this.setState({ importData: '' })
+      }
+    }
+
+    this.setState({ importing: false })
+  }
+
+  async createLeague() {
+    if (await this.send('/api/admin/leagues', 'POST', this.state.league)) {
+      this.setState({ league: EMPTY_LEAGUE })
+    }
+  }
+
+  async renameLeague(league) {
+    const name = prompt('New name for the league:', league.name)
+    if (name && name !== league.name) {
+      await this.send(`/api/admin/leagues/${league._id}`, 'PUT', { name })
+    }
+  }
+
+  async createTeam() {
+    const { team } = this.state
+    if (await this.send('/api/admin/teams', 'POST', { ...team, leagueId: team.leagueId || null })) {
+      this.setState({ team: EMPTY_TEAM })
+    }
+  }
+
+  async renameTeam(team) {
+    const name = prompt('New name for the team (events already created keep the old name):', team.name)
+    if (name && name !== team.name) {
+      await this.send(`/api/admin/teams/${team._id}`, 'PUT', { name })
+    }
+  }
+
+  renderImport() {
+    const { importData, format, preview, importing } = this.state
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>Import Fixtures</h4>
+          <p className="text-muted">
+            Upload or paste a CSV or JSON file of fixtures. Leagues and teams that don't exist yet are created,
+            and fixtures already listed (same teams and start) are skipped. Preview first: the import only runs
+            when every row is valid.
+          </p>
+          <Row>
+            <Col md="8">
+              <FormGroup>
+                <Input type="file" accept=".csv,.json,text/csv,application/json" onChange={(e) => this.readFile(e)} />
+              </FormGroup>
+            </Col>
+            <Col md="4">
+              <FormGroup>
+                <Input type="select" value={format} onChange={(e) => this.setState({ format: e.target.value })}>
+                  <option value="">Detect format</option>
+                  <option value="csv">CSV</option>
+                  <option value="json">JSON</option>
+                </Input>
+              </FormGroup>
+            </Col>
+          </Row>
+          <FormGroup>
+            <Input
+              type="textarea"
+              rows="6"
+              style={{ fontFamily: 'monospace' }}
+              placeholder={CSV_EXAMPLE}
+              value={importData}
+              onChange={(e) => this.setState({ importData: e.target.value, preview: null })}
+            />
+          </FormGroup>
+          <Button color="secondary" className="mr-2" disabled={!importData || importing} onClick={() => this.runImport(true)}>
+            Preview
+          </Button>
+          <Button
+            color="primary"
+            disabled={!preview || !preview.dryRun || preview.summary.invalid > 0 || preview.summary.create === 0 || importing}
+            onClick={() => this.runImport(false)}
+          >
+            Import {preview && preview.dryRun ? preview.summary.create : ''} Fixture(s)
+          </Button>
+
+          {preview && this.renderPreview(preview)}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  renderPreview(preview) {
+    return (
+      <div className="mt-4">
+        {(preview.leagues.length > 0 || preview.teams.length > 0) && (
+          <Alert color="info">
+            {preview.dryRun ? 'Will create' : 'Created'}
+            {preview.leagues.length > 0 && ` leagues: ${preview.leagues.map(league => `${league.name} (${league.sport})`).join(', ')}.`}
+            {preview.teams.length > 0 && ` teams: ${preview.teams.map(team => team.name).join(', ')}.`}
+          </Alert>
+        )}
+        <Table responsive size="sm">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Fixture</th>
+              <th>League</th>
+              <th>Start</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map(row => (
+              <tr key={row.line}>
+                <td>{row.line}</td>
+                <td>
+                  {row.name || <span className="text-muted">-</span>}
+                  {row.sport && <small className="text-muted"> ({row.sport})</small>}
+                </td>
+                <td>{row.league || <span className="text-muted">-</span>}</td>
+                <td><small>{row.startTime ? new Date(row.startTime).toLocaleString() : '-'}</small></td>
+                <td>
+                  <Badge color={ROW_COLORS[row.status]}>{ROW_LABELS[row.status]}</Badge>
+                  {row.errors.map((error, i) => (
+                    <div key={i}><small className="text-danger">{error}</small></div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </div>
+    )
+  }
+
+  renderLeagues() {
+    const { leagues, league } = this.state
+    const set = (field) => (e) => this.setState({ league: { ...league, [field]: e.target.value } })
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>Leagues</h4>
+          <Form inline className="mb-3" onSubmit={(e) => { e.preventDefault(); this.createLeague() }}>
+            <Input className="mr-2 mb-2" placeholder="Name" value={league.name} onChange={set('name')} required />
+            <Input className="mr-2 mb-2" placeholder="Sport" value={league.sport} onChange={set('sport')} required />
+            <Input className="mr-2 mb-2" placeholder="Country (optional)" value={league.country} onChange={set('country')} />
+            <Button color="primary" className="mb-2" type="submit">Add League</Button>
+          </Form>
+          <Table responsive striped size="sm">
+            <thead>
+              <tr>
+                <th>Sport</th>
+                <th>League</th>
+                <th>Country</th>
+                <th>Teams</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leagues.map(item => (
+                <tr key={item._id}>
+                  <td>{item.sport}</td>
+                  <td>
+                    {item.name}
+                    {!item.active && <Badge color="secondary" className="ml-2">inactive</Badge>}
+                  </td>
+                  <td>{item.country || '-'}</td>
+                  <td>{this.state.teams.filter(team => team.leagueId === item._id).length}</td>
+                  <td>
+                    <Button color="secondary" size="sm" outline className="mr-2" onClick={() => this.renameLeague(item)}>
+                      Rename
+                    </Button>
+                    <Button
+                      color={item.active ? 'warning' : 'success'}
+                      size="sm"
+                      onClick={() => this.send(`/api/admin/leagues/${item._id}`, 'PUT', { active: !item.active })}
+                    >
+                      {item.active ? 'Deactivate' : 'Activate'}
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {leagues.length === 0 && <Alert color="info">No leagues yet.</Alert>}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  renderTeams() {
+    const { teams, leagues, team } = this.state
+    const set = (field) => (e) => this.setState({ team: { ...team, [field]: e.target.value } })
+    const leagueName = (id) => {
+      const league = leagues.find(item => item._id === id)
+      return league ? league.name : '-'
+    }
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>Teams</h4>
+          <Form inline className="mb-3" onSubmit={(e) => { e.preventDefault(); this.createTeam() }}>
+            <Input className="mr-2 mb-2" placeholder="Name" value={team.name} onChange={set('name')} required />
+            <Input type="select" className="mr-2 mb-2" value={team.leagueId} onChange={set('leagueId')}>
+              <option value="">No league</option>
+              {leagues.map(league => (
+                <option key={league._id} value={league._id}>{league.sport} - {league.name}</option>
+              ))}
+            </Input>
+            {!team.leagueId && (
+              <Input className="mr-2 mb-2" placeholder="Sport" value={team.sport} onChange={set('sport')} required />
+            )}
+            <Input className="mr-2 mb-2" placeholder="Short name (optional)" value={team.shortName} onChange={set('shortName')} />
+            <Button color="primary" className="mb-2" type="submit">Add Team</Button>
+          </Form>
+          <Table responsive striped size="sm">
+            <thead>
+              <tr>
+                <th>Sport</th>
+                <th>Team</th>
+                <th>League</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {teams.map(item => (
+                <tr key={item._id}>
+                  <td>{item.sport}</td>
+                  <td>
+                    {item.name}
+                    {item.shortName && <small className="text-muted"> ({item.shortName})</small>}
+                  </td>
+                  <td>{leagueName(item.leagueId)}</td>
+                  <td>
+                    <Button color="secondary" size="sm" outline onClick={() => this.renameTeam(item)}>
+                      Rename
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {teams.length === 0 && <Alert color="info">No teams yet.</Alert>}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  render() {
+    const { session } = this.props
+    const { loading, error, success } = this.state
+
+    if (loading) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <h1 className="display-4 mt-4">Loading...</h1>
+          </Container>
+        </Layout>
+      )
+    }
+
+    if (!session.user || !session.user.admin) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <Alert color="danger" className="mt-4">
+              Unauthorized. Admin access required.
+            </Alert>
+          </Container>
+        </Layout>
+      )
+    }
+
+    return (
+      <Layout {...this.props} navmenu={true}>
+        <Container className="mt-4 mb-5">
+          <h1 className="display-4 mb-4">Fixtures</h1>
+
+          {success && (
+            <Alert color="success" toggle={() => this.setState({ success: null })}>
+              {success}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert color="danger" toggle={() => this.setState({ error: null })}>
+              {error}
+            </Alert>
+          )}
+
+          {this.renderImport()}
+          {this.renderLeagues()}
+          {this.renderTeams()}
+        </Container>
+      </Layout>
+    )
+  }
+}
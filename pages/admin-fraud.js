@@ -0,0 +1,411 @@
+import React from 'react'
+import { Container, Row, Col, Button, Table, Input, Alert, Badge, Card, CardHeader, CardBody } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
+import Page from '../components/page'
+import Layout from '../components/layout'
+
+const STATUS_COLORS = {
+  open: 'warning',
+  cleared: 'success',
+  restricted: 'danger',
+}
+
+export default class extends Page {
+  constructor(props) {
+    super(props)
+    this.state = {
+      flags: [],
+      rules: [],
+      flagScore: null,
+      status: 'open',
+      account: null,
+      loading: true,
+      error: null,
+      success: null
+    }
+  }
+
+  async componentDidMount() {
+    await this.loadData()
+  }
+
+  async loadData() {
+    try {
+      const res = await fetch(`/api/admin/fraud/flags?status=${this.state.status}`)
+      const data = await res.json()
+      this.setState({
+        flags: data.flags || [],
+        rules: data.rules || [],
+        flagScore: data.flagScore,
+        loading: false
+      })
+    } catch (error) {
+      this.setState({ error: error.message, loading: false })
+    }
+  }
+
+  async loadAccount(userId) {
+    try {
+      const res = await fetch(`/api/admin/fraud/accounts/${userId}`)
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ account: data })
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  async review(flag, action) {
+    let maxStake = null
+    if (action === 'restrict') {
+      maxStake = prompt(`Limit ${flag.userEmail || flag.userId} to a maximum stake per bet of:`)
+      if (maxStake === null) {
+        return
+      }
+    }
+    const note = prompt('Note for the record (optional):')
+    if (note === null) {
+      return
+    }
+
+    try {
+      const res = await fetch(`/api/admin/fraud/flags/${flag._id}/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ action, maxStake, note })
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message })
+      } else {
+        this.setState({ error: data.error })
+      }
+      await this.loadData()
+      if (this.state.account && this.state.account.userId === flag.userId) {
+        await this.loadAccount(flag.userId)
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  async setRestriction(account, lift) {
+    let maxStake = null
+    let reason = null
+    if (!lift) {
+      maxStake = prompt(`Limit ${account.userEmail || account.userId} to a maximum stake per bet of:`)
+      if (maxStake === null) {
+        return
+      }
+      reason = prompt('Reason (optional):')
+    }
+
+    try {
+      const res = await fetch(`/api/admin/fraud/accounts/${account.userId}/restriction`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ maxStake, reason })
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message })
+      } else {
+        this.setState({ error: data.error })
+      }
+      await this.loadAccount(account.userId)
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  async scan(account) {
+    try {
+      const res = await fetch(`/api/admin/fraud/accounts/${account.userId}/scan`, { method: 'POST', headers: { 'x-csrf-token': await NextAuth.csrfToken() } })
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({
+          success: data.flag
+            ? `Scored ${data.score} - account flagged for review`
+            : `Scored ${data.score} - nothing new to review`
+        })
+      } else {
+        this.setState({ error: data.error })
+      }
+      await this.loadData()
+      await this.loadAccount(account.userId)
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  formatDate(dateString) {
+    return dateString ? new Date(dateString).toLocaleString() : '-'
+  }
+
+  renderFindings(findings) {
+    return findings.map((finding, index) => (
+      <div key={index}>
+        <Badge color="secondary" className="mr-1">{finding.rule.replace(/_/g, ' ').toLowerCase()}</Badge>
+        <small>{finding.reason}</small>
+      </div>
+    ))
+  }
+
+  renderAccount() {
+    const { account } = this.state
+
+    return (
+      <Card className="mb-4">
+        <CardHeader>
+          <strong>{account.userEmail || account.userId}</strong>
+          <Button close className="ml-2" onClick={() => this.setState({ account: null })} />
+        </CardHeader>
+        <CardBody>
+          <Row className="mb-3">
+            <Col md="4">
+              <h6>Current score</h6>
+              <h3>{account.score}</h3>
+              <Button color="secondary" size="sm" outline onClick={() => this.scan(account)}>
+                Scan Now
+              </Button>
+            </Col>
+            <Col md="8">
+              <h6>Stake limit</h6>
+              {account.restriction ? (
+                <div>
+                  <p className="mb-1">
+                    <strong>${account.restriction.maxStake.toFixed(2)}</strong> per bet
+                    <small className="text-muted"> - {account.restriction.reason}, set by {account.restriction.setBy} on {this.formatDate(account.restriction.setAt)}</small>
+                  </p>
+                  <Button color="secondary" size="sm" className="mr-2" onClick={() => this.setRestriction(account, false)}>
+                    Change
+                  </Button>
+                  <Button color="success" size="sm" outline onClick={() => this.setRestriction(account, true)}>
+                    Lift Limit
+                  </Button>
+                </div>
+              ) : (
+                <div>
+                  <p className="mb-1 text-muted">None</p>
+                  <Button color="danger" size="sm" outline onClick={() => this.setRestriction(account, false)}>
+                    Limit Stakes
+                  </Button>
+                </div>
+              )}
+            </Col>
+          </Row>
+
+          <h6>Rules firing now</h6>
+          {account.findings.length > 0 ? this.renderFindings(account.findings) : <p className="text-muted">None</p>}
+
+          <h6 className="mt-3">Linked accounts</h6>
+          {account.linkedAccounts.length > 0 ? (
+            <Table size="sm" responsive>
+              <thead>
+                <tr>
+                  <th>Account</th>
+                  <th className="text-right">Shared devices</th>
+                  <th className="text-right">Shared IPs</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {account.linkedAccounts.map(linked => (
+                  <tr key={linked.userId}>
+                    <td>{linked.userEmail || linked.userId}</td>
+                    <td className="text-right">{linked.devices}</td>
+                    <td className="text-right">{linked.ips}</td>
+                    <td className="text-right">
+                      <Button color="link" size="sm" onClick={() => this.loadAccount(linked.userId)}>View</Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <p className="text-muted">None</p>
+          )}
+
+          <h6 className="mt-3">Devices and IPs</h6>
+          <Table size="sm" responsive>
+            <thead>
+              <tr>
+                <th>Kind</th>
+                <th>Value</th>
+                <th className="text-right">Seen</th>
+                <th>Last seen</th>
+              </tr>
+            </thead>
+            <tbody>
+              {account.devices.map(device => (
+                <tr key={device._id}>
+                  <td>{device.kind}</td>
+                  <td><small>{device.value}</small></td>
+                  <td className="text-right">{device.count}</td>
+                  <td>{this.formatDate(device.lastSeenAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          <h6 className="mt-3">Flag history</h6>
+          {account.flags.map(flag => (
+            <p key={flag._id} className="mb-1">
+              <Badge color={STATUS_COLORS[flag.status]} className="mr-1">{flag.status}</Badge>
+              <small>
+                Score {flag.score}, flagged {this.formatDate(flag.createdAt)}
+                {flag.reviewedBy && ` - reviewed by ${flag.reviewedBy}${flag.note ? `: ${flag.note}` : ''}`}
+              </small>
+            </p>
+          ))}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  render() {
+    const { session } = this.props
+    const { flags, rules, flagScore, status, account, loading, error, success } = this.state
+
+    if (loading) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <h1 className="display-4 mt-4">Loading...</h1>
+          </Container>
+        </Layout>
+      )
+    }
+
+    if (!session.user || !session.user.admin) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <Alert color="danger" className="mt-4">
+              Unauthorized. Admin access required.
+            </Alert>
+          </Container>
+        </Layout>
+      )
+    }
+
+    return (
+      <Layout {...this.props} navmenu={true}>
+        <Container className="mt-4 mb-5">
+          <Row className="mb-4">
+            <Col>
+              <h1 className="display-4">Fraud Review</h1>
+            </Col>
+            <Col md="3" className="align-self-center">
+              <Input
+                type="select"
+                value={status}
+                onChange={(e) => this.setState({ status: e.target.value }, () => this.loadData())}
+              >
+                {Object.keys(STATUS_COLORS).map(key => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+                <option value="all">all</option>
+              </Input>
+            </Col>
+          </Row>
+
+          {success && (
+            <Alert color="success" toggle={() => this.setState({ success: null })}>
+              {success}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert color="danger" toggle={() => this.setState({ error: null })}>
+              {error}
+            </Alert>
+          )}
+
+          {account && this.renderAccount()}
+
+          <Table responsive striped>
+            <thead>
+              <tr>
+                <th>Flagged</th>
+                <th>User</th>
+                <th className="text-right">Score</th>
+                <th>Findings</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {flags.map(flag => (
+                <tr key={flag._id}>
+                  <td>{this.formatDate(flag.createdAt)}</td>
+                  <td>
+                    <Button color="link" size="sm" className="p-0" onClick={() => this.loadAccount(flag.userId)}>
+                      {flag.userEmail || flag.userId}
+                    </Button>
+                  </td>
+                  <td className="text-right"><strong>{flag.score}</strong></td>
+                  <td>{this.renderFindings(flag.findings)}</td>
+                  <td>
+                    <Badge color={STATUS_COLORS[flag.status]}>{flag.status}</Badge>
+                    {flag.reviewedBy && (
+                      <div><small className="text-muted">{flag.reviewedBy}{flag.note ? `: ${flag.note}` : ''}</small></div>
+                    )}
+                  </td>
+                  <td>
+                    {flag.status === 'open' && (
+                      <React.Fragment>
+                        <Button color="success" size="sm" outline className="mr-2 mb-1" onClick={() => this.review(flag, 'clear')}>
+                          Clear
+                        </Button>
+                        <Button color="danger" size="sm" className="mb-1" onClick={() => this.review(flag, 'restrict')}>
+                          Limit Stakes
+                        </Button>
+                      </React.Fragment>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {flags.length === 0 && (
+            <Alert color="info">No flags to show.</Alert>
+          )}
+
+          <h4 className="mt-5">Rules</h4>
+          <p className="text-muted">
+            Accounts are flagged for review once the rules that fire add up to {flagScore}.
+          </p>
+          <Table size="sm" responsive>
+            <thead>
+              <tr>
+                <th>Rule</th>
+                <th>Checks</th>
+                <th className="text-right">Weight</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id}>
+                  <td><Badge color="secondary">{rule.id.replace(/_/g, ' ').toLowerCase()}</Badge></td>
+                  <td>{rule.description} <small className="text-muted">({rule.scope})</small></td>
+                  <td className="text-right">{rule.weight}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Container>
+      </Layout>
+    )
+  }
+}
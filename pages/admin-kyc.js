@@ -0,0 +1,320 @@
+import React from 'react'
+import { Container, Row, Col, Button, Table, Input, Alert, Badge, Card, CardHeader, CardBody } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
+import Page from '../components/page'
+import Layout from '../components/layout'
+
+const STATUS_COLORS = {
+  pending: 'warning',
+  rejected: 'danger',
+  verified: 'success',
+  unverified: 'secondary',
+}
+
+const CHECK_COLORS = {
+  not_started: 'secondary',
+  pending: 'warning',
+  passed: 'success',
+  failed: 'danger',
+}
+
+const DOCUMENT_COLORS = {
+  pending: 'warning',
+  accepted: 'success',
+  rejected: 'danger',
+}
+
+export default class extends Page {
+  constructor(props) {
+    super(props)
+    this.state = {
+      verifications: [],
+      status: 'pending',
+      review: null,
+      loading: true,
+      error: null,
+      success: null
+    }
+  }
+
+  async componentDidMount() {
+    await this.loadData()
+  }
+
+  async loadData() {
+    try {
+      const res = await fetch(`/api/admin/kyc?status=${this.state.status}`)
+      const data = await res.json()
+      this.setState({ verifications: data.verifications || [], loading: false })
+    } catch (error) {
+      this.setState({ error: error.message, loading: false })
+    }
+  }
+
+  async loadReview(userId) {
+    try {
+      const res = await fetch(`/api/admin/kyc/${userId}`)
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ review: data })
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  // Rejections and failures need a reason the player will see
+  async post(path, status, reasonPrompt) {
+    let reason = null
+    if (reasonPrompt) {
+      reason = prompt(reasonPrompt)
+      if (reason === null) {
+        return
+      }
+    }
+
+    try {
+      const res = await fetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ status, reason })
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message })
+      } else {
+        this.setState({ error: data.error })
+      }
+      await this.loadData()
+      await this.loadReview(this.state.review.verification.userId)
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  formatDate(dateString) {
+    return dateString ? new Date(dateString).toLocaleString() : '-'
+  }
+
+  renderChecks(checks) {
+    return Object.keys(checks).map(check => (
+      <Badge key={check} color={CHECK_COLORS[checks[check].status]} className="mr-1">
+        {check}: {checks[check].status.replace(/_/g, ' ')}
+      </Badge>
+    ))
+  }
+
+  renderReview() {
+    const { verification, documents } = this.state.review
+    const { userId } = verification
+
+    return (
+      <Card className="mb-4">
+        <CardHeader>
+          <strong>{verification.userEmail || userId}</strong>
+          <Badge color={STATUS_COLORS[verification.status]} className="ml-2">{verification.status}</Badge>
+          <Button close className="ml-2" onClick={() => this.setState({ review: null })} />
+        </CardHeader>
+        <CardBody>
+          <Row className="mb-3">
+            <Col md="6">
+              <h6>Details given</h6>
+              <p className="mb-1">Name: <strong>{verification.fullName || '-'}</strong></p>
+              <p className="mb-1">
+                Date of birth: <strong>{verification.dateOfBirth ? verification.dateOfBirth.slice(0, 10) : '-'}</strong>
+              </p>
+            </Col>
+            <Col md="6">
+              <h6>Checks</h6>
+              {Object.keys(verification.checks).map(check => {
+                const result = verification.checks[check]
+                return (
+                  <div key={check} className="mb-2">
+                    <Badge color={CHECK_COLORS[result.status]} className="mr-2">{check}: {result.status.replace(/_/g, ' ')}</Badge>
+                    {result.status !== 'passed' && (
+                      <Button color="success" size="sm" className="mr-1" onClick={() => this.post(`/api/admin/kyc/${userId}/checks/${check}`, 'passed')}>
+                        Pass
+                      </Button>
+                    )}
+                    {result.status !== 'failed' && (
+                      <Button
+                        color="danger"
+                        size="sm"
+                        outline
+                        onClick={() => this.post(`/api/admin/kyc/${userId}/checks/${check}`, 'failed', `Why does the ${check} check fail? The player will see this.`)}
+                      >
+                        Fail
+                      </Button>
+                    )}
+                    {result.reviewedBy && (
+                      <div><small className="text-muted">{result.reviewedBy}, {this.formatDate(result.reviewedAt)}{result.reason ? `: ${result.reason}` : ''}</small></div>
+                    )}
+                  </div>
+                )
+              })}
+            </Col>
+          </Row>
+
+          <h6>Documents</h6>
+          <Table size="sm" responsive>
+            <thead>
+              <tr>
+                <th>Uploaded</th>
+                <th>Type</th>
+                <th>File</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {documents.map(document => (
+                <tr key={document._id}>
+                  <td>{this.formatDate(document.createdAt)}</td>
+                  <td>{document.type.replace(/_/g, ' ')}</td>
+                  <td>
+                    <a href={`/api/admin/kyc/documents/${document._id}/file`} target="_blank" rel="noopener noreferrer">
+                      {document.filename}
+                    </a>
+                    <small className="text-muted"> ({Math.ceil(document.size / 1024)}KB)</small>
+                  </td>
+                  <td>
+                    <Badge color={DOCUMENT_COLORS[document.status]}>{document.status}</Badge>
+                    {document.reason && <div><small className="text-muted">{document.reason}</small></div>}
+                  </td>
+                  <td className="text-right">
+                    {document.status === 'pending' && (
+                      <React.Fragment>
+                        <Button color="success" size="sm" className="mr-1" onClick={() => this.post(`/api/admin/kyc/documents/${document._id}/review`, 'accepted')}>
+                          Accept
+                        </Button>
+                        <Button
+                          color="danger"
+                          size="sm"
+                          outline
+                          onClick={() => this.post(`/api/admin/kyc/documents/${document._id}/review`, 'rejected', 'Why is this document rejected? The player will see this.')}
+                        >
+                          Reject
+                        </Button>
+                      </React.Fragment>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          <h6 className="mt-3">History</h6>
+          {verification.history.slice().reverse().map((entry, index) => (
+            <p key={index} className="mb-1">
+              <small>
+                {this.formatDate(entry.at)} - {entry.action.replace(/_/g, ' ')}
+                {entry.type && ` (${entry.type.replace(/_/g, ' ')})`} by {entry.by}
+                {entry.reason && `: ${entry.reason}`}
+              </small>
+            </p>
+          ))}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  render() {
+    const { session } = this.props
+    const { verifications, status, review, loading, error, success } = this.state
+
+    if (loading) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <h1 className="display-4 mt-4">Loading...</h1>
+          </Container>
+        </Layout>
+      )
+    }
+
+    if (!session.user || !session.user.admin) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <Alert color="danger" className="mt-4">
+              Unauthorized. Admin access required.
+            </Alert>
+          </Container>
+        </Layout>
+      )
+    }
+
+    return (
+      <Layout {...this.props} navmenu={true}>
+        <Container className="mt-4 mb-5">
+          <Row className="mb-4">
+            <Col>
+              <h1 className="display-4">Identity Verification</h1>
+            </Col>
+            <Col md="3" className="align-self-center">
+              <Input
+                type="select"
+                value={status}
+                onChange={(e) => this.setState({ status: e.target.value }, () => this.loadData())}
+              >
+                {Object.keys(STATUS_COLORS).map(key => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+              </Input>
+            </Col>
+          </Row>
+
+          {success && (
+            <Alert color="success" toggle={() => this.setState({ success: null })}>
+              {success}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert color="danger" toggle={() => this.setState({ error: null })}>
+              {error}
+            </Alert>
+          )}
+
+          {review && this.renderReview()}
+
+          <Table responsive striped>
+            <thead>
+              <tr>
+                <th>Submitted</th>
+                <th>User</th>
+                <th>Name</th>
+                <th>Checks</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {verifications.map(verification => (
+                <tr key={verification._id}>
+                  <td>{this.formatDate(verification.submittedAt)}</td>
+                  <td>{verification.userEmail || verification.userId}</td>
+                  <td>{verification.fullName || '-'}</td>
+                  <td>{this.renderChecks(verification.checks)}</td>
+                  <td>
+                    <Button color="primary" size="sm" onClick={() => this.loadReview(verification.userId)}>
+                      Review
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {verifications.length === 0 && (
+            <Alert color="info">No verifications to show.</Alert>
+          )}
+        </Container>
+      </Layout>
+    )
+  }
+}
@@ -0,0 +1,335 @@
+import React from 'react'
+import { Container, Row, Col, Card, CardBody, Button, Table, Input, Form, FormGroup, Label, Alert, Badge } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
+import Page from '../components/page'
+import Layout from '../components/layout'
+
+const TYPE_LABELS = {
+  deposit_match: 'Deposit match',
+  free_bet: 'Free bet',
+  odds_boost: 'Odds boost',
+  referral: 'Referral',
+}
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'deposit_match',
+  code: '',
+  percent: '1',
+  maxBonus: '',
+  amount: '',
+  boost: '0.25',
+  wageringMultiple: '',
+  minOdds: '',
+  expiryDays: '',
+  startsAt: '',
+  endsAt: '',
+}
+
+export default class extends Page {
+  constructor(props) {
+    super(props)
+    this.state = {
+      promotions: [],
+      form: EMPTY_FORM,
+      loading: true,
+      error: null,
+      success: null
+    }
+  }
+
+  async componentDidMount() {
+    await this.loadData()
+  }
+
+  async loadData() {
+    try {
+      const res = await fetch('/api/admin/promotions')
+      const data = await res.json()
+      this.setState({ promotions: data.promotions || [], loading: false })
+    } catch (error) {
+      this.setState({ error: error.message, loading: false })
+    }
+  }
+
+  // Every admin action posts to the server and reloads the list
+  async send(url, method, body) {
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify(body)
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message })
+        await this.loadData()
+        return true
+      }
+      this.setState({ error: data.error })
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+    return false
+  }
+
+  async createPromotion() {
+    // Only send the settings that apply to the chosen type
+    const { form } = this.state
+    const fields = {
+      deposit_match: ['percent', 'maxBonus', 'wageringMultiple'],
+      free_bet: ['amount'],
+      odds_boost: ['boost'],
+      referral: ['amount', 'wageringMultiple'],
+    }[form.type]
+
+    const body = { name: form.name, type: form.type, code: form.code || null }
+    for (const field of [...fields, 'minOdds', 'expiryDays', 'startsAt', 'endsAt']) {
+      if (form[field] !== '') body[field] = form[field]
+    }
+
+    if (await this.send('/api/admin/promotions', 'POST', body)) {
+      this.setState({ form: EMPTY_FORM })
+    }
+  }
+
+  async grant(promotion) {
+    const userId = prompt(`Give "${promotion.name}" to which user ID?`)
+    if (!userId) {
+      return
+    }
+
+    let amount = null
+    if (promotion.type === 'deposit_match') {
+      amount = prompt('Deposit amount to match ($):')
+      if (!amount) {
+        return
+      }
+    }
+
+    await this.send(`/api/admin/promotions/${promotion._id}/grant`, 'POST', { userId, amount })
+  }
+
+  describe(promotion) {
+    switch (promotion.type) {
+      case 'deposit_match':
+        return `${Math.round(promotion.percent * 100)}% of a deposit${promotion.maxBonus ? ` up to $${promotion.maxBonus}` : ''}`
+      case 'odds_boost':
+        return `+${Math.round(promotion.boost * 100)}% on winnings`
+      default:
+        return `$${promotion.amount}`
+    }
+  }
+
+  renderForm() {
+    const { form } = this.state
+    const set = (field) => (e) => this.setState({ form: { ...form, [field]: e.target.value } })
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>New Promotion</h4>
+          <p className="text-muted">
+            Without a code, a deposit match is the welcome offer on a player's first deposit and a referral
+            promotion credits whoever referred a new depositor. With a code, players claim it from their wallet.
+          </p>
+          <Form onSubmit={(e) => { e.preventDefault(); this.createPromotion() }}>
+            <Row>
+              <Col md="4">
+                <FormGroup>
+                  <Label>Name</Label>
+                  <Input value={form.name} onChange={set('name')} required />
+                </FormGroup>
+              </Col>
+              <Col md="4">
+                <FormGroup>
+                  <Label>Type</Label>
+                  <Input type="select" value={form.type} onChange={set('type')}>
+                    {Object.keys(TYPE_LABELS).map(type => (
+                      <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                    ))}
+                  </Input>
+                </FormGroup>
+              </Col>
+              <Col md="4">
+                <FormGroup>
+                  <Label>Code</Label>
+                  <Input value={form.code} onChange={set('code')} placeholder="Optional" disabled={form.type === 'referral'} />
+                </FormGroup>
+              </Col>
+            </Row>
+            <Row>
+              {form.type === 'deposit_match' && (
+                <React.Fragment>
+                  <Col md="3">
+                    <FormGroup>
+                      <Label>Match (1 = 100%)</Label>
+                      <Input type="number" step="0.01" value={form.percent} onChange={set('percent')} />
+                    </FormGroup>
+                  </Col>
+                  <Col md="3">
+                    <FormGroup>
+                      <Label>Max bonus ($)</Label>
+                      <Input type="number" step="0.01" value={form.maxBonus} onChange={set('maxBonus')} />
+                    </FormGroup>
+                  </Col>
+                </React.Fragment>
+              )}
+              {['free_bet', 'referral'].includes(form.type) && (
+                <Col md="3">
+                  <FormGroup>
+                    <Label>Amount ($)</Label>
+                    <Input type="number" step="0.01" value={form.amount} onChange={set('amount')} />
+                  </FormGroup>
+                </Col>
+              )}
+              {form.type === 'odds_boost' && (
+                <Col md="3">
+                  <FormGroup>
+                    <Label>Boost (0.25 = +25%)</Label>
+                    <Input type="number" step="0.01" value={form.boost} onChange={set('boost')} />
+                  </FormGroup>
+                </Col>
+              )}
+              {['deposit_match', 'referral'].includes(form.type) && (
+                <Col md="3">
+                  <FormGroup>
+                    <Label>Wagering (x bonus)</Label>
+                    <Input type="number" step="1" value={form.wageringMultiple} onChange={set('wageringMultiple')} placeholder="Default" />
+                  </FormGroup>
+                </Col>
+              )}
+              <Col md="3">
+                <FormGroup>
+                  <Label>Min odds to count</Label>
+                  <Input type="number" step="0.01" value={form.minOdds} onChange={set('minOdds')} placeholder="Any" />
+                </FormGroup>
+              </Col>
+              <Col md="3">
+                <FormGroup>
+                  <Label>Expires after (days)</Label>
+                  <Input type="number" step="1" value={form.expiryDays} onChange={set('expiryDays')} placeholder="Default" />
+                </FormGroup>
+              </Col>
+              <Col md="3">
+                <FormGroup>
+                  <Label>Starts</Label>
+                  <Input type="datetime-local" value={form.startsAt} onChange={set('startsAt')} />
+                </FormGroup>
+              </Col>
+              <Col md="3">
+                <FormGroup>
+                  <Label>Ends</Label>
+                  <Input type="datetime-local" value={form.endsAt} onChange={set('endsAt')} />
+                </FormGroup>
+              </Col>
+            </Row>
+            <Button color="primary" type="submit">Create Promotion</Button>
+          </Form>
+        </CardBody>
+      </Card>
+    )
+  }
+
+  render() {
+    const { session } = this.props
+    const { promotions, loading, error, success } = this.state
+
+    if (loading) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <h1 className="display-4 mt-4">Loading...</h1>
+          </Container>
+        </Layout>
+      )
+    }
+
+    if (!session.user || !session.user.admin) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <Alert color="danger" className="mt-4">
+              Unauthorized. Admin access required.
+            </Alert>
+          </Container>
+        </Layout>
+      )
+    }
+
+    return (
+      <Layout {...this.props} navmenu={true}>
+        <Container className="mt-4 mb-5">
+          <h1 className="display-4 mb-4">Promotions</h1>
+
+          {success && (
+            <Alert color="success" toggle={() => this.setState({ success: null })}>
+              {success}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert color="danger" toggle={() => this.setState({ error: null })}>
+              {error}
+            </Alert>
+          )}
+
+          {this.renderForm()}
+
+          <Table responsive striped>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Type</th>
+                <th>Offer</th>
+                <th>Code</th>
+                <th>Runs</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {promotions.map(promotion => (
+                <tr key={promotion._id}>
+                  <td>{promotion.name}</td>
+                  <td>{TYPE_LABELS[promotion.type]}</td>
+                  <td>{this.describe(promotion)}</td>
+                  <td>{promotion.code ? <code>{promotion.code}</code> : <small className="text-muted">Automatic</small>}</td>
+                  <td>
+                    <small>
+                      {promotion.startsAt ? new Date(promotion.startsAt).toLocaleDateString() : 'Now'}
+                      {' - '}
+                      {promotion.endsAt ? new Date(promotion.endsAt).toLocaleDateString() : 'open'}
+                    </small>
+                  </td>
+                  <td>
+                    <Badge color={promotion.active ? 'success' : 'secondary'}>{promotion.active ? 'active' : 'paused'}</Badge>
+                  </td>
+                  <td>
+                    <Button
+                      color={promotion.active ? 'warning' : 'success'}
+                      size="sm"
+                      className="mr-2 mb-1"
+                      onClick={() => this.send(`/api/admin/promotions/${promotion._id}`, 'PUT', { active: !promotion.active })}
+                    >
+                      {promotion.active ? 'Pause' : 'Activate'}
+                    </Button>
+                    <Button color="primary" size="sm" outline className="mb-1" onClick={() => this.grant(promotion)}>
+                      Grant
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {promotions.length === 0 && (
+            <Alert color="info">No promotions yet.</Alert>
+          )}
+        </Container>
+      </Layout>
+    )
+  }
+}
@@ -0,0 +1,216 @@
+import React from 'react'
+import { Container, Row, Col, Button, Table, Input, Alert, Badge } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
+import Page from '../components/page'
+import Layout from '../components/layout'
+
+const STATUS_COLORS = {
+  requested: 'primary',
+  under_review: 'warning',
+  approved: 'info',
+  paid: 'success',
+  rejected: 'danger',
+  cancelled: 'secondary',
+}
+
+export default class extends Page {
+  constructor(props) {
+    super(props)
+    this.state = {
+      withdrawals: [],
+      status: '',
+      loading: true,
+      error: null,
+      success: null
+    }
+  }
+
+  async componentDidMount() {
+    await this.loadData()
+  }
+
+  async loadData() {
+    try {
+      const query = this.state.status ? `?status=${this.state.status}` : ''
+      const res = await fetch(`/api/admin/withdrawals${query}`)
+      const data = await res.json()
+      this.setState({ withdrawals: data.withdrawals || [], loading: false })
+    } catch (error) {
+      this.setState({ error: error.message, loading: false })
+    }
+  }
+
+  async act(withdrawal, action) {
+    let reason = null
+    if (action === 'reject') {
+      reason = prompt(`Reject the $${withdrawal.amount.toFixed(2)} withdrawal for ${withdrawal.userEmail}? The funds go back to their wallet. Reason:`)
+      if (reason === null) {
+        return
+      }
+    }
+
+    try {
+      const res = await fetch(`/api/admin/withdrawals/${withdrawal._id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ reason })
+      })
+
+      const data = await res.json()
+
+      if (res.ok && !(data.withdrawal.payoutError && data.withdrawal.status !== 'paid')) {
+        this.setState({ success: data.message })
+      } else {
+        this.setState({ error: data.error || data.message })
+      }
+      await this.loadData()
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  formatDate(dateString) {
+    return new Date(dateString).toLocaleString()
+  }
+
+  render() {
+    const { session } = this.props
+    const { withdrawals, status, loading, error, success } = this.state
+
+    if (loading) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <h1 className="display-4 mt-4">Loading...</h1>
+          </Container>
+        </Layout>
+      )
+    }
+
+    if (!session.user || !session.user.admin) {
+      return (
+        <Layout {...this.props} navmenu={true}>
+          <Container>
+            <Alert color="danger" className="mt-4">
+              Unauthorized. Admin access required.
+            </Alert>
+          </Container>
+        </Layout>
+      )
+    }
+
+    return (
+      <Layout {...this.props} navmenu={true}>
+        <Container className="mt-4 mb-5">
+          <Row className="mb-4">
+            <Col>
+              <h1 className="display-4">Withdrawals</h1>
+            </Col>
+            <Col md="3" className="align-self-center">
+              <Input
+                type="select"
+                value={status}
+                onChange={(e) => this.setState({ status: e.target.value }, () => this.loadData())}
+              >
+                <option value="">Waiting on review or payment</option>
+                {Object.keys(STATUS_COLORS).map(key => (
+                  <option key={key} value={key}>{key.replace(/_/g, ' ')}</option>
+                ))}
+              </Input>
+            </Col>
+          </Row>
+
+          {success && (
+            <Alert color="success" toggle={() => this.setState({ success: null })}>
+              {success}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert color="danger" toggle={() => this.setState({ error: null })}>
+              {error}
+            </Alert>
+          )}
+
+          <Table responsive striped>
+            <thead>
+              <tr>
+                <th>Requested</th>
+                <th>User</th>
+                <th className="text-right">Amount</th>
+                <th>Destination</th>
+                <th>Wagering</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {withdrawals.map(withdrawal => (
+                <tr key={withdrawal._id}>
+                  <td>{this.formatDate(withdrawal.requestedAt)}</td>
+                  <td>
+                    {withdrawal.userEmail || withdrawal.userId}
+                    {!withdrawal.verified && (
+                      <div><Badge color="danger">Identity not verified</Badge></div>
+                    )}
+                  </td>
+                  <td className="text-right">${withdrawal.amount.toFixed(2)}</td>
+                  <td><small>{withdrawal.destination || '-'}</small></td>
+                  <td>
+                    {withdrawal.wagering && (
+                      withdrawal.wagering.met ? (
+                        <Badge color="success">Met</Badge>
+                      ) : (
+                        <small className="text-danger">
+                          ${withdrawal.wagering.remaining.toFixed(2)} to wager
+                        </small>
+                      )
+                    )}
+                  </td>
+                  <td>
+                    <Badge color={STATUS_COLORS[withdrawal.status]}>{withdrawal.status.replace(/_/g, ' ')}</Badge>
+                    {withdrawal.payoutError && withdrawal.status !== 'paid' && (
+                      <div><small className="text-danger">Payout failed: {withdrawal.payoutError}</small></div>
+                    )}
+                  </td>
+                  <td>
+                    {withdrawal.status === 'requested' && (
+                      <Button color="warning" size="sm" className="mr-2 mb-1" onClick={() => this.act(withdrawal, 'review')}>
+                        Review
+                      </Button>
+                    )}
+                    {withdrawal.status === 'under_review' && (
+                      <Button
+                        color="success"
+                        size="sm"
+                        className="mr-2 mb-1"
+                        disabled={!withdrawal.verified || (withdrawal.wagering && !withdrawal.wagering.met)}
+                        onClick={() => this.act(withdrawal, 'approve')}
+                      >
+                        Approve &amp; Pay
+                      </Button>
+                    )}
+                    {withdrawal.status === 'approved' && (
+                      <Button color="success" size="sm" className="mr-2 mb-1" onClick={() => this.act(withdrawal, 'pay')}>
+                        Retry Payout
+                      </Button>
+                    )}
+                    {['requested', 'under_review', 'approved'].includes(withdrawal.status) && (
+                      <Button color="danger" size="sm" outline className="mb-1" onClick={() => this.act(withdrawal, 'reject')}>
+                        Reject
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {withdrawals.length === 0 && (
+            <Alert color="info">No withdrawals to show.</Alert>
+          )}
+        </Container>
+      </Layout>
+    )
+  }
+}
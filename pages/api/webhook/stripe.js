@@ -1,5 +1,8 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY)
-const Subscription = require('../../../models/subscription')
+const StripeWebhookService = require('../../../services/StripeWebhookService')
+const { ApplicationError } = require('../../../lib/errors')
+
+// index.js never runs here - register the enabled modules' handlers ourselves
+require('../../../modules').load()
 
 // Disable body parsing, need raw body for signature verification
 export const config = {
@@ -25,63 +28,15 @@ export default async function handler(req, res) {
   const buf = await buffer(req)
   const sig = req.headers['stripe-signature']
 
-  let event
-
-  try {
-    event = stripe.webhooks.constructEvent(
-      buf,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    )
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message)
-    return res.status(400).send(`Webhook Error: ${err.message}`)
-  }
-
-  // Handle the event
+  // Same dispatcher as the Express route: verified, stored and deduplicated
   try {
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object
-      const userId = session.metadata.userId || session.client_reference_id
-      const plan = session.metadata.plan
-
-      if (userId && plan) {
-        const limits = {
-          starter: 25,
-          pro: -1, // Unlimited
-          business: -1 // Unlimited
-        }
-
-        await Subscription.update(userId, {
-          plan,
-          status: 'active',
-          invoiceLimit: limits[plan],
-          stripeSubscriptionId: session.subscription
-        })
-      }
-    }
-
-    if (event.type === 'customer.subscription.updated') {
-      const subscription = event.data.object
-      // Handle subscription updates if needed
-    }
-
-    if (event.type === 'customer.subscription.deleted') {
-      // Downgrade to free
-      const subscription = event.data.object
-      const userId = subscription.metadata?.userId
-
-      if (userId) {
-        await Subscription.update(userId, {
-          plan: 'free',
-          status: 'active',
-          invoiceLimit: 3
-        })
-      }
-    }
-
-    res.status(200).json({ received: true })
+    const result = await StripeWebhookService.receive(buf, sig)
+    res.status(200).json(result)
   } catch (error) {
+    if (error instanceof ApplicationError && error.statusCode < 500) {
+      console.error('Webhook rejected:', error.message)
+      return res.status(error.statusCode).send(error.message)
+    }
     console.error('Error processing webhook:', error)
     res.status(500).json({ error: 'Webhook processing failed' })
   }
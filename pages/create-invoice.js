@@ -1,6 +1,7 @@
 import React from 'react'
 import Router from 'next/router'
 import { Container, Row, Col, Card, CardBody, Button, Form, FormGroup, Label, Input, Alert } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
 import Page from '../components/page'
 import Layout from '../components/layout'
 
@@ -85,7 +86,7 @@ export default class extends Page {
 
       const res = await fetch('/api/invoices', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
         body: JSON.stringify(invoiceData)
       })
 
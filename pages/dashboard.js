@@ -1,6 +1,7 @@
 import React from 'react'
 import Router from 'next/router'
 import { Container, Row, Col, Card, CardBody, Button, Alert, Table, Badge } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
 import Page from '../components/page'
 import Layout from '../components/layout'
 
@@ -47,7 +48,7 @@ export default class extends Page {
     if (!confirm('Delete this invoice?')) return
 
     try {
-      const res = await fetch(`/api/invoices/${id}`, { method: 'DELETE' })
+      const res = await fetch(`/api/invoices/${id}`, { method: 'DELETE', headers: { 'x-csrf-token': await NextAuth.csrfToken() } })
       if (res.ok) {
         await this.loadData()
       } else {
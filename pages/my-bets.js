@@ -1,7 +1,19 @@
 import React from 'react'
-import { Container, Table, Badge, Alert, Nav, NavItem, NavLink, TabContent, TabPane } from 'reactstrap'
+import { Container, Row, Col, Card, CardBody, Table, Badge, Alert, Button, ButtonGroup, Nav, NavItem, NavLink, TabContent, TabPane } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
 import Page from '../components/page'
 import Layout from '../components/layout'
+import Chart from '../components/chart'
+import subscribeToLiveUpdates from '../components/live-updates'
+
+// Ranges for the stats charts: how far back and how finely
+const STATS_RANGES = {
+  '30d': { label: '30 days', days: 30, interval: 'day' },
+  '90d': { label: '90 days', days: 90, interval: 'week' },
+  '1y': { label: '1 year', days: 365, interval: 'month' }
+}
+
+const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`
 
 export default class extends Page {
   constructor(props) {
@@ -10,13 +22,46 @@ export default class extends Page {
       bets: [],
       activeBets: [],
       activeTab: '1',
+      stats: null,
+      statsRange: '30d',
       loading: true,
-      error: null
+      error: null,
+      notice: null
     }
   }
 
   async componentDidMount() {
     await this.loadData()
+
+    if (this.props.session.user) {
+      let reconnected = false
+      this.closeLiveUpdates = subscribeToLiveUpdates({
+        // The first message follows the load above; later ones mean we missed updates
+        connected: () => {
+          if (reconnected) this.loadData()
+          reconnected = true
+        },
+        bet: (bet) => this.betUpdated(bet)
+      })
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.closeLiveUpdates) {
+      this.closeLiveUpdates()
+    }
+  }
+
+  // One of our bets was placed, settled or cashed out somewhere
+  async betUpdated(bet) {
+    if (bet.status !== 'active' && bet.status !== 'cashed_out') {
+      const returned = (bet.payout || 0) + (bet.refund || 0)
+      this.setState({
+        notice: `${bet.eventName}: ${bet.selection} ${bet.status.replace(/_/g, ' ')}` +
+          (returned > 0 ? ` - $${returned.toFixed(2)} paid to your wallet` : '')
+      })
+    }
+    await this.loadData()
   }
 
   async loadData() {
@@ -38,12 +83,68 @@ export default class extends Page {
         activeBets: activeData.bets || [],
         loading: false
       })
+
+      await this.loadStats()
     } catch (error) {
       console.error('Error loading data:', error)
       this.setState({ error: error.message, loading: false })
     }
   }
 
+  async loadStats(rangeKey = this.state.statsRange) {
+    const range = STATS_RANGES[rangeKey]
+    const from = new Date(Date.now() - (range.days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+    const res = await fetch(`/api/bets/stats?from=${from}&interval=${range.interval}`)
+    const data = await res.json()
+
+    if (res.ok) {
+      this.setState({ stats: data, statsRange: rangeKey })
+    } else {
+      this.setState({ error: data.error })
+    }
+  }
+
+  async cashOut(bet) {
+    try {
+      const res = await fetch(`/api/bets/${bet._id}/cash-out/quote`, { method: 'POST', headers: { 'x-csrf-token': await NextAuth.csrfToken() } })
+      const data = await res.json()
+
+      if (res.ok) {
+        await this.confirmCashOut(bet, data.quote)
+      } else {
+        alert(`Error: ${data.error}`)
+      }
+    } catch (error) {
+      alert(`Error getting cash-out quote: ${error.message}`)
+    }
+  }
+
+  async confirmCashOut(bet, quote) {
+    if (!confirm(`Cash out this bet for $${quote.amount.toFixed(2)}?`)) {
+      return
+    }
+
+    const res = await fetch(`/api/bets/${bet._id}/cash-out`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+      body: JSON.stringify({ quoteId: quote._id })
+    })
+    const data = await res.json()
+
+    if (res.ok) {
+      alert(data.message)
+      await this.loadData()
+    } else if (data.quote) {
+      // Quote expired or prices moved - offer the new value
+      alert(data.error)
+      await this.confirmCashOut(bet, data.quote)
+    } else {
+      alert(`Error: ${data.error}`)
+      await this.loadData()
+    }
+  }
+
   formatDate(dateString) {
     const date = new Date(dateString)
     return date.toLocaleString()
@@ -53,9 +154,13 @@ export default class extends Page {
     const colors = {
       active: 'primary',
       won: 'success',
-      lost: 'danger'
+      half_won: 'success',
+      dead_heat: 'success',
+      lost: 'danger',
+      half_lost: 'danger',
+      cashed_out: 'info'
     }
-    return <Badge color={colors[status] || 'secondary'}>{status.toUpperCase()}</Badge>
+    return <Badge color={colors[status] || 'secondary'}>{status.replace(/_/g, ' ').toUpperCase()}</Badge>
   }
 
   toggle(tab) {
@@ -86,11 +191,33 @@ export default class extends Page {
           {bets.map(bet => (
             <tr key={bet._id}>
               <td>{bet.eventName}</td>
-              <td><strong>{bet.selection}</strong></td>
+              <td>
+                {bet.legs ? bet.legs.map((leg, index) => (
+                  <div key={index}>
+                    <strong>{leg.selection}</strong> @ {leg.odds.toFixed(2)}{' '}
+                    <small className="text-muted">{leg.eventName} ({leg.status.replace(/_/g, ' ')})</small>
+                  </div>
+                )) : (
+                  <React.Fragment>
+                    <strong>{bet.selection}</strong>
+                    {bet.marketName && <div><small className="text-muted">{bet.marketName}</small></div>}
+                  </React.Fragment>
+                )}
+              </td>
               <td>${bet.amount.toFixed(2)}</td>
               <td>{bet.odds.toFixed(2)}</td>
               <td className="text-success">${bet.potentialWin.toFixed(2)}</td>
-              <td>{this.getStatusBadge(bet.status)}</td>
+              <td>
+                {this.getStatusBadge(bet.status)}
+                {bet.status === 'active' && (
+                  <Button color="warning" size="sm" className="ml-2" onClick={() => this.cashOut(bet)}>
+                    Cash Out
+                  </Button>
+                )}
+                {bet.status !== 'active' && (bet.payout || 0) + (bet.refund || 0) > 0 && (
+                  <div><small>Returned ${((bet.payout || 0) + (bet.refund || 0)).toFixed(2)}</small></div>
+                )}
+              </td>
               <td>{this.formatDate(bet.createdAt)}</td>
             </tr>
           ))}
@@ -99,9 +226,129 @@ export default class extends Page {
     )
   }
 
+  renderStats() {
+    const { stats, statsRange } = this.state
+    if (!stats) return null
+
+    const { totals, money: flow, biggestWin } = stats
+    const data = stats.series.map(point => ({
+      ...point,
+      label: stats.interval === 'month' ? point.period.slice(0, 7) : point.period.slice(5, 10)
+    }))
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <h5 className="mb-0">Your Betting</h5>
+            <ButtonGroup size="sm">
+              {Object.keys(STATS_RANGES).map(key => (
+                <Button key={key} color="secondary" outline={statsRange !== key} onClick={() => this.loadStats(key)}>
+                  {STATS_RANGES[key].label}
+                </Button>
+              ))}
+            </ButtonGroup>
+          </div>
+
+          <Row className="text-center mb-3">
+            <Col xs="6" md="2" className="mb-2">
+              <small className="text-muted d-block">Profit / Loss</small>
+              <h5 className={totals.profit >= 0 ? 'text-success' : 'text-danger'}>{money(totals.profit)}</h5>
+            </Col>
+            <Col xs="6" md="2" className="mb-2">
+              <small className="text-muted d-block">Staked</small>
+              <h5>{money(totals.staked)}</h5>
+            </Col>
+            <Col xs="6" md="2" className="mb-2">
+              <small className="text-muted d-block">Win Rate</small>
+              <h5>{totals.winRate === null ? '-' : `${totals.winRate}%`}</h5>
+            </Col>
+            <Col xs="6" md="2" className="mb-2">
+              <small className="text-muted d-block">Average Odds</small>
+              <h5>{totals.averageOdds === null ? '-' : totals.averageOdds.toFixed(2)}</h5>
+            </Col>
+            <Col xs="6" md="2" className="mb-2">
+              <small className="text-muted d-block">Deposited</small>
+              <h5>{money(flow.deposits)}</h5>
+            </Col>
+            <Col xs="6" md="2" className="mb-2">
+              <small className="text-muted d-block">Withdrawn</small>
+              <h5>{money(flow.withdrawals)}</h5>
+            </Col>
+          </Row>
+
+          <p className="text-muted">
+            {flow.net > 0
+              ? `You have put in ${money(flow.net)} more than you took out over this period.`
+              : `You have taken out ${money(-flow.net)} more than you put in over this period.`}
+            {biggestWin && ` Your biggest win was ${money(biggestWin.profit)} on ${biggestWin.selection} (${biggestWin.eventName}) at ${biggestWin.odds.toFixed(2)}.`}
+            {' '}Want to stay in control? Set deposit and loss limits on your <a href="/wallet">wallet</a>.
+          </p>
+
+          <Row>
+            <Col lg="6" className="mb-4">
+              <h6>Profit / Loss Over Time</h6>
+              <Chart
+                data={data}
+                format={value => `$${Math.round(value)}`}
+                series={[{ key: 'cumulativeProfit', name: 'Running total', color: '#007bff' }]}
+              />
+            </Col>
+            <Col lg="6" className="mb-4">
+              <h6>Staked and Returned</h6>
+              <Chart
+                type="bar"
+                data={data}
+                format={value => `$${Math.round(value)}`}
+                series={[
+                  { key: 'staked', name: 'Staked', color: '#adb5bd' },
+                  { key: 'returned', name: 'Returned', color: '#28a745' }
+                ]}
+              />
+            </Col>
+          </Row>
+
+          <Row>
+            <Col lg="6">{this.renderRecords(stats.sports, 'Sport')}</Col>
+            <Col lg="6">{this.renderRecords(stats.markets, 'Market')}</Col>
+          </Row>
+        </CardBody>
+      </Card>
+    )
+  }
+
+  renderRecords(records, label) {
+    if (records.length === 0) return null
+
+    return (
+      <Table size="sm" responsive>
+        <thead>
+          <tr>
+            <th>{label}</th>
+            <th className="text-right">Bets</th>
+            <th className="text-right">Win Rate</th>
+            <th className="text-right">Avg Odds</th>
+            <th className="text-right">Profit / Loss</th>
+          </tr>
+        </thead>
+        <tbody>
+          {records.map(record => (
+            <tr key={record.key}>
+              <td>{record.name}</td>
+              <td className="text-right">{record.bets}</td>
+              <td className="text-right">{record.winRate === null ? '-' : `${record.winRate}%`}</td>
+              <td className="text-right">{record.averageOdds === null ? '-' : record.averageOdds.toFixed(2)}</td>
+              <td className={`text-right ${record.profit >= 0 ? 'text-success' : 'text-danger'}`}>{money(record.profit)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    )
+  }
+
   render() {
     const { session } = this.props
-    const { bets, activeBets, activeTab, loading, error } = this.state
+    const { bets, activeBets, activeTab, loading, error, notice } = this.state
 
     if (loading) {
       return (
@@ -128,7 +375,7 @@ export default class extends Page {
     const wonBets = bets.filter(b => b.status === 'won')
     const lostBets = bets.filter(b => b.status === 'lost')
     const totalWagered = bets.reduce((sum, b) => sum + b.amount, 0)
-    const totalWon = wonBets.reduce((sum, b) => sum + b.potentialWin, 0)
+    const totalWon = wonBets.reduce((sum, b) => sum + (b.payout !== undefined ? b.payout : b.potentialWin), 0)
     const totalLost = lostBets.reduce((sum, b) => sum + b.amount, 0)
 
     return (
@@ -138,6 +385,12 @@ export default class extends Page {
 
           {error && <Alert color="danger">{error}</Alert>}
 
+          {notice && (
+            <Alert color="info" toggle={() => this.setState({ notice: null })}>
+              {notice}
+            </Alert>
+          )}
+
           <div className="mb-4 p-3 bg-light rounded">
             <h5>Statistics</h5>
             <div className="row">
@@ -170,6 +423,8 @@ export default class extends Page {
             </div>
           </div>
 
+          {this.renderStats()}
+
           <Nav tabs>
             <NavItem>
               <NavLink
@@ -1,5 +1,6 @@
 import React from 'react'
 import { Container, Row, Col, Card, CardBody, Button, Alert, ListGroup, ListGroupItem, Badge } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
 import Page from '../components/page'
 import Layout from '../components/layout'
 
@@ -36,7 +37,7 @@ export default class extends Page {
     try {
       const res = await fetch('/api/subscription/checkout', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
         body: JSON.stringify({ plan })
       })
 
@@ -1,24 +1,57 @@
 import React from 'react'
-import { Container, Row, Col, Card, CardBody, CardTitle, CardText, Button, Badge, Alert } from 'reactstrap'
+import { Container, Row, Col, Card, CardBody, CardTitle, CardText, Button, Badge, Alert, Nav, NavItem, NavLink } from 'reactstrap'
 import Page from '../components/page'
 import Layout from '../components/layout'
 import Router from 'next/router'
+import subscribeToLiveUpdates from '../components/live-updates'
+import BetSlip, { loadSlip, saveSlip, slipKey } from '../components/bet-slip'
 
 export default class extends Page {
   constructor(props) {
     super(props)
     this.state = {
       events: [],
+      liveEvents: [],
+      // Browsing: sports with events on and their leagues; '' shows all,
+      // 'other' the events outside any league
+      sports: [],
+      sport: '',
+      league: '',
       balance: 0,
+      bonusBalance: 0,
+      bonuses: [],
       membershipPaid: false,
-      selectedBets: {},
+      slip: [],
+      stakePresets: [],
       loading: true,
       error: null
     }
   }
 
   async componentDidMount() {
+    this.setState({ slip: loadSlip() })
     await this.loadData()
+
+    if (this.props.session.user) {
+      let reconnected = false
+      this.closeLiveUpdates = subscribeToLiveUpdates({
+        // The first message follows the load above; later ones mean we missed updates
+        connected: () => {
+          if (reconnected) this.loadData()
+          reconnected = true
+        },
+        odds: ({ eventId, prices }) => this.updatePrices(eventId, prices),
+        status: () => this.loadData(),
+        score: ({ eventId, score }) => this.updateEvent(eventId, event => ({ ...event, score })),
+        wallet: ({ balance, bonusBalance }) => this.setState({ balance, bonusBalance })
+      })
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.closeLiveUpdates) {
+      this.closeLiveUpdates()
+    }
   }
 
   async loadData() {
@@ -32,6 +65,14 @@ export default class extends Page {
       const eventsRes = await fetch('/api/events')
       const eventsData = await eventsRes.json()
 
+      // Events in play
+      const liveRes = await fetch('/api/events/live')
+      const liveData = await liveRes.json()
+
+      // Sports and leagues to browse by
+      const sportsRes = await fetch('/api/sports')
+      const sportsData = await sportsRes.json()
+
       // Load balance
       const balanceRes = await fetch('/api/wallet/balance')
       const balanceData = await balanceRes.json()
@@ -40,10 +81,24 @@ export default class extends Page {
       const membershipRes = await fetch('/api/wallet/membership-status')
       const membershipData = await membershipRes.json()
 
+      // Free bets and odds boosts the player can use
+      const bonusesRes = await fetch('/api/bonuses')
+      const bonusesData = await bonusesRes.json()
+
+      // Quick stakes for the bet slip
+      const preferencesRes = await fetch('/api/wallet/preferences')
+      const preferencesData = await preferencesRes.json()
+
       this.setState({
         events: eventsData.events || [],
+        liveEvents: liveData.events || [],
+        sports: sportsData.sports || [],
         balance: balanceData.balance || 0,
+        bonusBalance: balanceData.bonusBalance || 0,
+        bonuses: (bonusesData.bonuses || []).filter(bonus =>
+          bonus.status === 'active' && ['free_bet', 'odds_boost'].includes(bonus.type)),
         membershipPaid: membershipData.isPaid || false,
+        stakePresets: preferencesData.stakePresets || [],
         loading: false
       })
     } catch (error) {
@@ -52,36 +107,142 @@ export default class extends Page {
     }
   }
 
-  async placeBet(eventId, selection, odds) {
-    const amount = prompt('Enter bet amount ($):')
-    if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
-      alert('Invalid amount')
+  // Events in the chosen sport and league
+  browse(events) {
+    const { sports, sport, league } = this.state
+    if (!sport) return events
+
+    const chosen = sports.find(item => item.sport === sport)
+    const leagueIds = chosen ? chosen.leagues.filter(item => item._id).map(item => item._id) : []
+
+    return events.filter(event => {
+      if ((event.sport || 'Other') !== sport) return false
+      if (league === 'other') return !leagueIds.includes(event.leagueId)
+      return !league || event.leagueId === league
+    })
+  }
+
+  leagueName(event) {
+    const sport = this.state.sports.find(item => item.sport === event.sport)
+    const league = sport && sport.leagues.find(item => item._id && item._id === event.leagueId)
+    return league ? league.name : null
+  }
+
+  renderBrowse() {
+    const { sports, sport, league } = this.state
+    const chosen = sports.find(item => item.sport === sport)
+    const pick = (changes) => (e) => {
+      e.preventDefault()
+      this.setState(changes)
+    }
+
+    return (
+      <div className="mb-4">
+        <Nav pills>
+          <NavItem>
+            <NavLink href="#" active={!sport} onClick={pick({ sport: '', league: '' })}>All Sports</NavLink>
+          </NavItem>
+          {sports.map(item => (
+            <NavItem key={item.sport}>
+              <NavLink href="#" active={sport === item.sport} onClick={pick({ sport: item.sport, league: '' })}>
+                {item.sport} <Badge color="light">{item.count}</Badge>
+              </NavLink>
+            </NavItem>
+          ))}
+        </Nav>
+        {chosen && chosen.leagues.length > 1 && (
+          <Nav className="mt-2">
+            <NavItem>
+              <NavLink href="#" className={!league ? 'font-weight-bold' : ''} onClick={pick({ league: '' })}>
+                All {chosen.sport}
+              </NavLink>
+            </NavItem>
+            {chosen.leagues.map(item => (
+              <NavItem key={item._id || 'other'}>
+                <NavLink
+                  href="#"
+                  className={league === (item._id || 'other') ? 'font-weight-bold' : ''}
+                  onClick={pick({ league: item._id || 'other' })}
+                >
+                  {item.name} ({item.count}){item.live > 0 && <Badge color="danger" className="ml-1">{item.live} live</Badge>}
+                </NavLink>
+              </NavItem>
+            ))}
+          </Nav>
+        )}
+      </div>
+    )
+  }
+
+  // Apply a change to an event, wherever it is listed
+  updateEvent(eventId, change) {
+    const apply = events => events.map(event => event._id === eventId ? change(event) : event)
+    this.setState(state => ({ events: apply(state.events), liveEvents: apply(state.liveEvents) }))
+  }
+
+  // New prices, with the way each one moved; selections we don't have mean the markets changed
+  updatePrices(eventId, prices) {
+    const listed = [...this.state.events, ...this.state.liveEvents].find(event => event._id === eventId)
+    if (!listed) return
+
+    const known = prices.every(({ marketId, selectionId }) => listed.markets.some(market =>
+      market.id === marketId && market.selections.some(selection => selection.id === selectionId)))
+    if (!known) {
+      this.loadData()
       return
     }
 
-    try {
-      const res = await fetch('/api/bets/place', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          eventId,
-          selection,
-          amount: parseFloat(amount),
-          odds
+    // Prices on the slip follow the market
+    if (this.state.slip.some(item => item.eventId === eventId)) {
+      this.updateSlip(this.state.slip.map(item => {
+        const moved = item.eventId === eventId &&
+          prices.find(price => price.marketId === item.marketId && price.selectionId === item.selectionId)
+        return moved ? { ...item, price: moved.price } : item
+      }))
+    }
+
+    this.updateEvent(eventId, event => ({
+      ...event,
+      markets: event.markets.map(market => ({
+        ...market,
+        selections: market.selections.map(selection => {
+          const moved = prices.find(price => price.marketId === market.id && price.selectionId === selection.id)
+          if (!moved) return selection
+          return { ...selection, price: moved.price, movement: moved.price > selection.price ? 'up' : 'down' }
         })
-      })
+      }))
+    }))
+  }
 
-      const data = await res.json()
+  updateSlip(slip) {
+    saveSlip(slip)
+    this.setState({ slip })
+  }
 
-      if (res.ok) {
-        alert(`Bet placed successfully! Potential win: $${data.bet.potentialWin.toFixed(2)}`)
-        await this.loadData()
-      } else {
-        alert(`Error: ${data.error}`)
-      }
-    } catch (error) {
-      alert(`Error placing bet: ${error.message}`)
+  // A price adds its selection to the slip, or takes it off again
+  toggleSelection(event, market, selection) {
+    const item = {
+      eventId: event._id,
+      eventName: event.name,
+      marketId: market.id,
+      marketName: market.name,
+      selectionId: selection.id,
+      selectionName: selection.name,
+      price: selection.price
+    }
+    const key = slipKey(item)
+    const { slip } = this.state
+
+    this.updateSlip(slip.some(existing => slipKey(existing) === key)
+      ? slip.filter(existing => slipKey(existing) !== key)
+      : [...slip, item])
+  }
+
+  async betsPlaced(response) {
+    if (response.sessionReminder) {
+      alert(`${response.sessionReminder.message}. You can set limits or take a break from your wallet.`)
     }
+    await this.loadData()
   }
 
   formatDate(dateString) {
@@ -89,9 +250,69 @@ export default class extends Page {
     return date.toLocaleString()
   }
 
+  renderEvent(event) {
+    const { membershipPaid, slip } = this.state
+    const onSlip = (selection) => slip.some(item => item.eventId === event._id && item.selectionId === selection.id)
+
+    return (
+      <Col lg="6" key={event._id} className="mb-4">
+        <Card>
+          <CardBody>
+            <CardTitle tag="h5">
+              {event.name}
+              <Badge color="success" className="ml-2">{event.sport}</Badge>
+              {this.leagueName(event) && (
+                <small className="d-block text-muted mt-1">{this.leagueName(event)}</small>
+              )}
+            </CardTitle>
+            <CardText>
+              {event.score ? (
+                <strong className="text-danger">{event.score.home} - {event.score.away}</strong>
+              ) : (
+                <small className="text-muted">
+                  {this.formatDate(event.startTime)}
+                </small>
+              )}
+            </CardText>
+
+            {event.markets.map(market => (
+              <div className="mt-3" key={market.id}>
+                <h6>{market.name}</h6>
+                {market.selections.map(selection => (
+                  <div className="d-flex justify-content-between mb-2" key={selection.id}>
+                    <span>{selection.name}</span>
+                    <Button
+                      color="primary"
+                      size="sm"
+                      outline={!onSlip(selection)}
+                      disabled={!membershipPaid || event.status !== 'open' || market.status !== 'open'}
+                      onClick={() => this.toggleSelection(event, market, selection)}
+                    >
+                      {selection.movement && (
+                        <span className={`icon ion-md-arrow-${selection.movement} mr-1`}></span>
+                      )}
+                      {selection.price.toFixed(2)}
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            ))}
+
+            {!['open', 'live'].includes(event.status) && (
+              <Badge color="secondary" className="mt-2">{event.status}</Badge>
+            )}
+          </CardBody>
+        </Card>
+      </Col>
+    )
+  }
+
   render() {
     const { session } = this.props
-    const { events, balance, membershipPaid, loading, error } = this.state
+    const { sports, balance, bonusBalance, bonuses, membershipPaid, slip, stakePresets, loading, error } = this.state
+
+    const events = this.browse(this.state.events)
+    const liveEvents = this.browse(this.state.liveEvents)
 
     if (loading) {
       return (
@@ -127,6 +348,9 @@ export default class extends Page {
               <div className="text-right">
                 <h4>Your Balance</h4>
                 <h2 className="text-success">${balance.toFixed(2)}</h2>
+                {bonusBalance > 0 && (
+                  <p className="text-muted mb-1">+ ${bonusBalance.toFixed(2)} bonus</p>
+                )}
                 <Button color="primary" size="sm" onClick={() => Router.push('/wallet')}>
                   Manage Wallet
                 </Button>
@@ -148,78 +372,45 @@ export default class extends Page {
             <Alert color="danger">{error}</Alert>
           )}
 
-          {events.length === 0 ? (
-            <Alert color="info">
-              No upcoming events at the moment. Check back soon!
-            </Alert>
-          ) : (
-            <Row>
-              {events.map(event => (
-                <Col md="6" lg="4" key={event._id} className="mb-4">
-                  <Card>
-                    <CardBody>
-                      <CardTitle tag="h5">
-                        {event.name}
-                        <Badge color="success" className="ml-2">{event.sport}</Badge>
-                      </CardTitle>
-                      <CardText>
-                        <small className="text-muted">
-                          {this.formatDate(event.startTime)}
-                        </small>
-                      </CardText>
-
-                      <div className="mt-3">
-                        <h6>Teams</h6>
-                        <div className="d-flex justify-content-between mb-2">
-                          <span>{event.team1}</span>
-                          <Button
-                            color="primary"
-                            size="sm"
-                            disabled={!membershipPaid || event.status !== 'upcoming'}
-                            onClick={() => this.placeBet(event._id, event.team1, event.odds1)}
-                          >
-                            {event.odds1.toFixed(2)}
-                          </Button>
-                        </div>
-
-                        {event.team2 && (
-                          <div className="d-flex justify-content-between mb-2">
-                            <span>{event.team2}</span>
-                            <Button
-                              color="primary"
-                              size="sm"
-                              disabled={!membershipPaid || event.status !== 'upcoming'}
-                              onClick={() => this.placeBet(event._id, event.team2, event.odds2)}
-                            >
-                              {event.odds2.toFixed(2)}
-                            </Button>
-                          </div>
-                        )}
-
-                        {event.drawOdds && (
-                          <div className="d-flex justify-content-between mb-2">
-                            <span>Draw</span>
-                            <Button
-                              color="primary"
-                              size="sm"
-                              disabled={!membershipPaid || event.status !== 'upcoming'}
-                              onClick={() => this.placeBet(event._id, 'Draw', event.drawOdds)}
-                            >
-                              {event.drawOdds.toFixed(2)}
-                            </Button>
-                          </div>
-                        )}
-                      </div>
-
-                      {event.status !== 'upcoming' && (
-                        <Badge color="secondary" className="mt-2">{event.status}</Badge>
-                      )}
-                    </CardBody>
-                  </Card>
-                </Col>
-              ))}
-            </Row>
-          )}
+          <Row>
+            <Col md="8">
+              {sports.length > 0 && this.renderBrowse()}
+
+              {liveEvents.length > 0 && (
+                <React.Fragment>
+                  <h3 className="mb-3">
+                    In Play <Badge color="danger">LIVE</Badge>
+                  </h3>
+                  <Row>
+                    {liveEvents.map(event => this.renderEvent(event))}
+                  </Row>
+                  <h3 className="mb-3">Upcoming</h3>
+                </React.Fragment>
+              )}
+
+              {events.length === 0 ? (
+                <Alert color="info">
+                  No upcoming events at the moment. Check back soon!
+                </Alert>
+              ) : (
+                <Row>
+                  {events.map(event => this.renderEvent(event))}
+                </Row>
+              )}
+            </Col>
+            <Col md="4">
+              <div style={{ position: 'sticky', top: '1rem' }}>
+                <BetSlip
+                  selections={slip}
+                  presets={stakePresets}
+                  bonuses={bonuses}
+                  onChange={(selections) => this.updateSlip(selections)}
+                  onPresetsChange={(presets) => this.setState({ stakePresets: presets })}
+                  onPlaced={(response) => this.betsPlaced(response)}
+                />
+              </div>
+            </Col>
+          </Row>
         </Container>
       </Layout>
     )
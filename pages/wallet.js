@@ -1,15 +1,88 @@
 import React from 'react'
-import { Container, Row, Col, Card, CardBody, Button, Alert, Input, Form, FormGroup, Label } from 'reactstrap'
+import { Container, Row, Col, Card, CardBody, Button, Alert, Input, Form, FormGroup, Label, Badge } from 'reactstrap'
+import { NextAuth } from 'next-auth/client'
 import Page from '../components/page'
 import Layout from '../components/layout'
 
+const LIMIT_LABELS = {
+  deposit: 'Deposit',
+  loss: 'Loss',
+  stake: 'Stake',
+}
+
+const PERIOD_LABELS = {
+  per_bet: 'Per bet',
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+}
+
+// Periods each limit can be set for (see services/ResponsibleGamblingService.js)
+const LIMIT_PERIODS = {
+  deposit: ['daily', 'weekly', 'monthly'],
+  loss: ['daily', 'weekly', 'monthly'],
+  stake: ['per_bet', 'daily', 'weekly', 'monthly'],
+}
+
+const TRANSACTION_TYPES = {
+  deposit: 'Deposits',
+  stake: 'Stakes',
+  winnings: 'Winnings',
+  cash_out: 'Cash outs',
+  refund: 'Refunds',
+  fee: 'Fees',
+  withdrawal: 'Withdrawals',
+  correction: 'Corrections',
+  bonus: 'Bonus funds',
+}
+
+const TRANSACTIONS_PER_PAGE = 20
+
+const VERIFICATION_STATUS = {
+  unverified: { label: 'Not verified', color: 'secondary' },
+  pending: { label: 'Under review', color: 'warning' },
+  verified: { label: 'Verified', color: 'success' },
+  rejected: { label: 'Action needed', color: 'danger' },
+}
+
+const DOCUMENT_TYPES = {
+  photo_id: 'Photo ID (passport, driving licence or ID card)',
+  proof_of_address: 'Proof of address (utility bill or bank statement)',
+}
+
+const BONUS_TYPES = {
+  deposit_match: 'Deposit match',
+  free_bet: 'Free bet',
+  odds_boost: 'Odds boost',
+  referral: 'Referral',
+}
+
 export default class extends Page {
   constructor(props) {
     super(props)
     this.state = {
       balance: 0,
+      heldBalance: 0,
+      bonusBalance: 0,
+      bonusData: null,
+      promoCode: '',
+      referralCode: '',
       membershipPaid: false,
       depositAmount: 10,
+      oddsPreference: 'never',
+      protection: null,
+      withdrawals: [],
+      wagering: null,
+      withdrawAmount: '',
+      withdrawDestination: '',
+      verification: null,
+      kycDetails: { fullName: '', dateOfBirth: '' },
+      kycDocumentType: 'photo_id',
+      uploading: false,
+      limitForm: { type: 'deposit', period: 'daily', amount: '' },
+      history: null,
+      historyFilter: { type: '', from: '', to: '', page: 1 },
+      statementMonth: new Date().toISOString().slice(0, 7),
       loading: true,
       success: null,
       error: null
@@ -42,22 +115,775 @@ export default class extends Page {
       const membershipRes = await fetch('/api/wallet/membership-status')
       const membershipData = await membershipRes.json()
 
+      // Load betting preferences
+      const preferencesRes = await fetch('/api/wallet/preferences')
+      const preferencesData = await preferencesRes.json()
+
+      // Load withdrawals
+      const withdrawalsRes = await fetch('/api/wallet/withdrawals')
+      const withdrawalsData = await withdrawalsRes.json()
+
+      // Load bonuses
+      const bonusesRes = await fetch('/api/bonuses')
+      const bonusesData = await bonusesRes.json()
+
+      // Load responsible gambling limits
+      const protectionRes = await fetch('/api/wallet/protection')
+      const protectionData = await protectionRes.json()
+
+      // Load identity verification
+      const verificationRes = await fetch('/api/kyc')
+      const verificationData = await verificationRes.json()
+
       this.setState({
         balance: balanceData.balance || 0,
+        heldBalance: balanceData.heldBalance || 0,
+        bonusBalance: balanceData.bonusBalance || 0,
+        bonusData: bonusesRes.ok ? bonusesData : null,
+        withdrawals: withdrawalsData.withdrawals || [],
+        wagering: withdrawalsData.wagering || null,
         membershipPaid: membershipData.isPaid || false,
+        oddsPreference: preferencesData.oddsPreference || 'never',
+        protection: protectionRes.ok ? protectionData : null,
+        verification: verificationRes.ok ? verificationData : null,
+        kycDetails: verificationRes.ok ? {
+          fullName: verificationData.fullName || '',
+          dateOfBirth: verificationData.dateOfBirth ? verificationData.dateOfBirth.slice(0, 10) : ''
+        } : this.state.kycDetails,
         loading: false
       })
+
+      await this.loadHistory()
     } catch (error) {
       console.error('Error loading data:', error)
       this.setState({ error: error.message, loading: false })
     }
   }
 
-  async payMembership() {
+  async updateOddsPreference(oddsPreference) {
+    try {
+      const res = await fetch('/api/wallet/preferences', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ oddsPreference })
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ oddsPreference, success: 'Odds preference saved' })
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  async withdraw() {
+    const { withdrawAmount, withdrawDestination } = this.state
+
+    try {
+      const res = await fetch('/api/wallet/withdrawals', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ amount: parseFloat(withdrawAmount), destination: withdrawDestination })
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message, withdrawAmount: '' })
+        await this.loadData()
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  async cancelWithdrawal(withdrawalId) {
+    try {
+      const res = await fetch(`/api/wallet/withdrawals/${withdrawalId}/cancel`, {
+        method: 'POST',
+        headers: { 'x-csrf-token': await NextAuth.csrfToken() }
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message })
+        await this.loadData()
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  // Promotion codes and referrals post to the server and reload the bonuses
+  async submitBonusCode(path, code, field) {
+    try {
+      const res = await fetch(`/api/bonuses/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify({ code })
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message, [field]: '' })
+        await this.loadData()
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  renderBonuses() {
+    const { bonusData, promoCode, referralCode, membershipPaid } = this.state
+    if (!bonusData) return null
+
+    const current = bonusData.bonuses.filter(bonus => ['pending', 'active'].includes(bonus.status))
+    const past = bonusData.bonuses.filter(bonus => !['pending', 'active'].includes(bonus.status))
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>Bonuses &amp; Promotions</h4>
+          <p className="text-muted">
+            Bonus funds are used after your cash balance and can't be withdrawn until their wagering is met.
+            Unused bonuses are lost when they expire.
+          </p>
+
+          <Row>
+            <Col md="6">
+              <Form inline onSubmit={(e) => { e.preventDefault(); this.submitBonusCode('claim', promoCode, 'promoCode') }} className="mb-3">
+                <Input
+                  type="text"
+                  placeholder="Promotion code"
+                  className="mr-2 mb-2"
+                  value={promoCode}
+                  onChange={(e) => this.setState({ promoCode: e.target.value })}
+                  disabled={!membershipPaid}
+                />
+                <Button color="primary" className="mb-2" type="submit" disabled={!membershipPaid || !promoCode}>Claim</Button>
+              </Form>
+            </Col>
+            <Col md="6">
+              <p className="mb-1">Your referral code: <code>{bonusData.referralCode}</code></p>
+              {bonusData.referredBy ? (
+                <small className="text-muted">You were referred by a friend.</small>
+              ) : (
+                <Form inline onSubmit={(e) => { e.preventDefault(); this.submitBonusCode('referral', referralCode, 'referralCode') }} className="mb-3">
+                  <Input
+                    type="text"
+                    placeholder="Friend's referral code"
+                    className="mr-2 mb-2"
+                    value={referralCode}
+                    onChange={(e) => this.setState({ referralCode: e.target.value })}
+                  />
+                  <Button color="secondary" outline className="mb-2" type="submit" disabled={!referralCode}>Save</Button>
+                </Form>
+              )}
+            </Col>
+          </Row>
+
+          {current.length > 0 && (
+            <table className="table table-sm">
+              <thead>
+                <tr>
+                  <th>Bonus</th>
+                  <th>Type</th>
+                  <th className="text-right">Balance</th>
+                  <th>Wagering</th>
+                  <th>Expires</th>
+                </tr>
+              </thead>
+              <tbody>
+                {current.map(bonus => (
+                  <tr key={bonus._id}>
+                    <td>{bonus.name}</td>
+                    <td>{BONUS_TYPES[bonus.type]}</td>
+                    <td className="text-right">
+                      {bonus.status === 'pending'
+                        ? <small className="text-muted">Added with your next deposit</small>
+                        : bonus.type === 'odds_boost' ? `+${Math.round(bonus.boost * 100)}%` : `$${bonus.balance.toFixed(2)}`}
+                    </td>
+                    <td>
+                      {bonus.wageringRequired > 0 ? (
+                        <small>${bonus.wagered.toFixed(2)} of ${bonus.wageringRequired.toFixed(2)} staked</small>
+                      ) : (
+                        <small className="text-muted">-</small>
+                      )}
+                    </td>
+                    <td>{new Date(bonus.expiresAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {past.length > 0 && (
+            <small className="text-muted">
+              Earlier: {past.map(bonus => `${bonus.name} (${bonus.status})`).join(', ')}
+            </small>
+          )}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  async loadHistory(changes = {}) {
+    const historyFilter = { ...this.state.historyFilter, ...changes }
+    this.setState({ historyFilter })
+
+    try {
+      const params = new URLSearchParams({ page: historyFilter.page, pageSize: TRANSACTIONS_PER_PAGE })
+      if (historyFilter.type) params.append('type', historyFilter.type)
+      if (historyFilter.from) params.append('from', historyFilter.from)
+      if (historyFilter.to) params.append('to', historyFilter.to)
+
+      const res = await fetch(`/api/wallet/transactions?${params}`)
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ history: data })
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  renderHistory() {
+    const { history, historyFilter, statementMonth } = this.state
+    if (!history) return null
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>Transaction History</h4>
+
+          <Form inline onSubmit={(e) => e.preventDefault()} className="mb-3">
+            <Input
+              type="select"
+              className="mr-2 mb-2"
+              value={historyFilter.type}
+              onChange={(e) => this.loadHistory({ type: e.target.value, page: 1 })}
+            >
+              <option value="">All transactions</option>
+              {Object.keys(TRANSACTION_TYPES).map(type => (
+                <option key={type} value={type}>{TRANSACTION_TYPES[type]}</option>
+              ))}
+            </Input>
+            <Label className="mr-2 mb-2">From</Label>
+            <Input
+              type="date"
+              className="mr-2 mb-2"
+              value={historyFilter.from}
+              onChange={(e) => this.loadHistory({ from: e.target.value, page: 1 })}
+            />
+            <Label className="mr-2 mb-2">To</Label>
+            <Input
+              type="date"
+              className="mr-2 mb-2"
+              value={historyFilter.to}
+              onChange={(e) => this.loadHistory({ to: e.target.value, page: 1 })}
+            />
+          </Form>
+
+          {history.transactions.length === 0 ? (
+            <p className="text-muted">No transactions found.</p>
+          ) : (
+            <table className="table table-sm">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th className="text-right">Amount</th>
+                  <th className="text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.transactions.map(transaction => (
+                  <tr key={transaction.id}>
+                    <td>{new Date(transaction.date).toLocaleString()}</td>
+                    <td>
+                      {transaction.description}
+                      {!transaction.affectsBalance && <small className="text-muted"> (not from balance)</small>}
+                    </td>
+                    <td className={`text-right ${transaction.amount < 0 ? 'text-danger' : 'text-success'}`}>
+                      {transaction.amount < 0 ? '-' : '+'}${Math.abs(transaction.amount).toFixed(2)}
+                    </td>
+                    <td className="text-right">${transaction.balance.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <Button
+              color="secondary"
+              outline
+              size="sm"
+              disabled={history.page <= 1}
+              onClick={() => this.loadHistory({ page: history.page - 1 })}
+            >
+              Newer
+            </Button>
+            <small className="text-muted">Page {history.page} of {history.pages} ({history.total} transactions)</small>
+            <Button
+              color="secondary"
+              outline
+              size="sm"
+              disabled={history.page >= history.pages}
+              onClick={() => this.loadHistory({ page: history.page + 1 })}
+            >
+              Older
+            </Button>
+          </div>
+
+          <h5>Monthly Statement</h5>
+          <Form inline onSubmit={(e) => e.preventDefault()}>
+            <Input
+              type="month"
+              className="mr-2 mb-2"
+              value={statementMonth}
+              onChange={(e) => this.setState({ statementMonth: e.target.value })}
+            />
+            <Button color="primary" outline className="mr-2 mb-2" href={`/api/wallet/statements/${statementMonth}?format=csv`} disabled={!statementMonth}>
+              Download CSV
+            </Button>
+            <Button color="primary" outline className="mb-2" href={`/api/wallet/statements/${statementMonth}?format=pdf`} disabled={!statementMonth}>
+              Download PDF
+            </Button>
+          </Form>
+        </CardBody>
+      </Card>
+    )
+  }
+
+  async saveKycDetails() {
+    try {
+      const res = await fetch('/api/kyc/details', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify(this.state.kycDetails)
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message, verification: data })
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  // The file goes up as the request body, with its own content type
+  async uploadDocument(file) {
+    if (!file) return
+    const { kycDocumentType } = this.state
+
+    this.setState({ uploading: true })
+    try {
+      const query = `type=${kycDocumentType}&filename=${encodeURIComponent(file.name)}`
+      const res = await fetch(`/api/kyc/documents?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type || 'application/octet-stream', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: file
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message })
+        await this.loadData()
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+    this.setState({ uploading: false })
+  }
+
+  renderVerification() {
+    const { verification, kycDetails, kycDocumentType, uploading } = this.state
+    if (!verification) return null
+
+    const status = VERIFICATION_STATUS[verification.status]
+    const { requirements } = verification
+    const verified = verification.status === 'verified'
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>
+            Identity Verification <Badge color={status.color} className="ml-2">{status.label}</Badge>
+          </h4>
+          {!verified && (
+            <p className="text-muted">
+              Verify your identity to withdraw. Until then you can deposit up to
+              ${requirements.unverifiedDepositLimit.toFixed(2)} in total and stake up to
+              ${requirements.unverifiedMaxStake.toFixed(2)} per bet. You must be {requirements.minAge} or older.
+            </p>
+          )}
+
+          {Object.keys(verification.checks).map(check => {
+            const result = verification.checks[check]
+            return (
+              <p key={check} className="mb-1">
+                <strong className="text-capitalize">{check} check:</strong> {result.status.replace(/_/g, ' ')}
+                {result.status === 'failed' && result.reason && (
+                  <span className="text-danger"> - {result.reason}</span>
+                )}
+              </p>
+            )
+          })}
+
+          {!verified && (
+            <React.Fragment>
+              <Form inline onSubmit={(e) => { e.preventDefault(); this.saveKycDetails() }} className="mt-3 mb-3">
+                <Input
+                  type="text"
+                  placeholder="Full name as on your ID"
+                  className="mr-2 mb-2"
+                  value={kycDetails.fullName}
+                  onChange={(e) => this.setState({ kycDetails: { ...kycDetails, fullName: e.target.value } })}
+                />
+                <Input
+                  type="date"
+                  className="mr-2 mb-2"
+                  value={kycDetails.dateOfBirth}
+                  onChange={(e) => this.setState({ kycDetails: { ...kycDetails, dateOfBirth: e.target.value } })}
+                />
+                <Button color="primary" className="mb-2" type="submit" disabled={!kycDetails.fullName || !kycDetails.dateOfBirth}>
+                  Save Details
+                </Button>
+              </Form>
+
+              <Form inline className="mb-3">
+                <Input
+                  type="select"
+                  className="mr-2 mb-2"
+                  value={kycDocumentType}
+                  onChange={(e) => this.setState({ kycDocumentType: e.target.value })}
+                >
+                  {Object.keys(DOCUMENT_TYPES).map(type => (
+                    <option key={type} value={type}>{DOCUMENT_TYPES[type]}</option>
+                  ))}
+                </Input>
+                <Input
+                  type="file"
+                  className="mb-2"
+                  accept={requirements.contentTypes.join(',')}
+                  disabled={uploading}
+                  onChange={(e) => { this.uploadDocument(e.target.files[0]); e.target.value = '' }}
+                />
+              </Form>
+              <p className="text-muted small">
+                JPEG, PNG or PDF, up to {Math.round(requirements.maxUploadBytes / 1024 / 1024)}MB.
+              </p>
+            </React.Fragment>
+          )}
+
+          {verification.documents.length > 0 && (
+            <table className="table table-sm">
+              <thead>
+                <tr>
+                  <th>Uploaded</th>
+                  <th>Document</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {verification.documents.map(document => (
+                  <tr key={document._id}>
+                    <td>{new Date(document.createdAt).toLocaleString()}</td>
+                    <td>{document.type.replace(/_/g, ' ')} <small className="text-muted">{document.filename}</small></td>
+                    <td>
+                      {document.status}
+                      {document.reason && <small className="text-danger"> - {document.reason}</small>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  renderWithdrawals() {
+    const { membershipPaid, balance, withdrawals, wagering, withdrawAmount, withdrawDestination, verification } = this.state
+    const verified = verification && verification.status === 'verified'
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>Withdraw Funds</h4>
+          <p className="text-muted">
+            The amount is held from your balance while we review the request.
+          </p>
+          {wagering && !wagering.met && (
+            <Alert color="info">
+              Deposits must be wagered before they can be withdrawn. Stake another ${wagering.remaining.toFixed(2)} to withdraw.
+            </Alert>
+          )}
+          {!verified && (
+            <Alert color="info">
+              Verify your identity below before requesting a withdrawal.
+            </Alert>
+          )}
+          <Form inline onSubmit={(e) => { e.preventDefault(); this.withdraw() }} className="mb-3">
+            <Input
+              type="number"
+              min="10"
+              max={balance}
+              step="0.01"
+              placeholder="Amount"
+              className="mr-2 mb-2"
+              value={withdrawAmount}
+              onChange={(e) => this.setState({ withdrawAmount: e.target.value })}
+              disabled={!membershipPaid || !verified}
+            />
+            <Input
+              type="text"
+              placeholder="Payout account"
+              className="mr-2 mb-2"
+              value={withdrawDestination}
+              onChange={(e) => this.setState({ withdrawDestination: e.target.value })}
+              disabled={!membershipPaid || !verified}
+            />
+            <Button color="primary" className="mb-2" type="submit" disabled={!membershipPaid || !verified || !withdrawAmount}>
+              Request Withdrawal
+            </Button>
+          </Form>
+
+          {withdrawals.length > 0 && (
+            <table className="table table-sm">
+              <thead>
+                <tr>
+                  <th>Requested</th>
+                  <th className="text-right">Amount</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {withdrawals.map(withdrawal => (
+                  <tr key={withdrawal._id}>
+                    <td>{new Date(withdrawal.requestedAt).toLocaleString()}</td>
+                    <td className="text-right">${withdrawal.amount.toFixed(2)}</td>
+                    <td>{withdrawal.status.replace(/_/g, ' ')}</td>
+                    <td className="text-right">
+                      {withdrawal.status === 'requested' && (
+                        <Button color="link" size="sm" onClick={() => this.cancelWithdrawal(withdrawal._id)}>Cancel</Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </CardBody>
+      </Card>
+    )
+  }
+
+  // Every protection change posts to the server and reloads the limits
+  async updateProtection(path, method, body, confirmText = null) {
+    if (confirmText && !confirm(confirmText)) {
+      return
+    }
+
+    try {
+      const res = await fetch(`/api/wallet/protection/${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
+        body: JSON.stringify(body)
+      })
+
+      const data = await res.json()
+
+      if (res.ok) {
+        this.setState({ success: data.message })
+        await this.loadData()
+      } else {
+        this.setState({ error: data.error })
+      }
+    } catch (error) {
+      this.setState({ error: error.message })
+    }
+  }
+
+  setLimit(remove = false) {
+    const { type, period, amount } = this.state.limitForm
+    this.updateProtection('limits', 'PUT', { type, period, amount: remove ? null : parseFloat(amount) })
+  }
+
+  renderProtection() {
+    const { protection, limitForm } = this.state
+    if (!protection) return null
+
+    const excludedUntil = protection.selfExcludedUntil || protection.coolOffUntil
+
+    return (
+      <Card className="mb-4">
+        <CardBody>
+          <h4>Responsible Gambling</h4>
+          <p className="text-muted">
+            Lowering a limit takes effect straight away. Raising or removing one takes {protection.increaseDelayHours} hours.
+          </p>
+
+          {excludedUntil && (
+            <Alert color="warning">
+              {protection.selfExcludedUntil ? 'You are self-excluded' : 'You are taking a break'} until{' '}
+              <strong>{new Date(excludedUntil).toLocaleString()}</strong>. Betting and deposits are closed until then.
+            </Alert>
+          )}
+
+          <table className="table table-sm">
+            <thead>
+              <tr>
+                <th>Limit</th>
+                <th>Period</th>
+                <th className="text-right">Limit</th>
+                <th className="text-right">Used</th>
+                <th>Pending</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(LIMIT_PERIODS).map(type => LIMIT_PERIODS[type].map(period => {
+                const limit = (protection.limits[type] || {})[period]
+                const pending = protection.pendingLimits.find(candidate => candidate.type === type && candidate.period === period)
+                if (limit === undefined && !pending) return null
+                return (
+                  <tr key={`${type}-${period}`}>
+                    <td>{LIMIT_LABELS[type]}</td>
+                    <td>{PERIOD_LABELS[period]}</td>
+                    <td className="text-right">{limit === undefined ? '-' : `$${limit.toFixed(2)}`}</td>
+                    <td className="text-right">
+                      {protection.usage[type][period] === undefined ? '-' : `$${protection.usage[type][period].toFixed(2)}`}
+                    </td>
+                    <td>
+                      {pending && (
+                        <small className="text-muted">
+                          {pending.amount === null ? 'Removed' : `$${pending.amount.toFixed(2)}`} from {new Date(pending.effectiveAt).toLocaleString()}
+                        </small>
+                      )}
+                    </td>
+                  </tr>
+                )
+              }))}
+            </tbody>
+          </table>
+
+          <Form inline onSubmit={(e) => { e.preventDefault(); this.setLimit() }} className="mb-4">
+            <Input
+              type="select"
+              className="mr-2 mb-2"
+              value={limitForm.type}
+              onChange={(e) => this.setState({ limitForm: { ...limitForm, type: e.target.value, period: LIMIT_PERIODS[e.target.value][0] } })}
+            >
+              {Object.keys(LIMIT_LABELS).map(type => (
+                <option key={type} value={type}>{LIMIT_LABELS[type]} limit</option>
+              ))}
+            </Input>
+            <Input
+              type="select"
+              className="mr-2 mb-2"
+              value={limitForm.period}
+              onChange={(e) => this.setState({ limitForm: { ...limitForm, period: e.target.value } })}
+            >
+              {LIMIT_PERIODS[limitForm.type].map(period => (
+                <option key={period} value={period}>{PERIOD_LABELS[period]}</option>
+              ))}
+            </Input>
+            <Input
+              type="number"
+              min="1"
+              step="0.01"
+              placeholder="Amount"
+              className="mr-2 mb-2"
+              value={limitForm.amount}
+              onChange={(e) => this.setState({ limitForm: { ...limitForm, amount: e.target.value } })}
+            />
+            <Button color="primary" className="mr-2 mb-2" type="submit" disabled={!limitForm.amount}>Set Limit</Button>
+            <Button color="secondary" outline className="mb-2" onClick={() => this.setLimit(true)}>Remove</Button>
+          </Form>
+
+          <Row>
+            <Col md="4" className="mb-3">
+              <h5>Session Reminder</h5>
+              <Input
+                type="select"
+                value={protection.sessionReminderMinutes || ''}
+                onChange={(e) => this.updateProtection('session-reminder', 'PUT', { minutes: e.target.value || null })}
+              >
+                <option value="">Off</option>
+                <option value="15">Every 15 minutes</option>
+                <option value="30">Every 30 minutes</option>
+                <option value="60">Every hour</option>
+                <option value="120">Every 2 hours</option>
+              </Input>
+            </Col>
+            <Col md="4" className="mb-3">
+              <h5>Take a Break</h5>
+              {['24h', '7d', '30d'].map(period => (
+                <Button
+                  key={period}
+                  color="warning"
+                  outline
+                  size="sm"
+                  className="mr-2 mb-1"
+                  onClick={() => this.updateProtection('cool-off', 'POST', { period },
+                    `Stop betting and deposits for ${period}? This can't be undone early.`)}
+                >
+                  {period}
+                </Button>
+              ))}
+            </Col>
+            <Col md="4" className="mb-3">
+              <h5>Self-Exclude</h5>
+              {[['6m', '6 months'], ['1y', '1 year'], ['5y', '5 years']].map(([period, label]) => (
+                <Button
+                  key={period}
+                  color="danger"
+                  outline
+                  size="sm"
+                  className="mr-2 mb-1"
+                  onClick={() => this.updateProtection('self-exclude', 'POST', { period },
+                    `Exclude yourself from betting and deposits for ${label}? This can't be undone early.`)}
+                >
+                  {label}
+                </Button>
+              ))}
+            </Col>
+          </Row>
+        </CardBody>
+      </Card>
+    )
+  }
+
+    async payMembership() {
     try {
       const res = await fetch('/api/wallet/create-membership-session', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() }
       })
 
       const data = await res.json()
@@ -83,7 +909,7 @@ export default class extends Page {
     try {
       const res = await fetch('/api/wallet/create-checkout-session', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'x-csrf-token': await NextAuth.csrfToken() },
         body: JSON.stringify({ amount: parseFloat(depositAmount) })
       })
 
@@ -148,6 +974,12 @@ export default class extends Page {
                 <CardBody>
                   <h3>Current Balance</h3>
                   <h1 className="text-success display-3">${balance.toFixed(2)}</h1>
+                  {this.state.heldBalance > 0 && (
+                    <p className="text-muted mb-0">${this.state.heldBalance.toFixed(2)} held for withdrawal</p>
+                  )}
+                  {this.state.bonusBalance > 0 && (
+                    <p className="text-muted mb-0">${this.state.bonusBalance.toFixed(2)} bonus funds</p>
+                  )}
                   <hr />
                   <p className="text-muted">
                     Membership Status: {membershipPaid ? (
@@ -247,8 +1079,40 @@ export default class extends Page {
                 </CardBody>
               </Card>
             </Col>
+
+            <Col md="6" className="mb-4">
+              <Card>
+                <CardBody>
+                  <h4>When Odds Change</h4>
+                  <p className="text-muted">
+                    Prices can move between seeing them and placing your bet.
+                  </p>
+                  <FormGroup>
+                    <Input
+                      type="select"
+                      value={this.state.oddsPreference}
+                      onChange={(e) => this.updateOddsPreference(e.target.value)}
+                    >
+                      <option value="never">Ask me every time</option>
+                      <option value="better">Accept better odds automatically</option>
+                      <option value="any">Accept any odds change</option>
+                    </Input>
+                  </FormGroup>
+                </CardBody>
+              </Card>
+            </Col>
           </Row>
 
+          {this.renderVerification()}
+
+          {this.renderWithdrawals()}
+
+          {this.renderBonuses()}
+
+          {this.renderHistory()}
+
+          {this.renderProtection()}
+
           <Alert color="info" className="mt-4">
             <h5>Secure Payments</h5>
             <p className="mb-0">All payments are securely processed through Stripe. We never store your credit card information.</p>
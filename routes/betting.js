@@ -2,20 +2,104 @@ const Bet = require('../models/bet')
 const Event = require('../models/event')
 const Wallet = require('../models/wallet')
 const House = require('../models/house')
+const LedgerService = require('../services/LedgerService')
+const BettingService = require('../services/BettingService')
+const EventService = require('../services/EventService')
+const CashOutService = require('../services/CashOutService')
+const EventScheduleService = require('../services/EventScheduleService')
+const RiskService = require('../services/RiskService')
+const TradingService = require('../services/TradingService')
+const ResponsibleGamblingService = require('../services/ResponsibleGamblingService')
+const WithdrawalService = require('../services/WithdrawalService')
+const StatementService = require('../services/StatementService')
+const BonusService = require('../services/BonusService')
+const LiveUpdateService = require('../services/LiveUpdateService')
+const FeedService = require('../services/FeedService')
+const FixtureService = require('../services/FixtureService')
+const AnalyticsService = require('../services/AnalyticsService')
+const FraudService = require('../services/FraudService')
+const KycService = require('../services/KycService')
+const {
+  ApplicationError,
+  ValidationError,
+  AuthorizationError,
+  NotFoundError,
+} = require('../lib/errors')
+const { BET_TYPES, SYSTEM_BETS, expandLines } = require('../lib/bet-types')
+const { clientInfo } = require('../lib/devices')
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY)
 
+// Unpaid deposit checkouts expire after this long (Stripe allows 30 minutes to
+// 24 hours), so few can be open at once
+const DEPOSIT_CHECKOUT_MINUTES = Math.min(1440, Math.max(30, parseInt(process.env.DEPOSIT_CHECKOUT_MINUTES || '30', 10)))
+
+// Domain errors carry their HTTP status and any extra fields for the client
+function sendError(res, error) {
+  if (error instanceof ApplicationError) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      ...error.details
+    })
+  }
+  res.status(500).json({ error: error.message })
+}
+
+// Raw request body (a file upload), refused with a 413 as soon as it grows
+// past maxBytes. The rest isn't read: the connection is closed once the
+// refusal has been sent.
+function readUpload(req, res, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+
+    const refuse = () => {
+      req.removeAllListeners('data')
+      req.pause()
+      res.setHeader('Connection', 'close')
+      res.on('finish', () => req.destroy())
+      reject(new ApplicationError(`Documents can be at most ${Math.round(maxBytes / 1024 / 1024)}MB`, 413, 'PAYLOAD_TOO_LARGE', { field: 'file' }))
+    }
+
+    if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+      return refuse()
+    }
+
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > maxBytes) return refuse()
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
 module.exports = (expressApp) => {
   if (expressApp === null) {
     throw new Error('expressApp option must be an express server instance')
   }
 
-  // Get all upcoming events
+  // Note the device and IP behind every bet, deposit, withdrawal and bonus
+  // claim, so the fraud checks can link accounts that share them
+  expressApp.use(['/api/bets', '/api/wallet', '/api/bonuses'], (req, res, next) => {
+    if (req.user && req.method !== 'GET') {
+      FraudService.recordActivity(req.user, clientInfo(req, res))
+        .catch(error => console.error('Failed to record device:', error))
+    }
+    next()
+  })
+
+  // Get all upcoming events (?sport=&leagueId= to browse one sport or league)
   expressApp.get('/api/events', async (req, res) => {
     try {
-      const events = await Event.findUpcoming()
+      const events = await Event.findUpcoming(EventScheduleService.now(), {
+        sport: req.query.sport,
+        leagueId: req.query.leagueId
+      })
       res.json({ events })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
@@ -25,7 +109,53 @@ module.exports = (expressApp) => {
       const events = await Event.findAll()
       res.json({ events })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
+    }
+  })
+
+  // Get events in play
+  expressApp.get('/api/events/live', async (req, res) => {
+    try {
+      const events = await Event.findLive()
+      res.json({ events })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Stream of price, status, score and settlement changes (Server-Sent
+  // Events); signed in users also get their own bets and wallet
+  expressApp.get('/api/live', (req, res) => {
+    LiveUpdateService.connect(req, res, req.user || null)
+  })
+
+  // Sports with events on, and the leagues they are in
+  expressApp.get('/api/sports', async (req, res) => {
+    try {
+      const sports = await FixtureService.getSportsTree(EventScheduleService.now())
+      res.json({ sports })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Get leagues (?sport=)
+  expressApp.get('/api/leagues', async (req, res) => {
+    try {
+      const leagues = await FixtureService.listLeagues({ sport: req.query.sport })
+      res.json({ leagues })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Get teams (?sport=&leagueId=)
+  expressApp.get('/api/teams', async (req, res) => {
+    try {
+      const teams = await FixtureService.listTeams({ sport: req.query.sport, leagueId: req.query.leagueId })
+      res.json({ teams })
+    } catch (error) {
+      sendError(res, error)
     }
   })
 
@@ -34,17 +164,29 @@ module.exports = (expressApp) => {
     try {
       const event = await Event.findById(req.params.id)
       if (!event) {
-        return res.status(404).json({ error: 'Event not found' })
+        throw new NotFoundError('Event', req.params.id)
       }
       res.json({ event })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
   // Get maximum allowed bet for given odds
+  // With ?eventId=&marketId=&selectionId= it allows for what is already
+  // staked on that selection
   expressApp.get('/api/bets/max-bet/:odds', async (req, res) => {
     try {
+      const { eventId, marketId, selectionId } = req.query
+      if (eventId && marketId && selectionId) {
+        const limit = await RiskService.maxStake(eventId, marketId, selectionId)
+        return res.json({
+          maxBet: limit.maxStake,
+          ...limit,
+          message: `Maximum bet: $${limit.maxStake} (what the house can still take on this selection)`
+        })
+      }
+
       const odds = parseFloat(req.params.odds)
       const maxBet = await House.calculateMaxBet(odds)
       const houseBalance = await House.getBalance()
@@ -55,10 +197,20 @@ module.exports = (expressApp) => {
         message: `Maximum bet: $${maxBet} (House protects 10% max risk per bet)`
       })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
+  // System bets on offer and how many lines each one expands into
+  expressApp.get('/api/bets/system-types', (req, res) => {
+    const systemTypes = Object.keys(SYSTEM_BETS).map(key => ({
+      key,
+      ...SYSTEM_BETS[key],
+      lines: expandLines(BET_TYPES.SYSTEM, SYSTEM_BETS[key].selections, key).length
+    }))
+    res.json({ systemTypes })
+  })
+
   // Place a bet with risk management
   expressApp.post('/api/bets/place', async (req, res) => {
     if (!req.user) {
@@ -66,85 +218,83 @@ module.exports = (expressApp) => {
     }
 
     try {
-      // Check if membership is paid
-      const wallet = await Wallet.findByUserId(req.user.id)
-      if (!wallet.membershipPaid) {
-        return res.status(403).json({ error: 'Please pay the membership fee first' })
-      }
+      // Accumulators and system bets send their selections as legs
+      const bet = Array.isArray(req.body.legs)
+        ? await BettingService.placeMultiple(req.user, req.body)
+        : await BettingService.placeBet(req.user, req.body)
 
-      const { eventId, selection, amount, odds } = req.body
+      res.json({
+        bet,
+        message: 'Bet placed successfully',
+        houseBalance: (await House.getBalance()).balance,
+        sessionReminder: await ResponsibleGamblingService.touchSession(req.user.id)
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
 
-      if (!eventId || !selection || !amount || !odds) {
-        return res.status(400).json({ error: 'Missing required fields' })
-      }
+  // Check the selections on a bet slip still take bets, and at what price
+  expressApp.post('/api/bets/slip/check', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
 
-      const betAmount = parseFloat(amount)
-      const betOdds = parseFloat(odds)
-      const potentialWin = betAmount * betOdds
-
-      // CRITICAL: Check if house can afford to pay this bet if it wins
-      const maxBet = await House.calculateMaxBet(betOdds)
-      if (betAmount > maxBet) {
-        return res.status(400).json({
-          error: `Bet too large. Maximum bet for these odds is $${maxBet}`,
-          maxBet,
-          reason: 'House risk management - protecting bankroll'
-        })
-      }
+    try {
+      const selections = await BettingService.checkSlip(req.user, req.body.selections)
+      res.json({ selections })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
 
-      // Check if house has enough to pay potential winnings
-      const house = await House.getBalance()
-      const potentialPayout = potentialWin
-      if (potentialPayout > house.balance * 0.5) {
-        return res.status(400).json({
-          error: 'Bet amount too high for current house bankroll',
-          maxSafeBet: Math.floor((house.balance * 0.5) / betOdds),
-          reason: 'Insufficient house funds to guarantee payout'
-        })
-      }
+  // Place every bet on a bet slip ({ bets: [...] }, each as for /api/bets/place);
+  // rejected bets come back with their reason instead of failing the rest
+  expressApp.post('/api/bets/slip', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
 
-      // Verify event exists and is open for betting
-      const event = await Event.findById(eventId)
-      if (!event) {
-        return res.status(404).json({ error: 'Event not found' })
-      }
+    try {
+      const slip = await BettingService.placeSlip(req.user, req.body.bets)
+      res.json({
+        ...slip,
+        message: slip.rejected > 0
+          ? `${slip.placed} bet(s) placed, ${slip.rejected} rejected`
+          : `${slip.placed} bet(s) placed`,
+        houseBalance: (await House.getBalance()).balance,
+        sessionReminder: slip.placed > 0 ? await ResponsibleGamblingService.touchSession(req.user.id) : null
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
 
-      if (event.status !== 'upcoming') {
-        return res.status(400).json({ error: 'Event is not open for betting' })
-      }
+  // Get a cash-out quote for an active bet
+  expressApp.post('/api/bets/:id/cash-out/quote', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
 
-      // Minimum bet check
-      if (betAmount < 5) {
-        return res.status(400).json({ error: 'Minimum bet is $5' })
-      }
+    try {
+      const quote = await CashOutService.quote(req.user, req.params.id)
+      res.json({ quote })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
 
-      // Deduct funds from user wallet
-      await Wallet.deductFunds(req.user.id, betAmount)
-
-      // Add funds to house (house receives the bet amount)
-      await House.receiveBet(betAmount)
-
-      // Create bet
-      const bet = await Bet.create({
-        userId: req.user.id,
-        userEmail: req.user.email,
-        eventId,
-        eventName: event.name,
-        selection,
-        amount: betAmount,
-        odds: betOdds,
-        potentialWin,
-        status: 'active',
-        createdAt: new Date()
-      })
+  // Accept a cash-out quote
+  expressApp.post('/api/bets/:id/cash-out', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
 
-      res.json({
-        bet,
-        message: 'Bet placed successfully',
-        houseBalance: (await House.getBalance()).balance
-      })
+    try {
+      const { bet, amount } = await CashOutService.accept(req.user, req.params.id, req.body.quoteId)
+      res.json({ bet, amount, message: `Cashed out for $${amount.toFixed(2)}` })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
@@ -158,7 +308,20 @@ module.exports = (expressApp) => {
       const bets = await Bet.findByUserId(req.user.id)
       res.json({ bets })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
+    }
+  })
+
+  // The user's own betting stats (?from=&to=&interval=day|week|month)
+  expressApp.get('/api/bets/stats', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      res.json(await AnalyticsService.getPlayerStats(req.user.id, req.query))
+    } catch (error) {
+      sendError(res, error)
     }
   })
 
@@ -172,7 +335,7 @@ module.exports = (expressApp) => {
       const bets = await Bet.findActive(req.user.id)
       res.json({ bets })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
@@ -184,272 +347,1078 @@ module.exports = (expressApp) => {
 
     try {
       const wallet = await Wallet.findByUserId(req.user.id)
-      res.json({ balance: wallet.balance })
+      res.json({ balance: wallet.balance, heldBalance: wallet.heldBalance || 0, bonusBalance: wallet.bonusBalance || 0 })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
-  // Create Stripe checkout session for membership signup fee
-  expressApp.post('/api/wallet/create-membership-session', async (req, res) => {
+  // Get betting preferences
+  expressApp.get('/api/wallet/preferences', async (req, res) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' })
     }
 
     try {
-      const MEMBERSHIP_FEE = parseFloat(process.env.MEMBERSHIP_FEE || '10')
-
-      const session = await stripe.checkout.sessions.create({
-        payment_method_types: ['card'],
-        line_items: [
-          {
-            price_data: {
-              currency: 'usd',
-              product_data: {
-                name: 'Membership Fee',
-                description: 'One-time signup fee to activate your betting account',
-              },
-              unit_amount: Math.round(MEMBERSHIP_FEE * 100),
-            },
-            quantity: 1,
-          },
-        ],
-        mode: 'payment',
-        success_url: `${req.headers.origin || 'http://localhost:3000'}/wallet?membership=success`,
-        cancel_url: `${req.headers.origin || 'http://localhost:3000'}/wallet`,
-        client_reference_id: req.user.id,
-        metadata: {
-          userId: req.user.id,
-          type: 'membership'
-        }
-      })
-
-      res.json({ sessionId: session.id, url: session.url })
+      const oddsPreference = await Wallet.getOddsPreference(req.user.id)
+      const stakePresets = await Wallet.getStakePresets(req.user.id)
+      res.json({ oddsPreference, stakePresets })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
-  // Check membership status
-  expressApp.get('/api/wallet/membership-status', async (req, res) => {
+  // Update betting preferences
+  expressApp.put('/api/wallet/preferences', async (req, res) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' })
     }
 
     try {
-      const wallet = await Wallet.findByUserId(req.user.id)
-      res.json({ isPaid: wallet.membershipPaid || false })
+      // Either preference can be sent on its own
+      if (req.body.oddsPreference !== undefined) {
+        await Wallet.setOddsPreference(req.user.id, req.body.oddsPreference)
+      }
+      if (req.body.stakePresets !== undefined) {
+        await Wallet.setStakePresets(req.user.id, req.body.stakePresets)
+      }
+      res.json({
+        oddsPreference: await Wallet.getOddsPreference(req.user.id),
+        stakePresets: await Wallet.getStakePresets(req.user.id),
+        message: 'Preferences updated'
+      })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
-  // Create Stripe checkout session for deposit
-  expressApp.post('/api/wallet/create-checkout-session', async (req, res) => {
+  // Get responsible gambling limits, what has been used of them and any break
+  expressApp.get('/api/wallet/protection', async (req, res) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' })
     }
 
     try {
-      // Check if membership is paid
-      const wallet = await Wallet.findByUserId(req.user.id)
-      if (!wallet.membershipPaid) {
-        return res.status(403).json({ error: 'Please pay the membership fee first' })
-      }
-
-      const { amount } = req.body
+      const protection = await ResponsibleGamblingService.getProtection(req.user.id)
+      res.json(protection)
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
 
-      if (!amount || amount < 5) {
-        return res.status(400).json({ error: 'Minimum deposit is $5' })
-      }
+  // Set or remove a deposit, loss or stake limit ({ type, period, amount })
+  expressApp.put('/api/wallet/protection/limits', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
 
-      const session = await stripe.checkout.sessions.create({
-        payment_method_types: ['card'],
-        line_items: [
-          {
-            price_data: {
-              currency: 'usd',
-              product_data: {
-                name: 'Wallet Deposit',
-                description: `Add $${amount} to your betting wallet`,
-              },
-              unit_amount: Math.round(amount * 100),
-            },
-            quantity: 1,
-          },
-        ],
-        mode: 'payment',
-        success_url: `${req.headers.origin || 'http://localhost:3000'}/wallet?session_id={CHECKOUT_SESSION_ID}`,
-        cancel_url: `${req.headers.origin || 'http://localhost:3000'}/wallet`,
-        client_reference_id: req.user.id,
-        metadata: {
-          userId: req.user.id,
-          amount: amount.toString(),
-          type: 'deposit'
-        }
+    try {
+      const { type, period, amount } = req.body
+      const result = await ResponsibleGamblingService.setLimit(req.user.id, type, period, amount)
+      res.json({
+        ...result,
+        message: result.applied
+          ? 'Limit updated'
+          : `Limit will change on ${new Date(result.effectiveAt).toLocaleString()}`
       })
-
-      res.json({ sessionId: session.id, url: session.url })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
-  // Webhook to handle successful payment
-  expressApp.post('/api/webhook/stripe', async (req, res) => {
-    const sig = req.headers['stripe-signature']
-    let event
+  // Set how often to be reminded how long the session has lasted ({ minutes })
+  expressApp.put('/api/wallet/protection/session-reminder', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
 
     try {
-      event = stripe.webhooks.constructEvent(
-        req.body,
-        sig,
-        process.env.STRIPE_WEBHOOK_SECRET
-      )
-    } catch (err) {
-      return res.status(400).send(`Webhook Error: ${err.message}`)
-    }
-
-    // Handle the checkout.session.completed event
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object
-      const userId = session.metadata.userId || session.client_reference_id
-
-      if (session.metadata.type === 'membership') {
-        // Mark membership as paid and ADD TO HOUSE BANKROLL
-        if (userId) {
-          const MEMBERSHIP_FEE = parseFloat(process.env.MEMBERSHIP_FEE || '10')
-          const wallet = await Wallet.findByUserId(userId)
-          await Wallet.db.update(
-            { userId },
-            { $set: { membershipPaid: true, membershipPaidAt: new Date() } },
-            {}
-          )
-          // CRITICAL: Add membership fee to house bankroll (pure profit!)
-          await House.addMembershipFee(MEMBERSHIP_FEE)
-        }
-      } else if (session.metadata.type === 'deposit') {
-        // Add funds to user's wallet (user money, not house profit)
-        const amount = parseFloat(session.metadata.amount)
-        if (userId && amount) {
-          await Wallet.addFunds(userId, amount)
-        }
-      }
+      const minutes = await ResponsibleGamblingService.setSessionReminder(req.user.id, req.body.minutes)
+      res.json({ minutes, message: minutes ? `Reminder every ${minutes} minutes` : 'Session reminders off' })
+    } catch (error) {
+      sendError(res, error)
     }
-
-    res.json({ received: true })
   })
 
-  // Admin: Create event
-  expressApp.post('/api/admin/events/create', async (req, res) => {
-    if (!req.user || !req.user.admin) {
-      return res.status(403).json({ error: 'Unauthorized' })
+  // Take a break from betting and deposits ({ period: '24h' | '7d' | '30d' })
+  expressApp.post('/api/wallet/protection/cool-off', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
     }
 
     try {
-      const event = await Event.create(req.body)
-      res.json({ event, message: 'Event created successfully' })
+      const until = await ResponsibleGamblingService.coolOff(req.user.id, req.body.period)
+      res.json({ until, message: `Break until ${new Date(until).toLocaleString()}` })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
-  // Admin: Update event
-  expressApp.put('/api/admin/events/:id', async (req, res) => {
-    if (!req.user || !req.user.admin) {
-      return res.status(403).json({ error: 'Unauthorized' })
+  // Self-exclude from betting and deposits ({ period: '6m' | '1y' | '5y' })
+  expressApp.post('/api/wallet/protection/self-exclude', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
     }
 
     try {
-      await Event.update(req.params.id, req.body)
-      res.json({ message: 'Event updated successfully' })
+      const until = await ResponsibleGamblingService.selfExclude(req.user.id, req.body.period)
+      res.json({ until, message: `Self-excluded until ${new Date(until).toDateString()}` })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
-  // Admin: Settle bets for an event with house bankroll management
-  expressApp.post('/api/admin/events/:id/settle', async (req, res) => {
-    if (!req.user || !req.user.admin) {
-      return res.status(403).json({ error: 'Unauthorized' })
+  // Get the user's withdrawals and how much of their deposits has been wagered
+  expressApp.get('/api/wallet/withdrawals', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
     }
 
     try {
-      const { winner } = req.body
-      const eventId = req.params.id
-
-      // Update event status
-      await Event.update(eventId, { status: 'finished', winner })
-
-      // Get all bets for this event
-      const bets = await Bet.findByEventId(eventId)
-
-      let totalPayout = 0
-      let winners = []
-      let losers = []
+      const withdrawals = await WithdrawalService.listForUser(req.user.id)
+      const wagering = await WithdrawalService.getWageringStatus(req.user.id)
+      res.json({ withdrawals, wagering })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
 
-      // Calculate total payout needed
-      for (const bet of bets) {
-        if (bet.selection === winner) {
-          totalPayout += bet.potentialWin
-          winners.push(bet)
-        } else {
-          losers.push(bet)
-        }
-      }
+  // Request a withdrawal ({ amount, destination }) - the amount is held until it is paid or rejected
+  expressApp.post('/api/wallet/withdrawals', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
 
-      // Check if house can afford payouts
-      const house = await House.getBalance()
-      if (totalPayout > house.balance) {
-        return res.status(400).json({
-          error: 'INSUFFICIENT HOUSE FUNDS',
-          houseBalance: house.balance,
-          requiredPayout: totalPayout,
-          shortfall: totalPayout - house.balance,
-          message: 'Cannot settle - house cannot afford to pay all winners. Add more funds or adjust bets.'
-        })
-      }
+    try {
+      const withdrawal = await WithdrawalService.request(req.user, req.body)
+      res.json({ withdrawal, message: 'Withdrawal requested' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
 
-      // Settle each bet
-      for (const bet of winners) {
-        // Winner - pay out from house
-        await Bet.settle(bet._id, 'won')
-        await Wallet.addFunds(bet.userId, bet.potentialWin)
-        await House.payout(bet.potentialWin)
-      }
+  // Cancel a withdrawal that hasn't been reviewed yet
+  expressApp.post('/api/wallet/withdrawals/:id/cancel', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
 
-      for (const bet of losers) {
-        // Loser - house keeps the bet amount (already added when bet was placed)
-        await Bet.settle(bet._id, 'lost')
-      }
+    try {
+      const withdrawal = await WithdrawalService.cancel(req.user, req.params.id)
+      res.json({ withdrawal, message: 'Withdrawal cancelled' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
 
-      const finalHouse = await House.getBalance()
+  // Get the user's identity verification, documents and unverified limits
+  expressApp.get('/api/kyc', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
 
-      res.json({
-        message: 'Bets settled successfully',
-        winners: winners.length,
-        losers: losers.length,
-        totalPayout,
-        houseBalanceBefore: house.balance,
-        houseBalanceAfter: finalHouse.balance,
-        profit: finalHouse.profit
-      })
+    try {
+      const verification = await KycService.getStatus(req.user)
+      res.json(verification)
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 
-  // Admin: Get house financial stats
-  expressApp.get('/api/admin/house/stats', async (req, res) => {
-    if (!req.user || !req.user.admin) {
-      return res.status(403).json({ error: 'Unauthorized' })
+  // Set the name and date of birth to verify ({ fullName, dateOfBirth: 'YYYY-MM-DD' })
+  expressApp.put('/api/kyc/details', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
     }
 
     try {
-      const stats = await House.getStats()
+      const verification = await KycService.updateDetails(req.user, req.body)
+      res.json({ ...verification, message: 'Details saved' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Upload a document: the file is the request body, sent with its own
+  // Content-Type (?type=photo_id|proof_of_address&filename=)
+  expressApp.post('/api/kyc/documents', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      const data = await readUpload(req, res, KycService.MAX_UPLOAD_BYTES)
+      const document = await KycService.uploadDocument(req.user, {
+        type: req.query.type,
+        filename: req.query.filename,
+        contentType: (req.headers['content-type'] || '').split(';')[0].trim(),
+        data
+      })
+      res.json({ document, message: 'Document uploaded - we will review it shortly' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Transaction history, newest first (?page&pageSize&type=deposit,stake&from&to)
+  expressApp.get('/api/wallet/transactions', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      res.json(await StatementService.getHistory(req.user.id, req.query))
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Monthly statement (YYYY-MM) as JSON, or a download with ?format=csv|pdf
+  expressApp.get('/api/wallet/statements/:month', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      const statement = await StatementService.getStatement(req.user.id, req.params.month)
+      const filename = `statement-${statement.month}`
+
+      switch (req.query.format) {
+        case 'csv':
+          res.setHeader('Content-Type', 'text/csv')
+          res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`)
+          return res.send(StatementService.toCsv(statement))
+        case 'pdf':
+          res.setHeader('Content-Type', 'application/pdf')
+          res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`)
+          return res.send(StatementService.toPdf(statement, req.user))
+        case undefined:
+        case 'json':
+          return res.json(statement)
+        default:
+          throw new ValidationError('Format must be json, csv or pdf', 'format')
+      }
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Get the user's bonuses, bonus balance and referral code
+  expressApp.get('/api/bonuses', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      res.json(await BonusService.getBonuses(req.user.id))
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Claim a promotion by code ({ code })
+  expressApp.post('/api/bonuses/claim', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      const bonus = await BonusService.claim(req.user, req.body.code)
+      res.json({
+        bonus,
+        message: bonus.status === 'pending'
+          ? `${bonus.name} will be added with your next deposit`
+          : `${bonus.name} added to your account`
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Enter the referral code of the player who referred you ({ code })
+  expressApp.post('/api/bonuses/referral', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      const referral = await BonusService.refer(req.user, req.body.code)
+      res.json({ ...referral, message: 'Referral saved - your friend is credited after your first deposit' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Create Stripe checkout session for membership signup fee
+  expressApp.post('/api/wallet/create-membership-session', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      const MEMBERSHIP_FEE = parseFloat(process.env.MEMBERSHIP_FEE || '10')
+
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: [
+          {
+            price_data: {
+              currency: 'usd',
+              product_data: {
+                name: 'Membership Fee',
+                description: 'One-time signup fee to activate your betting account',
+              },
+              unit_amount: Math.round(MEMBERSHIP_FEE * 100),
+            },
+            quantity: 1,
+          },
+        ],
+        mode: 'payment',
+        success_url: `${req.headers.origin || 'http://localhost:3000'}/wallet?membership=success`,
+        cancel_url: `${req.headers.origin || 'http://localhost:3000'}/wallet`,
+        client_reference_id: req.user.id,
+        metadata: {
+          userId: req.user.id,
+          type: 'membership'
+        }
+      })
+
+      res.json({ sessionId: session.id, url: session.url })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Check membership status
+  expressApp.get('/api/wallet/membership-status', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      const wallet = await Wallet.findByUserId(req.user.id)
+      res.json({ isPaid: wallet.membershipPaid || false })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Create Stripe checkout session for deposit
+  expressApp.post('/api/wallet/create-checkout-session', async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' })
+    }
+
+    try {
+      // Check if membership is paid
+      const wallet = await Wallet.findByUserId(req.user.id)
+      if (!wallet.membershipPaid) {
+        throw new AuthorizationError('Please pay the membership fee first')
+      }
+
+      const { amount } = req.body
+
+      if (!amount || amount < 5) {
+        throw new ValidationError('Minimum deposit is $5', 'amount')
+      }
+
+      // Checked again when the payment arrives (see BettingService.creditDeposit)
+      await ResponsibleGamblingService.checkDeposit(req.user.id, parseFloat(amount))
+      await KycService.checkDeposit(req.user.id, parseFloat(amount))
+
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: [
+          {
+            price_data: {
+              currency: 'usd',
+              product_data: {
+                name: 'Wallet Deposit',
+                description: `Add $${amount} to your betting wallet`,
+              },
+              unit_amount: Math.round(amount * 100),
+            },
+            quantity: 1,
+          },
+        ],
+        mode: 'payment',
+        expires_at: Math.floor(Date.now() / 1000) + DEPOSIT_CHECKOUT_MINUTES * 60,
+        success_url: `${req.headers.origin || 'http://localhost:3000'}/wallet?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${req.headers.origin || 'http://localhost:3000'}/wallet`,
+        client_reference_id: req.user.id,
+        metadata: {
+          userId: req.user.id,
+          amount: amount.toString(),
+          type: 'deposit'
+        }
+      })
+
+      res.json({ sessionId: session.id, url: session.url })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Create event
+  expressApp.post('/api/admin/events/create', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const event = await EventService.createEvent(req.body, req.user)
+      res.json({ event, message: 'Event created successfully' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Import fixtures from CSV or JSON ({ data, format, dryRun }); a dry
+  // run (the default) only previews what would be created
+  expressApp.post('/api/admin/events/import', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const result = await FixtureService.importFixtures(req.body.data, {
+        format: req.body.format || null,
+        dryRun: req.body.dryRun !== false
+      }, req.user)
+      const { summary } = result
+      res.json({
+        ...result,
+        message: result.dryRun
+          ? `${summary.create} fixture(s) to create, ${summary.duplicate} already listed, ${summary.invalid} with errors`
+          : `${summary.create} fixture(s) imported, ${summary.duplicate} already listed`
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Create league
+  expressApp.post('/api/admin/leagues', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const league = await FixtureService.createLeague(req.body, req.user)
+      res.json({ league, message: `League ${league.name} created` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Rename a league or switch it on/off
+  expressApp.put('/api/admin/leagues/:id', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const league = await FixtureService.updateLeague(req.params.id, req.body)
+      res.json({ league, message: `League ${league.name} updated` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Create team
+  expressApp.post('/api/admin/teams', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const team = await FixtureService.createTeam(req.body, req.user)
+      res.json({ team, message: `Team ${team.name} created` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Rename a team or move it to another league
+  expressApp.put('/api/admin/teams/:id', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const team = await FixtureService.updateTeam(req.params.id, req.body)
+      res.json({ team, message: `Team ${team.name} updated` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Update event
+  expressApp.put('/api/admin/events/:id', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      await EventService.updateEvent(req.params.id, req.body, req.user)
+      res.json({ message: 'Event updated successfully' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Move an event through its lifecycle (open, suspend, go live, cancel...)
+  expressApp.post('/api/admin/events/:id/status', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const result = await EventService.changeStatus(req.params.id, req.body.status, {
+        admin: req.user,
+        reason: req.body.reason
+      })
+      res.json({ ...result, message: `Event is now ${result.event.status}` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Enter the score of an event in play
+  expressApp.put('/api/admin/events/:id/score', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const score = await EventService.updateScore(req.params.id, req.body, { admin: req.user })
+      res.json({ score, message: `Score is now ${score.home}-${score.away}` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Scheduled moves of an event (open, cut-off, go live) and how they went
+  expressApp.get('/api/admin/events/:id/schedule', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const event = await Event.findById(req.params.id)
+      if (!event) {
+        throw new NotFoundError('Event', req.params.id)
+      }
+
+      res.json({
+        cutOff: EventScheduleService.cutOffTime(event),
+        jobs: await EventScheduleService.getSchedule(req.params.id)
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Change the price of a selection
+  expressApp.put('/api/admin/events/:id/markets/:marketId/selections/:selectionId', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const { selection } = await EventService.setPrice(
+        req.params.id,
+        req.params.marketId,
+        req.params.selectionId,
+        req.body.price,
+        { changedBy: req.user.email, reason: req.body.reason }
+      )
+      res.json({ selection, message: 'Price updated successfully' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Every price offered on an event, for resolving disputes
+  expressApp.get('/api/admin/events/:id/price-history', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const history = await EventService.getPriceHistory(req.params.id, {
+        marketId: req.query.marketId,
+        selectionId: req.query.selectionId
+      })
+      res.json({ history })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Reprice an event with automatic odds from the money on it now
+  expressApp.post('/api/admin/events/:id/rebalance', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const { moves } = await TradingService.rebalance(req.params.id, { changedBy: req.user.email })
+      res.json({
+        message: moves.length > 0 ? `${moves.length} price(s) moved` : 'Prices already balanced',
+        moves
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Settle bets for an event with house bankroll management
+  expressApp.post('/api/admin/events/:id/settle', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const summary = await BettingService.settleEvent(req.params.id, req.body.results, {
+        changedBy: req.user.email
+      })
+
+      res.json({
+        message: 'Bets settled successfully',
+        ...summary
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Correct the result of a settled event - payouts are adjusted to match
+  expressApp.post('/api/admin/events/:id/resettle', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const summary = await BettingService.resettleEvent(req.params.id, req.body.results)
+
+      res.json({
+        message: 'Event re-settled successfully',
+        ...summary
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Feed status and the results waiting for confirmation
+  expressApp.get('/api/admin/feed', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      res.json({
+        feed: FeedService.getStatus(),
+        results: await FeedService.listResults(req.query.status || undefined)
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Poll the feed now
+  expressApp.post('/api/admin/feed/poll', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const summary = await FeedService.poll()
+      res.json({
+        summary,
+        message: `Feed polled: ${summary.fixtures.created} new fixture(s), ${summary.scores} score(s), ` +
+          `${summary.results.proposed} result(s) to confirm, ${summary.results.settled} settled, ${summary.errors.length} error(s)`
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Link an existing event to a fixture in the feed
+  expressApp.post('/api/admin/feed/links', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const link = await FeedService.link(req.body.eventId, req.body.externalId, req.user)
+      res.json({ link, message: `Event linked to feed fixture ${link.externalId}` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Settle an event with a result from the feed, filling in or correcting markets with `results`
+  expressApp.post('/api/admin/feed/results/:id/confirm', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const { result, settlement } = await FeedService.confirm(req.params.id, req.user, req.body.results)
+      res.json({
+        result,
+        settlement,
+        message: `${result.eventName} settled: ${settlement.winners} winner(s), $${settlement.totalPayout.toFixed(2)} paid`
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Turn down a result from the feed
+  expressApp.post('/api/admin/feed/results/:id/reject', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const result = await FeedService.reject(req.params.id, req.user, req.body.reason)
+      res.json({ result, message: `Feed result for ${result.eventName} rejected` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Get house financial stats
+  expressApp.get('/api/admin/house/stats', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const stats = await House.getStats()
       res.json(stats)
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Turnover, GGR and margin over a date range (?from=&to=&interval=day|week|month),
+  // or one table of it as a download with ?format=csv&table=
+  expressApp.get('/api/admin/analytics', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const report = await AnalyticsService.getReport(req.query)
+
+      switch (req.query.format) {
+        case 'csv': {
+          const table = req.query.table || 'series'
+          const csv = AnalyticsService.toCsv(report, table)
+          const filename = `betting-${table}-${report.from.toISOString().slice(0, 10)}-${report.to.toISOString().slice(0, 10)}`
+          res.setHeader('Content-Type', 'text/csv')
+          res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`)
+          return res.send(csv)
+        }
+        case undefined:
+        case 'json':
+          return res.json(report)
+        default:
+          throw new ValidationError('Format must be json or csv', 'format')
+      }
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Accounts flagged by the fraud rules (?status=open|cleared|restricted|all)
+  expressApp.get('/api/admin/fraud/flags', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const flags = await FraudService.getQueue(req.query.status || undefined)
+      res.json({ flags, rules: FraudService.RULES.map(({ check, ...rule }) => rule), flagScore: FraudService.FLAG_SCORE })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Close a flag ({ action: 'clear' | 'restrict', maxStake, note })
+  expressApp.post('/api/admin/fraud/flags/:id/review', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const flag = await FraudService.review(req.user, req.params.id, req.body)
+      res.json({ flag, message: `Flag ${flag.status}` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: An account's flags, devices, linked accounts and current score
+  expressApp.get('/api/admin/fraud/accounts/:userId', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const account = await FraudService.getAccount(req.params.userId)
+      res.json(account)
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Run the account rules now, flagging the account if it scores enough
+  expressApp.post('/api/admin/fraud/accounts/:userId/scan', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const result = await FraudService.scanAccount(req.params.userId)
+      res.json(result)
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Limit an account's stake per bet ({ maxStake, reason }), or lift it ({ maxStake: null })
+  expressApp.put('/api/admin/fraud/accounts/:userId/restriction', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const restriction = await FraudService.setRestriction(req.user, req.params.userId, req.body)
+      res.json({
+        restriction,
+        message: restriction ? `Stakes limited to $${restriction.maxStake.toFixed(2)}` : 'Stake limit lifted'
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Identity verifications waiting on review (?status= for another status)
+  expressApp.get('/api/admin/kyc', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const verifications = await KycService.getQueue(req.query.status || undefined)
+      res.json({ verifications })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: A document's file
+  expressApp.get('/api/admin/kyc/documents/:id/file', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const { document, data } = await KycService.readDocument(req.params.id)
+      // Shown in the browser as the type it was checked to be on upload, never
+      // sniffed as something else (such as HTML)
+      res.setHeader('Content-Type', document.contentType)
+      res.setHeader('X-Content-Type-Options', 'nosniff')
+      res.setHeader('Content-Disposition', `inline; filename="${document.filename}"`)
+      res.setHeader('Cache-Control', 'private, no-store')
+      res.send(data)
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Accept or reject a document ({ status: 'accepted' | 'rejected', reason })
+  expressApp.post('/api/admin/kyc/documents/:id/review', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const document = await KycService.reviewDocument(req.user, req.params.id, req.body)
+      res.json({ document, message: `Document ${document.status}` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: A player's verification and documents
+  expressApp.get('/api/admin/kyc/:userId', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const review = await KycService.getReview(req.params.userId)
+      res.json(review)
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Pass or fail the age or identity check ({ status: 'passed' | 'failed', reason })
+  expressApp.post('/api/admin/kyc/:userId/checks/:check', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const verification = await KycService.reviewCheck(req.user, req.params.userId, req.params.check, req.body)
+      res.json({ verification, message: `${req.params.check} check ${req.body.status} - player is ${verification.status}` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Worst-case payout per selection and event for events still open
+  expressApp.get('/api/admin/house/liability', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const matrix = await RiskService.getLiabilityMatrix()
+      res.json(matrix)
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Withdrawals waiting on review or payment (?status= for one status)
+  expressApp.get('/api/admin/withdrawals', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const withdrawals = await WithdrawalService.getQueue(req.query.status || null)
+      res.json({ withdrawals })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Move a withdrawal on - review, approve (and pay), pay (retry) or reject ({ reason })
+  expressApp.post('/api/admin/withdrawals/:id/:action', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const { id, action } = req.params
+      let withdrawal
+      switch (action) {
+        case 'review':
+          withdrawal = await WithdrawalService.review(req.user, id)
+          break
+        case 'approve':
+          withdrawal = await WithdrawalService.approve(req.user, id)
+          break
+        case 'pay':
+          withdrawal = await WithdrawalService.pay(req.user, id)
+          break
+        case 'reject':
+          withdrawal = await WithdrawalService.reject(req.user, id, req.body.reason || null)
+          break
+        default:
+          throw new NotFoundError('Withdrawal action', action)
+      }
+
+      res.json({
+        withdrawal,
+        message: withdrawal.payoutError && withdrawal.status !== 'paid'
+          ? `Payout failed: ${withdrawal.payoutError}`
+          : `Withdrawal ${withdrawal.status.replace(/_/g, ' ')}`
+      })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Every promotion
+  expressApp.get('/api/admin/promotions', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const promotions = await BonusService.listPromotions()
+      res.json({ promotions })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Set up a promotion
+  expressApp.post('/api/admin/promotions', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const promotion = await BonusService.createPromotion(req.body, req.user)
+      res.json({ promotion, message: 'Promotion created' })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Switch a promotion on or off ({ active })
+  expressApp.put('/api/admin/promotions/:id', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const promotion = await BonusService.setPromotionActive(req.params.id, req.body.active)
+      res.json({ promotion, message: `Promotion ${promotion.active ? 'activated' : 'paused'}` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Give a player a bonus from a promotion ({ userId, amount })
+  expressApp.post('/api/admin/promotions/:id/grant', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const bonus = await BonusService.grant(req.params.id, req.body.userId, {
+        amount: parseFloat(req.body.amount) || 0,
+        reference: `admin:${req.user.email}`,
+      })
+      res.json({ bonus, message: `${bonus.name} granted` })
+    } catch (error) {
+      sendError(res, error)
+    }
+  })
+
+  // Admin: Prove the ledger agrees with house and wallet balances
+  expressApp.get('/api/admin/ledger/reconcile', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const report = await LedgerService.reconcile()
+      res.json(report)
+    } catch (error) {
+      sendError(res, error)
     }
   })
 
@@ -460,10 +1429,10 @@ module.exports = (expressApp) => {
     }
 
     try {
-      await Event.delete(req.params.id)
+      await EventService.deleteEvent(req.params.id)
       res.json({ message: 'Event deleted successfully' })
     } catch (error) {
-      res.status(500).json({ error: error.message })
+      sendError(res, error)
     }
   })
 }
@@ -81,55 +81,6 @@ module.exports = (expressApp) => {
     }
   })
 
-  // Stripe webhook
-  expressApp.post('/api/webhook/stripe', async (req, res) => {
-    const sig = req.headers['stripe-signature']
-    let event
-
-    try {
-      event = stripe.webhooks.constructEvent(
-        req.body,
-        sig,
-        process.env.STRIPE_WEBHOOK_SECRET
-      )
-    } catch (err) {
-      return res.status(400).send(`Webhook Error: ${err.message}`)
-    }
-
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object
-      const userId = session.metadata.userId || session.client_reference_id
-      const plan = session.metadata.plan
-
-      if (userId && plan) {
-        const limits = {
-          starter: 25,
-          pro: -1, // Unlimited
-          business: -1 // Unlimited
-        }
-
-        await Subscription.update(userId, {
-          plan,
-          status: 'active',
-          invoiceLimit: limits[plan],
-          stripeSubscriptionId: session.subscription
-        })
-      }
-    }
-
-    if (event.type === 'customer.subscription.deleted') {
-      // Downgrade to free
-      const subscription = event.data.object
-      await Subscription.update(subscription.metadata.userId, {
-        plan: 'free',
-        status: 'active',
-        invoiceLimit: 3
-      })
-    }
-
-    res.json({ received: true })
-  })
-
   // Get all invoices
   expressApp.get('/api/invoices', async (req, res) => {
     if (!req.user) {
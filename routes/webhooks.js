@@ -0,0 +1,62 @@
+/**
+ * Stripe webhook endpoint plus admin tools to inspect and replay stored events
+ **/
+'use strict'
+
+const StripeWebhookService = require('../services/StripeWebhookService')
+const { ApplicationError } = require('../lib/errors')
+
+module.exports = (expressApp) => {
+
+  if (expressApp === null) {
+    throw new Error('expressApp option must be an express server instance')
+  }
+
+  // Single endpoint for every Stripe event (betting and invoicing)
+  expressApp.post('/api/webhook/stripe', async (req, res) => {
+    try {
+      // Signature is computed over the exact bytes Stripe sent
+      const result = await StripeWebhookService.receive(req.rawBody, req.headers['stripe-signature'])
+      res.json(result)
+    } catch (error) {
+      if (error instanceof ApplicationError && error.statusCode < 500) {
+        return res.status(error.statusCode).send(error.message)
+      }
+      // Any other failure - let Stripe retry the delivery later
+      console.error('Error processing webhook:', error)
+      res.status(500).json({ error: 'Webhook processing failed' })
+    }
+  })
+
+  // Admin: List recently received Stripe events
+  expressApp.get('/api/admin/webhooks', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const events = await StripeWebhookService.listEvents({
+        status: req.query.status,
+        type: req.query.type
+      })
+      res.json({ events })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Admin: Replay a stored event that failed or was not handled
+  expressApp.post('/api/admin/webhooks/:eventId/replay', async (req, res) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    try {
+      const result = await StripeWebhookService.replay(req.params.eventId)
+      res.json(result)
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message })
+    }
+  })
+
+}
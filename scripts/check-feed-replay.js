@@ -0,0 +1,174 @@
+/**
+ * Feed Replay Check - Plays recorded feed batches through FeedService
+ * Runs against a throwaway NeDB store, so it never touches real data:
+ *   npm run check:feed
+ *
+ * Covers the two ways a feed result settles an event:
+ * - propose: the result waits as a proposal until an admin confirms it
+ * - auto (FEED_SETTLEMENT=auto): a complete result settles the event at once
+ * A player backs one side in each, so the bets must be paid or lost correctly.
+ */
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-check-'))
+process.env.NEDB_PATH = storePath
+process.env.USE_MONGODB = 'false'
+process.env.FEED_PROVIDER = 'none'
+process.env.PAYOUT_PROVIDER = process.env.PAYOUT_PROVIDER || 'fake'
+
+const { ReplayFeedAdapter } = require('../lib/feeds')
+const FeedService = require('../services/FeedService')
+const EventService = require('../services/EventService')
+const BettingService = require('../services/BettingService')
+const Event = require('../models/event')
+const Bet = require('../models/bet')
+const Wallet = require('../models/wallet')
+const FeedResult = require('../models/feed-result')
+const FeedMapping = require('../models/feed-mapping')
+
+const admin = { id: 'feed-check-admin', email: 'admin@feed-check.local', admin: true }
+const player = { id: 'feed-check-player', email: 'player@feed-check.local' }
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString()
+
+const fixture = (externalId, homeTeam, awayTeam) => ({
+  type: 'fixture',
+  externalId,
+  sport: 'Soccer',
+  homeTeam,
+  awayTeam,
+  startTime: inAnHour(),
+  markets: [{
+    type: 'match_winner',
+    selections: [
+      { type: 'home', price: 2.5 },
+      { type: 'draw', price: 3.2 },
+      { type: 'away', price: 2.8 },
+    ],
+  }],
+})
+
+function step(message) {
+  console.log(`  ✓ ${message}`)
+}
+
+// A fixture from the feed is scheduled; open it and back one side for 10
+async function backSide(externalId, side) {
+  const mapping = await FeedMapping.findByExternalId('replay', externalId)
+  assert.ok(mapping, `${externalId} is linked to an event`)
+
+  await EventService.changeStatus(mapping.eventId, Event.STATES.OPEN, { changedBy: admin.email, reason: 'Feed check' })
+  const event = await Event.findById(mapping.eventId)
+  const [market] = event.markets
+  const selection = market.selections.find(candidate => candidate.type === side)
+
+  const bet = await BettingService.placeBet(player, {
+    eventId: String(event._id),
+    marketId: market.id,
+    selectionId: selection.id,
+    amount: 10,
+    expectedOdds: selection.price,
+  })
+  return { event, bet }
+}
+
+async function balance() {
+  return (await Wallet.findByUserId(player.id)).balance
+}
+
+async function checkProposeAndConfirm() {
+  console.log('Propose and confirm')
+  const feed = new ReplayFeedAdapter([
+    [fixture('check-1', 'Arsenal', 'Chelsea')],
+    [{ type: 'score', externalId: 'check-1', home: 1, away: 0, status: 'live' }],
+    [{ type: 'result', externalId: 'check-1', home: 2, away: 0 }],
+    // Feeds repeat themselves
+    [{ type: 'result', externalId: 'check-1', home: 2, away: 0 }],
+  ])
+  FeedService.setAdapter(feed, { settlement: 'propose' })
+
+  let summary = await FeedService.poll()
+  assert.strictEqual(summary.fixtures.created, 1)
+  const { event, bet } = await backSide('check-1', 'home')
+  step('fixture created an event, and a bet was placed on it')
+
+  summary = await FeedService.poll()
+  assert.strictEqual(summary.scores, 1)
+  assert.strictEqual((await Event.findById(event._id)).status, Event.STATES.LIVE)
+  step('score moved the event live')
+
+  const before = await balance()
+  summary = await FeedService.poll()
+  assert.strictEqual(summary.results.proposed, 1)
+  assert.strictEqual((await Event.findById(event._id)).status, Event.STATES.FINISHED)
+  assert.strictEqual((await Bet.findById(bet._id)).status, 'active')
+  step('result finished the event and waits for an admin')
+
+  summary = await FeedService.poll()
+  assert.strictEqual(summary.unchanged, 1)
+  step('repeated result was ignored')
+
+  const [proposal] = await FeedService.listResults()
+  assert.strictEqual(String(proposal.eventId), String(event._id))
+  await FeedService.confirm(proposal._id, admin)
+  assert.strictEqual((await Event.findById(event._id)).status, Event.STATES.SETTLED)
+  assert.strictEqual((await Bet.findById(bet._id)).status, 'won')
+  assert.strictEqual(await balance(), before + 25)
+  step('confirming settled the event and paid the winning bet')
+
+  await assert.rejects(FeedService.confirm(proposal._id, admin), { code: 'CONFLICT' })
+  assert.ok(feed.done)
+  step('a confirmed result can\'t be confirmed again')
+}
+
+async function checkAutoSettle() {
+  console.log('Auto-settle')
+  FeedService.setAdapter(new ReplayFeedAdapter([
+    [fixture('check-2', 'Spurs', 'Everton')],
+    [{ type: 'result', externalId: 'check-2', home: 3, away: 1 }],
+  ]), { settlement: 'auto' })
+
+  await FeedService.poll()
+  const { event, bet } = await backSide('check-2', 'away')
+  const before = await balance()
+
+  const summary = await FeedService.poll()
+  assert.strictEqual(summary.results.settled, 1)
+  assert.strictEqual((await Event.findById(event._id)).status, Event.STATES.SETTLED)
+  assert.strictEqual((await Bet.findById(bet._id)).status, 'lost')
+  assert.strictEqual(await balance(), before)
+  assert.strictEqual((await FeedResult.findByEventId(event._id))[0].status, FeedResult.STATES.CONFIRMED)
+  step('result settled the event straight away and the losing bet was lost')
+}
+
+async function main() {
+  await BettingService.activateMembership(player.id, 10, 'feed-check-membership')
+  await BettingService.creditDeposit(player.id, 100, 'feed-check-deposit')
+
+  // The house bankroll only grows from membership fees - enough members to cover the payouts
+  for (let member = 1; member <= 30; member++) {
+    await BettingService.activateMembership(`feed-check-member-${member}`, 10, `feed-check-membership-${member}`)
+  }
+
+  await checkProposeAndConfirm()
+  await checkAutoSettle()
+}
+
+main()
+  .then(() => {
+    console.log('Feed replay check passed')
+  })
+  .catch(error => {
+    console.error('Feed replay check failed:', error)
+    process.exitCode = 1
+  })
+  .then(() => {
+    FeedService.stop()
+    fs.rmSync(storePath, { recursive: true, force: true })
+  })
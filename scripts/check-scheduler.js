@@ -0,0 +1,139 @@
+/**
+ * Event Schedule Check - Drives the event scheduler with a manual clock
+ * Runs against a throwaway NeDB store, so it never touches real data:
+ *   npm run check:scheduler
+ *
+ * Time only moves when the check moves it, so it covers:
+ * - an event's open, cut-off and go-live jobs each firing once they are due, not before
+ * - bets refused after the cut-off even before the cut-off job has run
+ * - jobs missed while the server was down all running on the next tick, in order
+ */
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-check-'))
+process.env.NEDB_PATH = storePath
+process.env.USE_MONGODB = 'false'
+
+const { ManualClock } = require('../lib/clock')
+const EventScheduleService = require('../services/EventScheduleService')
+const EventService = require('../services/EventService')
+const BettingService = require('../services/BettingService')
+const Event = require('../models/event')
+const ScheduledJob = require('../models/scheduled-job')
+
+const { STATES } = Event
+const MINUTE = 60 * 1000
+
+const admin = { id: 'scheduler-check-admin', email: 'admin@scheduler-check.local', admin: true }
+const player = { id: 'scheduler-check-player', email: 'player@scheduler-check.local' }
+
+const clock = new ManualClock()
+const inMinutes = minutes => new Date(clock.now().getTime() + minutes * MINUTE)
+
+function scheduledEvent(homeTeam, awayTeam) {
+  return EventService.createEvent({
+    sport: 'Soccer',
+    homeTeam,
+    awayTeam,
+    opensAt: inMinutes(10),
+    startTime: inMinutes(60),
+    markets: [{
+      type: 'match_winner',
+      selections: [
+        { type: 'home', price: 2.1 },
+        { type: 'draw', price: 3.3 },
+        { type: 'away', price: 3.4 },
+      ],
+    }],
+  }, admin)
+}
+
+async function status(event) {
+  return (await Event.findById(event._id)).status
+}
+
+function step(message) {
+  console.log(`  ✓ ${message}`)
+}
+
+async function checkDueJobs() {
+  console.log('Due jobs')
+  const event = await scheduledEvent('Arsenal', 'Chelsea')
+  const jobs = await EventScheduleService.getSchedule(event._id)
+  assert.deepStrictEqual(jobs.map(job => job.type).sort(), Object.values(EventScheduleService.JOB_TYPES).sort())
+  step('creating the event planned its open, cut-off and go-live jobs')
+
+  assert.deepStrictEqual(await EventScheduleService.tick(), { done: 0, skipped: 0, failed: 0 })
+  clock.advance(10 * MINUTE - 1)
+  assert.strictEqual((await EventScheduleService.tick()).done, 0)
+  assert.strictEqual(await status(event), STATES.SCHEDULED)
+  step('nothing runs before its time')
+
+  clock.advance(1)
+  assert.strictEqual((await EventScheduleService.tick()).done, 1)
+  assert.strictEqual(await status(event), STATES.OPEN)
+  step('the event opened at opensAt')
+
+  // Past the cut-off, but the scheduler hasn't ticked yet
+  clock.set(new Date(EventScheduleService.cutOffTime(event).getTime() + 1000))
+  const [market] = event.markets
+  await assert.rejects(BettingService.placeBet(player, {
+    eventId: String(event._id),
+    marketId: market.id,
+    selectionId: market.selections[0].id,
+    amount: 10,
+    expectedOdds: market.selections[0].price,
+  }), error => error.details.rule === 'BET_CUTOFF')
+  step('a bet after the cut-off is refused before the cut-off job runs')
+
+  assert.strictEqual((await EventScheduleService.tick()).done, 1)
+  assert.strictEqual(await status(event), STATES.SUSPENDED)
+  step('the cut-off job suspended betting')
+
+  clock.set(event.startTime)
+  assert.strictEqual((await EventScheduleService.tick()).done, 1)
+  assert.strictEqual(await status(event), STATES.LIVE)
+  assert.strictEqual((await EventScheduleService.tick()).done, 0)
+  step('the event went live at startTime, and no job ran twice')
+}
+
+async function checkMissedJobs() {
+  console.log('Missed jobs')
+  const event = await scheduledEvent('Spurs', 'Everton')
+
+  // The server was down from before opensAt until after startTime
+  clock.advance(2 * 60 * MINUTE)
+  assert.strictEqual((await EventScheduleService.tick()).done, 3)
+  const { statusHistory } = await Event.findById(event._id)
+  assert.deepStrictEqual(statusHistory.map(change => change.to), [STATES.SCHEDULED, STATES.OPEN, STATES.SUSPENDED, STATES.LIVE])
+  assert.strictEqual((await ScheduledJob.findPending()).length, 0)
+  step('every missed job ran on the first tick, oldest first')
+}
+
+async function main() {
+  EventScheduleService.setClock(clock)
+  await BettingService.activateMembership(player.id, 10, 'scheduler-check-membership')
+  await BettingService.creditDeposit(player.id, 100, 'scheduler-check-deposit')
+
+  await checkDueJobs()
+  await checkMissedJobs()
+}
+
+main()
+  .then(() => {
+    console.log('Event schedule check passed')
+  })
+  .catch(error => {
+    console.error('Event schedule check failed:', error)
+    process.exitCode = 1
+  })
+  .then(() => {
+    EventScheduleService.stop()
+    fs.rmSync(storePath, { recursive: true, force: true })
+  })
@@ -0,0 +1,133 @@
+/**
+ * Stripe Webhook Check - Sends signed events through the webhook dispatcher
+ * Runs against a throwaway NeDB store and never calls Stripe:
+ *   npm run check:webhooks
+ *
+ * Events are signed with signPayload, so they pass the same verification as
+ * real deliveries. Covers:
+ * - a bad signature is refused and nothing is stored
+ * - a membership payment Stripe delivers twice charges the fee once
+ * - a deposit whose handler fails is stored as failed, and a replay credits it once
+ */
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-check-'))
+process.env.NEDB_PATH = storePath
+process.env.USE_MONGODB = 'false'
+process.env.ENABLED_MODULES = 'betting'
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_webhook_check'
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_webhook_check'
+
+const { signPayload, EVENT_STATUS } = require('../lib/stripe-webhooks')
+const modules = require('../modules')
+const StripeWebhookService = require('../services/StripeWebhookService')
+const BettingService = require('../services/BettingService')
+const StripeEvent = require('../models/stripe-event')
+const Wallet = require('../models/wallet')
+const House = require('../models/house')
+
+const player = 'webhook-check-player'
+
+// A completed checkout, as Stripe sends it
+const checkoutCompleted = (eventId, sessionId, metadata) => JSON.stringify({
+  id: eventId,
+  object: 'event',
+  type: 'checkout.session.completed',
+  livemode: false,
+  data: {
+    object: { id: sessionId, object: 'checkout.session', client_reference_id: player, metadata: { userId: player, ...metadata } },
+  },
+})
+
+function deliver(payload, secret = process.env.STRIPE_WEBHOOK_SECRET) {
+  return StripeWebhookService.receive(payload, signPayload(payload, secret))
+}
+
+function step(message) {
+  console.log(`  ✓ ${message}`)
+}
+
+async function checkSignature() {
+  console.log('Signatures')
+  const payload = checkoutCompleted('evt_check_forged', 'cs_check_forged', { type: 'membership' })
+
+  await assert.rejects(deliver(payload, 'whsec_someone_else'), { statusCode: 400, field: 'stripe-signature' })
+  await assert.rejects(StripeWebhookService.receive(payload, undefined), { statusCode: 400 })
+  assert.strictEqual(await StripeEvent.findByStripeId('evt_check_forged'), null)
+  step('events signed with another secret, or not at all, are refused and not stored')
+}
+
+async function checkDuplicates() {
+  console.log('Duplicate deliveries')
+  const payload = checkoutCompleted('evt_check_membership', 'cs_check_membership', { type: 'membership' })
+
+  const first = await deliver(payload)
+  assert.strictEqual(first.status, EVENT_STATUS.PROCESSED)
+  assert.strictEqual(first.handler, 'betting.membership')
+  const house = (await House.getBalance()).balance
+  step('membership payment was handled by betting.membership')
+
+  const again = await deliver(payload)
+  assert.strictEqual(again.duplicate, true)
+  assert.strictEqual((await House.getBalance()).balance, house)
+  assert.strictEqual((await StripeEvent.findByStripeId('evt_check_membership')).attempts, 1)
+  step('the same event delivered again is acknowledged without charging the fee twice')
+}
+
+async function checkReplay() {
+  console.log('Failed events')
+  const payload = checkoutCompleted('evt_check_deposit', 'cs_check_deposit', { type: 'deposit', amount: '50' })
+  const before = (await Wallet.findByUserId(player)).balance
+
+  // The deposit can't be credited on the first delivery (the database is down, say)
+  BettingService.creditDeposit = async () => {
+    throw new Error('Ledger unavailable')
+  }
+  try {
+    await assert.rejects(deliver(payload), /Ledger unavailable/)
+  } finally {
+    delete BettingService.creditDeposit
+  }
+
+  const failed = await StripeEvent.findByStripeId('evt_check_deposit')
+  assert.strictEqual(failed.status, EVENT_STATUS.FAILED)
+  assert.strictEqual(failed.error, 'Ledger unavailable')
+  assert.strictEqual((await Wallet.findByUserId(player)).balance, before)
+  step('a handler that throws leaves the event failed and the wallet untouched')
+
+  const replayed = await StripeWebhookService.replay('evt_check_deposit')
+  assert.strictEqual(replayed.status, EVENT_STATUS.PROCESSED)
+  assert.strictEqual((await Wallet.findByUserId(player)).balance, before + 50)
+  step('replaying the failed event credited the deposit')
+
+  await assert.rejects(StripeWebhookService.replay('evt_check_deposit'), { code: 'CONFLICT' })
+  assert.strictEqual((await deliver(payload)).duplicate, true)
+  assert.strictEqual((await Wallet.findByUserId(player)).balance, before + 50)
+  step('a processed event can\'t be replayed, and Stripe\'s own retry is ignored')
+}
+
+async function main() {
+  modules.load()
+
+  await checkSignature()
+  await checkDuplicates()
+  await checkReplay()
+}
+
+main()
+  .then(() => {
+    console.log('Stripe webhook check passed')
+  })
+  .catch(error => {
+    console.error('Stripe webhook check failed:', error)
+    process.exitCode = 1
+  })
+  .then(() => {
+    fs.rmSync(storePath, { recursive: true, force: true })
+  })
@@ -0,0 +1,195 @@
+/**
+ * Withdrawal Check - Takes withdrawals from request to payout
+ * Runs against a throwaway NeDB store with the fake payout provider, so no
+ * money moves:
+ *   npm run check:withdrawals
+ *
+ * A verified player asks to withdraw and an admin approves:
+ * - approving waits for the deposit to be wagered
+ * - an approved withdrawal is paid and leaves the wallet once
+ * - a payout the provider declines stays approved, still held, and can be paid again
+ * - without a real payout provider in production, approving fails and nothing moves
+ */
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'withdrawal-check-'))
+process.env.NEDB_PATH = storePath
+process.env.USE_MONGODB = 'false'
+process.env.DOCUMENT_STORAGE = 'memory'
+// Deposits must be staked a tenth of their amount, so one bet meets it
+process.env.WITHDRAWAL_WAGERING_MULTIPLE = '0.1'
+
+const { FakePayoutProvider } = require('../lib/payouts')
+const WithdrawalService = require('../services/WithdrawalService')
+const KycService = require('../services/KycService')
+const EventService = require('../services/EventService')
+const BettingService = require('../services/BettingService')
+const Event = require('../models/event')
+const Wallet = require('../models/wallet')
+const Withdrawal = require('../models/withdrawal')
+
+const { STATES } = Withdrawal
+
+const admin = { id: 'withdrawal-check-admin', email: 'admin@withdrawal-check.local', admin: true }
+const player = { id: 'withdrawal-check-player', email: 'player@withdrawal-check.local' }
+
+const payouts = new FakePayoutProvider()
+
+function step(message) {
+  console.log(`  ✓ ${message}`)
+}
+
+async function balance() {
+  return (await Wallet.findByUserId(player.id)).balance
+}
+
+// Details, both documents and both checks, as the player and an admin would
+async function verify() {
+  await KycService.updateDetails(player, { fullName: 'Check Player', dateOfBirth: '1990-04-01' })
+  for (const type of ['photo_id', 'proof_of_address']) {
+    const document = await KycService.uploadDocument(player, {
+      type,
+      filename: `${type}.png`,
+      contentType: 'image/png',
+      data: Buffer.from(`${type} scan`),
+    })
+    await KycService.reviewDocument(admin, document._id, { status: 'accepted' })
+  }
+  for (const check of Object.values(KycService.CHECKS)) {
+    await KycService.reviewCheck(admin, player.id, check, { status: 'passed' })
+  }
+  assert.ok(await KycService.isVerified(player.id))
+}
+
+// Stake 10 on an open event
+async function wager() {
+  const event = await EventService.createEvent({
+    sport: 'Soccer',
+    homeTeam: 'Arsenal',
+    awayTeam: 'Chelsea',
+    status: Event.STATES.OPEN,
+    startTime: new Date(Date.now() + 60 * 60 * 1000),
+    markets: [{
+      type: 'match_winner',
+      selections: [
+        { type: 'home', price: 2.1 },
+        { type: 'draw', price: 3.3 },
+        { type: 'away', price: 3.4 },
+      ],
+    }],
+  }, admin)
+  const [market] = event.markets
+  await BettingService.placeBet(player, {
+    eventId: String(event._id),
+    marketId: market.id,
+    selectionId: market.selections[0].id,
+    amount: 10,
+    expectedOdds: market.selections[0].price,
+  })
+}
+
+async function requestAndReview(amount) {
+  const withdrawal = await WithdrawalService.request(player, { amount, destination: 'acct_withdrawal_check' })
+  await WithdrawalService.review(admin, withdrawal._id)
+  return withdrawal
+}
+
+async function checkApprove() {
+  console.log('Approve')
+  const withdrawal = await requestAndReview(30)
+  assert.strictEqual(await balance(), 70)
+  step('requesting 30 held it from the wallet')
+
+  await assert.rejects(WithdrawalService.approve(admin, withdrawal._id), { details: { rule: 'WAGERING_REQUIREMENT' } })
+  assert.strictEqual((await Withdrawal.findById(withdrawal._id)).status, STATES.UNDER_REVIEW)
+  step('approving waits until the deposit has been wagered')
+
+  await wager()
+  const paid = await WithdrawalService.approve(admin, withdrawal._id)
+  assert.strictEqual(paid.status, STATES.PAID)
+  assert.strictEqual(paid.payoutProvider, 'fake')
+  assert.strictEqual(payouts.sent.length, 1)
+  assert.strictEqual(payouts.sent[0].amount, 30)
+  assert.strictEqual(paid.payoutReference, payouts.sent[0].reference)
+  assert.strictEqual(await balance(), 60)
+  step('once wagered, approving paid 30 out through the provider')
+
+  await assert.rejects(WithdrawalService.approve(admin, withdrawal._id), { details: { rule: 'INVALID_STATE_TRANSITION' } })
+  assert.strictEqual(payouts.sent.length, 1)
+  step('a paid withdrawal can\'t be approved again')
+}
+
+async function checkFailedPayout() {
+  console.log('Failed payouts')
+  const withdrawal = await requestAndReview(20)
+
+  payouts.failNext('Destination account closed')
+  const approved = await WithdrawalService.approve(admin, withdrawal._id)
+  assert.strictEqual(approved.status, STATES.APPROVED)
+  assert.match(approved.payoutError, /Destination account closed/)
+  assert.strictEqual(payouts.sent.length, 1)
+  assert.strictEqual(await balance(), 40)
+  step('a declined payout leaves the withdrawal approved with the error, funds still held')
+
+  const paid = await WithdrawalService.pay(admin, withdrawal._id)
+  assert.strictEqual(paid.status, STATES.PAID)
+  assert.strictEqual(paid.payoutError, null)
+  assert.strictEqual(payouts.sent.length, 2)
+  assert.strictEqual(await balance(), 40)
+  step('paying it again sent it, without taking the amount twice')
+}
+
+async function checkProductionProvider() {
+  console.log('Production')
+  const withdrawal = await requestAndReview(10)
+
+  // As if PAYOUT_PROVIDER were left out of a production deployment
+  const environment = process.env.NODE_ENV
+  process.env.NODE_ENV = 'production'
+  WithdrawalService.setProvider(null)
+  try {
+    await assert.rejects(WithdrawalService.approve(admin, withdrawal._id), { statusCode: 503 })
+  } finally {
+    process.env.NODE_ENV = environment
+    WithdrawalService.setProvider(payouts)
+  }
+
+  assert.strictEqual((await Withdrawal.findById(withdrawal._id)).status, STATES.UNDER_REVIEW)
+  assert.strictEqual(await balance(), 30)
+  step('without a payout provider, approving fails and the withdrawal is untouched')
+}
+
+async function main() {
+  WithdrawalService.setProvider(payouts)
+
+  await BettingService.activateMembership(player.id, 10, 'withdrawal-check-membership')
+  await BettingService.creditDeposit(player.id, 100, 'withdrawal-check-deposit')
+  await verify()
+
+  // The house bankroll only grows from membership fees - enough members to take the bet
+  for (let member = 1; member <= 30; member++) {
+    await BettingService.activateMembership(`withdrawal-check-member-${member}`, 10, `withdrawal-check-membership-${member}`)
+  }
+
+  await checkApprove()
+  await checkFailedPayout()
+  await checkProductionProvider()
+}
+
+main()
+  .then(() => {
+    console.log('Withdrawal check passed')
+  })
+  .catch(error => {
+    console.error('Withdrawal check failed:', error)
+    process.exitCode = 1
+  })
+  .then(() => {
+    fs.rmSync(storePath, { recursive: true, force: true })
+  })
@@ -0,0 +1,491 @@
+/**
+ * Analytics Service - Business Logic Layer
+ * Betting P&L over a date range for admins: turnover, gross gaming revenue
+ * and margin over time and per sport, market and event, with the players
+ * who won and lost the most. Players get the same view of their own betting:
+ * profit and loss over time, win rate, odds and money in and out.
+ *
+ * Turnover counts stakes when bets are placed; gross gaming revenue (GGR) is
+ * stakes less returns (payouts, cash-outs and refunds) on bets settled in the
+ * range, so an open bet adds to turnover now and to GGR once it settles.
+ * Stakes paid with bonus funds count like any other; what promotions cost the
+ * house is reported with the house stats.
+ */
+
+const Bet = require('../models/bet')
+const Event = require('../models/event')
+const Ledger = require('../models/ledger')
+const { MARKET_DEFINITIONS, MARKET_TYPES } = require('../lib/markets')
+const { BET_TYPES } = require('../lib/bet-types')
+const { ValidationError } = require('../lib/errors')
+
+const INTERVALS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+}
+
+// Range shown when none is asked for
+const DEFAULT_DAYS = 30
+
+// Most points a time series can have
+const MAX_POINTS = 400
+
+// Players listed as top winners and losers
+const TOP_PLAYERS = 10
+
+const TABLES = ['series', 'sports', 'markets', 'events', 'winners', 'losers']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const { TRANSACTION_TYPES } = Ledger
+
+// Accumulators and system bets have no single sport, market or event
+const MULTIPLES = 'multiples'
+const MIXED_SPORTS = 'Mixed'
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+function parseDate(value, field, endOfDay = false) {
+  const date = new Date(value)
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`, field)
+  }
+  // A bare date (YYYY-MM-DD) as the upper bound covers the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setTime(date.getTime() + DAY_MS - 1)
+  }
+  return date
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Start of the day, week (Monday) or month a date falls in, in UTC
+function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  if (interval === INTERVALS.WEEK) {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7))
+  } else if (interval === INTERVALS.MONTH) {
+    start.setUTCDate(1)
+  }
+  return start
+}
+
+function nextPeriod(start, interval) {
+  const next = new Date(start)
+  if (interval === INTERVALS.MONTH) {
+    next.setUTCMonth(next.getUTCMonth() + 1)
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === INTERVALS.WEEK ? 7 : 1))
+  }
+  return next
+}
+
+// What a settled bet handed back: winnings or cash-out, plus any stake refunded
+function returns(bet) {
+  return (bet.payout || 0) + (bet.refund || 0)
+}
+
+function emptyFigures() {
+  return { bets: 0, turnover: 0, bonusTurnover: 0, bettors: new Set(), settledBets: 0, settledStakes: 0, payouts: 0 }
+}
+
+function addPlaced(figures, bet) {
+  figures.bets++
+  figures.turnover += bet.amount
+  figures.bonusTurnover += (bet.bonusStakes || []).reduce((sum, stake) => sum + stake.amount, 0)
+  figures.bettors.add(bet.userId)
+}
+
+function addSettled(figures, bet) {
+  figures.settledBets++
+  figures.settledStakes += bet.amount
+  figures.payouts += returns(bet)
+}
+
+function summarize(figures) {
+  const ggr = figures.settledStakes - figures.payouts
+  return {
+    bets: figures.bets,
+    turnover: round(figures.turnover),
+    bonusTurnover: round(figures.bonusTurnover),
+    activeBettors: figures.bettors.size,
+    averageStake: figures.bets > 0 ? round(figures.turnover / figures.bets) : 0,
+    settledBets: figures.settledBets,
+    settledStakes: round(figures.settledStakes),
+    payouts: round(figures.payouts),
+    ggr: round(ggr),
+    margin: figures.settledStakes > 0 ? round((ggr / figures.settledStakes) * 100) : null,
+  }
+}
+
+// A settled bet is a win if it returned more than its stake and a loss if less;
+// a void or push (stake back) is neither
+function outcome(bet) {
+  const net = returns(bet) - bet.amount
+  return net > 0 ? 'win' : net < 0 ? 'loss' : null
+}
+
+function emptyRecord() {
+  return { bets: 0, odds: 0, settledBets: 0, wins: 0, losses: 0, staked: 0, returned: 0 }
+}
+
+function addBet(record, bet) {
+  record.bets++
+  record.odds += bet.odds
+}
+
+function addResult(record, bet) {
+  record.settledBets++
+  record.staked += bet.amount
+  record.returned += returns(bet)
+  const result = outcome(bet)
+  if (result === 'win') record.wins++
+  if (result === 'loss') record.losses++
+}
+
+function summarizeRecord(record) {
+  const decided = record.wins + record.losses
+  return {
+    bets: record.bets,
+    averageOdds: record.bets > 0 ? round(record.odds / record.bets) : null,
+    settledBets: record.settledBets,
+    wins: record.wins,
+    losses: record.losses,
+    winRate: decided > 0 ? round((record.wins / decided) * 100) : null,
+    staked: round(record.staked),
+    returned: round(record.returned),
+    profit: round(record.returned - record.staked),
+  }
+}
+
+class AnalyticsService {
+  /**
+   * Betting P&L report
+   * @param {Object} options - { from, to (dates, default the last 30 days), interval (day, week, month) }
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { from, to, interval, totals, series, sports, markets, events, winners, losers }
+   *   - series: one point per period with the totals' figures and `period` (its start)
+   *   - sports, markets, events: { key, name, ...figures }, by GGR
+   *   - winners, losers: { userId, email, bets, staked, returned, net } - net is what the player won
+   */
+  async getReport(options = {}, now = new Date()) {
+    const { from, to, interval } = this._range(options, now)
+
+    const [placed, settled, events] = await Promise.all([
+      Bet.findPlacedBetween(from, to),
+      Bet.findSettledBetween(from, to),
+      Event.findAll(),
+    ])
+    const eventsById = new Map(events.map(event => [String(event._id), event]))
+
+    // Cashed-out bets are settled too; open bets have no settledAt
+    const finished = settled.filter(bet => bet.status !== 'active')
+
+    return {
+      from,
+      to,
+      interval,
+      totals: this._totals(placed, finished),
+      series: this._series(placed, finished, from, to, interval),
+      sports: this._breakdown(placed, finished, bet => this._sport(bet, eventsById)),
+      markets: this._breakdown(placed, finished, bet => this._market(bet)),
+      events: this._breakdown(placed, finished, bet => this._event(bet, eventsById)),
+      ...this._players(finished),
+    }
+  }
+
+  /**
+   * One table of a report as CSV
+   * @param {Object} report - From getReport
+   * @param {String} table - series, sports, markets, events, winners or losers
+   */
+  toCsv(report, table = 'series') {
+    if (!TABLES.includes(table)) {
+      throw new ValidationError(`Table must be one of: ${TABLES.join(', ')}`, 'table')
+    }
+
+    const figures = ['bets', 'turnover', 'bonusTurnover', 'activeBettors', 'averageStake', 'settledBets', 'settledStakes', 'payouts', 'ggr', 'margin']
+    let headers
+    let rows
+
+    if (table === 'series') {
+      headers = ['period', ...figures]
+      rows = report.series.map(point => [point.period.toISOString().slice(0, 10), ...figures.map(field => point[field])])
+    } else if (table === 'winners' || table === 'losers') {
+      headers = ['userId', 'email', 'bets', 'staked', 'returned', 'net']
+      rows = report[table].map(player => headers.map(field => player[field]))
+    } else {
+      headers = ['key', 'name', ...figures]
+      rows = report[table].map(row => headers.map(field => row[field]))
+    }
+
+    return [headers, ...rows].map(row => row.map(csvField).join(',')).join('\n')
+  }
+
+  /**
+   * A player's own betting over a date range
+   * Profit is what settled bets returned less their stakes, so it is negative
+   * when the player is down.
+   * @param {String} userId - User ID
+   * @param {Object} options - { from, to, interval } as for getReport
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { from, to, interval, totals, series, sports, markets, biggestWin, money }
+   *   - totals, sports, markets: { bets, averageOdds, settledBets, wins, losses, winRate, staked, returned, profit }
+   *   - series: per period { period, bets, staked, returned, profit, cumulativeProfit }
+   *   - biggestWin: { betId, eventName, selection, amount, odds, returned, profit, settledAt } or null
+   *   - money: { deposits, withdrawals, net } - net is what went in less what came out
+   */
+  async getPlayerStats(userId, options = {}, now = new Date()) {
+    const { from, to, interval } = this._range(options, now)
+    const within = date => date && new Date(date) >= from && new Date(date) <= to
+
+    const [bets, events] = await Promise.all([Bet.findByUserId(userId), Event.findAll()])
+    const eventsById = new Map(events.map(event => [String(event._id), event]))
+
+    const placed = bets.filter(bet => within(bet.createdAt))
+    const settled = bets.filter(bet => bet.status !== 'active' && within(bet.settledAt))
+
+    const totals = emptyRecord()
+    placed.forEach(bet => addBet(totals, bet))
+    settled.forEach(bet => addResult(totals, bet))
+
+    return {
+      from,
+      to,
+      interval,
+      totals: summarizeRecord(totals),
+      series: this._playerSeries(placed, settled, from, to, interval),
+      sports: this._records(placed, settled, bet => this._sport(bet, eventsById)),
+      markets: this._records(placed, settled, bet => this._market(bet)),
+      biggestWin: this._biggestWin(settled),
+      money: await this.getMoneyFlow(userId, from, to),
+    }
+  }
+
+  /**
+   * What a player put in and took out between two dates, and how their bets did
+   * Used for reality checks (see ResponsibleGamblingService.touchSession)
+   * @param {String} userId - User ID
+   * @param {Date} from - Start
+   * @param {Date} to - End (default now)
+   * @returns {Promise<Object>} { staked, returned, net } - net is returns less stakes on bets
+   *   placed or settled in the range, so open bets count as money out
+   */
+  async getActivity(userId, from, to = new Date()) {
+    const within = date => date && new Date(date) >= from && new Date(date) <= to
+    const bets = await Bet.findByUserId(userId)
+
+    const staked = bets.filter(bet => within(bet.createdAt)).reduce((sum, bet) => sum + bet.amount, 0)
+    const returned = bets
+      .filter(bet => bet.status !== 'active' && within(bet.settledAt))
+      .reduce((sum, bet) => sum + returns(bet), 0)
+
+    return { staked: round(staked), returned: round(returned), net: round(returned - staked) }
+  }
+
+  /**
+   * Deposits and paid withdrawals between two dates, from the ledger
+   * @returns {Promise<Object>} { deposits, withdrawals, net }
+   */
+  async getMoneyFlow(userId, from, to) {
+    const journals = await Ledger.findByUser(userId)
+    const total = type => journals
+      .filter(journal => journal.type === type && journal.postedAt >= from && journal.postedAt <= to)
+      .reduce((sum, journal) => sum + journal.amount, 0) / 100
+
+    const deposits = total(TRANSACTION_TYPES.DEPOSIT)
+    const withdrawals = total(TRANSACTION_TYPES.WITHDRAWAL)
+    return { deposits: round(deposits), withdrawals: round(withdrawals), net: round(deposits - withdrawals) }
+  }
+
+  _playerSeries(placed, settled, from, to, interval) {
+    const points = new Map()
+    for (let start = periodStart(from, interval); start <= to; start = nextPeriod(start, interval)) {
+      points.set(start.getTime(), emptyRecord())
+    }
+
+    const pointFor = (date) => points.get(periodStart(new Date(date), interval).getTime())
+    placed.forEach(bet => addBet(pointFor(bet.createdAt), bet))
+    settled.forEach(bet => addResult(pointFor(bet.settledAt), bet))
+
+    let cumulativeProfit = 0
+    return Array.from(points.entries()).map(([start, record]) => {
+      const { bets, staked, returned, profit } = summarizeRecord(record)
+      cumulativeProfit = round(cumulativeProfit + profit)
+      return { period: new Date(start), bets, staked, returned, profit, cumulativeProfit }
+    })
+  }
+
+  // Player figures per group; keyOf(bet) gives { key, name }
+  _records(placed, settled, keyOf) {
+    const groups = new Map()
+    const recordFor = (bet) => {
+      const { key, name } = keyOf(bet)
+      if (!groups.has(key)) {
+        groups.set(key, { key, name, record: emptyRecord() })
+      }
+      return groups.get(key).record
+    }
+
+    placed.forEach(bet => addBet(recordFor(bet), bet))
+    settled.forEach(bet => addResult(recordFor(bet), bet))
+
+    return Array.from(groups.values())
+      .map(({ key, name, record }) => ({ key, name, ...summarizeRecord(record) }))
+      .sort((a, b) => b.bets - a.bets || b.settledBets - a.settledBets)
+  }
+
+  _biggestWin(settled) {
+    const best = settled
+      .filter(bet => outcome(bet) === 'win')
+      .sort((a, b) => (returns(b) - b.amount) - (returns(a) - a.amount))[0]
+
+    if (!best) return null
+    return {
+      betId: best._id,
+      eventName: best.eventName,
+      selection: best.selection,
+      amount: best.amount,
+      odds: best.odds,
+      returned: round(returns(best)),
+      profit: round(returns(best) - best.amount),
+      settledAt: best.settledAt,
+    }
+  }
+
+  _range(options, now) {
+    const interval = options.interval || INTERVALS.DAY
+    if (!Object.values(INTERVALS).includes(interval)) {
+      throw new ValidationError(`Interval must be one of: ${Object.values(INTERVALS).join(', ')}`, 'interval')
+    }
+
+    const to = options.to ? parseDate(options.to, 'to', true) : new Date(now)
+    const from = options.from
+      ? parseDate(options.from, 'from')
+      : periodStart(new Date(to.getTime() - (DEFAULT_DAYS - 1) * DAY_MS), INTERVALS.DAY)
+
+    if (from > to) {
+      throw new ValidationError('from must be before to', 'from')
+    }
+
+    let points = 0
+    for (let start = periodStart(from, interval); start <= to && points <= MAX_POINTS; start = nextPeriod(start, interval)) {
+      points++
+    }
+    if (points > MAX_POINTS) {
+      throw new ValidationError(`A report has at most ${MAX_POINTS} points; choose a shorter range or a longer interval`, 'interval')
+    }
+
+    return { from, to, interval }
+  }
+
+  _totals(placed, settled) {
+    const figures = emptyFigures()
+    placed.forEach(bet => addPlaced(figures, bet))
+    settled.forEach(bet => addSettled(figures, bet))
+    return summarize(figures)
+  }
+
+  _series(placed, settled, from, to, interval) {
+    const points = new Map()
+    for (let start = periodStart(from, interval); start <= to; start = nextPeriod(start, interval)) {
+      points.set(start.getTime(), emptyFigures())
+    }
+
+    const pointFor = (date) => points.get(periodStart(new Date(date), interval).getTime())
+    placed.forEach(bet => addPlaced(pointFor(bet.createdAt), bet))
+    settled.forEach(bet => addSettled(pointFor(bet.settledAt), bet))
+
+    return Array.from(points.entries()).map(([start, figures]) => ({ period: new Date(start), ...summarize(figures) }))
+  }
+
+  // Figures per group; keyOf(bet) gives { key, name }
+  _breakdown(placed, settled, keyOf) {
+    const groups = new Map()
+    const groupFor = (bet) => {
+      const { key, name } = keyOf(bet)
+      if (!groups.has(key)) {
+        groups.set(key, { key, name, figures: emptyFigures() })
+      }
+      return groups.get(key).figures
+    }
+
+    placed.forEach(bet => addPlaced(groupFor(bet), bet))
+    settled.forEach(bet => addSettled(groupFor(bet), bet))
+
+    return Array.from(groups.values())
+      .map(({ key, name, figures }) => ({ key, name, ...summarize(figures) }))
+      .sort((a, b) => b.ggr - a.ggr || b.turnover - a.turnover)
+  }
+
+  _sport(bet, eventsById) {
+    const eventIds = bet.type === BET_TYPES.SINGLE || !bet.legs ? [bet.eventId] : bet.legs.map(leg => leg.eventId)
+    const sports = new Set(eventIds.map(id => {
+      const event = eventsById.get(String(id))
+      return event ? event.sport : null
+    }))
+
+    if (sports.size > 1) {
+      return { key: MIXED_SPORTS, name: MIXED_SPORTS }
+    }
+    const sport = sports.values().next().value || 'Unknown'
+    return { key: sport, name: sport }
+  }
+
+  _market(bet) {
+    if (bet.legs) {
+      return { key: bet.type, name: bet.type === BET_TYPES.SYSTEM ? 'System Bets' : 'Accumulators' }
+    }
+    // Bets from before markets existed are on the match winner
+    const type = bet.marketType || MARKET_TYPES.MATCH_WINNER
+    return { key: type, name: MARKET_DEFINITIONS[type] ? MARKET_DEFINITIONS[type].name : type }
+  }
+
+  _event(bet, eventsById) {
+    if (bet.legs) {
+      return { key: MULTIPLES, name: 'Accumulators and system bets' }
+    }
+    const event = eventsById.get(String(bet.eventId))
+    return { key: String(bet.eventId), name: event ? event.name : bet.eventName }
+  }
+
+  // Players by what they won (winners) and lost (losers) on settled bets
+  _players(settled) {
+    const players = new Map()
+    for (const bet of settled) {
+      if (!players.has(bet.userId)) {
+        players.set(bet.userId, { userId: bet.userId, email: bet.userEmail || null, bets: 0, staked: 0, returned: 0 })
+      }
+      const player = players.get(bet.userId)
+      player.bets++
+      player.staked += bet.amount
+      player.returned += returns(bet)
+    }
+
+    const ranked = Array.from(players.values())
+      .map(player => ({
+        ...player,
+        staked: round(player.staked),
+        returned: round(player.returned),
+        net: round(player.returned - player.staked),
+      }))
+      .sort((a, b) => b.net - a.net)
+
+    return {
+      winners: ranked.filter(player => player.net > 0).slice(0, TOP_PLAYERS),
+      losers: ranked.filter(player => player.net < 0).reverse().slice(0, TOP_PLAYERS),
+    }
+  }
+}
+
+const analyticsService = new AnalyticsService()
+analyticsService.INTERVALS = INTERVALS
+analyticsService.TABLES = TABLES
+
+module.exports = analyticsService
@@ -0,0 +1,903 @@
+/**
+ * Betting Service - Business Logic Layer
+ * Places and settles bets (singles, accumulators and system bets) as single
+ * units of work, so a failure part way through never leaves money moved
+ * without a matching bet (or the reverse)
+ */
+
+const Bet = require('../models/bet')
+const Event = require('../models/event')
+const Wallet = require('../models/wallet')
+const House = require('../models/house')
+const Ledger = require('../models/ledger')
+const LedgerService = require('./LedgerService')
+const EventScheduleService = require('./EventScheduleService')
+const RiskService = require('./RiskService')
+const TradingService = require('./TradingService')
+const ResponsibleGamblingService = require('./ResponsibleGamblingService')
+const BonusService = require('./BonusService')
+const FraudService = require('./FraudService')
+const KycService = require('./KycService')
+const { withUnitOfWork } = require('../lib/unit-of-work')
+const {
+  findSelection,
+  acceptsPrice,
+  MARKET_STATUS,
+  LEGACY_MARKET_ID,
+  PRICE_CHANGE_POLICIES,
+} = require('../lib/markets')
+const { OUTCOMES, normalizeMarketResult, settlementAmounts } = require('../lib/settlement')
+const { createEventStateMachine } = require('../lib/state-machines')
+const { BettingEvents } = require('../lib/events')
+const {
+  BET_TYPES,
+  LEG_STATUS,
+  LINE_STATUS,
+  SYSTEM_BETS,
+  expandLines,
+  lineOdds,
+  evaluateMultiple,
+} = require('../lib/bet-types')
+const {
+  ApplicationError,
+  ValidationError,
+  AuthorizationError,
+  NotFoundError,
+  ConflictError,
+  BetRejectedError,
+  InsufficientFundsError,
+} = require('../lib/errors')
+
+const { TRANSACTION_TYPES } = Ledger
+
+const MIN_BET = 5
+
+// Most bets one slip can place at once
+const MAX_SLIP_BETS = 20
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+class BettingService {
+  /**
+   * Place a single bet for a user
+   * The price comes from the event's market, never from the request. The
+   * price the bettor saw (expectedOdds) is checked against it using their
+   * odds preference; a rejected bet carries a fresh quote to confirm.
+   * A free bet or odds boost the player holds can be used (see BonusService).
+   * @param {Object} user - Signed in user ({ id, email })
+   * @param {Object} data - { eventId, marketId, selectionId, amount, expectedOdds, freeBetId, boostId }
+   * @returns {Promise<Object>} Created bet
+   */
+  async placeBet(user, data) {
+    const wallet = await this._bettingWallet(user)
+
+    const { eventId, marketId, selectionId, amount } = data
+
+    if (!eventId || !marketId || !selectionId || !amount) {
+      throw new ValidationError('Missing required fields')
+    }
+
+    const betAmount = this._parseStake(amount)
+    const { event, market, selection, expectedOdds } = await this._resolveLeg(wallet, data)
+
+    if (betAmount < MIN_BET) {
+      throw new BetRejectedError(`Minimum bet is $${MIN_BET}`, 'MIN_BET')
+    }
+    this._checkStakeRestriction(wallet, betAmount)
+    await KycService.checkStake(user.id, betAmount)
+
+    // The player's own stake and loss limits, cool-off and self-exclusion
+    await ResponsibleGamblingService.checkBet(user.id, betAmount)
+
+    // Which of cash, bonus funds or a free bet pays the stake
+    const funding = await BonusService.planStake(wallet, betAmount, { freeBetId: data.freeBetId, boostId: data.boostId })
+
+    const betOdds = funding.boost ? BonusService.boostedOdds(selection.price, funding.boost) : selection.price
+    const potentialWin = betAmount * betOdds
+
+    // Bet, wallet, house and journal all commit together or not at all
+    const placed = await withUnitOfWork(async (tx) => {
+      await this._confirmPrice(event, market, selection, expectedOdds, tx)
+
+      const bet = await Bet.create({
+        type: BET_TYPES.SINGLE,
+        userId: user.id,
+        userEmail: user.email,
+        eventId: String(event._id),
+        eventName: event.name,
+        marketId: market.id,
+        marketName: market.name,
+        marketType: market.type,
+        selectionId: selection.id,
+        selection: selection.name,
+        line: market.line,
+        amount: betAmount,
+        odds: betOdds,
+        expectedOdds,
+        priceChanged: Math.round(expectedOdds * 100) !== Math.round(selection.price * 100),
+        potentialWin,
+        bonusStakes: funding.bonusStakes,
+        wageredStake: 0,
+        boost: funding.boost
+          ? { bonusId: String(funding.boost._id), boost: funding.boost.boost, originalOdds: selection.price }
+          : null,
+        status: 'active',
+      }, tx)
+
+      // Checked against the written bet, so simultaneous bets can't both slip under the limits
+      await this._checkHouseLimits([{ event, market, selection }], { betId: bet._id, stake: betAmount, odds: betOdds, potentialWin, single: true }, tx)
+
+      await BonusService.fundStake(bet, funding, tx)
+      tx.afterCommit(() => BettingEvents.betUpdated(bet))
+
+      return bet
+    })
+
+    // Events with automatic odds move once the money is in
+    await TradingService.afterBet([String(event._id)])
+    await FraudService.afterBet(user, placed)
+
+    return placed
+  }
+
+  /**
+   * Place an accumulator or system bet
+   * Each leg is priced and checked like a single; `amount` is the stake per
+   * line, so a Trixie at $5 costs $20 (four lines)
+   * @param {Object} user - Signed in user ({ id, email })
+   * @param {Object} data - { type, systemType, amount, legs: [{ eventId, marketId, selectionId, expectedOdds }] }
+   * @returns {Promise<Object>} Created bet
+   */
+  async placeMultiple(user, data) {
+    const wallet = await this._bettingWallet(user)
+
+    const { type, systemType, legs, amount } = data
+
+    if (!Array.isArray(legs) || legs.length === 0 || !amount) {
+      throw new ValidationError('Missing required fields')
+    }
+
+    const stakePerLine = this._parseStake(amount)
+    const lineIndexes = expandLines(type, legs.length, systemType)
+
+    // Legs on the same event are related outcomes and can't be combined
+    const eventIds = legs.map(leg => String(leg.eventId))
+    if (new Set(eventIds).size !== eventIds.length) {
+      throw new BetRejectedError('Each leg must be on a different event', 'RELATED_LEGS')
+    }
+
+    const resolved = []
+    for (const leg of legs) {
+      if (!leg.eventId || !leg.marketId || !leg.selectionId) {
+        throw new ValidationError('Every leg needs an eventId, marketId and selectionId', 'legs')
+      }
+      resolved.push(await this._resolveLeg(wallet, leg))
+    }
+
+    const totalStake = Math.round(stakePerLine * lineIndexes.length * 100) / 100
+    if (totalStake < MIN_BET) {
+      throw new BetRejectedError(`Minimum bet is $${MIN_BET}`, 'MIN_BET')
+    }
+    this._checkStakeRestriction(wallet, totalStake)
+    await KycService.checkStake(user.id, totalStake)
+
+    await ResponsibleGamblingService.checkBet(user.id, totalStake)
+
+    const funding = await BonusService.planStake(wallet, totalStake, {
+      freeBetId: data.freeBetId,
+      boostId: data.boostId,
+      single: false,
+    })
+
+    const betLegs = resolved.map(({ event, market, selection, expectedOdds }) => ({
+      eventId: String(event._id),
+      eventName: event.name,
+      marketId: market.id,
+      marketName: market.name,
+      marketType: market.type,
+      selectionId: selection.id,
+      selection: selection.name,
+      line: market.line,
+      odds: selection.price,
+      expectedOdds,
+      status: LEG_STATUS.PENDING,
+    }))
+
+    const lines = lineIndexes.map(indexes => ({
+      legs: indexes,
+      stake: stakePerLine,
+      odds: lineOdds(betLegs, indexes),
+      status: LINE_STATUS.PENDING,
+      payout: 0,
+    }))
+
+    const potentialWin = Math.round(lines.reduce((sum, line) => sum + line.stake * line.odds, 0) * 100) / 100
+    const effectiveOdds = potentialWin / totalStake
+
+    const name = type === BET_TYPES.SYSTEM ? SYSTEM_BETS[systemType].name : `${legs.length}-Fold Accumulator`
+
+    const placed = await withUnitOfWork(async (tx) => {
+      for (const { event, market, selection, expectedOdds } of resolved) {
+        await this._confirmPrice(event, market, selection, expectedOdds, tx)
+      }
+
+      const bet = await Bet.create({
+        type,
+        systemType: type === BET_TYPES.SYSTEM ? systemType : null,
+        userId: user.id,
+        userEmail: user.email,
+        eventIds,
+        eventName: name,
+        selection: betLegs.map(leg => leg.selection).join(', '),
+        legs: betLegs,
+        lines,
+        stakePerLine,
+        amount: totalStake,
+        odds: Math.round(effectiveOdds * 100) / 100,
+        potentialWin,
+        bonusStakes: funding.bonusStakes,
+        wageredStake: 0,
+        status: 'active',
+      }, tx)
+
+      // As for a single, checked once the bet is written
+      await this._checkHouseLimits(resolved, { betId: bet._id, stake: totalStake, odds: effectiveOdds, potentialWin, single: false }, tx)
+
+      await BonusService.fundStake(bet, funding, tx)
+      tx.afterCommit(() => BettingEvents.betUpdated(bet))
+
+      return bet
+    })
+
+    await TradingService.afterBet(eventIds)
+    await FraudService.afterBet(user, placed)
+
+    return placed
+  }
+
+  /**
+   * Current state of the selections on a bet slip, so prices can be
+   * confirmed before it is placed
+   * @param {Object} user - Signed in user ({ id, email })
+   * @param {Array} selections - [{ eventId, marketId, selectionId, expectedOdds }]
+   * @returns {Promise<Array>} Per selection: { eventId, marketId, selectionId, available,
+   *   price, expectedOdds, changed, accepted } or { ..., available: false, error, rule }
+   *   - accepted says whether the bettor's odds preference takes the price as it is
+   */
+  async checkSlip(user, selections) {
+    if (!Array.isArray(selections) || selections.length === 0) {
+      throw new ValidationError('Nothing on the bet slip', 'selections')
+    }
+    if (selections.length > MAX_SLIP_BETS) {
+      throw new ValidationError(`A bet slip holds at most ${MAX_SLIP_BETS} selections`, 'selections')
+    }
+
+    const wallet = await Wallet.findByUserId(user.id)
+    const oddsPreference = wallet.oddsPreference || PRICE_CHANGE_POLICIES.NEVER
+
+    const checked = []
+    for (const leg of selections) {
+      const { eventId, marketId, selectionId } = leg
+      try {
+        const { selection } = await this._openSelection(leg)
+        const expectedOdds = parseFloat(leg.expectedOdds)
+        const changed = isNaN(expectedOdds) || Math.round(expectedOdds * 100) !== Math.round(selection.price * 100)
+        checked.push({
+          eventId,
+          marketId,
+          selectionId,
+          available: true,
+          price: selection.price,
+          expectedOdds: isNaN(expectedOdds) ? null : expectedOdds,
+          changed,
+          accepted: !isNaN(expectedOdds) && acceptsPrice(oddsPreference, expectedOdds, selection.price),
+        })
+      } catch (error) {
+        if (!(error instanceof ApplicationError)) throw error
+        checked.push({ eventId, marketId, selectionId, available: false, error: error.message, rule: (error.details && error.details.rule) || null })
+      }
+    }
+
+    return checked
+  }
+
+  /**
+   * Place every bet on a bet slip
+   * Each bet is placed on its own, like a separate request: one being
+   * rejected doesn't stop the others, and its reason is returned with it
+   * @param {Object} user - Signed in user ({ id, email })
+   * @param {Array} bets - Singles ({ eventId, marketId, selectionId, amount, expectedOdds, freeBetId, boostId })
+   *   and multiples ({ type, systemType, amount, legs })
+   * @returns {Promise<Object>} { placed, rejected, results: [{ index, status: 'placed', bet }
+   *   or { index, status: 'rejected', error, code, rule, ... }] }
+   */
+  async placeSlip(user, bets) {
+    if (!Array.isArray(bets) || bets.length === 0) {
+      throw new ValidationError('Nothing on the bet slip', 'bets')
+    }
+    if (bets.length > MAX_SLIP_BETS) {
+      throw new ValidationError(`A bet slip places at most ${MAX_SLIP_BETS} bets`, 'bets')
+    }
+
+    // A malformed entry rejects the slip before anything on it is placed
+    bets.forEach((data, index) => {
+      const valid = isPlainObject(data) && (data.legs === undefined || (Array.isArray(data.legs) && data.legs.every(isPlainObject)))
+      if (!valid) {
+        throw new ValidationError(`Bet ${index + 1} on the slip is not a bet`, 'bets')
+      }
+    })
+
+    // Without membership nothing on the slip can be placed
+    await this._bettingWallet(user)
+
+    // Once a bet is placed the slip must answer with results, whatever goes
+    // wrong later, or the player would submit it again and bet twice
+    const results = []
+    for (const [index, data] of bets.entries()) {
+      try {
+        const bet = Array.isArray(data.legs)
+          ? await this.placeMultiple(user, data)
+          : await this.placeBet(user, data)
+        results.push({ index, status: 'placed', bet })
+      } catch (error) {
+        if (error instanceof ApplicationError) {
+          results.push({ index, code: error.code, ...error.details, status: 'rejected', error: error.message })
+        } else {
+          console.error('Bet slip entry failed:', error)
+          results.push({ index, code: 'INTERNAL_ERROR', status: 'rejected', error: 'This bet could not be placed - try it again' })
+        }
+      }
+    }
+
+    return {
+      placed: results.filter(result => result.status === 'placed').length,
+      rejected: results.filter(result => result.status === 'rejected').length,
+      results,
+    }
+  }
+
+  /**
+   * Settle an event: every single on it, and every leg of a multiple on it
+   * Multiples only pay once all of their lines have an outcome
+   * @param {String} eventId - Event ID
+   * @param {Object} results - { marketId: result } (see lib/settlement.js normalizeMarketResult)
+   * @returns {Promise<Object>} Settlement summary
+   */
+  async settleEvent(eventId, results, meta = {}) {
+    const event = await this._eventToSettle(eventId, results)
+
+    if (event.status === Event.STATES.SETTLED) {
+      throw new ConflictError('Event is already settled - re-settle it to correct the result', 'ALREADY_SETTLED')
+    }
+
+    // Only a finished or abandoned event has results
+    createEventStateMachine(event.status).settle()
+
+    return await this._settle(event, results, { status: Event.STATES.SETTLED, ...meta })
+  }
+
+  /**
+   * Settle an event again with corrected results
+   * Bets whose return changes have their earlier payout or refund taken back
+   * and the new one paid, so wallets, the house and the ledger stay in step
+   * @param {String} eventId - Event ID
+   * @param {Object} results - Corrected results, same shape as settleEvent
+   * @returns {Promise<Object>} Settlement summary with the corrections made
+   */
+  async resettleEvent(eventId, results) {
+    const event = await this._eventToSettle(eventId, results)
+
+    if (event.status !== Event.STATES.SETTLED) {
+      throw new ConflictError('Only a settled event can be re-settled', 'NOT_SETTLED')
+    }
+
+    return await this._settle(event, results, { resettle: true })
+  }
+
+  /**
+   * Cancel an event: every market is void, so every bet on it is refunded
+   * (multiples carry on with the leg counted at odds of 1)
+   * @param {String} eventId - Event ID
+   * @param {Object} meta - { changedBy, reason }
+   * @returns {Promise<Object>} Settlement summary
+   */
+  async cancelEvent(eventId, meta = {}) {
+    const event = await Event.findById(eventId)
+    if (!event) {
+      throw new NotFoundError('Event', eventId)
+    }
+
+    createEventStateMachine(event.status).cancel(meta.reason)
+
+    const results = {}
+    event.markets.forEach(market => { results[market.id] = OUTCOMES.VOID })
+
+    return await this._settle(event, results, { status: Event.STATES.CANCELLED, ...meta })
+  }
+
+  /**
+   * @private
+   */
+  async _eventToSettle(eventId, results) {
+    if (!results || typeof results !== 'object' || Array.isArray(results)) {
+      throw new ValidationError('Results are required', 'results')
+    }
+
+    const event = await Event.findById(eventId)
+    if (!event) {
+      throw new NotFoundError('Event', eventId)
+    }
+
+    return event
+  }
+
+  /**
+   * Work out every affected bet's new return, then move the money in one unit of work
+   * @private
+   * @param {Object} options - { resettle } or { status, changedBy, reason } for the event's new state
+   */
+  async _settle(event, results, options) {
+    const { resettle = false, status: eventStatus = null } = options
+    const eventId = event._id
+    const outcomes = this._marketOutcomes(event, results)
+
+    const legOutcome = (marketId, selectionId, selectionName) => {
+      const market = event.markets.find(candidate => candidate.id === (marketId || LEGACY_MARKET_ID))
+      const outcome = market && outcomes[market.id]
+      if (!outcome) return { status: OUTCOMES.LOST, deadHeatFactor: null }
+
+      // Bets placed before markets existed only recorded the selection name
+      const selection = selectionId
+        ? market.selections.find(candidate => candidate.id === selectionId)
+        : market.selections.find(candidate => candidate.name === selectionName)
+
+      const status = (selection && outcome.outcomes[selection.id]) || OUTCOMES.LOST
+      return { status, deadHeatFactor: status === OUTCOMES.DEAD_HEAT ? outcome.deadHeatFactor : null }
+    }
+
+    // Bets already settled are only looked at again when re-settling
+    const affected = bet => resettle ? bet.status !== 'cashed_out' : bet.status === 'active'
+
+    // Singles settle outright
+    const singles = (await Bet.findByEventId(eventId)).filter(affected)
+    const singleOutcomes = singles.map(bet => {
+      const { status, deadHeatFactor } = legOutcome(bet.marketId, bet.selectionId, bet.selection)
+      return {
+        bet,
+        settled: true,
+        status,
+        deadHeatFactor,
+        ...settlementAmounts(status, bet.amount, bet.odds, deadHeatFactor),
+      }
+    })
+
+    // Multiples move the legs on this event and settle if nothing is left pending
+    const multiples = (await Bet.findMultiplesByEventId(eventId)).filter(affected)
+    const multipleOutcomes = multiples.map(bet => {
+      const legs = bet.legs.map(leg => String(leg.eventId) === String(eventId)
+        ? { ...leg, ...legOutcome(leg.marketId, leg.selectionId, leg.selection) }
+        : leg
+      )
+      const { settled, status, lines, payout } = evaluateMultiple({ ...bet, legs })
+
+      return {
+        bet,
+        legs,
+        lines,
+        settled,
+        status: settled ? status : 'active',
+        payout: settled && status !== LINE_STATUS.VOID ? payout : 0,
+        refund: settled && status === LINE_STATUS.VOID ? bet.amount : 0,
+      }
+    })
+
+    // Bets paid with bonus funds or boosted share their returns out (see BonusService)
+    for (const outcome of [...singleOutcomes, ...multipleOutcomes]) {
+      outcome.bonusReturns = outcome.settled && BonusService.usesBonus(outcome.bet)
+        ? await BonusService.splitReturns(outcome.bet, outcome.payout, outcome.refund)
+        : null
+    }
+
+    // Only bets whose return changes move money
+    const corrections = [...singleOutcomes, ...multipleOutcomes]
+      .map(outcome => ({ ...outcome, previous: this._paidOut(outcome.bet) }))
+      .filter(({ payout, refund, previous }) => payout !== previous.payout || refund !== previous.refund)
+
+    const reversed = corrections.reduce((sum, { previous }) => sum + previous.payout + previous.refund, 0)
+    const totalPayout = corrections.reduce((sum, { payout, refund }) => sum + payout + refund, 0)
+
+    // Check if house can afford payouts before touching anything
+    const house = await House.getBalance()
+    if (totalPayout > house.balance + reversed) {
+      throw new InsufficientFundsError(
+        'Cannot settle - house cannot afford to pay all winners. Add more funds or adjust bets.',
+        {
+          houseBalance: house.balance,
+          requiredPayout: totalPayout,
+          shortfall: totalPayout - house.balance - reversed,
+        }
+      )
+    }
+
+    const settledMarkets = event.markets.map(market => ({
+      ...market,
+      status: MARKET_STATUS.SETTLED,
+      selections: market.selections.map(selection => ({
+        ...selection,
+        result: outcomes[market.id].outcomes[selection.id],
+      })),
+    }))
+
+    const storedResults = {}
+    for (const [marketId, outcome] of Object.entries(outcomes)) {
+      storedResults[marketId] = outcome.void ? OUTCOMES.VOID : outcome.outcomes
+    }
+
+    const eventUpdates = { markets: settledMarkets, results: storedResults, settledAt: new Date() }
+    if (resettle) {
+      eventUpdates.previousResults = [
+        ...(event.previousResults || []),
+        { results: event.results, settledAt: event.settledAt || null },
+      ]
+    }
+
+    // Two settlements of the same event (an admin and the feed, say) can't
+    // both pay out: the one that finds the event or a bet changed backs off
+    const settledMeanwhile = () => new ConflictError('The event was settled by someone else meanwhile - reload it and check the results', 'SETTLEMENT_CONFLICT')
+    const wagering = new Set()
+    await withUnitOfWork(async (tx) => {
+      if (!(await Event.recordSettlement(event, eventUpdates, tx))) {
+        throw settledMeanwhile()
+      }
+      if (eventStatus) {
+        if (!(await Event.setStatus(event, eventStatus, options, tx))) {
+          throw settledMeanwhile()
+        }
+        tx.afterCommit(() => BettingEvents.statusChanged(eventId, eventStatus, event.status))
+      }
+      tx.afterCommit(() => BettingEvents.settled(eventId, storedResults, resettle))
+
+      for (const { bet, legs, lines, settled, status, deadHeatFactor, payout, refund, bonusReturns } of [...singleOutcomes, ...multipleOutcomes]) {
+        const settlement = legs ? { legs, lines, status, payout, refund } : { status, deadHeatFactor, payout, refund }
+        if (BonusService.usesBonus(bet)) {
+          settlement.bonusReturns = bonusReturns
+        }
+
+        // Bonus wagering counts the stake the result decided. Bets placed
+        // before that (no wageredStake) counted theirs when they were placed
+        const wageredStake = settled ? Math.round((bet.amount - refund) * 100) / 100 : 0
+        if (bet.wageredStake !== undefined && wageredStake !== bet.wageredStake) {
+          settlement.wageredStake = wageredStake
+          settlement.wageringCounted = await BonusService.countWagering(bet, wageredStake, tx)
+          wagering.add(bet.userId)
+        }
+
+        const previous = this._paidOut(bet)
+        const changed = status !== bet.status || payout !== previous.payout || refund !== previous.refund
+        if (resettle && bet.status !== 'active' && changed) {
+          settlement.settlementHistory = [
+            ...(bet.settlementHistory || []),
+            { status: bet.status, ...previous, settledAt: bet.settledAt || null },
+          ]
+        }
+
+        // A multiple whose earlier settlement no longer stands is open again
+        if (!(await Bet.settle(bet._id, settlement, bet.status, tx))) {
+          throw new ConflictError('A bet on this event was settled or cashed out meanwhile - try again', 'SETTLEMENT_CONFLICT')
+        }
+        tx.afterCommit(() => BettingEvents.betUpdated({ ...bet, ...settlement, settledAt: settled ? new Date() : null }))
+      }
+
+      // Take back what was paid on the wrong result before paying the right one,
+      // so the bankroll covers the new payouts
+      for (const { bet, previous } of corrections) {
+        if (bet.bonusReturns) {
+          await BonusService.reverseReturns(bet, tx)
+          continue
+        }
+        if (previous.payout > 0) {
+          await LedgerService.recordPayoutReversal(bet.userId, previous.payout, bet._id, tx)
+        }
+        if (previous.refund > 0) {
+          await LedgerService.recordRefundReversal(bet.userId, previous.refund, bet._id, tx)
+        }
+      }
+
+      for (const { bet, payout, refund, bonusReturns } of corrections) {
+        if (bonusReturns) {
+          await BonusService.payReturns(bet, bonusReturns, tx)
+          continue
+        }
+        if (refund > 0) {
+          await LedgerService.recordRefund(bet.userId, refund, bet._id, tx)
+        }
+        if (payout > 0) {
+          await LedgerService.recordPayout(bet.userId, payout, bet._id, tx)
+        }
+        // Loser - house keeps the bet amount (already added when bet was placed)
+      }
+    })
+
+    // Bonuses the settlement finished wagering become cash
+    for (const userId of wagering) {
+      await BonusService.convertCompleted(userId)
+    }
+
+    const finalHouse = await House.getBalance()
+    const settledBets = [...singleOutcomes, ...multipleOutcomes].filter(outcome => outcome.settled)
+    const count = (...statuses) => settledBets.filter(outcome => statuses.includes(outcome.status)).length
+
+    const summary = {
+      winners: count(OUTCOMES.WON, OUTCOMES.HALF_WON, OUTCOMES.DEAD_HEAT),
+      losers: count(OUTCOMES.LOST, OUTCOMES.HALF_LOST),
+      voided: count(OUTCOMES.VOID, OUTCOMES.PUSH),
+      outcomes: Object.values(OUTCOMES).reduce((counts, outcome) => ({ ...counts, [outcome]: count(outcome) }), {}),
+      multiplesPending: multipleOutcomes.length - multipleOutcomes.filter(outcome => outcome.settled).length,
+      totalPayout: Math.round(totalPayout * 100) / 100,
+      houseBalanceBefore: house.balance,
+      houseBalanceAfter: finalHouse.balance,
+      profit: finalHouse.profit,
+    }
+
+    if (resettle) {
+      summary.corrected = corrections.length
+      summary.reversed = Math.round(reversed * 100) / 100
+    }
+
+    return summary
+  }
+
+  /**
+   * What a bet has already returned to the bettor
+   * Bets settled before payouts were stored only have their status to go on
+   * @private
+   * @returns {Object} { payout, refund }
+   */
+  _paidOut(bet) {
+    if (bet.status === 'active') {
+      return { payout: 0, refund: 0 }
+    }
+
+    if (bet.refund !== undefined) {
+      return { payout: bet.payout || 0, refund: bet.refund || 0 }
+    }
+
+    if (bet.status === OUTCOMES.VOID) {
+      return { payout: 0, refund: bet.amount }
+    }
+
+    if (bet.payout !== undefined) {
+      return { payout: bet.payout, refund: 0 }
+    }
+
+    return { payout: bet.status === OUTCOMES.WON ? bet.potentialWin : 0, refund: 0 }
+  }
+
+  /**
+   * Check every market has a result made of its own selections
+   * @private
+   * @returns {Object} { marketId: { void, outcomes, deadHeatFactor } }
+   */
+  _marketOutcomes(event, results) {
+    const outcomes = {}
+
+    for (const market of event.markets) {
+      outcomes[market.id] = normalizeMarketResult(market, results[market.id])
+    }
+
+    const unknownMarkets = Object.keys(results).filter(marketId => !outcomes[marketId])
+    if (unknownMarkets.length > 0) {
+      throw new ValidationError(`Unknown market(s): ${unknownMarkets.join(', ')}`, 'results')
+    }
+
+    return outcomes
+  }
+
+  /**
+   * A stake limit the house put on the account after a fraud review
+   * @private
+   */
+  _checkStakeRestriction(wallet, stake) {
+    const restriction = wallet.stakeRestriction
+    if (restriction && stake > restriction.maxStake) {
+      throw new BetRejectedError(`Your stake is limited to $${restriction.maxStake.toFixed(2)} per bet`, 'STAKE_RESTRICTED', {
+        maxStake: restriction.maxStake,
+      })
+    }
+  }
+
+  /**
+   * Wallet of a user allowed to bet
+   * @private
+   */
+  async _bettingWallet(user) {
+    // Check if membership is paid
+    const wallet = await Wallet.findByUserId(user.id)
+    if (!wallet.membershipPaid) {
+      throw new AuthorizationError('Please pay the membership fee first')
+    }
+    return wallet
+  }
+
+  /**
+   * @private
+   */
+  _parseStake(amount) {
+    const stake = parseFloat(amount)
+    if (isNaN(stake) || stake <= 0) {
+      throw new ValidationError('Amount must be a positive number', 'amount')
+    }
+    return stake
+  }
+
+  /**
+   * Look up a selection and check it can be bet on at the price the bettor saw
+   * @private
+   * @param {Object} wallet - Bettor's wallet (for their odds preference)
+   * @param {Object} leg - { eventId, marketId, selectionId, expectedOdds }
+   * @returns {Promise<Object>} { event, market, selection, expectedOdds }
+   */
+  async _resolveLeg(wallet, leg) {
+    const { event, market, selection } = await this._openSelection(leg)
+
+    // Older clients send the price they saw as `odds`
+    const expectedOdds = parseFloat(leg.expectedOdds !== undefined ? leg.expectedOdds : leg.odds)
+    if (isNaN(expectedOdds)) {
+      throw new ValidationError('Expected odds are required', 'expectedOdds')
+    }
+
+    const oddsPreference = wallet.oddsPreference || PRICE_CHANGE_POLICIES.NEVER
+    if (!acceptsPrice(oddsPreference, expectedOdds, selection.price)) {
+      throw this._priceChanged(event, market, selection, expectedOdds)
+    }
+
+    return { event, market, selection, expectedOdds }
+  }
+
+  /**
+   * Look up a selection and check its event and market take bets
+   * @private
+   * @param {Object} leg - { eventId, marketId, selectionId }
+   * @returns {Promise<Object>} { event, market, selection }
+   */
+  async _openSelection(leg) {
+    const { eventId, marketId, selectionId } = leg
+
+    // Verify event exists and is open for betting
+    const event = await Event.findById(eventId)
+    if (!event) {
+      throw new NotFoundError('Event', eventId)
+    }
+
+    if (!createEventStateMachine(event.status).acceptsBets()) {
+      throw new BetRejectedError(`${event.name} is not open for betting`, 'EVENT_CLOSED', { eventId, status: event.status })
+    }
+
+    // The schedule may not have suspended the event yet
+    if (EventScheduleService.isPastCutOff(event)) {
+      throw new BetRejectedError(`Betting on ${event.name} has closed`, 'BET_CUTOFF', {
+        eventId,
+        cutOff: EventScheduleService.cutOffTime(event),
+      })
+    }
+
+    const found = findSelection(event, marketId, selectionId)
+    if (!found) {
+      throw new BetRejectedError('Unknown selection for this event', 'INVALID_SELECTION', { marketId, selectionId })
+    }
+
+    const { market, selection } = found
+    if (market.status !== MARKET_STATUS.OPEN) {
+      throw new BetRejectedError(`${market.name} is not open for betting`, 'MARKET_CLOSED', { marketId })
+    }
+
+    return { event, market, selection }
+  }
+
+  /**
+   * The price may have moved while we were checking limits
+   * @private
+   */
+  async _confirmPrice(event, market, selection, expectedOdds, tx) {
+    const latest = findSelection(await Event.findById(event._id, tx), market.id, selection.id)
+    if (!latest || latest.selection.price !== selection.price) {
+      throw this._priceChanged(event, market, latest ? latest.selection : selection, expectedOdds)
+    }
+  }
+
+  /**
+   * House risk management - protecting the bankroll
+   * @param {Array} legs - Resolved { event, market, selection } the bet is on
+   * @param {Object} bet - { betId, stake, odds, potentialWin, single }
+   * @param {Object} tx - Unit of work the bet was written in
+   * @private
+   */
+  async _checkHouseLimits(legs, { betId, stake, odds, potentialWin, single }, tx) {
+    // CRITICAL: Check if house can afford to pay this bet if it wins
+    const house = await House.getBalance(tx)
+    if (potentialWin > house.balance * 0.5) {
+      throw new BetRejectedError(
+        'Bet amount too high for current house bankroll',
+        'HOUSE_BANKROLL',
+        {
+          maxSafeBet: Math.floor((house.balance * 0.5) / odds),
+          reason: 'Insufficient house funds to guarantee payout',
+        }
+      )
+    }
+
+    // Net position on each selection and event once this bet is taken
+    await RiskService.checkBet(legs, { betId, stake, potentialWin, single }, tx)
+  }
+
+  /**
+   * Rejection for a price the bettor's preference doesn't accept
+   * @private
+   */
+  _priceChanged(event, market, selection, expectedOdds) {
+    return new BetRejectedError(
+      `Price changed from ${expectedOdds.toFixed(2)} to ${selection.price.toFixed(2)}`,
+      'PRICE_CHANGED',
+      {
+        expectedOdds,
+        quote: {
+          eventId: event._id,
+          marketId: market.id,
+          selectionId: selection.id,
+          price: selection.price,
+          quotedAt: new Date(),
+        },
+      }
+    )
+  }
+
+  /**
+   * Membership fee paid - activate the account and credit the house
+   */
+  async activateMembership(userId, amount, reference = null) {
+    // The same checkout session never charges the fee twice
+    if (reference && await this._alreadyPosted(TRANSACTION_TYPES.MEMBERSHIP_FEE, reference)) {
+      return
+    }
+
+    return await withUnitOfWork(async (tx) => {
+      await Wallet.markMembershipPaid(userId, tx)
+      await LedgerService.recordMembershipFee(userId, amount, reference, tx)
+    })
+  }
+
+  /**
+   * Deposit paid - credit the user's wallet
+   * Limits and exclusions are checked again, as other checkouts may have been
+   * paid since this one opened, or the player excluded themselves. A refused
+   * deposit throws PlayerProtectionError or VerificationRequiredError and
+   * isn't credited.
+   */
+  async creditDeposit(userId, amount, reference = null) {
+    // The same checkout session is only ever credited once
+    if (reference && await this._alreadyPosted(TRANSACTION_TYPES.DEPOSIT, reference)) {
+      return
+    }
+
+    await ResponsibleGamblingService.checkDeposit(userId, amount)
+    await KycService.checkDeposit(userId, amount)
+
+    await withUnitOfWork(async (tx) => {
+      await LedgerService.recordDeposit(userId, amount, reference, tx)
+    })
+
+    // Deposit matches and referral credit
+    await BonusService.afterDeposit(userId, amount, reference)
+  }
+
+  /**
+   * Whether a journal of this type was already posted for an external reference
+   * @private
+   */
+  async _alreadyPosted(type, reference) {
+    const journals = await Ledger.findByReference(reference)
+    return journals.some(journal => journal.type === type)
+  }
+}
+
+module.exports = new BettingService()
@@ -0,0 +1,679 @@
+/**
+ * Bonus Service - Business Logic Layer
+ * Runs promotions: deposit matches, free bets, odds boosts and refer-a-friend
+ * credit. Bonus funds sit in the wallet's bonusBalance (and the bonus:
+ * ledger account), can be bet but not withdrawn, and become cash once their
+ * wagering is met. Unused funds are forfeited when a bonus expires.
+ *
+ * A stake is paid in this order:
+ * 1. A free bet, when the player picks one - it pays the whole stake
+ * 2. The cash balance
+ * 3. Bonus funds, the bonus that expires soonest first
+ *
+ * Returns on a bet are shared out in proportion to how its stake was paid.
+ * A free bet returns its winnings as cash but not its stake. Bonus stakes
+ * return to their bonus, or straight to cash if its wagering has been met
+ * since. Cash the house pays because of a promotion is House.totalBonusCost,
+ * not a payout, so bonuses never flatter the book's edge.
+ */
+
+const Promotion = require('../models/promotion')
+const Bonus = require('../models/bonus')
+const Wallet = require('../models/wallet')
+const Ledger = require('../models/ledger')
+const LedgerService = require('./LedgerService')
+const { withUnitOfWork } = require('../lib/unit-of-work')
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BetRejectedError,
+  InsufficientFundsError,
+} = require('../lib/errors')
+
+const { TYPES } = Promotion
+const { STATES } = Bonus
+
+// Defaults for promotions that don't set their own
+const BONUS_WAGERING_MULTIPLE = parseFloat(process.env.BONUS_WAGERING_MULTIPLE || '5')
+const BONUS_EXPIRY_DAYS = parseFloat(process.env.BONUS_EXPIRY_DAYS || '30')
+
+// Bonuses whose funds can be staked on any bet and count wagering
+const WAGERING_TYPES = [TYPES.DEPOSIT_MATCH, TYPES.REFERRAL]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+class BonusService {
+  /**
+   * Set up a promotion
+   * @param {Object} data - { name, type, code, percent, maxBonus, amount, boost,
+   *   wageringMultiple, minOdds, expiryDays, startsAt, endsAt }
+   * @param {Object} admin - Admin creating it
+   * @returns {Promise<Object>} Created promotion
+   */
+  async createPromotion(data, admin = {}) {
+    const promotion = this._parsePromotion(data)
+
+    if (promotion.code && await Promotion.findByCode(promotion.code)) {
+      throw new ConflictError(`Promotion code ${promotion.code} is already in use`, 'PROMOTION_CODE_TAKEN')
+    }
+
+    return await Promotion.create({ ...promotion, createdBy: admin.email || null, createdAt: new Date() })
+  }
+
+  async listPromotions() {
+    return await Promotion.findAll()
+  }
+
+  /**
+   * Switch a promotion on or off; bonuses already granted are unaffected
+   */
+  async setPromotionActive(promotionId, active) {
+    const promotion = await Promotion.findById(promotionId)
+    if (!promotion) {
+      throw new NotFoundError('Promotion', promotionId)
+    }
+
+    await Promotion.setActive(promotionId, Boolean(active))
+    return { ...promotion, active: Boolean(active) }
+  }
+
+  /**
+   * Give a player a bonus from a promotion (admin goodwill, or a claimed code)
+   * @param {String} promotionId - Promotion ID
+   * @param {String} userId - Player to credit
+   * @param {Object} options - { amount (deposit matches: the deposit), reference }
+   * @returns {Promise<Object>} Granted bonus
+   */
+  async grant(promotionId, userId, options = {}) {
+    const promotion = await Promotion.findById(promotionId)
+    if (!promotion) {
+      throw new NotFoundError('Promotion', promotionId)
+    }
+    if (!userId) {
+      throw new ValidationError('userId is required', 'userId')
+    }
+
+    return await withUnitOfWork(tx => this._grant(promotion, userId, options, tx))
+  }
+
+  /**
+   * Claim a promotion by its code
+   * Free bets and odds boosts are credited at once; a deposit match waits
+   * for the player's next deposit
+   * @param {Object} user - Signed in user
+   * @param {String} code - Promotion code
+   * @returns {Promise<Object>} The bonus
+   */
+  async claim(user, code) {
+    const promotion = code && await Promotion.findByCode(String(code).trim().toUpperCase())
+    if (!promotion || !this._running(promotion)) {
+      throw new ValidationError('That promotion code is not valid', 'code')
+    }
+
+    if (promotion.type === TYPES.REFERRAL) {
+      throw new ValidationError('Referral codes are entered as a referral', 'code')
+    }
+
+    if (await Bonus.findByPromotion(user.id, promotion._id)) {
+      throw new ConflictError('You have already claimed this promotion', 'BONUS_CLAIMED')
+    }
+
+    if (promotion.type === TYPES.DEPOSIT_MATCH) {
+      return await Bonus.create({
+        userId: user.id,
+        promotion,
+        status: STATES.PENDING,
+        expiresAt: this._expiresAt(promotion),
+      })
+    }
+
+    return await withUnitOfWork(tx => this._grant(promotion, user.id, {}, tx))
+  }
+
+  /**
+   * Record who referred a player; they are credited on the player's first deposit
+   * @param {Object} user - Signed in user
+   * @param {String} code - Referral code (the referrer's user ID)
+   */
+  async refer(user, code) {
+    const referrerId = String(code || '').trim()
+    if (!referrerId || referrerId === String(user.id)) {
+      throw new ValidationError('That referral code is not valid', 'code')
+    }
+
+    const referrer = await Wallet.findExisting(referrerId)
+    if (!referrer || !referrer.membershipPaid) {
+      throw new ValidationError('That referral code is not valid', 'code')
+    }
+
+    if ((await this._depositCount(user.id)) > 0) {
+      throw new ConflictError('Referrals must be entered before your first deposit', 'REFERRAL_TOO_LATE')
+    }
+
+    if ((await Wallet.setReferrer(user.id, referrerId)) === 0) {
+      throw new ConflictError('You have already been referred', 'REFERRAL_EXISTS')
+    }
+
+    return { referredBy: referrerId }
+  }
+
+  /**
+   * A player's bonuses with what is left to wager on each
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { bonusBalance, bonuses, referralCode, referredBy }
+   */
+  async getBonuses(userId) {
+    await this._expireDue(userId)
+    await this.convertCompleted(userId)
+
+    const wallet = await Wallet.findByUserId(userId)
+    const bonuses = await Bonus.findByUserId(userId)
+
+    return {
+      bonusBalance: wallet.bonusBalance || 0,
+      bonuses: bonuses.map(bonus => ({
+        ...bonus,
+        wageringRemaining: round(Math.max(bonus.wageringRequired - bonus.wagered, 0)),
+      })),
+      referralCode: userId,
+      referredBy: wallet.referredBy || null,
+    }
+  }
+
+  /**
+   * Work out how a stake will be paid (see the order at the top)
+   * @param {Object} wallet - Bettor's wallet
+   * @param {Number} stake - Total stake
+   * @param {Object} options - { freeBetId, boostId, single }
+   * @returns {Promise<Object>} { cash, bonusStakes: [{ bonusId, type, amount }], boost }
+   */
+  async planStake(wallet, stake, options = {}) {
+    const { freeBetId, boostId, single = true } = options
+    const userId = wallet.userId
+
+    await this._expireDue(userId)
+
+    let boost = null
+    if (boostId) {
+      boost = await this._usableBonus(userId, boostId, TYPES.ODDS_BOOST)
+      if (!single) {
+        throw new BetRejectedError('Odds boosts can only be used on singles', 'BONUS_NOT_ALLOWED')
+      }
+    }
+
+    if (freeBetId) {
+      const freeBet = await this._usableBonus(userId, freeBetId, TYPES.FREE_BET)
+      if (!single) {
+        throw new BetRejectedError('Free bets can only be used on singles', 'BONUS_NOT_ALLOWED')
+      }
+      if (round(stake) !== round(freeBet.balance)) {
+        throw new ValidationError(`This free bet is for a stake of $${freeBet.balance.toFixed(2)}`, 'amount')
+      }
+      return { cash: 0, bonusStakes: [{ bonusId: String(freeBet._id), type: freeBet.type, amount: round(stake) }], boost }
+    }
+
+    const cash = round(Math.min(Math.max(wallet.balance, 0), stake))
+    let remaining = round(stake - cash)
+    const bonusStakes = []
+
+    for (const bonus of await Bonus.findByStatus(userId, [STATES.ACTIVE])) {
+      if (remaining <= 0) break
+      if (!WAGERING_TYPES.includes(bonus.type) || bonus.balance <= 0) continue
+
+      const amount = round(Math.min(bonus.balance, remaining))
+      bonusStakes.push({ bonusId: String(bonus._id), type: bonus.type, amount })
+      remaining = round(remaining - amount)
+    }
+
+    if (remaining > 0) {
+      throw new InsufficientFundsError('Insufficient balance', { userId, amount: stake })
+    }
+
+    return { cash, bonusStakes, boost }
+  }
+
+  /**
+   * Odds a boost turns a price into: the winnings part of the price grows by the boost
+   */
+  boostedOdds(price, boost) {
+    return round(1 + (price - 1) * (1 + boost.boost))
+  }
+
+  /**
+   * Take a planned stake from the wallet and bonuses
+   * Wagering is counted when the bet settles (see countWagering)
+   * @param {Object} bet - Bet just created (with bonusStakes and boost from the plan)
+   * @param {Object} plan - From planStake
+   * @param {Object} tx - Unit of work the bet is placed in
+   */
+  async fundStake(bet, plan, tx) {
+    if (plan.cash > 0) {
+      await LedgerService.recordStake(bet.userId, plan.cash, bet._id, tx)
+    }
+
+    for (const { bonusId, type, amount } of plan.bonusStakes) {
+      if ((await Bonus.spend(bonusId, amount, tx)) === 0) {
+        throw new ConflictError('Bonus funds changed - please try again', 'BONUS_CHANGED')
+      }
+      await LedgerService.recordBonusStake(bet.userId, amount, bet._id, tx)
+
+      if (type === TYPES.FREE_BET) {
+        await this._setStatus(await Bonus.findById(bonusId), STATES.USED, {}, tx)
+      }
+    }
+
+    if (plan.boost) {
+      await this._setStatus(plan.boost, STATES.USED, { betId: String(bet._id) }, tx)
+    }
+  }
+
+  /**
+   * Count a settled bet's stake towards wagering, oldest bonus first
+   * Only stake the result decided counts - nothing for a void, a push or a
+   * bet cashed out. A resettled bet first takes back what it counted before
+   * from bonuses still being wagered.
+   * @param {Object} bet - Bet as read
+   * @param {Number} stake - Stake won or lost by the settlement (0 if none)
+   * @param {Object} tx - Unit of work the bet is settled in
+   * @returns {Promise<Array>} [{ bonusId, amount }] counted, stored on the bet
+   */
+  async countWagering(bet, stake, tx) {
+    const active = await Bonus.findByStatus(bet.userId, [STATES.ACTIVE], tx)
+
+    for (const { bonusId, amount } of bet.wageringCounted || []) {
+      const bonus = active.find(candidate => String(candidate._id) === bonusId)
+      if (bonus) {
+        await Bonus.addWagering(bonus._id, -amount, tx)
+        bonus.wagered = round(bonus.wagered - amount)
+      }
+    }
+
+    // Free bets don't count towards wagering
+    const counted = []
+    if ((bet.bonusStakes || []).some(bonusStake => bonusStake.type === TYPES.FREE_BET)) return counted
+
+    for (const bonus of active) {
+      if (stake <= 0) break
+      if (!WAGERING_TYPES.includes(bonus.type) || bonus.wagered >= bonus.wageringRequired) continue
+      if (bonus.minOdds && bet.odds < bonus.minOdds) continue
+
+      const amount = round(Math.min(stake, bonus.wageringRequired - bonus.wagered))
+      await Bonus.addWagering(bonus._id, amount, tx)
+      counted.push({ bonusId: String(bonus._id), amount })
+      stake = round(stake - amount)
+    }
+    return counted
+  }
+
+  /**
+   * Turn bonuses whose wagering is met into cash
+   * Runs after each settlement; a failure is logged and retried next time
+   * @param {String} userId - User ID
+   * @returns {Promise<Array>} Converted bonuses
+   */
+  async convertCompleted(userId) {
+    const converted = []
+
+    for (const bonus of await Bonus.findByStatus(userId, [STATES.ACTIVE])) {
+      if (!WAGERING_TYPES.includes(bonus.type) || bonus.wagered < bonus.wageringRequired) continue
+
+      try {
+        await withUnitOfWork(async (tx) => {
+          await this._setStatus(bonus, STATES.COMPLETED, { balance: 0, converted: Math.max(bonus.balance, 0) }, tx)
+          if (bonus.balance > 0) {
+            await LedgerService.recordBonusConversion(userId, round(bonus.balance), bonus._id, tx)
+          }
+        })
+        converted.push(bonus)
+      } catch (error) {
+        console.error(`Bonus ${bonus._id} could not be converted:`, error.message)
+      }
+    }
+
+    return converted
+  }
+
+  /**
+   * Deposit paid - fill a claimed deposit match (or the welcome offer on a
+   * first deposit) and credit whoever referred the player
+   * A failure is logged; it never undoes the deposit
+   * @param {String} userId - User ID
+   * @param {Number} amount - Deposit
+   * @param {String} reference - Deposit reference
+   */
+  async afterDeposit(userId, amount, reference = null) {
+    try {
+      await this._expireDue(userId)
+      const firstDeposit = (await this._depositCount(userId)) === 1
+
+      const [claimed] = await Bonus.findByStatus(userId, [STATES.PENDING])
+      if (claimed) {
+        const promotion = await Promotion.findById(claimed.promotionId)
+        await withUnitOfWork(async (tx) => {
+          const bonusAmount = this._matchAmount(promotion, amount)
+          await this._setStatus(claimed, STATES.ACTIVE, {
+            amount: bonusAmount,
+            balance: bonusAmount,
+            wageringRequired: round(bonusAmount * this._wageringMultiple(promotion)),
+            expiresAt: this._expiresAt(promotion),
+            reference,
+          }, tx)
+          await LedgerService.recordBonusGrant(userId, bonusAmount, claimed._id, tx)
+        })
+      } else if (firstDeposit) {
+        const welcome = (await Promotion.findRunning(TYPES.DEPOSIT_MATCH)).find(promotion => !promotion.code)
+        if (welcome && !(await Bonus.findByPromotion(userId, welcome._id))) {
+          await withUnitOfWork(tx => this._grant(welcome, userId, { amount, reference }, tx))
+        }
+      }
+
+      const wallet = await Wallet.findByUserId(userId)
+      if (firstDeposit && wallet.referredBy) {
+        const [referral] = await Promotion.findRunning(TYPES.REFERRAL)
+        const referralReference = `referral:${userId}`
+        if (referral && !(await Bonus.findByReference(referralReference))) {
+          await withUnitOfWork(tx => this._grant(referral, wallet.referredBy, { reference: referralReference }, tx))
+        }
+      }
+    } catch (error) {
+      console.error(`Deposit bonus for ${userId} failed:`, error.message)
+    }
+  }
+
+  /**
+   * Whether a bet's returns need sharing out (bonus stake or boost)
+   */
+  usesBonus(bet) {
+    return Boolean((bet.bonusStakes && bet.bonusStakes.length > 0) || bet.boost)
+  }
+
+  /**
+   * Share a bet's returns out by how its stake was paid
+   * @param {Object} bet - Bet being settled
+   * @param {Number} payout - What the bet won
+   * @param {Number} refund - Stake handed back
+   * @returns {Promise<Object>} { cashPayout, cashRefund, boostWinnings, parts: [{ bonusId, returned, winnings }] }
+   */
+  async splitReturns(bet, payout, refund) {
+    let bonusPayout = 0
+    let bonusRefund = 0
+    const parts = []
+
+    for (const stake of bet.bonusStakes || []) {
+      const share = stake.amount / bet.amount
+      const partPayout = round(payout * share)
+      const partRefund = round(refund * share)
+      bonusPayout += partPayout
+      bonusRefund += partRefund
+
+      const bonus = await Bonus.findById(stake.bonusId)
+      const expired = !bonus || bonus.status === STATES.EXPIRED
+
+      if (stake.type === TYPES.FREE_BET) {
+        // Stake not returned: winnings are cash, a void free bet can be used again
+        parts.push({
+          bonusId: stake.bonusId,
+          type: stake.type,
+          returned: expired ? 0 : partRefund,
+          winnings: round(partPayout - partPayout / bet.odds),
+        })
+      } else if (bonus && bonus.status === STATES.COMPLETED) {
+        parts.push({ bonusId: stake.bonusId, type: stake.type, returned: 0, winnings: round(partPayout + partRefund) })
+      } else {
+        parts.push({ bonusId: stake.bonusId, type: stake.type, returned: expired ? 0 : round(partPayout + partRefund), winnings: 0 })
+      }
+    }
+
+    const cashPayout = round(payout - bonusPayout)
+    const boostWinnings = bet.boost ? round(cashPayout * (1 - bet.boost.originalOdds / bet.odds)) : 0
+
+    return {
+      cashPayout: round(cashPayout - boostWinnings),
+      cashRefund: round(refund - bonusRefund),
+      boostWinnings,
+      parts,
+    }
+  }
+
+  /**
+   * Pay shared-out returns (from splitReturns)
+   */
+  async payReturns(bet, split, tx) {
+    if (split.cashRefund > 0) {
+      await LedgerService.recordRefund(bet.userId, split.cashRefund, bet._id, tx)
+    }
+    if (split.cashPayout > 0) {
+      await LedgerService.recordPayout(bet.userId, split.cashPayout, bet._id, tx)
+    }
+    if (split.boostWinnings > 0) {
+      await LedgerService.recordBonusWinnings(bet.userId, split.boostWinnings, bet._id, tx)
+    }
+
+    for (const part of split.parts) {
+      if (part.returned > 0) {
+        await Bonus.credit(part.bonusId, part.returned, tx)
+        await LedgerService.recordBonusReturn(bet.userId, part.returned, bet._id, tx)
+        if (part.type === TYPES.FREE_BET) {
+          await this._setStatus(await Bonus.findById(part.bonusId), STATES.ACTIVE, {}, tx)
+        }
+      }
+      if (part.winnings > 0) {
+        await LedgerService.recordBonusWinnings(bet.userId, part.winnings, bet._id, tx)
+      }
+    }
+  }
+
+  /**
+   * Take back returns paid on a wrong result (the bet's stored bonusReturns)
+   */
+  async reverseReturns(bet, tx) {
+    const split = bet.bonusReturns
+
+    if (split.cashPayout > 0) {
+      await LedgerService.recordPayoutReversal(bet.userId, split.cashPayout, bet._id, tx)
+    }
+    if (split.cashRefund > 0) {
+      await LedgerService.recordRefundReversal(bet.userId, split.cashRefund, bet._id, tx)
+    }
+    if (split.boostWinnings > 0) {
+      await LedgerService.recordBonusWinningsReversal(bet.userId, split.boostWinnings, bet._id, tx)
+    }
+
+    for (const part of split.parts) {
+      if (part.returned > 0) {
+        await Bonus.credit(part.bonusId, -part.returned, tx)
+        await LedgerService.recordBonusReturnReversal(bet.userId, part.returned, bet._id, tx)
+        if (part.type === TYPES.FREE_BET) {
+          await this._setStatus(await Bonus.findById(part.bonusId), STATES.USED, {}, tx)
+        }
+      }
+      if (part.winnings > 0) {
+        await LedgerService.recordBonusWinningsReversal(bet.userId, part.winnings, bet._id, tx)
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _grant(promotion, userId, options, tx) {
+    const money = promotion.type !== TYPES.ODDS_BOOST
+    const amount = promotion.type === TYPES.DEPOSIT_MATCH
+      ? this._matchAmount(promotion, options.amount || 0)
+      : (promotion.amount || 0)
+
+    if (money && !(amount > 0)) {
+      throw new ValidationError('This promotion has nothing to credit', 'amount')
+    }
+
+    const bonus = await Bonus.create({
+      userId,
+      promotion,
+      status: STATES.ACTIVE,
+      amount: money ? amount : 0,
+      wageringRequired: WAGERING_TYPES.includes(promotion.type) ? round(amount * this._wageringMultiple(promotion)) : 0,
+      expiresAt: this._expiresAt(promotion),
+      reference: options.reference,
+    }, tx)
+
+    if (money) {
+      await LedgerService.recordBonusGrant(userId, amount, bonus._id, tx)
+    }
+
+    return bonus
+  }
+
+  /**
+   * Expire bonuses past their date, forfeiting what is left of them
+   * @private
+   */
+  async _expireDue(userId) {
+    const now = new Date()
+    const due = (await Bonus.findByStatus(userId, [STATES.PENDING, STATES.ACTIVE]))
+      .filter(bonus => new Date(bonus.expiresAt) <= now)
+
+    for (const bonus of due) {
+      try {
+        await withUnitOfWork(async (tx) => {
+          await this._setStatus(bonus, STATES.EXPIRED, { balance: 0, forfeited: Math.max(bonus.balance, 0) }, tx)
+          if (bonus.balance > 0 && bonus.type !== TYPES.ODDS_BOOST) {
+            await LedgerService.recordBonusForfeit(userId, round(bonus.balance), bonus._id, tx)
+          }
+        })
+      } catch (error) {
+        console.error(`Bonus ${bonus._id} could not be expired:`, error.message)
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _setStatus(bonus, status, fields, tx) {
+    if ((await Bonus.setStatus(bonus, status, fields, tx)) === 0) {
+      throw new ConflictError('Bonus changed - please try again', 'BONUS_CHANGED')
+    }
+  }
+
+  /**
+   * A free bet or boost the player can use now
+   * @private
+   */
+  async _usableBonus(userId, bonusId, type) {
+    const bonus = await Bonus.findById(bonusId)
+    if (!bonus || bonus.userId !== userId || bonus.type !== type) {
+      throw new NotFoundError('Bonus', bonusId)
+    }
+    if (bonus.status !== STATES.ACTIVE) {
+      throw new BetRejectedError(`This ${type.replace('_', ' ')} is ${bonus.status}`, 'BONUS_UNAVAILABLE')
+    }
+    return bonus
+  }
+
+  /**
+   * @private
+   */
+  _running(promotion, at = new Date()) {
+    return promotion.active &&
+      (!promotion.startsAt || new Date(promotion.startsAt) <= at) &&
+      (!promotion.endsAt || new Date(promotion.endsAt) > at)
+  }
+
+  /**
+   * @private
+   */
+  _matchAmount(promotion, deposit) {
+    const matched = deposit * promotion.percent
+    return round(promotion.maxBonus ? Math.min(matched, promotion.maxBonus) : matched)
+  }
+
+  /**
+   * @private
+   */
+  _wageringMultiple(promotion) {
+    return promotion.wageringMultiple !== null && promotion.wageringMultiple !== undefined
+      ? promotion.wageringMultiple
+      : BONUS_WAGERING_MULTIPLE
+  }
+
+  /**
+   * @private
+   */
+  _expiresAt(promotion) {
+    return new Date(Date.now() + (promotion.expiryDays || BONUS_EXPIRY_DAYS) * DAY_MS)
+  }
+
+  /**
+   * @private
+   */
+  async _depositCount(userId) {
+    const journals = await Ledger.findByAccount(Ledger.ACCOUNTS.wallet(userId))
+    return journals.filter(journal => journal.type === Ledger.TRANSACTION_TYPES.DEPOSIT).length
+  }
+
+  /**
+   * Check a promotion's settings
+   * @private
+   */
+  _parsePromotion(data = {}) {
+    const name = String(data.name || '').trim()
+    if (!name) {
+      throw new ValidationError('Promotion name is required', 'name')
+    }
+
+    if (!Object.values(TYPES).includes(data.type)) {
+      throw new ValidationError(`Type must be one of: ${Object.values(TYPES).join(', ')}`, 'type')
+    }
+
+    const number = (field, { min = 0, max = Infinity, required = false } = {}) => {
+      if (data[field] === undefined || data[field] === null || data[field] === '') {
+        if (required) {
+          throw new ValidationError(`${field} is required for a ${data.type.replace('_', ' ')}`, field)
+        }
+        return null
+      }
+      const value = parseFloat(data[field])
+      if (isNaN(value) || value < min || value > max) {
+        throw new ValidationError(`${field} must be a number from ${min}${max === Infinity ? '' : ` to ${max}`}`, field)
+      }
+      return value
+    }
+
+    const date = (field) => {
+      if (!data[field]) return null
+      const value = new Date(data[field])
+      if (isNaN(value.getTime())) {
+        throw new ValidationError(`${field} must be a valid date`, field)
+      }
+      return value
+    }
+
+    const promotion = {
+      name,
+      type: data.type,
+      code: data.code ? String(data.code).trim().toUpperCase() : null,
+      percent: data.type === TYPES.DEPOSIT_MATCH ? number('percent', { min: 0.01, max: 5, required: true }) : null,
+      maxBonus: data.type === TYPES.DEPOSIT_MATCH ? number('maxBonus', { min: 1 }) : null,
+      amount: [TYPES.FREE_BET, TYPES.REFERRAL].includes(data.type) ? number('amount', { min: 1, required: true }) : null,
+      boost: data.type === TYPES.ODDS_BOOST ? number('boost', { min: 0.01, max: 1, required: true }) : null,
+      wageringMultiple: WAGERING_TYPES.includes(data.type) ? number('wageringMultiple', { max: 100 }) : null,
+      minOdds: number('minOdds', { min: 1 }),
+      expiryDays: number('expiryDays', { min: 1, max: 365 }),
+      startsAt: date('startsAt'),
+      endsAt: date('endsAt'),
+    }
+
+    if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+      throw new ValidationError('endsAt must be after startsAt', 'endsAt')
+    }
+
+    return promotion
+  }
+}
+
+module.exports = new BonusService()
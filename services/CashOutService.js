@@ -0,0 +1,190 @@
+/**
+ * Cash-Out Service - Business Logic Layer
+ * Prices an active bet from the current odds of its open legs and settles it
+ * early if the bettor accepts the quote before it expires or the prices move
+ */
+
+const Bet = require('../models/bet')
+const Event = require('../models/event')
+const CashOutQuote = require('../models/cash-out-quote')
+const LedgerService = require('./LedgerService')
+const { withUnitOfWork } = require('../lib/unit-of-work')
+const { findSelection, MARKET_STATUS } = require('../lib/markets')
+const { LEG_STATUS, LINE_STATUS } = require('../lib/bet-types')
+const { returnFactor } = require('../lib/settlement')
+const { createEventStateMachine } = require('../lib/state-machines')
+const { BettingEvents } = require('../lib/events')
+const {
+  NotFoundError,
+  ConflictError,
+  BetRejectedError,
+} = require('../lib/errors')
+
+// Share of the fair value the house keeps on lines that are still open
+const CASH_OUT_MARGIN = parseFloat(process.env.CASH_OUT_MARGIN || '0.05')
+
+// Seconds a quote can be accepted for
+const QUOTE_TTL = parseInt(process.env.CASH_OUT_QUOTE_TTL || '15', 10)
+
+class CashOutService {
+  /**
+   * Offer a cash-out price for an active bet
+   * @param {Object} user - Signed in user
+   * @param {String} betId - Bet ID
+   * @returns {Promise<Object>} Stored quote
+   */
+  async quote(user, betId) {
+    const bet = await this._activeBet(user, betId)
+    const { amount, prices } = await this._price(bet)
+
+    return await CashOutQuote.create({
+      betId: bet._id,
+      userId: user.id,
+      amount,
+      prices,
+      expiresAt: new Date(Date.now() + QUOTE_TTL * 1000),
+    })
+  }
+
+  /**
+   * Accept a quote: settle the bet as cashed out and pay the bettor
+   * Refused with a fresh quote if it has expired or the price has moved
+   * @param {Object} user - Signed in user
+   * @param {String} betId - Bet ID
+   * @param {String} quoteId - Quote being accepted
+   * @returns {Promise<Object>} { bet, amount }
+   */
+  async accept(user, betId, quoteId) {
+    const quote = await CashOutQuote.findById(quoteId)
+    if (!quote || quote.userId !== user.id || quote.betId !== String(betId)) {
+      throw new NotFoundError('Cash-out quote', quoteId)
+    }
+
+    if (quote.status !== CashOutQuote.QUOTE_STATUS.OPEN) {
+      throw new ConflictError('This quote has already been used', 'QUOTE_USED')
+    }
+
+    const bet = await this._activeBet(user, betId)
+
+    if (new Date(quote.expiresAt) < new Date()) {
+      throw new BetRejectedError('Cash-out quote has expired', 'QUOTE_EXPIRED', {
+        quote: await this.quote(user, betId),
+      })
+    }
+
+    const { amount } = await this._price(bet)
+    if (amount !== quote.amount) {
+      throw new BetRejectedError(
+        `Cash-out value changed from $${quote.amount.toFixed(2)} to $${amount.toFixed(2)}`,
+        'QUOTE_STALE',
+        { quote: await this.quote(user, betId) }
+      )
+    }
+
+    await withUnitOfWork(async (tx) => {
+      if (!(await CashOutQuote.accept(quoteId, tx))) {
+        throw new ConflictError('This quote has already been used', 'QUOTE_USED')
+      }
+
+      // Settlement may have got there first
+      if ((await Bet.cashOut(bet._id, amount, tx)) === 0) {
+        throw new ConflictError('Bet is no longer active', 'BET_SETTLED')
+      }
+
+      await LedgerService.recordCashOut(user.id, amount, bet._id, tx)
+    })
+
+    const cashedOut = await Bet.findById(bet._id)
+    BettingEvents.betUpdated(cashedOut)
+
+    return { bet: cashedOut, amount }
+  }
+
+  /**
+   * @private
+   */
+  async _activeBet(user, betId) {
+    const bet = await Bet.findById(betId)
+    if (!bet || bet.userId !== user.id) {
+      throw new NotFoundError('Bet', betId)
+    }
+
+    if (bet.status !== 'active') {
+      throw new BetRejectedError('Only active bets can be cashed out', 'NOT_CASHABLE')
+    }
+
+    // Bonus funds and boosted odds would be paid out as cash
+    if ((bet.bonusStakes && bet.bonusStakes.length > 0) || bet.boost) {
+      throw new BetRejectedError('Bets placed with a bonus or odds boost can\'t be cashed out', 'BONUS_BET')
+    }
+
+    return bet
+  }
+
+  /**
+   * Value a bet at current prices
+   * Each line is worth its stake x the odds already won x (placed / current
+   * price) for every leg still open, less the margin while anything is open
+   * @private
+   * @returns {Promise<Object>} { amount, prices }
+   */
+  async _price(bet) {
+    const legs = bet.legs || [{
+      eventId: bet.eventId,
+      marketId: bet.marketId,
+      selectionId: bet.selectionId,
+      odds: bet.odds,
+      status: LEG_STATUS.PENDING,
+    }]
+    const lines = bet.lines || [{ legs: [0], stake: bet.amount, status: LINE_STATUS.PENDING }]
+
+    const prices = []
+    const factors = []
+
+    for (const leg of legs) {
+      if (leg.status !== LEG_STATUS.PENDING) {
+        factors.push(returnFactor(leg.status, leg.odds, leg.deadHeatFactor))
+      } else {
+        const price = await this._currentPrice(leg)
+        prices.push({ eventId: leg.eventId, marketId: leg.marketId, selectionId: leg.selectionId, price })
+        factors.push(leg.odds / price)
+      }
+    }
+
+    const amount = lines.reduce((sum, line) => {
+      const open = line.legs.some(index => legs[index].status === LEG_STATUS.PENDING)
+      const value = line.stake * line.legs.reduce((product, index) => product * factors[index], 1)
+      return sum + (open ? value * (1 - CASH_OUT_MARGIN) : value)
+    }, 0)
+
+    const rounded = Math.floor(amount * 100) / 100
+    if (rounded <= 0) {
+      throw new BetRejectedError('This bet has no cash-out value', 'NOT_CASHABLE')
+    }
+
+    return { amount: rounded, prices }
+  }
+
+  /**
+   * Price of an open leg right now, refusing if its market can't be traded
+   * @private
+   */
+  async _currentPrice(leg) {
+    if (!leg.selectionId) {
+      throw new BetRejectedError('Cash-out is not available for this bet', 'NOT_CASHABLE')
+    }
+
+    const event = await Event.findById(leg.eventId)
+    const found = event && findSelection(event, leg.marketId, leg.selectionId)
+
+    if (!found || !createEventStateMachine(event.status).canTrade() || found.market.status !== MARKET_STATUS.OPEN) {
+      throw new BetRejectedError('Cash-out is suspended for this event', 'EVENT_SUSPENDED', {
+        eventId: leg.eventId,
+      })
+    }
+
+    return found.selection.price
+  }
+}
+
+module.exports = new CashOutService()
@@ -0,0 +1,164 @@
+/**
+ * Event Schedule Service - Business Logic Layer
+ * Moves events through their lifecycle at the times they were set up with:
+ * opens scheduled events at `opensAt`, suspends betting at the cut-off before
+ * `startTime` and takes them live at `startTime`. The plan is stored as jobs,
+ * so it survives restarts; bets after the cut-off are refused even if a job
+ * hasn't run yet.
+ */
+
+const Event = require('../models/event')
+const ScheduledJob = require('../models/scheduled-job')
+const { Scheduler } = require('../lib/scheduler')
+const { systemClock } = require('../lib/clock')
+const { createEventStateMachine } = require('../lib/state-machines')
+
+// Seconds before startTime that betting closes
+const BET_CUTOFF_SECONDS = parseInt(process.env.BET_CUTOFF_SECONDS || '60', 10)
+
+// Seconds between scheduler ticks
+const SCHEDULER_INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL || '15', 10)
+
+const JOB_TYPES = {
+  OPEN: 'event.open',
+  CUT_OFF: 'event.cut_off',
+  GO_LIVE: 'event.go_live',
+}
+
+const { STATES } = Event
+
+// States an event can still be moved on from by the schedule
+const PLANNED_STATES = [STATES.SCHEDULED, STATES.OPEN, STATES.SUSPENDED]
+
+// EventService requires this service, so it is loaded when a job runs
+function eventService() {
+  return require('./EventService')
+}
+
+class EventScheduleService {
+  constructor() {
+    this.clock = systemClock
+    this.scheduler = new Scheduler({ store: ScheduledJob, clock: this.clock, interval: SCHEDULER_INTERVAL })
+
+    this.scheduler.register(JOB_TYPES.OPEN, ({ eventId }) =>
+      this._move(eventId, STATES.OPEN, 'Opened on schedule'))
+    this.scheduler.register(JOB_TYPES.CUT_OFF, ({ eventId }) =>
+      this._move(eventId, STATES.SUSPENDED, 'Betting closed at cut-off'))
+    this.scheduler.register(JOB_TYPES.GO_LIVE, ({ eventId }) =>
+      this._move(eventId, STATES.LIVE, 'Started on schedule'))
+  }
+
+  /**
+   * Use another clock (tests, replays)
+   * @param {Object} clock - { now() }
+   */
+  setClock(clock) {
+    this.clock = clock || systemClock
+    this.scheduler.clock = this.clock
+  }
+
+  now() {
+    return this.clock.now()
+  }
+
+  /**
+   * When betting on an event closes
+   */
+  cutOffTime(event) {
+    return new Date(new Date(event.startTime).getTime() - BET_CUTOFF_SECONDS * 1000)
+  }
+
+  isPastCutOff(event) {
+    return this.now() >= this.cutOffTime(event)
+  }
+
+  /**
+   * Replace an event's pending jobs with ones for its current state and times
+   * @param {Object} event - Event as stored
+   * @returns {Promise<Array>} Jobs planned
+   */
+  async planEvent(event, tx = null) {
+    const key = `event:${event._id}`
+    await this.scheduler.cancel(key, tx)
+
+    if (!PLANNED_STATES.includes(event.status)) {
+      return []
+    }
+
+    const plan = []
+    if (event.status === STATES.SCHEDULED && event.opensAt) {
+      plan.push([JOB_TYPES.OPEN, event.opensAt])
+    }
+    if (BET_CUTOFF_SECONDS > 0) {
+      plan.push([JOB_TYPES.CUT_OFF, this.cutOffTime(event)])
+    }
+    plan.push([JOB_TYPES.GO_LIVE, event.startTime])
+
+    const jobs = []
+    for (const [type, runAt] of plan) {
+      jobs.push(await this.scheduler.schedule(type, runAt, { key, payload: { eventId: String(event._id) } }, tx))
+    }
+    return jobs
+  }
+
+  /**
+   * Jobs planned for an event (pending and past)
+   */
+  async getSchedule(eventId) {
+    return await ScheduledJob.findByKey(`event:${eventId}`)
+  }
+
+  /**
+   * Run whatever is due now
+   */
+  async tick() {
+    return await this.scheduler.tick()
+  }
+
+  /**
+   * Plan events that have no pending jobs (created before the scheduler ran)
+   * and start ticking
+   */
+  async start() {
+    const pendingKeys = new Set((await ScheduledJob.findPending()).map(job => job.key))
+    const events = await Event.findAll()
+
+    for (const event of events) {
+      if (PLANNED_STATES.includes(event.status) && !pendingKeys.has(`event:${event._id}`)) {
+        await this.planEvent(event)
+      }
+    }
+
+    await this.scheduler.start()
+    console.log(`> Event scheduler running every ${SCHEDULER_INTERVAL}s (bet cut-off ${BET_CUTOFF_SECONDS}s)`)
+  }
+
+  stop() {
+    this.scheduler.stop()
+  }
+
+  /**
+   * Move an event on, unless an admin already moved it somewhere the move no longer applies
+   * @private
+   */
+  async _move(eventId, status, reason) {
+    const event = await Event.findById(eventId)
+    if (!event) {
+      return { skipped: 'Event no longer exists' }
+    }
+
+    if (!createEventStateMachine(event.status).canTransitionTo(status)) {
+      return { skipped: `Event is ${event.status}` }
+    }
+
+    await eventService().changeStatus(eventId, status, { changedBy: 'scheduler', reason, replan: false })
+    return { from: event.status, to: status }
+  }
+}
+
+const eventScheduleService = new EventScheduleService()
+
+eventScheduleService.JOB_TYPES = JOB_TYPES
+eventScheduleService.BET_CUTOFF_SECONDS = BET_CUTOFF_SECONDS
+
+module.exports = eventScheduleService
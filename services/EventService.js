@@ -0,0 +1,359 @@
+/**
+ * Event Service - Business Logic Layer
+ * Creates events, moves them through their lifecycle (see EventStateMachine)
+ * and changes their prices, recording every price a selection is offered at
+ * in the price history so disputed bets can be checked later
+ *
+ * Committed changes of price, status and score are announced on the event bus
+ * (see BettingEvents) for live connections
+ */
+
+const Event = require('../models/event')
+const Bet = require('../models/bet')
+const PriceHistory = require('../models/price-history')
+const League = require('../models/league')
+const Team = require('../models/team')
+const BettingService = require('./BettingService')
+const EventScheduleService = require('./EventScheduleService')
+const { withUnitOfWork } = require('../lib/unit-of-work')
+const { findSelection, normalizeMarkets, marketStructure } = require('../lib/markets')
+const { createEventStateMachine } = require('../lib/state-machines')
+const { BettingEvents } = require('../lib/events')
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  BusinessRuleError,
+} = require('../lib/errors')
+
+const { PRICE_SOURCES } = PriceHistory
+const { STATES } = Event
+
+// Kept by the lifecycle and settlement, never edited directly
+const PROTECTED_FIELDS = ['status', 'statusHistory', 'results', 'previousResults', 'settledAt', 'score']
+
+class EventService {
+  /**
+   * Create an event and record the opening price of every selection
+   * @param {Object} data - Event with markets (see lib/markets.js)
+   * @param {Object} admin - Admin creating the event
+   * @param {Object} tx - Unit of work to join (one is started if not given)
+   * @returns {Promise<Object>} Created event
+   */
+  async createEvent(data, admin = null, tx = null) {
+    if (tx) {
+      return await this._createEvent(data, admin, tx)
+    }
+    return await withUnitOfWork(tx => this._createEvent(data, admin, tx))
+  }
+
+  /**
+   * Update an event; price changes in submitted markets are recorded
+   * @param {String} eventId - Event ID
+   * @param {Object} updates - Fields to change
+   * @param {Object} admin - Admin making the change
+   */
+  async updateEvent(eventId, updates, admin = null) {
+    const before = await Event.findById(eventId)
+    if (!before) {
+      throw new NotFoundError('Event', eventId)
+    }
+
+    const protectedField = PROTECTED_FIELDS.find(field => updates[field] !== undefined)
+    if (protectedField === 'status') {
+      throw new ValidationError('Change the status through the event lifecycle', 'status')
+    }
+    if (protectedField) {
+      throw new ValidationError(`${protectedField} cannot be edited`, protectedField)
+    }
+
+    if (createEventStateMachine(before.status).isTerminal()) {
+      throw new BusinessRuleError(`Cannot edit a ${before.status} event`, 'EVENT_CLOSED')
+    }
+
+    updates = await this._withReferences(updates, before)
+
+    // Bets were placed against these markets and selections, so once there are
+    // any only prices and statuses can change
+    if (updates.markets && await Bet.existsForEvent(before._id)) {
+      const markets = normalizeMarkets(updates.markets, { ...before, ...updates })
+      if (JSON.stringify(marketStructure(markets)) !== JSON.stringify(marketStructure(before.markets))) {
+        throw new BusinessRuleError(
+          'Bets have been placed on this event - markets and selections can no longer be added, removed or renamed, only repriced or suspended',
+          'MARKETS_LOCKED'
+        )
+      }
+    }
+
+    return await withUnitOfWork(async (tx) => {
+      const modified = await Event.update(eventId, updates, tx)
+      const after = await Event.findById(eventId, tx)
+      if (updates.markets) {
+        const prices = await this._recordPrices(after, before, PRICE_SOURCES.ADMIN, admin, tx)
+        if (prices.length > 0) {
+          tx.afterCommit(() => BettingEvents.oddsChanged(eventId, prices))
+        }
+      }
+      if (updates.startTime !== undefined || updates.opensAt !== undefined) {
+        await EventScheduleService.planEvent(after, tx)
+      }
+      return modified
+    })
+  }
+
+  /**
+   * Create an event as part of a unit of work
+   * @private
+   */
+  async _createEvent(data, admin, tx) {
+    data = await this._withReferences(data, {}, tx)
+    const event = await Event.create(data, tx)
+    await this._recordPrices(event, null, PRICE_SOURCES.ADMIN, admin, tx)
+    await EventScheduleService.planEvent(event, tx)
+    tx.afterCommit(() => BettingEvents.statusChanged(event._id, event.status, null))
+    return event
+  }
+
+  /**
+   * Fill in the league's sport and the teams' names from the IDs an event is
+   * given, checking they exist and play the event's sport
+   * @private
+   * @param {Object} data - Event fields, maybe with leagueId, homeTeamId and awayTeamId
+   * @param {Object} existing - The event being updated
+   */
+  async _withReferences(data, existing = {}, tx = null) {
+    if (!['leagueId', 'homeTeamId', 'awayTeamId'].some(field => data[field] !== undefined)) {
+      return data
+    }
+
+    const resolved = { ...data }
+
+    if (data.leagueId !== undefined) {
+      resolved.leagueId = data.leagueId ? String(data.leagueId) : null
+      if (resolved.leagueId) {
+        const league = await League.findById(resolved.leagueId, tx)
+        if (!league) {
+          throw new NotFoundError('League', resolved.leagueId)
+        }
+        resolved.sport = league.sport
+      }
+    }
+
+    // Without a league or sport, the first team's sport is the event's
+    let sport = resolved.sport || existing.sport
+    for (const side of ['home', 'away']) {
+      const field = `${side}TeamId`
+      if (!data[field]) {
+        if (data[field] !== undefined) resolved[field] = null
+        continue
+      }
+
+      const team = await Team.findById(data[field], tx)
+      if (!team) {
+        throw new NotFoundError('Team', data[field])
+      }
+      if (sport && team.sport !== sport) {
+        throw new ValidationError(`${team.name} plays ${team.sport}, not ${sport}`, field)
+      }
+      if (!sport) {
+        sport = resolved.sport = team.sport
+      }
+      resolved[field] = String(team._id)
+      resolved[`${side}Team`] = team.name
+    }
+
+    const homeTeamId = resolved.homeTeamId || existing.homeTeamId
+    if (homeTeamId && homeTeamId === (resolved.awayTeamId || existing.awayTeamId)) {
+      throw new ValidationError('A team cannot play itself', 'awayTeamId')
+    }
+
+    if (!resolved.name && !existing.name && resolved.homeTeam && resolved.awayTeam) {
+      resolved.name = `${resolved.homeTeam} vs ${resolved.awayTeam}`
+    }
+
+    return resolved
+  }
+
+  /**
+   * Move an event to another lifecycle state
+   * Cancelling voids every bet on it; settling needs results (see BettingService.settleEvent).
+   * The event's scheduled moves are replanned unless the schedule made this one.
+   * @param {String} eventId - Event ID
+   * @param {String} status - New state
+   * @param {Object} options - { admin, changedBy, reason, replan }
+   * @returns {Promise<Object>} Updated event (and settlement summary when cancelled)
+   */
+  async changeStatus(eventId, status, options = {}) {
+    const event = await Event.findById(eventId)
+    if (!event) {
+      throw new NotFoundError('Event', eventId)
+    }
+
+    const meta = {
+      changedBy: options.admin ? options.admin.email : (options.changedBy || null),
+      reason: options.reason || null,
+    }
+    const replan = async (updated) => {
+      if (options.replan !== false) {
+        await EventScheduleService.planEvent(updated)
+      }
+      return updated
+    }
+
+    if (status === STATES.SETTLED) {
+      throw new ValidationError('Settle an event by entering its results', 'status')
+    }
+
+    if (status === STATES.CANCELLED) {
+      const settlement = await BettingService.cancelEvent(eventId, meta)
+      return { event: await replan(await Event.findById(eventId)), settlement }
+    }
+
+    createEventStateMachine(event.status).transitionTo(status, meta)
+    if (!(await Event.setStatus(event, status, meta))) {
+      throw new ConflictError(`${event.name} changed status meanwhile - reload it and try again`, 'STATUS_CHANGED')
+    }
+    BettingEvents.statusChanged(eventId, status, event.status)
+
+    return { event: await replan(await Event.findById(eventId)) }
+  }
+
+  /**
+   * Delete an event nobody has bet on - events with bets are cancelled instead
+   */
+  async deleteEvent(eventId) {
+    const event = await Event.findById(eventId)
+    if (!event) {
+      throw new NotFoundError('Event', eventId)
+    }
+
+    const bets = [...await Bet.findByEventId(eventId), ...await Bet.findMultiplesByEventId(eventId)]
+    if (bets.length > 0) {
+      throw new ConflictError('Event has bets on it - cancel it instead', 'EVENT_HAS_BETS')
+    }
+
+    return await Event.delete(eventId)
+  }
+
+  /**
+   * Change the price of one selection
+   * @param {Object} options - { source, changedBy, reason }
+   * @returns {Promise<Object>} { market, selection } with the new price
+   */
+  async setPrice(eventId, marketId, selectionId, price, options = {}) {
+    const event = await Event.findById(eventId)
+    if (!event) {
+      throw new NotFoundError('Event', eventId)
+    }
+
+    const current = findSelection(event, marketId, selectionId)
+    if (!current) {
+      throw new NotFoundError('Selection', selectionId)
+    }
+
+    return await withUnitOfWork(async (tx) => {
+      const updated = await Event.setSelectionPrice(eventId, marketId, selectionId, price, tx)
+
+      if (updated.selection.price !== current.selection.price) {
+        await PriceHistory.record({
+          eventId,
+          marketId,
+          selectionId,
+          price: updated.selection.price,
+          previousPrice: current.selection.price,
+          source: options.source || PRICE_SOURCES.ADMIN,
+          changedBy: options.changedBy || null,
+          reason: options.reason || null,
+        }, tx)
+
+        tx.afterCommit(() => BettingEvents.oddsChanged(eventId, [{
+          marketId,
+          selectionId,
+          price: updated.selection.price,
+          previousPrice: current.selection.price,
+        }]))
+      }
+
+      return updated
+    })
+  }
+
+  /**
+   * Set the score of an event in play
+   * @param {String} eventId - Event ID
+   * @param {Object} score - { home, away }
+   * @param {Object} options - { admin, changedBy }
+   * @returns {Promise<Object>} Stored score
+   */
+  async updateScore(eventId, score, options = {}) {
+    const event = await Event.findById(eventId)
+    if (!event) {
+      throw new NotFoundError('Event', eventId)
+    }
+
+    if (![STATES.LIVE, STATES.FINISHED].includes(event.status)) {
+      throw new BusinessRuleError('Scores can only be entered once an event is live', 'EVENT_NOT_LIVE')
+    }
+
+    const goals = (field) => {
+      const value = Number(score && score[field])
+      if (!Number.isInteger(value) || value < 0) {
+        throw new ValidationError(`${field} score must be a whole number of 0 or more`, field)
+      }
+      return value
+    }
+
+    const stored = {
+      home: goals('home'),
+      away: goals('away'),
+      updatedAt: new Date(),
+      updatedBy: options.admin ? options.admin.email : (options.changedBy || null),
+    }
+
+    await Event.update(eventId, { score: stored })
+    BettingEvents.scoreUpdated(eventId, stored)
+
+    return stored
+  }
+
+  /**
+   * Price history of an event, optionally narrowed to a market or selection
+   */
+  async getPriceHistory(eventId, filters = {}) {
+    return await PriceHistory.findByEvent(eventId, filters)
+  }
+
+  /**
+   * Record prices that are new or differ from `before`
+   * @private
+   * @returns {Promise<Array>} Changed prices, [{ marketId, selectionId, price, previousPrice }]
+   */
+  async _recordPrices(event, before, source, admin, tx) {
+    const changed = []
+
+    for (const market of event.markets) {
+      for (const selection of market.selections) {
+        const previous = before ? findSelection(before, market.id, selection.id) : null
+        const previousPrice = previous ? previous.selection.price : null
+        if (previousPrice === selection.price) continue
+
+        await PriceHistory.record({
+          eventId: event._id,
+          marketId: market.id,
+          selectionId: selection.id,
+          price: selection.price,
+          previousPrice,
+          // Selections without an earlier price are opening, whoever added them
+          source: previous ? source : PRICE_SOURCES.OPENING,
+          changedBy: admin ? admin.email : null,
+        }, tx)
+
+        changed.push({ marketId: market.id, selectionId: selection.id, price: selection.price, previousPrice })
+      }
+    }
+
+    return changed
+  }
+}
+
+module.exports = new EventService()
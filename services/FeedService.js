@@ -0,0 +1,482 @@
+/**
+ * Feed Service - Business Logic Layer
+ * Polls the feed adapter (lib/feeds.js) and applies what it reports: new
+ * fixtures become events, scores and live/finished moves are applied as they
+ * come, and final results become proposals an admin confirms before the event
+ * is settled with them. With FEED_SETTLEMENT=auto a complete result for an
+ * unsettled event settles it at once; corrections to settled events always
+ * wait for an admin.
+ */
+
+const Event = require('../models/event')
+const FeedMapping = require('../models/feed-mapping')
+const FeedResult = require('../models/feed-result')
+const EventService = require('./EventService')
+const BettingService = require('./BettingService')
+const { createFeedAdapter, MESSAGE_TYPES } = require('../lib/feeds')
+const { OUTCOMES, normalizeMarketResult, resultsFromScore } = require('../lib/settlement')
+const { createEventStateMachine } = require('../lib/state-machines')
+const { withUnitOfWork } = require('../lib/unit-of-work')
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../lib/errors')
+
+// Seconds between polls once started (0 = only when an admin asks)
+const FEED_POLL_SECONDS = parseInt(process.env.FEED_POLL_SECONDS || '60', 10)
+
+// 'propose' waits for an admin to confirm every result, 'auto' settles complete ones
+const FEED_SETTLEMENT = process.env.FEED_SETTLEMENT || 'propose'
+
+const { STATES } = Event
+
+class FeedService {
+  constructor() {
+    this.adapter = createFeedAdapter()
+    this.timer = null
+    this.polling = false
+    this.lastPoll = null
+  }
+
+  /**
+   * Swap the feed adapter (scripts/check-feed-replay.js uses a ReplayFeedAdapter)
+   * @param {Object} adapter - Adapter, or null for no feed
+   * @param {Object} options - { settlement: 'propose' | 'auto' }
+   */
+  setAdapter(adapter, options = {}) {
+    this.adapter = adapter
+    this.settlement = options.settlement || null
+  }
+
+  get settlementMode() {
+    return this.settlement || FEED_SETTLEMENT
+  }
+
+  /**
+   * Poll every FEED_POLL_SECONDS while there is a feed
+   */
+  start() {
+    if (!this.adapter || FEED_POLL_SECONDS <= 0 || this.timer) {
+      return
+    }
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => console.error('Feed poll failed:', error.message))
+    }, FEED_POLL_SECONDS * 1000)
+    if (this.timer.unref) this.timer.unref()
+
+    console.log(`Feed: polling ${this.adapter.name} every ${FEED_POLL_SECONDS}s, results ${this.settlementMode === 'auto' ? 'settle automatically' : 'wait for confirmation'}`)
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Fetch from the feed and apply every message
+   * A message that can't be applied is reported and the rest carry on
+   * @returns {Promise<Object>} Summary of what changed
+   */
+  async poll() {
+    if (!this.adapter) {
+      throw new ValidationError('No feed is configured - set FEED_PROVIDER', 'FEED_PROVIDER')
+    }
+    if (this.polling) {
+      throw new ConflictError('The feed is already being polled', 'FEED_BUSY')
+    }
+
+    this.polling = true
+    try {
+      const summary = await this.ingest(await this.adapter.fetch())
+      this.lastPoll = { at: new Date(), summary, error: null }
+      return summary
+    } catch (error) {
+      this.lastPoll = { at: new Date(), summary: null, error: error.message }
+      throw error
+    } finally {
+      this.polling = false
+    }
+  }
+
+  /**
+   * Apply feed messages (see lib/feeds.js for their shape)
+   * @param {Array} messages - Messages in the order they happened
+   * @returns {Promise<Object>} { fixtures, scores, results, unchanged, errors }
+   */
+  async ingest(messages) {
+    const summary = {
+      fixtures: { created: 0, updated: 0 },
+      scores: 0,
+      results: { proposed: 0, settled: 0 },
+      unchanged: 0,
+      errors: [],
+    }
+
+    for (const message of messages || []) {
+      try {
+        const change = await this._apply(message)
+        if (change === 'unchanged') {
+          summary.unchanged++
+        } else if (change === 'created' || change === 'updated') {
+          summary.fixtures[change]++
+        } else if (change === 'score') {
+          summary.scores++
+        } else {
+          summary.results[change]++
+        }
+      } catch (error) {
+        summary.errors.push({
+          type: message && message.type,
+          externalId: message && message.externalId,
+          error: error.message,
+        })
+      }
+    }
+
+    return summary
+  }
+
+  /**
+   * Link an existing event to a fixture in the feed
+   */
+  async link(eventId, externalId, admin = null) {
+    const provider = this._provider()
+
+    if (!externalId) {
+      throw new ValidationError('externalId is required', 'externalId')
+    }
+
+    const event = await Event.findById(eventId)
+    if (!event) {
+      throw new NotFoundError('Event', eventId)
+    }
+
+    if (await FeedMapping.findByExternalId(provider, externalId)) {
+      throw new ConflictError(`Feed fixture ${externalId} is already linked to an event`, 'FEED_ID_TAKEN')
+    }
+    if (await FeedMapping.findByEventId(eventId)) {
+      throw new ConflictError(`${event.name} is already linked to the feed`, 'EVENT_ALREADY_LINKED')
+    }
+
+    return await FeedMapping.create({ provider, externalId, eventId, createdBy: admin ? admin.email : null })
+  }
+
+  /**
+   * Feed results in a state (proposed by default), newest first
+   */
+  async listResults(status = FeedResult.STATES.PROPOSED) {
+    if (!Object.values(FeedResult.STATES).includes(status)) {
+      throw new ValidationError(`Status must be one of: ${Object.values(FeedResult.STATES).join(', ')}`, 'status')
+    }
+    return await FeedResult.findByStatus(status)
+  }
+
+  /**
+   * Settle (or re-settle) an event with a proposed result
+   * @param {String} resultId - Feed result ID
+   * @param {Object} admin - Admin confirming
+   * @param {Object} overrides - { marketId: result } for markets the feed couldn't decide, or to correct it
+   * @returns {Promise<Object>} { result, settlement }
+   */
+  async confirm(resultId, admin = null, overrides = {}) {
+    const proposal = await this._proposal(resultId)
+    return await this._settle(proposal, { ...proposal.results, ...(overrides || {}) }, admin ? admin.email : null)
+  }
+
+  /**
+   * Turn a proposed result down; the event keeps waiting for results
+   */
+  async reject(resultId, admin = null, reason = null) {
+    const proposal = await this._proposal(resultId)
+
+    const rejected = await FeedResult.setStatus(resultId, FeedResult.STATES.PROPOSED, FeedResult.STATES.REJECTED, {
+      decidedBy: admin ? admin.email : null,
+      reason: reason || null,
+    })
+    if (!rejected) {
+      throw new ConflictError('This result has already been decided', 'RESULT_DECIDED')
+    }
+
+    return { ...proposal, status: FeedResult.STATES.REJECTED }
+  }
+
+  /**
+   * What the feed is set up to do and how the last poll went
+   */
+  getStatus() {
+    return {
+      provider: this.adapter ? this.adapter.name : null,
+      settlement: this.settlementMode,
+      pollSeconds: this.adapter ? FEED_POLL_SECONDS : null,
+      running: this.timer !== null,
+      lastPoll: this.lastPoll,
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<String>} What changed: created, updated, score, proposed, settled or unchanged
+   */
+  async _apply(message) {
+    if (!message || !message.externalId) {
+      throw new ValidationError('Feed message has no externalId', 'externalId')
+    }
+
+    switch (message.type) {
+      case MESSAGE_TYPES.FIXTURE:
+        return await this._fixture(message)
+      case MESSAGE_TYPES.SCORE:
+        return await this._score(message)
+      case MESSAGE_TYPES.RESULT:
+        return await this._result(message)
+      default:
+        throw new ValidationError(`Unknown feed message type '${message.type}'`, 'type')
+    }
+  }
+
+  /**
+   * A new fixture is created scheduled (it opens at `opensAt`, or when an
+   * admin opens it); a known one only has its start time moved
+   * @private
+   */
+  async _fixture(message) {
+    const mapping = await FeedMapping.findByExternalId(this._provider(), message.externalId)
+
+    if (!mapping) {
+      // The event and its link go in together, so a failed link never leaves
+      // an unlinked event behind for the next poll to create again
+      await withUnitOfWork(async (tx) => {
+        const event = await EventService.createEvent({
+          name: message.name || `${message.homeTeam} vs ${message.awayTeam}`,
+          sport: message.sport,
+          homeTeam: message.homeTeam,
+          awayTeam: message.awayTeam,
+          startTime: message.startTime,
+          opensAt: message.opensAt || null,
+          markets: message.markets,
+          status: STATES.SCHEDULED,
+        }, null, tx)
+        await FeedMapping.create({ provider: this._provider(), externalId: message.externalId, eventId: event._id }, tx)
+      })
+      return 'created'
+    }
+
+    const event = await this._mappedEvent(mapping)
+    const moved = message.startTime && new Date(message.startTime).getTime() !== new Date(event.startTime).getTime()
+    if (!moved || createEventStateMachine(event.status).isTerminal()) {
+      return 'unchanged'
+    }
+
+    await EventService.updateEvent(event._id, { startTime: message.startTime })
+    return 'updated'
+  }
+
+  /**
+   * @private
+   */
+  async _score(message) {
+    let event = await this._eventFor(message)
+
+    if (message.status === STATES.LIVE || message.status === STATES.FINISHED) {
+      event = await this._moveTo(event, message.status)
+    }
+
+    if (![STATES.LIVE, STATES.FINISHED].includes(event.status) || this._sameScore(event.score, message)) {
+      return 'unchanged'
+    }
+
+    await EventService.updateScore(event._id, message, { changedBy: this._changedBy() })
+    return 'score'
+  }
+
+  /**
+   * @private
+   */
+  async _result(message) {
+    let event = await this._eventFor(message)
+
+    // Results we already have, or an admin turned down, aren't proposed again
+    const previous = await FeedResult.findByEventId(event._id)
+    const known = previous.find(result => result.status !== FeedResult.STATES.SUPERSEDED &&
+      this._sameScore(result.score, message) && (result.score.firstScorer || null) === (message.firstScorer || null))
+    if (known || event.status === STATES.CANCELLED) {
+      return 'unchanged'
+    }
+
+    event = await this._moveTo(event, STATES.FINISHED)
+    if (!this._sameScore(event.score, message) && event.status === STATES.FINISHED) {
+      await EventService.updateScore(event._id, message, { changedBy: this._changedBy() })
+    }
+
+    const resettle = event.status === STATES.SETTLED
+    const results = resultsFromScore(event.markets, message)
+
+    // A correction keeps what the score can't decide from the first settlement
+    if (resettle) {
+      event.markets
+        .filter(market => results[market.id] === undefined && event.results && event.results[market.id] !== undefined)
+        .forEach(market => { results[market.id] = event.results[market.id] })
+
+      if (this._matchesSettlement(event, results)) {
+        return 'unchanged'
+      }
+    }
+
+    const missingMarkets = event.markets
+      .filter(market => results[market.id] === undefined)
+      .map(market => ({ id: market.id, name: market.name }))
+
+    for (const waiting of previous.filter(result => result.status === FeedResult.STATES.PROPOSED)) {
+      await FeedResult.setStatus(waiting._id, FeedResult.STATES.PROPOSED, FeedResult.STATES.SUPERSEDED)
+    }
+
+    const proposal = await FeedResult.create({
+      eventId: event._id,
+      eventName: event.name,
+      provider: this._provider(),
+      externalId: String(message.externalId),
+      score: { home: Number(message.home), away: Number(message.away), firstScorer: message.firstScorer || null },
+      results,
+      missingMarkets,
+      resettle,
+    })
+
+    const canSettle = event.status === STATES.FINISHED || event.status === STATES.ABANDONED
+    if (this.settlementMode === 'auto' && !resettle && canSettle && missingMarkets.length === 0) {
+      await this._settle(proposal, results, this._changedBy())
+      return 'settled'
+    }
+
+    return 'proposed'
+  }
+
+  /**
+   * Claim a proposal and settle its event; it goes back to proposed if settling fails
+   * @private
+   */
+  async _settle(proposal, results, decidedBy) {
+    const { PROPOSED, CONFIRMED } = FeedResult.STATES
+
+    if (!(await FeedResult.setStatus(proposal._id, PROPOSED, CONFIRMED, { decidedBy, results }))) {
+      throw new ConflictError('This result has already been decided', 'RESULT_DECIDED')
+    }
+
+    let settlement
+    try {
+      settlement = proposal.resettle
+        ? await BettingService.resettleEvent(proposal.eventId, results)
+        : await BettingService.settleEvent(proposal.eventId, results, { changedBy: decidedBy, reason: 'Feed result' })
+    } catch (error) {
+      await FeedResult.setStatus(proposal._id, CONFIRMED, PROPOSED, { decidedBy: null, error: error.message })
+      throw error
+    }
+
+    await FeedResult.setStatus(proposal._id, CONFIRMED, CONFIRMED, { settlement, error: null })
+    return { result: await FeedResult.findById(proposal._id), settlement }
+  }
+
+  /**
+   * Move an event on to where the feed says it is, through the states it
+   * skipped (a fixture still scheduled can be reported live or finished).
+   * Events the lifecycle doesn't let through are left where they are.
+   * @private
+   */
+  async _moveTo(event, status) {
+    const route = [STATES.OPEN, STATES.LIVE, STATES.FINISHED]
+
+    for (const step of route.slice(0, route.indexOf(status) + 1)) {
+      if (event.status === status) break
+
+      const machine = createEventStateMachine(event.status)
+      const next = machine.canTransitionTo(status) ? status : step
+      if (next === event.status || !machine.canTransitionTo(next)) continue
+
+      const moved = await EventService.changeStatus(event._id, next, {
+        changedBy: this._changedBy(),
+        reason: 'Reported by the feed',
+      })
+      event = moved.event
+    }
+
+    return event
+  }
+
+  /**
+   * @private
+   */
+  async _proposal(resultId) {
+    const proposal = await FeedResult.findById(resultId)
+    if (!proposal) {
+      throw new NotFoundError('Feed result', resultId)
+    }
+    if (proposal.status !== FeedResult.STATES.PROPOSED) {
+      throw new ConflictError(`This result was already ${proposal.status}`, 'RESULT_DECIDED')
+    }
+    return proposal
+  }
+
+  /**
+   * @private
+   */
+  async _eventFor(message) {
+    const mapping = await FeedMapping.findByExternalId(this._provider(), message.externalId)
+    if (!mapping) {
+      throw new NotFoundError('Feed fixture', message.externalId)
+    }
+    return await this._mappedEvent(mapping)
+  }
+
+  /**
+   * @private
+   */
+  async _mappedEvent(mapping) {
+    const event = await Event.findById(mapping.eventId)
+    if (!event) {
+      throw new NotFoundError('Event', mapping.eventId)
+    }
+    return event
+  }
+
+  /**
+   * Check results would settle an event exactly as it was settled
+   * @private
+   */
+  _matchesSettlement(event, results) {
+    return event.markets.every(market => {
+      const stored = event.results && event.results[market.id]
+      if (results[market.id] === undefined || stored === undefined) return false
+
+      const { void: isVoid, outcomes } = normalizeMarketResult(market, results[market.id])
+      if (isVoid || stored === OUTCOMES.VOID) return isVoid && stored === OUTCOMES.VOID
+      return Object.keys(outcomes).every(selectionId => stored[selectionId] === outcomes[selectionId])
+    })
+  }
+
+  /**
+   * @private
+   */
+  _sameScore(score, message) {
+    return Boolean(score) && score.home === Number(message.home) && score.away === Number(message.away)
+  }
+
+  /**
+   * @private
+   */
+  _provider() {
+    if (!this.adapter) {
+      throw new ValidationError('No feed is configured - set FEED_PROVIDER', 'FEED_PROVIDER')
+    }
+    return this.adapter.name
+  }
+
+  /**
+   * @private
+   */
+  _changedBy() {
+    return `feed:${this._provider()}`
+  }
+}
+
+module.exports = new FeedService()
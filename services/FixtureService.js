@@ -0,0 +1,473 @@
+/**
+ * Fixture Service - Business Logic Layer
+ * Keeps the leagues and teams events are played in and between, imports
+ * fixtures in bulk (CSV or JSON, see lib/fixtures.js) and lists what is on by
+ * sport and league for browsing.
+ *
+ * An import is checked row by row first. A dry run stops there and returns
+ * the preview; a real import only goes ahead when every row is valid, and
+ * creates the leagues and teams it names that don't exist yet. Fixtures
+ * already on the books (same sport, teams and start) are skipped, so the same
+ * file can be imported twice.
+ */
+
+const Event = require('../models/event')
+const League = require('../models/league')
+const Team = require('../models/team')
+const EventService = require('./EventService')
+const { withUnitOfWork } = require('../lib/unit-of-work')
+const { parseFixtures, fixtureMarkets } = require('../lib/fixtures')
+const { normalizeMarkets } = require('../lib/markets')
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../lib/errors')
+
+const { STATES } = Event
+
+// What happens to each row of an import
+const ROW_STATUS = {
+  CREATE: 'create',
+  DUPLICATE: 'duplicate',
+  INVALID: 'invalid',
+}
+
+// Names match without regard to case or surrounding spaces
+const key = (...parts) => parts.map(part => String(part || '').trim().toLowerCase()).join('|')
+
+function requireText(value, field) {
+  const text = typeof value === 'string' ? value.trim() : ''
+  if (!text) {
+    throw new ValidationError(`${field} is required`, field)
+  }
+  return text
+}
+
+class FixtureService {
+  async listLeagues(filter = {}) {
+    return await League.findAll(filter)
+  }
+
+  /**
+   * @param {Object} data - { name, sport, country }
+   * @param {Object} admin - Admin creating it
+   */
+  async createLeague(data, admin = {}) {
+    const league = {
+      name: requireText(data.name, 'name'),
+      sport: requireText(data.sport, 'sport'),
+      country: typeof data.country === 'string' && data.country.trim() ? data.country.trim() : null,
+    }
+    await this._checkLeagueName(league.sport, league.name)
+
+    return await League.create({ ...league, createdBy: admin.email || null })
+  }
+
+  /**
+   * Rename a league, or take it out of (or back into) use
+   * @param {Object} data - { name, country, active }
+   */
+  async updateLeague(leagueId, data) {
+    const league = await League.findById(leagueId)
+    if (!league) {
+      throw new NotFoundError('League', leagueId)
+    }
+
+    const updates = {}
+    if (data.name !== undefined) {
+      updates.name = requireText(data.name, 'name')
+      await this._checkLeagueName(league.sport, updates.name, leagueId)
+    }
+    if (data.country !== undefined) {
+      updates.country = data.country ? String(data.country).trim() : null
+    }
+    if (data.active !== undefined) {
+      updates.active = Boolean(data.active)
+    }
+
+    await League.update(leagueId, updates)
+    return await League.findById(leagueId)
+  }
+
+  async listTeams(filter = {}) {
+    return await Team.findAll(filter)
+  }
+
+  /**
+   * @param {Object} data - { name, sport, leagueId, shortName }
+   * @param {Object} admin - Admin creating it
+   */
+  async createTeam(data, admin = {}) {
+    const team = {
+      name: requireText(data.name, 'name'),
+      sport: typeof data.sport === 'string' ? data.sport.trim() : '',
+      shortName: typeof data.shortName === 'string' && data.shortName.trim() ? data.shortName.trim() : null,
+      leagueId: null,
+    }
+
+    if (data.leagueId) {
+      const league = await League.findById(data.leagueId)
+      if (!league) {
+        throw new NotFoundError('League', data.leagueId)
+      }
+      if (team.sport && team.sport !== league.sport) {
+        throw new ValidationError(`${league.name} is a ${league.sport} league`, 'leagueId')
+      }
+      team.sport = league.sport
+      team.leagueId = String(league._id)
+    }
+
+    requireText(team.sport, 'sport')
+    await this._checkTeamName(team.sport, team.name)
+
+    return await Team.create({ ...team, createdBy: admin.email || null })
+  }
+
+  /**
+   * Rename a team or move it to another league of its sport
+   * Events keep the name the team had when they were created
+   * @param {Object} data - { name, shortName, leagueId }
+   */
+  async updateTeam(teamId, data) {
+    const team = await Team.findById(teamId)
+    if (!team) {
+      throw new NotFoundError('Team', teamId)
+    }
+
+    const updates = {}
+    if (data.name !== undefined) {
+      updates.name = requireText(data.name, 'name')
+      await this._checkTeamName(team.sport, updates.name, teamId)
+    }
+    if (data.shortName !== undefined) {
+      updates.shortName = data.shortName ? String(data.shortName).trim() : null
+    }
+    if (data.leagueId !== undefined) {
+      updates.leagueId = null
+      if (data.leagueId) {
+        const league = await League.findById(data.leagueId)
+        if (!league) {
+          throw new NotFoundError('League', data.leagueId)
+        }
+        if (league.sport !== team.sport) {
+          throw new ValidationError(`${league.name} is a ${league.sport} league`, 'leagueId')
+        }
+        updates.leagueId = String(league._id)
+      }
+    }
+
+    await Team.update(teamId, updates)
+    return await Team.findById(teamId)
+  }
+
+  /**
+   * Check an import file and, unless it is a dry run, create its fixtures
+   * @param {String} data - CSV or JSON text
+   * @param {Object} options - { format, dryRun }
+   * @param {Object} admin - Admin importing
+   * @returns {Promise<Object>} { dryRun, summary, leagues, teams, rows, created }
+   *   leagues and teams list the names the import creates
+   */
+  async importFixtures(data, options = {}, admin = null) {
+    const dryRun = options.dryRun !== false
+    const parsed = parseFixtures(data, options.format || null)
+
+    const context = {
+      leagues: await League.findAll(),
+      teams: await Team.findAll(),
+      scheduled: new Set(
+        (await Event.findAll())
+          .filter(event => event.status !== STATES.CANCELLED)
+          .map(event => key(event.sport, event.homeTeam, event.awayTeam, new Date(event.startTime).toISOString()))
+      ),
+    }
+
+    const rows = parsed.map(({ line, fixture }) => this._checkFixture(line, fixture, context))
+    const toCreate = rows.filter(row => row.status === ROW_STATUS.CREATE)
+
+    const preview = {
+      dryRun,
+      summary: {
+        total: rows.length,
+        create: toCreate.length,
+        duplicate: rows.filter(row => row.status === ROW_STATUS.DUPLICATE).length,
+        invalid: rows.filter(row => row.status === ROW_STATUS.INVALID).length,
+      },
+      leagues: this._newNames(toCreate.map(row => row.newLeague)),
+      teams: this._newNames([].concat(...toCreate.map(row => row.newTeams))),
+      rows: rows.map(({ fixture, newLeague, newTeams, ...row }) => row),
+      created: [],
+    }
+
+    if (dryRun) {
+      return preview
+    }
+
+    if (preview.summary.invalid > 0) {
+      throw new ValidationError(
+        `${preview.summary.invalid} fixture(s) have errors - preview the import to see them`,
+        'data'
+      )
+    }
+
+    // One league or team for every row that names it. The whole import is one
+    // unit of work, so a failure part way creates nothing at all
+    const leagueIds = {}
+    const teamIds = {}
+
+    preview.created = await withUnitOfWork(async (tx) => {
+      const created = []
+
+      for (const row of toCreate) {
+        const { fixture } = row
+
+        if (row.newLeague) {
+          const leagueKey = key(row.newLeague.sport, row.newLeague.name)
+          if (!leagueIds[leagueKey]) {
+            leagueIds[leagueKey] = String((await League.create({ ...row.newLeague, createdBy: admin ? admin.email : null }, tx))._id)
+          }
+          fixture.leagueId = leagueIds[leagueKey]
+        }
+
+        for (const team of row.newTeams) {
+          const teamKey = key(team.sport, team.name)
+          if (!teamIds[teamKey]) {
+            teamIds[teamKey] = String((await Team.create({
+              ...team,
+              leagueId: fixture.leagueId || null,
+              createdBy: admin ? admin.email : null,
+            }, tx))._id)
+          }
+          fixture[`${team.side}TeamId`] = teamIds[teamKey]
+        }
+
+        created.push(await EventService.createEvent(fixture, admin, tx))
+      }
+
+      return created
+    })
+
+    return preview
+  }
+
+  /**
+   * What is on, by sport and then league, for browsing
+   * Events without a league are listed under a league with no _id
+   * @returns {Promise<Array>} [{ sport, count, live, leagues: [{ _id, name, count, live }] }]
+   */
+  async getSportsTree(now = new Date()) {
+    const [live, upcoming, leagues] = await Promise.all([
+      Event.findLive(),
+      Event.findUpcoming(now),
+      League.findAll(),
+    ])
+
+    const leagueNames = leagues.reduce((names, league) => ({ ...names, [league._id]: league.name }), {})
+    const sports = {}
+
+    for (const event of [...live, ...upcoming]) {
+      const sportName = event.sport || 'Other'
+      const sport = sports[sportName] = sports[sportName] || { sport: sportName, count: 0, live: 0, leagues: {} }
+      const leagueId = event.leagueId && leagueNames[event.leagueId] ? event.leagueId : null
+      const league = sport.leagues[leagueId || ''] = sport.leagues[leagueId || ''] ||
+        { _id: leagueId, name: leagueId ? leagueNames[leagueId] : 'Other', count: 0, live: 0 }
+
+      const inPlay = event.status === STATES.LIVE ? 1 : 0
+      sport.count++
+      sport.live += inPlay
+      league.count++
+      league.live += inPlay
+    }
+
+    // Leagues by name, with the events outside any league last
+    return Object.values(sports)
+      .sort((a, b) => a.sport.localeCompare(b.sport))
+      .map(sport => ({
+        ...sport,
+        leagues: Object.values(sport.leagues).sort((a, b) =>
+          (a._id === null) - (b._id === null) || a.name.localeCompare(b.name))
+      }))
+  }
+
+  /**
+   * Check one import row against what exists and the rows before it
+   * @private
+   * @returns {Object} { line, status, name, sport, league, homeTeam, awayTeam,
+   *   startTime, errors, fixture, newLeague, newTeams } - fixture is what to create
+   */
+  _checkFixture(line, input, context) {
+    const errors = []
+    const attempt = (check) => {
+      try {
+        return check()
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error
+        errors.push(error.message)
+        return null
+      }
+    }
+
+    const fixture = {}
+    let newLeague = null
+    const newTeams = []
+
+    // The league settles the sport; without one the row names it
+    let league = null
+    if (input.leagueId) {
+      league = context.leagues.find(candidate => String(candidate._id) === String(input.leagueId))
+      if (!league) errors.push(`League ${input.leagueId} not found`)
+    }
+    const sport = league ? league.sport : attempt(() => requireText(input.sport, 'sport'))
+
+    if (!league && input.league && sport) {
+      league = context.leagues.find(candidate => key(candidate.sport, candidate.name) === key(sport, input.league))
+      if (!league) {
+        newLeague = { name: String(input.league).trim(), sport }
+      }
+    }
+    if (league) {
+      fixture.leagueId = String(league._id)
+    }
+
+    const teams = {}
+    for (const side of ['home', 'away']) {
+      const id = input[`${side}TeamId`]
+      let team = null
+
+      if (id) {
+        team = context.teams.find(candidate => String(candidate._id) === String(id))
+        if (!team) {
+          errors.push(`Team ${id} not found`)
+        } else if (sport && team.sport !== sport) {
+          errors.push(`${team.name} plays ${team.sport}, not ${sport}`)
+        }
+      } else {
+        const name = attempt(() => requireText(input[`${side}Team`], `${side}Team`))
+        if (name && sport) {
+          team = context.teams.find(candidate => key(candidate.sport, candidate.name) === key(sport, name))
+          if (!team) {
+            team = { name, sport }
+            newTeams.push({ ...team, side })
+          }
+        }
+      }
+
+      if (team && team._id) {
+        fixture[`${side}TeamId`] = String(team._id)
+      }
+      teams[side] = team
+    }
+
+    if (teams.home && teams.away && key(teams.home.sport, teams.home.name) === key(teams.away.sport, teams.away.name)) {
+      errors.push('A team cannot play itself')
+    }
+
+    const startTime = new Date(input.startTime)
+    if (!input.startTime || isNaN(startTime.getTime())) {
+      errors.push('startTime must be a valid date')
+    } else if (startTime <= new Date()) {
+      errors.push('startTime has already passed')
+    }
+
+    if (input.opensAt) {
+      const opensAt = new Date(input.opensAt)
+      if (isNaN(opensAt.getTime())) {
+        errors.push('opensAt must be a valid date')
+      } else if (!isNaN(startTime.getTime()) && opensAt >= startTime) {
+        errors.push('opensAt must be before startTime')
+      }
+    }
+
+    const status = input.status || STATES.SCHEDULED
+    if (![STATES.SCHEDULED, STATES.OPEN].includes(status)) {
+      errors.push(`status must be ${STATES.SCHEDULED} or ${STATES.OPEN}`)
+    }
+
+    const homeTeam = teams.home ? teams.home.name : input.homeTeam || null
+    const awayTeam = teams.away ? teams.away.name : input.awayTeam || null
+    const markets = attempt(() => {
+      const given = fixtureMarkets(input)
+      normalizeMarkets(given, { homeTeam, awayTeam })
+      return given
+    })
+
+    const row = {
+      line,
+      name: input.name || (homeTeam && awayTeam ? `${homeTeam} vs ${awayTeam}` : null),
+      sport,
+      league: league ? league.name : (newLeague ? newLeague.name : null),
+      homeTeam,
+      awayTeam,
+      startTime: isNaN(startTime.getTime()) ? null : startTime,
+      errors,
+      newLeague,
+      newTeams,
+    }
+
+    if (errors.length > 0) {
+      return { ...row, status: ROW_STATUS.INVALID }
+    }
+
+    const fixtureKey = key(sport, homeTeam, awayTeam, startTime.toISOString())
+    if (context.scheduled.has(fixtureKey)) {
+      return { ...row, status: ROW_STATUS.DUPLICATE }
+    }
+    context.scheduled.add(fixtureKey)
+
+    return {
+      ...row,
+      status: ROW_STATUS.CREATE,
+      fixture: {
+        ...fixture,
+        name: row.name,
+        sport,
+        homeTeam,
+        awayTeam,
+        startTime,
+        opensAt: input.opensAt || null,
+        status,
+        markets,
+      },
+    }
+  }
+
+  /**
+   * Distinct names of the leagues or teams an import creates
+   * @private
+   */
+  _newNames(entries) {
+    const seen = {}
+    for (const entry of entries.filter(Boolean)) {
+      seen[key(entry.sport, entry.name)] = { name: entry.name, sport: entry.sport }
+    }
+    return Object.values(seen)
+  }
+
+  /**
+   * @private
+   */
+  async _checkLeagueName(sport, name, exceptId = null) {
+    const taken = (await League.findAll({ sport }))
+      .some(league => key(league.name) === key(name) && String(league._id) !== String(exceptId))
+    if (taken) {
+      throw new ConflictError(`There is already a ${sport} league called ${name}`, 'LEAGUE_NAME_TAKEN')
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _checkTeamName(sport, name, exceptId = null) {
+    const taken = (await Team.findAll({ sport }))
+      .some(team => key(team.name) === key(name) && String(team._id) !== String(exceptId))
+    if (taken) {
+      throw new ConflictError(`There is already a ${sport} team called ${name}`, 'TEAM_NAME_TAKEN')
+    }
+  }
+}
+
+const fixtureService = new FixtureService()
+fixtureService.ROW_STATUS = ROW_STATUS
+
+module.exports = fixtureService
@@ -0,0 +1,348 @@
+/**
+ * Fraud Service - Business Logic Layer
+ * Looks for multi-accounting, bonus abuse and sharp or suspicious betting
+ * with the rules in lib/fraud-rules.js, queues accounts that score
+ * FRAUD_FLAG_SCORE or more for an admin to review, and lets admins limit
+ * how much a flagged account can stake per bet.
+ *
+ * Accounts are scanned after every bet and withdrawal request. Scans never
+ * block the player: a failing scan is logged and the bet stands. An account
+ * that was reviewed is only flagged again when a rule fires that the last
+ * review did not see.
+ */
+
+const Bet = require('../models/bet')
+const Event = require('../models/event')
+const Bonus = require('../models/bonus')
+const Ledger = require('../models/ledger')
+const PriceHistory = require('../models/price-history')
+const Wallet = require('../models/wallet')
+const AccountDevice = require('../models/account-device')
+const FraudFlag = require('../models/fraud-flag')
+const { FLAG_SCORE, SCOPES, RULES, evaluate } = require('../lib/fraud-rules')
+const { ValidationError, NotFoundError, ConflictError } = require('../lib/errors')
+
+const { FLAG_STATUS } = FraudFlag
+const { DEVICE_KINDS } = AccountDevice
+const { TRANSACTION_TYPES } = Ledger
+
+const REVIEW_ACTIONS = {
+  CLEAR: 'clear',
+  RESTRICT: 'restrict',
+}
+
+// Most recent singles compared with the closing price
+const CLOSING_PRICE_BETS = 100
+
+// A finding is new unless the same rule (for the same bet) was already seen
+function findingKey(finding) {
+  return `${finding.rule}:${finding.betId || ''}`
+}
+
+function journalsOfType(journals, type) {
+  return journals
+    .filter(journal => journal.type === type)
+    .map(journal => ({ amount: journal.amount / 100, at: new Date(journal.postedAt) }))
+}
+
+class FraudService {
+  /**
+   * Note the device and IP a signed-in player is using
+   * @param {Object} user - { id, email }
+   * @param {Object} client - { deviceId, ip } (see lib/devices.js)
+   */
+  async recordActivity(user, client) {
+    if (client.deviceId) await AccountDevice.record(user, DEVICE_KINDS.DEVICE, client.deviceId)
+    if (client.ip) await AccountDevice.record(user, DEVICE_KINDS.IP, client.ip)
+  }
+
+  /**
+   * Check a bet that was just placed, and the account behind it
+   * Never throws - the bet has already been taken
+   * @param {Object} user - { id, email }
+   * @param {Object} bet - Placed bet
+   */
+  async afterBet(user, bet) {
+    try {
+      const betFindings = []
+      if (!bet.legs) {
+        const event = await Event.findById(bet.eventId)
+        const priorBets = (await Bet.findByUserId(user.id))
+          .filter(prior => String(prior._id) !== String(bet._id))
+        const result = evaluate(SCOPES.BET, { bet, event, priorBets })
+        result.findings.forEach(finding => betFindings.push({ ...finding, betId: String(bet._id) }))
+      }
+
+      await this._scan(user.id, user.email, betFindings)
+    } catch (error) {
+      console.error('Fraud check failed for bet', String(bet._id), error)
+    }
+  }
+
+  /**
+   * Check an account that just asked for a withdrawal
+   * Never throws - the request has already been taken
+   * @param {Object} user - { id, email }
+   */
+  async afterWithdrawalRequest(user) {
+    try {
+      await this._scan(user.id, user.email)
+    } catch (error) {
+      console.error('Fraud check failed for user', user.id, error)
+    }
+  }
+
+  /**
+   * Scan an account now (admin)
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { score, findings, flag }
+   */
+  async scanAccount(userId) {
+    const wallet = await Wallet.findExisting(userId)
+    if (!wallet) {
+      throw new NotFoundError('Account', userId)
+    }
+
+    return await this._scan(userId, await this._email(userId))
+  }
+
+  /**
+   * Flags to review, highest score first
+   * @param {String} status - One of FLAG_STATUS (open by default, 'all' for every flag)
+   */
+  async getQueue(status = FLAG_STATUS.OPEN) {
+    if (status !== 'all' && !Object.values(FLAG_STATUS).includes(status)) {
+      throw new ValidationError(`Unknown flag status: ${status}`, 'status')
+    }
+
+    return await FraudFlag.findByStatus(status === 'all' ? null : status)
+  }
+
+  /**
+   * Everything a reviewer needs on one account
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { userId, userEmail, restriction, flags, devices, linkedAccounts, score, findings }
+   */
+  async getAccount(userId) {
+    const wallet = await Wallet.findExisting(userId)
+    if (!wallet) {
+      throw new NotFoundError('Account', userId)
+    }
+
+    const context = await this._accountContext(userId)
+    const { score, findings } = evaluate(SCOPES.ACCOUNT, context)
+
+    const linkedAccounts = new Map()
+    for (const kind of Object.values(DEVICE_KINDS)) {
+      for (const link of context.links[kind]) {
+        const account = linkedAccounts.get(link.userId) || { userId: link.userId, userEmail: link.userEmail, devices: 0, ips: 0 }
+        if (kind === DEVICE_KINDS.DEVICE) account.devices++
+        else account.ips++
+        linkedAccounts.set(link.userId, account)
+      }
+    }
+
+    return {
+      userId,
+      userEmail: await this._email(userId),
+      restriction: wallet.stakeRestriction || null,
+      flags: await FraudFlag.findByUser(userId),
+      devices: context.devices,
+      linkedAccounts: Array.from(linkedAccounts.values()),
+      score,
+      findings,
+    }
+  }
+
+  /**
+   * Close an open flag
+   * @param {Object} admin - Reviewing admin
+   * @param {String} flagId - Flag ID
+   * @param {Object} data - { action: 'clear' | 'restrict', maxStake, note }
+   * @returns {Promise<Object>} Reviewed flag
+   */
+  async review(admin, flagId, data) {
+    const flag = await FraudFlag.findById(flagId)
+    if (!flag) {
+      throw new NotFoundError('Fraud flag', flagId)
+    }
+    if (!Object.values(REVIEW_ACTIONS).includes(data.action)) {
+      throw new ValidationError('Action must be clear or restrict', 'action')
+    }
+
+    const status = data.action === REVIEW_ACTIONS.RESTRICT ? FLAG_STATUS.RESTRICTED : FLAG_STATUS.CLEARED
+    const maxStake = status === FLAG_STATUS.RESTRICTED ? this._parseMaxStake(data.maxStake) : null
+
+    const reviewed = await FraudFlag.review(flag, status, { reviewedBy: admin.email, note: data.note })
+    if (!reviewed) {
+      throw new ConflictError('This flag has already been reviewed', 'FLAG_REVIEWED')
+    }
+
+    if (maxStake !== null) {
+      await Wallet.setStakeRestriction(flag.userId, {
+        maxStake,
+        reason: data.note || 'Fraud review',
+        setBy: admin.email,
+      })
+    }
+
+    return await FraudFlag.findById(flagId)
+  }
+
+  /**
+   * Set or lift an account's stake limit outside a review
+   * @param {Object} admin - Admin setting it
+   * @param {String} userId - User ID
+   * @param {Object} data - { maxStake (null lifts it), reason }
+   * @returns {Promise<Object|null>} Restriction in force
+   */
+  async setRestriction(admin, userId, data) {
+    const wallet = await Wallet.findExisting(userId)
+    if (!wallet) {
+      throw new NotFoundError('Account', userId)
+    }
+
+    if (data.maxStake === null || data.maxStake === undefined || data.maxStake === '') {
+      await Wallet.setStakeRestriction(userId, null)
+      return null
+    }
+
+    await Wallet.setStakeRestriction(userId, {
+      maxStake: this._parseMaxStake(data.maxStake),
+      reason: data.reason || 'Set by admin',
+      setBy: admin.email,
+    })
+    return (await Wallet.findByUserId(userId)).stakeRestriction
+  }
+
+  /**
+   * Score an account (plus any findings on the bet just placed) and flag it
+   * if it reaches FLAG_SCORE with something new
+   * @private
+   */
+  async _scan(userId, userEmail, betFindings = []) {
+    const result = evaluate(SCOPES.ACCOUNT, await this._accountContext(userId))
+    const findings = [...result.findings, ...betFindings]
+    const score = findings.reduce((sum, finding) => sum + finding.weight, 0)
+
+    const flag = score >= FLAG_SCORE ? await this._flag(userId, userEmail, score, findings) : null
+    return { score, findings, flag }
+  }
+
+  /**
+   * Add new findings to the account's open flag, or open one
+   * @private
+   */
+  async _flag(userId, userEmail, score, findings) {
+    const flags = await FraudFlag.findByUser(userId)
+    const open = flags.find(flag => flag.status === FLAG_STATUS.OPEN)
+    // What's already on the open flag, or what the last review looked at
+    const previous = open || flags[0]
+    const seen = new Set(previous ? previous.findings.map(findingKey) : [])
+    const fresh = findings.filter(finding => !seen.has(findingKey(finding)))
+    if (fresh.length === 0) return open || null
+
+    if (open && await FraudFlag.addFindings(open, fresh, score)) {
+      return await FraudFlag.findById(open._id)
+    }
+
+    return await FraudFlag.create({ userId, userEmail, score, findings })
+  }
+
+  /**
+   * What the account rules look at
+   * @private
+   */
+  async _accountContext(userId) {
+    const devices = await AccountDevice.findByUser(userId)
+    const links = { [DEVICE_KINDS.DEVICE]: [], [DEVICE_KINDS.IP]: [] }
+    for (const device of devices) {
+      const sightings = await AccountDevice.findByValue(device.kind, device.value)
+      sightings
+        .filter(sighting => sighting.userId !== userId)
+        .forEach(sighting => links[device.kind].push({ userId: sighting.userId, userEmail: sighting.userEmail, value: device.value }))
+    }
+
+    const linkedUserIds = [...new Set([...links.device, ...links.ip].map(link => link.userId))]
+    const linkedBonuses = []
+    for (const linkedUserId of linkedUserIds) {
+      linkedBonuses.push(...await Bonus.findByUserId(linkedUserId))
+    }
+
+    const journals = await Ledger.findByUser(userId)
+    const bets = await Bet.findByUserId(userId)
+    const events = await Event.findAll()
+    const eventsById = new Map(events.map(event => [String(event._id), event]))
+
+    return {
+      devices,
+      links,
+      bonuses: await Bonus.findByUserId(userId),
+      linkedBonuses,
+      bets,
+      eventsById,
+      closingPrices: await this._closingPrices(bets, eventsById),
+      deposits: journalsOfType(journals, TRANSACTION_TYPES.DEPOSIT),
+      withdrawals: journalsOfType(journals, TRANSACTION_TYPES.WITHDRAWAL_HOLD),
+      stakes: journalsOfType(journals, TRANSACTION_TYPES.STAKE),
+    }
+  }
+
+  /**
+   * Price taken against the price the selection closed at, for singles on
+   * events that have started
+   * @private
+   */
+  async _closingPrices(bets, eventsById) {
+    const now = new Date()
+    const singles = bets
+      .filter(bet => !bet.legs && bet.selectionId)
+      .filter(bet => {
+        const event = eventsById.get(String(bet.eventId))
+        return event && event.startTime && new Date(event.startTime) <= now
+      })
+      .slice(0, CLOSING_PRICE_BETS)
+
+    const prices = []
+    for (const bet of singles) {
+      const event = eventsById.get(String(bet.eventId))
+      const closing = await PriceHistory.priceAt(bet.eventId, bet.selectionId, event.startTime)
+      if (closing && closing.price > 1) {
+        // A boost is the house's gift, not the player's edge
+        prices.push({ odds: bet.boost ? bet.boost.originalOdds : bet.odds, closing: closing.price })
+      }
+    }
+    return prices
+  }
+
+  /**
+   * Wallets don't keep the email, so take it from the account's last flag or sighting
+   * @private
+   */
+  async _email(userId) {
+    const [flag] = await FraudFlag.findByUser(userId)
+    if (flag && flag.userEmail) return flag.userEmail
+
+    const [device] = await AccountDevice.findByUser(userId)
+    return device ? device.userEmail : null
+  }
+
+  /**
+   * @private
+   */
+  _parseMaxStake(value) {
+    const maxStake = Math.round(parseFloat(value) * 100) / 100
+    if (isNaN(maxStake) || maxStake <= 0) {
+      throw new ValidationError('Maximum stake must be a positive amount', 'maxStake')
+    }
+    return maxStake
+  }
+}
+
+const fraudService = new FraudService()
+fraudService.FLAG_STATUS = FLAG_STATUS
+fraudService.REVIEW_ACTIONS = REVIEW_ACTIONS
+fraudService.RULES = RULES
+fraudService.FLAG_SCORE = FLAG_SCORE
+
+module.exports = fraudService
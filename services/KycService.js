@@ -0,0 +1,436 @@
+/**
+ * KYC Service - Business Logic Layer
+ * Know-your-customer verification: players give their name and date of birth
+ * and upload a photo ID and proof of address; admins check the documents and
+ * pass or fail the age and identity checks.
+ *
+ * A check goes to review once it has what it needs (REQUIRED_DETAILS and
+ * REQUIRED_DOCUMENTS). It can only pass once those documents are accepted. A
+ * player is verified when every check has passed. Until then they can't
+ * withdraw, can deposit KYC_UNVERIFIED_DEPOSIT_LIMIT in total and can stake
+ * KYC_UNVERIFIED_MAX_STAKE per bet. New details or documents send failed
+ * checks back to review.
+ *
+ * Files go to the storage backend picked by DOCUMENT_STORAGE
+ * (lib/document-storage.js); only their details are in the database.
+ */
+
+const Verification = require('../models/verification')
+const KycDocument = require('../models/kyc-document')
+const Ledger = require('../models/ledger')
+const { createDocumentStorage, documentKey, CONTENT_TYPES } = require('../lib/document-storage')
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  VerificationRequiredError,
+} = require('../lib/errors')
+
+const MIN_AGE = parseInt(process.env.KYC_MIN_AGE || '18', 10)
+
+const MAX_UPLOAD_BYTES = Math.round(parseFloat(process.env.KYC_MAX_UPLOAD_MB || '5') * 1024 * 1024)
+
+// What an unverified player can do; 0 turns a limit off
+const UNVERIFIED_DEPOSIT_LIMIT = parseFloat(process.env.KYC_UNVERIFIED_DEPOSIT_LIMIT || '500')
+const UNVERIFIED_MAX_STAKE = parseFloat(process.env.KYC_UNVERIFIED_MAX_STAKE || '100')
+
+const { VERIFICATION_STATUS, CHECKS, CHECK_STATUS } = Verification
+const { DOCUMENT_TYPES, DOCUMENT_STATUS } = KycDocument
+const { TRANSACTION_TYPES } = Ledger
+
+// What each check needs before it can be reviewed
+const REQUIRED_DETAILS = {
+  [CHECKS.AGE]: ['dateOfBirth'],
+  [CHECKS.IDENTITY]: ['fullName'],
+}
+
+const REQUIRED_DOCUMENTS = {
+  [CHECKS.AGE]: [DOCUMENT_TYPES.PHOTO_ID],
+  [CHECKS.IDENTITY]: [DOCUMENT_TYPES.PHOTO_ID, DOCUMENT_TYPES.PROOF_OF_ADDRESS],
+}
+
+const MAX_FILENAME = 100
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+// Whole years between a date of birth and now
+function ageOn(dateOfBirth, now) {
+  let age = now.getUTCFullYear() - dateOfBirth.getUTCFullYear()
+  const birthday = Date.UTC(now.getUTCFullYear(), dateOfBirth.getUTCMonth(), dateOfBirth.getUTCDate())
+  if (now.getTime() < birthday) age--
+  return age
+}
+
+// Overall status from the checks
+function overallStatus(checks) {
+  const statuses = Object.values(CHECKS).map(check => checks[check].status)
+  if (statuses.every(status => status === CHECK_STATUS.PASSED)) return VERIFICATION_STATUS.VERIFIED
+  if (statuses.includes(CHECK_STATUS.FAILED)) return VERIFICATION_STATUS.REJECTED
+  if (statuses.includes(CHECK_STATUS.PENDING)) return VERIFICATION_STATUS.PENDING
+  return VERIFICATION_STATUS.UNVERIFIED
+}
+
+// Without the storage key, which only the server uses
+function publicDocument(document) {
+  const { key, storage, ...rest } = document
+  return rest
+}
+
+class KycService {
+  constructor() {
+    this.storage = createDocumentStorage()
+  }
+
+  /**
+   * A player's verification, documents and what they can do until verified
+   * @param {Object} user - { id, email }
+   * @returns {Promise<Object>} { status, fullName, dateOfBirth, checks, documents, requirements }
+   */
+  async getStatus(user) {
+    const verification = await Verification.findByUserId(user.id, user.email)
+    const documents = await KycDocument.findByUserId(user.id)
+
+    return {
+      status: verification.status,
+      fullName: verification.fullName,
+      dateOfBirth: verification.dateOfBirth,
+      checks: verification.checks,
+      documents: documents.map(publicDocument),
+      requirements: {
+        minAge: MIN_AGE,
+        documentTypes: Object.values(DOCUMENT_TYPES),
+        contentTypes: Object.keys(CONTENT_TYPES),
+        maxUploadBytes: MAX_UPLOAD_BYTES,
+        unverifiedDepositLimit: UNVERIFIED_DEPOSIT_LIMIT,
+        unverifiedMaxStake: UNVERIFIED_MAX_STAKE,
+      },
+    }
+  }
+
+  /**
+   * Set the name and date of birth the documents are checked against
+   * @param {Object} user - { id, email }
+   * @param {Object} data - { fullName, dateOfBirth (YYYY-MM-DD) }
+   * @param {Date} now - Current time (for tests)
+   */
+  async updateDetails(user, data, now = new Date()) {
+    const verification = await this._unverified(user)
+
+    const fullName = String(data.fullName || '').trim()
+    if (fullName.length < 2 || fullName.length > 100) {
+      throw new ValidationError('Please enter your full name as it appears on your ID', 'fullName')
+    }
+
+    const dateOfBirth = /^\d{4}-\d{2}-\d{2}$/.test(data.dateOfBirth || '') ? new Date(`${data.dateOfBirth}T00:00:00Z`) : null
+    if (!dateOfBirth || isNaN(dateOfBirth.getTime()) || dateOfBirth >= now) {
+      throw new ValidationError('Please enter a valid date of birth', 'dateOfBirth')
+    }
+    if (ageOn(dateOfBirth, now) < MIN_AGE) {
+      throw new ValidationError(`You must be ${MIN_AGE} or older to bet`, 'dateOfBirth')
+    }
+
+    await this._submit({ ...verification, fullName, dateOfBirth }, { fullName, dateOfBirth }, { action: 'details', by: user.email })
+    return await this.getStatus(user)
+  }
+
+  /**
+   * Store an uploaded document and send the checks it completes to review
+   * @param {Object} user - { id, email }
+   * @param {Object} upload - { type, filename, contentType, data (Buffer) }
+   * @returns {Promise<Object>} The document
+   */
+  async uploadDocument(user, upload) {
+    const verification = await this._unverified(user)
+
+    if (!Object.values(DOCUMENT_TYPES).includes(upload.type)) {
+      throw new ValidationError(`Document type must be one of: ${Object.values(DOCUMENT_TYPES).join(', ')}`, 'type')
+    }
+    if (!CONTENT_TYPES[upload.contentType]) {
+      throw new ValidationError('Documents must be JPEG, PNG or PDF files', 'file')
+    }
+    if (!upload.data || upload.data.length === 0) {
+      throw new ValidationError('The file is empty', 'file')
+    }
+    if (upload.data.length > MAX_UPLOAD_BYTES) {
+      throw new ValidationError(`Documents can be at most ${round(MAX_UPLOAD_BYTES / 1024 / 1024)}MB`, 'file')
+    }
+
+    const key = documentKey(user.id, upload.contentType)
+    await this.storage.save(key, upload.data)
+
+    const filename = String(upload.filename || `${upload.type}${CONTENT_TYPES[upload.contentType]}`)
+      .replace(/[^\w.\- ]/g, '_')
+      .slice(0, MAX_FILENAME)
+    let document
+    try {
+      document = await KycDocument.create({
+        userId: user.id,
+        type: upload.type,
+        filename,
+        contentType: upload.contentType,
+        size: upload.data.length,
+        storage: this.storage.name,
+        key,
+      })
+    } catch (error) {
+      // Don't keep a file nothing points to
+      await this.storage.remove(key).catch(removeError => console.error('Failed to remove document file:', removeError))
+      throw error
+    }
+
+    await this._submit(verification, {}, { action: 'document', type: upload.type, documentId: String(document._id), by: user.email })
+    return publicDocument(document)
+  }
+
+  /**
+   * Verifications waiting on an admin (or in another status), longest waiting first
+   * @param {String} status - One of VERIFICATION_STATUS
+   */
+  async getQueue(status = VERIFICATION_STATUS.PENDING) {
+    if (!Object.values(VERIFICATION_STATUS).includes(status)) {
+      throw new ValidationError(`Unknown verification status: ${status}`, 'status')
+    }
+
+    return await Verification.findByStatus([status])
+  }
+
+  /**
+   * A player's verification with every document they sent (admin)
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { verification, documents }
+   */
+  async getReview(userId) {
+    const verification = await Verification.findExisting(userId)
+    if (!verification) {
+      throw new NotFoundError('Verification', userId)
+    }
+
+    const documents = await KycDocument.findByUserId(userId)
+    return { verification, documents: documents.map(publicDocument) }
+  }
+
+  /**
+   * A document's file (admin)
+   * @param {String} documentId - Document ID
+   * @returns {Promise<Object>} { document, data }
+   */
+  async readDocument(documentId) {
+    const document = await KycDocument.findById(documentId)
+    if (!document) {
+      throw new NotFoundError('Document', documentId)
+    }
+
+    const storage = document.storage === this.storage.name ? this.storage : createDocumentStorage(document.storage)
+    return { document: publicDocument(document), data: await storage.read(document.key) }
+  }
+
+  /**
+   * Accept or reject a document. A rejected document takes the checks that
+   * relied on it out of review until the player sends another
+   * @param {Object} admin - Reviewing admin
+   * @param {String} documentId - Document ID
+   * @param {Object} data - { status: 'accepted' | 'rejected', reason }
+   */
+  async reviewDocument(admin, documentId, data) {
+    const document = await KycDocument.findById(documentId)
+    if (!document) {
+      throw new NotFoundError('Document', documentId)
+    }
+    if (![DOCUMENT_STATUS.ACCEPTED, DOCUMENT_STATUS.REJECTED].includes(data.status)) {
+      throw new ValidationError('Status must be accepted or rejected', 'status')
+    }
+    if (data.status === DOCUMENT_STATUS.REJECTED && !data.reason) {
+      throw new ValidationError('Tell the player why the document was rejected', 'reason')
+    }
+
+    const reviewed = await KycDocument.review(document, data.status, { reviewedBy: admin.email, reason: data.reason })
+    if (!reviewed) {
+      throw new ConflictError('This document has already been reviewed', 'DOCUMENT_REVIEWED')
+    }
+
+    const verification = await Verification.findByUserId(document.userId)
+    const documents = await KycDocument.findByUserId(document.userId)
+    const checks = { ...verification.checks }
+    for (const check of Object.values(CHECKS)) {
+      if (checks[check].status === CHECK_STATUS.PENDING && !this._ready(check, verification, documents)) {
+        checks[check] = { ...checks[check], status: CHECK_STATUS.NOT_STARTED }
+      }
+    }
+
+    await this._save(verification, checks, {}, {
+      action: `document_${data.status}`,
+      documentId: String(document._id),
+      reason: data.reason || null,
+      by: admin.email,
+    })
+    return publicDocument(await KycDocument.findById(documentId))
+  }
+
+  /**
+   * Pass or fail one check
+   * @param {Object} admin - Reviewing admin
+   * @param {String} userId - User ID
+   * @param {String} check - One of CHECKS
+   * @param {Object} data - { status: 'passed' | 'failed', reason }
+   * @returns {Promise<Object>} The verification
+   */
+  async reviewCheck(admin, userId, check, data) {
+    if (!Object.values(CHECKS).includes(check)) {
+      throw new NotFoundError('Check', check)
+    }
+    if (![CHECK_STATUS.PASSED, CHECK_STATUS.FAILED].includes(data.status)) {
+      throw new ValidationError('Status must be passed or failed', 'status')
+    }
+    if (data.status === CHECK_STATUS.FAILED && !data.reason) {
+      throw new ValidationError('Tell the player why the check failed', 'reason')
+    }
+
+    const verification = await Verification.findExisting(userId)
+    if (!verification) {
+      throw new NotFoundError('Verification', userId)
+    }
+
+    if (data.status === CHECK_STATUS.PASSED) {
+      const documents = await KycDocument.findByUserId(userId)
+      const accepted = documents.filter(document => document.status === DOCUMENT_STATUS.ACCEPTED)
+      if (!this._ready(check, verification, accepted)) {
+        throw new ValidationError(
+          `Accept the player's ${REQUIRED_DOCUMENTS[check].join(' and ').replace(/_/g, ' ')} before passing the ${check} check`,
+          'status'
+        )
+      }
+    }
+
+    const checks = {
+      ...verification.checks,
+      [check]: { status: data.status, reason: data.reason || null, reviewedBy: admin.email, reviewedAt: new Date() },
+    }
+    await this._save(verification, checks, {}, { action: `${check}_${data.status}`, reason: data.reason || null, by: admin.email })
+    return await Verification.findExisting(userId)
+  }
+
+  /**
+   * Whether a player has passed every check
+   * @param {String} userId - User ID
+   */
+  async isVerified(userId) {
+    const verification = await Verification.findExisting(userId)
+    return Boolean(verification && verification.status === VERIFICATION_STATUS.VERIFIED)
+  }
+
+  /**
+   * Refuse something only verified players can do
+   * @param {String} userId - User ID
+   * @param {String} action - What they tried, e.g. 'withdrawing'
+   */
+  async requireVerified(userId, action) {
+    const verification = await Verification.findExisting(userId)
+    const status = verification ? verification.status : VERIFICATION_STATUS.UNVERIFIED
+    if (status !== VERIFICATION_STATUS.VERIFIED) {
+      throw new VerificationRequiredError(`Please verify your identity before ${action}`, 'KYC_REQUIRED', { status })
+    }
+  }
+
+  /**
+   * Refuse a deposit that takes an unverified player over their deposit limit
+   * @param {String} userId - User ID
+   * @param {Number} amount - Deposit in dollars
+   */
+  async checkDeposit(userId, amount) {
+    if (!UNVERIFIED_DEPOSIT_LIMIT || await this.isVerified(userId)) return
+
+    const journals = await Ledger.findByUser(userId)
+    const deposited = journals
+      .filter(journal => journal.type === TRANSACTION_TYPES.DEPOSIT)
+      .reduce((sum, journal) => sum + journal.amount, 0) / 100
+    if (deposited + amount > UNVERIFIED_DEPOSIT_LIMIT) {
+      const remaining = round(Math.max(0, UNVERIFIED_DEPOSIT_LIMIT - deposited))
+      throw new VerificationRequiredError(
+        `Unverified accounts can deposit $${UNVERIFIED_DEPOSIT_LIMIT.toFixed(2)} in total ($${remaining.toFixed(2)} left). Verify your identity to deposit more`,
+        'KYC_DEPOSIT_LIMIT',
+        { limit: UNVERIFIED_DEPOSIT_LIMIT, remaining }
+      )
+    }
+  }
+
+  /**
+   * Refuse a stake over what an unverified player can bet at once
+   * @param {String} userId - User ID
+   * @param {Number} stake - Total stake in dollars
+   */
+  async checkStake(userId, stake) {
+    if (!UNVERIFIED_MAX_STAKE || stake <= UNVERIFIED_MAX_STAKE || await this.isVerified(userId)) return
+
+    throw new VerificationRequiredError(
+      `Unverified accounts can stake $${UNVERIFIED_MAX_STAKE.toFixed(2)} per bet. Verify your identity to stake more`,
+      'KYC_STAKE_LIMIT',
+      { limit: UNVERIFIED_MAX_STAKE }
+    )
+  }
+
+  /**
+   * Verification of a player who isn't verified yet
+   * @private
+   */
+  async _unverified(user) {
+    const verification = await Verification.findByUserId(user.id, user.email)
+    if (verification.status === VERIFICATION_STATUS.VERIFIED) {
+      throw new ConflictError('Your identity is already verified', 'ALREADY_VERIFIED')
+    }
+    return verification
+  }
+
+  /**
+   * Whether a check has the details and documents it needs
+   * @param {Array} documents - Documents to count (rejected ones never count)
+   * @private
+   */
+  _ready(check, verification, documents) {
+    const usable = documents.filter(document => document.status !== DOCUMENT_STATUS.REJECTED)
+    return REQUIRED_DETAILS[check].every(field => verification[field]) &&
+      REQUIRED_DOCUMENTS[check].every(type => usable.some(document => document.type === type))
+  }
+
+  /**
+   * The player sent something new: every check that hasn't passed and now
+   * has what it needs goes to review
+   * @private
+   */
+  async _submit(verification, updates, entry) {
+    const documents = await KycDocument.findByUserId(verification.userId)
+    const checks = { ...verification.checks }
+    for (const check of Object.values(CHECKS)) {
+      if (checks[check].status !== CHECK_STATUS.PASSED && this._ready(check, verification, documents)) {
+        checks[check] = { status: CHECK_STATUS.PENDING, reason: null, reviewedBy: null, reviewedAt: null }
+      }
+    }
+
+    await this._save(verification, checks, updates, entry)
+  }
+
+  /**
+   * Store new checks with the status they add up to
+   * @private
+   */
+  async _save(verification, checks, updates, entry) {
+    const status = overallStatus(checks)
+    const fields = { ...updates, checks, status }
+    if (status === VERIFICATION_STATUS.PENDING && verification.status !== VERIFICATION_STATUS.PENDING) {
+      fields.submittedAt = new Date()
+    }
+    if (status === VERIFICATION_STATUS.VERIFIED && verification.status !== VERIFICATION_STATUS.VERIFIED) {
+      fields.verifiedAt = new Date()
+    }
+
+    await Verification.update(verification.userId, fields, entry)
+  }
+}
+
+const kycService = new KycService()
+kycService.VERIFICATION_STATUS = VERIFICATION_STATUS
+kycService.CHECKS = CHECKS
+kycService.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES
+
+module.exports = kycService
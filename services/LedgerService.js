@@ -0,0 +1,406 @@
+/**
+ * Ledger Service - Business Logic Layer
+ * Moves money between wallets and the house bankroll and records every
+ * movement as a balanced double-entry journal, so balances can be reconciled
+ *
+ * Every method takes an optional unit of work so the balance change and its
+ * journal commit or roll back together with the caller's other writes
+ */
+
+const Ledger = require('../models/ledger')
+const Wallet = require('../models/wallet')
+const House = require('../models/house')
+const { ValidationError, InsufficientFundsError } = require('../lib/errors')
+const { BettingEvents } = require('../lib/events')
+
+const { ACCOUNTS, TRANSACTION_TYPES } = Ledger
+
+function assertPositive(amount) {
+  if (!(amount > 0)) {
+    throw new ValidationError('Amount must be greater than zero', 'amount')
+  }
+}
+
+function difference(recorded, ledger) {
+  return Math.round((recorded - ledger) * 100) / 100
+}
+
+class LedgerService {
+  /**
+   * User deposit via Stripe - money comes in and is owed to the user
+   */
+  async recordDeposit(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.addFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.DEPOSIT, [
+      { account: ACCOUNTS.EXTERNAL_STRIPE, debit: amount },
+      { account: ACCOUNTS.wallet(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Membership fee via Stripe - money comes in and belongs to the house
+   */
+  async recordMembershipFee(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await House.addMembershipFee(amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.MEMBERSHIP_FEE, [
+      { account: ACCOUNTS.EXTERNAL_STRIPE, debit: amount },
+      { account: ACCOUNTS.HOUSE_BANKROLL, credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Bet stake - moves from the user's wallet to the house
+   */
+  async recordStake(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.deductFunds(userId, amount, tx)
+    await House.receiveBet(amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.STAKE, [
+      { account: ACCOUNTS.wallet(userId), debit: amount },
+      { account: ACCOUNTS.HOUSE_BANKROLL, credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Winning payout - moves from the house to the user's wallet
+   */
+  async recordPayout(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await House.payout(amount, tx)
+    await Wallet.addFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.PAYOUT, [
+      { account: ACCOUNTS.HOUSE_BANKROLL, debit: amount },
+      { account: ACCOUNTS.wallet(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Stake refund - the house hands a stake back to the user
+   */
+  async recordRefund(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await House.refundBet(amount, tx)
+    await Wallet.addFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.REFUND, [
+      { account: ACCOUNTS.HOUSE_BANKROLL, debit: amount },
+      { account: ACCOUNTS.wallet(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Cash-out - the house settles an active bet early from its bankroll
+   */
+  async recordCashOut(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await House.cashOut(amount, tx)
+    await Wallet.addFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.CASH_OUT, [
+      { account: ACCOUNTS.HOUSE_BANKROLL, debit: amount },
+      { account: ACCOUNTS.wallet(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Payout reversal - re-settlement takes winnings back from the user's wallet
+   * The wallet may go negative if the winnings were already spent
+   */
+  async recordPayoutReversal(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.clawBack(userId, amount, tx)
+    await House.reversePayout(amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.PAYOUT_REVERSAL, [
+      { account: ACCOUNTS.wallet(userId), debit: amount },
+      { account: ACCOUNTS.HOUSE_BANKROLL, credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Refund reversal - re-settlement takes a returned stake back from the user's wallet
+   */
+  async recordRefundReversal(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.clawBack(userId, amount, tx)
+    await House.reverseRefund(amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.REFUND_REVERSAL, [
+      { account: ACCOUNTS.wallet(userId), debit: amount },
+      { account: ACCOUNTS.HOUSE_BANKROLL, credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Withdrawal requested - funds move from the wallet to the user's held account
+   */
+  async recordWithdrawalHold(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.holdFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.WITHDRAWAL_HOLD, [
+      { account: ACCOUNTS.wallet(userId), debit: amount },
+      { account: ACCOUNTS.held(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Withdrawal rejected or cancelled - held funds go back to the wallet
+   */
+  async recordWithdrawalRelease(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    this._requireHeld(await Wallet.releaseFunds(userId, amount, tx), userId, amount)
+
+    return await this._post(TRANSACTION_TYPES.WITHDRAWAL_RELEASE, [
+      { account: ACCOUNTS.held(userId), debit: amount },
+      { account: ACCOUNTS.wallet(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Withdrawal paid - held funds leave through the payout provider
+   */
+  async recordWithdrawal(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    this._requireHeld(await Wallet.removeHeldFunds(userId, amount, tx), userId, amount)
+
+    return await this._post(TRANSACTION_TYPES.WITHDRAWAL, [
+      { account: ACCOUNTS.held(userId), debit: amount },
+      { account: ACCOUNTS.EXTERNAL_STRIPE, credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Promotion credited - bonus funds are issued to the user's bonus balance
+   * No cash moves until the bonus is converted or pays winnings
+   */
+  async recordBonusGrant(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.addBonusFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.BONUS_GRANT, [
+      { account: ACCOUNTS.PROMOTIONS, debit: amount },
+      { account: ACCOUNTS.bonus(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Bonus stake - bonus funds are spent on a bet (the house receives no cash)
+   */
+  async recordBonusStake(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.deductBonusFunds(userId, amount, tx)
+    await House.receiveBonusStake(amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.BONUS_STAKE, [
+      { account: ACCOUNTS.bonus(userId), debit: amount },
+      { account: ACCOUNTS.PROMOTIONS, credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Bonus return - what a bonus stake won or got back goes to the bonus balance
+   */
+  async recordBonusReturn(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.addBonusFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.BONUS_RETURN, [
+      { account: ACCOUNTS.PROMOTIONS, debit: amount },
+      { account: ACCOUNTS.bonus(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Bonus return reversal - re-settlement takes a bonus return back
+   * The bonus balance may go negative if it was already spent
+   */
+  async recordBonusReturnReversal(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.clawBackBonusFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.BONUS_RETURN_REVERSAL, [
+      { account: ACCOUNTS.bonus(userId), debit: amount },
+      { account: ACCOUNTS.PROMOTIONS, credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Bonus conversion - wagering met, the bonus is retired and the house pays
+   * the same amount into the wallet as cash
+   */
+  async recordBonusConversion(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.convertBonusFunds(userId, amount, tx)
+    await House.payBonus(amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.BONUS_CONVERSION, [
+      { account: ACCOUNTS.bonus(userId), debit: amount },
+      { account: ACCOUNTS.PROMOTIONS, credit: amount },
+      { account: ACCOUNTS.HOUSE_BANKROLL, debit: amount },
+      { account: ACCOUNTS.wallet(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Bonus winnings - cash the house pays because of a promotion
+   * (free bet winnings, the extra from an odds boost)
+   */
+  async recordBonusWinnings(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await House.payBonus(amount, tx)
+    await Wallet.addFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.BONUS_WINNINGS, [
+      { account: ACCOUNTS.HOUSE_BANKROLL, debit: amount },
+      { account: ACCOUNTS.wallet(userId), credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Bonus winnings reversal - re-settlement takes bonus winnings back from the wallet
+   */
+  async recordBonusWinningsReversal(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.clawBack(userId, amount, tx)
+    await House.reverseBonusCost(amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.BONUS_WINNINGS_REVERSAL, [
+      { account: ACCOUNTS.wallet(userId), debit: amount },
+      { account: ACCOUNTS.HOUSE_BANKROLL, credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Bonus forfeited - expired or given up, the funds are retired
+   */
+  async recordBonusForfeit(userId, amount, reference = null, tx = null) {
+    assertPositive(amount)
+    await Wallet.deductBonusFunds(userId, amount, tx)
+
+    return await this._post(TRANSACTION_TYPES.BONUS_FORFEIT, [
+      { account: ACCOUNTS.bonus(userId), debit: amount },
+      { account: ACCOUNTS.PROMOTIONS, credit: amount },
+    ], { userId, reference }, tx)
+  }
+
+  /**
+   * Post a journal and tell the user's live connections once their wallet has changed
+   * @private
+   */
+  async _post(type, lines, meta, tx) {
+    const journal = await Ledger.post(type, lines, meta, tx)
+
+    if (tx) {
+      tx.afterCommit(() => BettingEvents.walletUpdated(meta.userId))
+    } else {
+      BettingEvents.walletUpdated(meta.userId)
+    }
+
+    return journal
+  }
+
+  /**
+   * @private
+   */
+  _requireHeld(modified, userId, amount) {
+    if (modified === 0) {
+      throw new InsufficientFundsError('Held funds do not cover the withdrawal', { userId, amount })
+    }
+  }
+
+  /**
+   * Prove the journal agrees with the balances held on House and Wallet
+   * @returns {Promise<Object>} Reconciliation report
+   */
+  async reconcile() {
+    const trialBalance = await Ledger.getTrialBalance()
+
+    // House figures derived from the journal
+    const stats = await House.getStats()
+    const houseTotals = await Ledger.getAccountTotals(ACCOUNTS.HOUSE_BANKROLL)
+    const byType = (type, side) => (houseTotals.byType[type] ? houseTotals.byType[type][side] : 0)
+    const promotionTotals = await Ledger.getAccountTotals(ACCOUNTS.PROMOTIONS)
+
+    const ledgerHouse = {
+      balance: await Ledger.getAccountBalance(ACCOUNTS.HOUSE_BANKROLL),
+      totalMembershipRevenue: byType(TRANSACTION_TYPES.MEMBERSHIP_FEE, 'credit'),
+      totalBetsReceived: byType(TRANSACTION_TYPES.STAKE, 'credit') - byType(TRANSACTION_TYPES.REFUND, 'debit') +
+        byType(TRANSACTION_TYPES.REFUND_REVERSAL, 'credit'),
+      totalPayouts: byType(TRANSACTION_TYPES.PAYOUT, 'debit') - byType(TRANSACTION_TYPES.PAYOUT_REVERSAL, 'credit'),
+      totalCashOuts: byType(TRANSACTION_TYPES.CASH_OUT, 'debit'),
+      totalBonusCost: byType(TRANSACTION_TYPES.BONUS_CONVERSION, 'debit') + byType(TRANSACTION_TYPES.BONUS_WINNINGS, 'debit') -
+        byType(TRANSACTION_TYPES.BONUS_WINNINGS_REVERSAL, 'credit'),
+      totalBonusStakes: promotionTotals.byType[TRANSACTION_TYPES.BONUS_STAKE]
+        ? promotionTotals.byType[TRANSACTION_TYPES.BONUS_STAKE].credit
+        : 0,
+    }
+
+    const house = {}
+    for (const field of Object.keys(ledgerHouse)) {
+      house[field] = {
+        recorded: stats[field],
+        ledger: Math.round(ledgerHouse[field] * 100) / 100,
+        difference: difference(stats[field], ledgerHouse[field]),
+      }
+    }
+
+    // Every wallet balance (and funds held for withdrawals, and bonus funds) must match its ledger account
+    const wallets = await Wallet.findAll()
+    const walletMismatches = []
+    for (const wallet of wallets) {
+      const ledgerBalance = await Ledger.getAccountBalance(ACCOUNTS.wallet(wallet.userId))
+      if (difference(wallet.balance, ledgerBalance) !== 0) {
+        walletMismatches.push({
+          userId: wallet.userId,
+          recorded: wallet.balance,
+          ledger: ledgerBalance,
+          difference: difference(wallet.balance, ledgerBalance),
+        })
+      }
+
+      const ledgerHeld = await Ledger.getAccountBalance(ACCOUNTS.held(wallet.userId))
+      if (difference(wallet.heldBalance || 0, ledgerHeld) !== 0) {
+        walletMismatches.push({
+          userId: wallet.userId,
+          account: 'held',
+          recorded: wallet.heldBalance || 0,
+          ledger: ledgerHeld,
+          difference: difference(wallet.heldBalance || 0, ledgerHeld),
+        })
+      }
+
+      const ledgerBonus = await Ledger.getAccountBalance(ACCOUNTS.bonus(wallet.userId))
+      if (difference(wallet.bonusBalance || 0, ledgerBonus) !== 0) {
+        walletMismatches.push({
+          userId: wallet.userId,
+          account: 'bonus',
+          recorded: wallet.bonusBalance || 0,
+          ledger: ledgerBonus,
+          difference: difference(wallet.bonusBalance || 0, ledgerBonus),
+        })
+      }
+    }
+
+    const houseBalanced = Object.values(house).every((row) => row.difference === 0)
+
+    return {
+      balanced: trialBalance.balanced && houseBalanced && walletMismatches.length === 0,
+      trialBalance,
+      house,
+      wallets: {
+        checked: wallets.length,
+        mismatches: walletMismatches,
+      },
+      checkedAt: new Date(),
+    }
+  }
+}
+
+module.exports = new LedgerService()
@@ -0,0 +1,180 @@
+/**
+ * Live Update Service - Business Logic Layer
+ * Pushes betting events from the event bus to connected browsers over
+ * Server-Sent Events. Everyone hears price, status, score and settlement
+ * changes; a signed in user also hears about their own bets and wallet.
+ *
+ * Messages sent while a browser is disconnected are not replayed - each
+ * (re)connection starts with a `connected` message so the page reloads.
+ */
+
+const Wallet = require('../models/wallet')
+const { EVENTS, eventBus } = require('../lib/events')
+
+// Seconds between keep-alive comments, so proxies don't close idle streams
+const LIVE_HEARTBEAT_SECONDS = parseInt(process.env.LIVE_HEARTBEAT_SECONDS || '25', 10)
+
+// Milliseconds a browser waits before reconnecting a dropped stream
+const RECONNECT_DELAY = 3000
+
+const PUBLIC_CHANNEL = 'public'
+
+function userChannel(userId) {
+  return `user:${userId}`
+}
+
+class LiveUpdateService {
+  constructor() {
+    this.clients = new Set()
+    this._listening = false
+    this._heartbeat = null
+    this._pendingWallets = new Set()
+  }
+
+  /**
+   * Start relaying the event bus to connected clients (only once)
+   */
+  start() {
+    if (this._listening) {
+      return
+    }
+    this._listening = true
+
+    const relay = (name, handler) => eventBus.on(name, (event) => {
+      Promise.resolve()
+        .then(() => handler(event.data))
+        .catch(error => console.error(`Error pushing ${name}:`, error))
+    })
+
+    relay(EVENTS.ODDS_CHANGED, data => this.publish(PUBLIC_CHANNEL, 'odds', data))
+    relay(EVENTS.EVENT_STATUS_CHANGED, data => this.publish(PUBLIC_CHANNEL, 'status', data))
+    relay(EVENTS.EVENT_SCORE_UPDATED, data => this.publish(PUBLIC_CHANNEL, 'score', data))
+    relay(EVENTS.EVENT_SETTLED, data => this.publish(PUBLIC_CHANNEL, 'settlement', data))
+    relay(EVENTS.BET_UPDATED, bet => this.publish(userChannel(bet.userId), 'bet', bet))
+    relay(EVENTS.WALLET_UPDATED, data => this._queueWallet(data.userId))
+  }
+
+  /**
+   * Hold a request open as an event stream until the browser goes away
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} user - Signed in user, or null for the public channel only
+   * @returns {Object} The connected client
+   */
+  connect(req, res, user = null) {
+    this.start()
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stop nginx buffering the stream
+      'X-Accel-Buffering': 'no',
+    })
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`)
+
+    const client = {
+      res,
+      channels: user ? [PUBLIC_CHANNEL, userChannel(user.id)] : [PUBLIC_CHANNEL],
+    }
+    this.clients.add(client)
+    this._send(client, 'connected', { channels: client.channels })
+    this._startHeartbeat()
+
+    req.on('close', () => {
+      this.clients.delete(client)
+      if (this.clients.size === 0) {
+        this._stopHeartbeat()
+      }
+    })
+
+    return client
+  }
+
+  /**
+   * Send a message to every client listening on a channel
+   * @param {String} channel - 'public' or 'user:<id>'
+   * @param {String} type - Message type (the SSE event name)
+   * @param {Object} data - Message body
+   * @returns {Number} Clients it was sent to
+   */
+  publish(channel, type, data) {
+    let sent = 0
+    for (const client of this.clients) {
+      if (client.channels.includes(channel)) {
+        this._send(client, type, data)
+        sent++
+      }
+    }
+    return sent
+  }
+
+  /**
+   * @private
+   */
+  _send(client, type, data) {
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  /**
+   * Push a user's balances, once however many journals one change posted
+   * @private
+   */
+  _queueWallet(userId) {
+    if (!userId || this._pendingWallets.has(userId)) {
+      return
+    }
+
+    const channel = userChannel(userId)
+    if (![...this.clients].some(client => client.channels.includes(channel))) {
+      return
+    }
+
+    this._pendingWallets.add(userId)
+    setImmediate(async () => {
+      this._pendingWallets.delete(userId)
+      try {
+        const wallet = await Wallet.findExisting(userId)
+        if (wallet) {
+          this.publish(channel, 'wallet', {
+            balance: wallet.balance,
+            heldBalance: wallet.heldBalance || 0,
+            bonusBalance: wallet.bonusBalance || 0,
+          })
+        }
+      } catch (error) {
+        console.error('Error pushing wallet balance:', error)
+      }
+    })
+  }
+
+  /**
+   * @private
+   */
+  _startHeartbeat() {
+    if (this._heartbeat) {
+      return
+    }
+
+    this._heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': heartbeat\n\n')
+      }
+    }, LIVE_HEARTBEAT_SECONDS * 1000)
+
+    // Don't keep the process alive just for this
+    if (this._heartbeat.unref) {
+      this._heartbeat.unref()
+    }
+  }
+
+  /**
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this._heartbeat)
+    this._heartbeat = null
+  }
+}
+
+module.exports = new LiveUpdateService()
@@ -0,0 +1,376 @@
+/**
+ * Responsible Gambling Service - Business Logic Layer
+ * Player protections: deposit, loss and stake limits, session reminders,
+ * cool-off periods and self-exclusion.
+ *
+ * A lower limit applies straight away; a higher one (or removing one) only
+ * after LIMIT_INCREASE_DELAY_HOURS, so it can't be raised in the heat of the
+ * moment. A cool-off or self-exclusion can be extended but never shortened.
+ */
+
+const PlayerProtection = require('../models/player-protection')
+const Ledger = require('../models/ledger')
+const AnalyticsService = require('./AnalyticsService')
+const { ValidationError, PlayerProtectionError } = require('../lib/errors')
+
+const { LIMIT_TYPES, LIMIT_PERIODS, PERIOD_MS } = PlayerProtection
+const { ACCOUNTS, TRANSACTION_TYPES } = Ledger
+
+// Hours before a raised or removed limit takes effect
+const LIMIT_INCREASE_DELAY_HOURS = parseFloat(process.env.LIMIT_INCREASE_DELAY_HOURS || '24')
+
+// Minutes without a bet before the next one starts a new session
+const SESSION_IDLE_MINUTES = parseInt(process.env.SESSION_IDLE_MINUTES || '30', 10)
+
+const DAY = 24 * 60 * 60 * 1000
+
+const COOL_OFF_PERIODS = {
+  '24h': DAY,
+  '7d': 7 * DAY,
+  '30d': 30 * DAY,
+}
+
+const SELF_EXCLUSION_PERIODS = {
+  '6m': 182 * DAY,
+  '1y': 365 * DAY,
+  '5y': 5 * 365 * DAY,
+}
+
+// Which periods each limit can be set for
+const ALLOWED_PERIODS = {
+  [LIMIT_TYPES.DEPOSIT]: [LIMIT_PERIODS.DAILY, LIMIT_PERIODS.WEEKLY, LIMIT_PERIODS.MONTHLY],
+  [LIMIT_TYPES.LOSS]: [LIMIT_PERIODS.DAILY, LIMIT_PERIODS.WEEKLY, LIMIT_PERIODS.MONTHLY],
+  [LIMIT_TYPES.STAKE]: [LIMIT_PERIODS.PER_BET, LIMIT_PERIODS.DAILY, LIMIT_PERIODS.WEEKLY, LIMIT_PERIODS.MONTHLY],
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+class ResponsibleGamblingService {
+  /**
+   * A user's protections with what they have used of each limit
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { limits, pendingLimits, usage, coolOffUntil, selfExcludedUntil, sessionReminderMinutes, session }
+   */
+  async getProtection(userId) {
+    const protection = await this._current(userId)
+    return {
+      limits: protection.limits,
+      pendingLimits: protection.pendingLimits,
+      usage: await this._usage(userId),
+      coolOffUntil: this._active(protection.coolOffUntil),
+      selfExcludedUntil: this._active(protection.selfExcludedUntil),
+      sessionReminderMinutes: protection.sessionReminderMinutes,
+      session: protection.session,
+      increaseDelayHours: LIMIT_INCREASE_DELAY_HOURS,
+    }
+  }
+
+  /**
+   * Set or remove one limit
+   * @param {String} userId - User ID
+   * @param {String} type - One of LIMIT_TYPES
+   * @param {String} period - One of LIMIT_PERIODS
+   * @param {Number|null} amount - New limit in dollars; null removes it
+   * @returns {Promise<Object>} { applied, effectiveAt }
+   */
+  async setLimit(userId, type, period, amount) {
+    if (!ALLOWED_PERIODS[type]) {
+      throw new ValidationError(`Limit type must be one of: ${Object.values(LIMIT_TYPES).join(', ')}`, 'type')
+    }
+    if (!ALLOWED_PERIODS[type].includes(period)) {
+      throw new ValidationError(`A ${type} limit can be set ${ALLOWED_PERIODS[type].join(', ')}`, 'period')
+    }
+
+    const removing = amount === null || amount === undefined || amount === ''
+    const value = removing ? null : round(parseFloat(amount))
+    if (!removing && (isNaN(value) || value <= 0)) {
+      throw new ValidationError('Limit must be a positive amount', 'amount')
+    }
+
+    const protection = await this._current(userId)
+    const current = (protection.limits[type] || {})[period]
+    const pendingLimits = protection.pendingLimits.filter(pending => pending.type !== type || pending.period !== period)
+
+    // Tightening takes effect now
+    if (value !== null && (current === undefined || value <= current)) {
+      await PlayerProtection.update(userId, {
+        limits: { ...protection.limits, [type]: { ...protection.limits[type], [period]: value } },
+        pendingLimits,
+      }, { action: 'limit_set', type, period, amount: value, previous: current === undefined ? null : current })
+      return { applied: true, effectiveAt: new Date() }
+    }
+
+    if (current === undefined) {
+      return { applied: true, effectiveAt: new Date() }
+    }
+
+    const effectiveAt = new Date(Date.now() + LIMIT_INCREASE_DELAY_HOURS * 60 * 60 * 1000)
+    await PlayerProtection.update(userId, {
+      pendingLimits: [...pendingLimits, { type, period, amount: value, requestedAt: new Date(), effectiveAt }],
+    }, { action: 'limit_requested', type, period, amount: value, previous: current, effectiveAt })
+    return { applied: false, effectiveAt }
+  }
+
+  /**
+   * Remind the user how long they have been betting every `minutes`
+   * @param {String} userId - User ID
+   * @param {Number|null} minutes - Interval, or null for no reminders
+   */
+  async setSessionReminder(userId, minutes) {
+    const value = minutes === null || minutes === undefined || minutes === '' ? null : parseInt(minutes, 10)
+    if (value !== null && (isNaN(value) || value < 5 || value > 24 * 60)) {
+      throw new ValidationError('Reminder interval must be between 5 and 1440 minutes', 'minutes')
+    }
+
+    await PlayerProtection.update(userId, { sessionReminderMinutes: value }, { action: 'session_reminder', minutes: value })
+    return value
+  }
+
+  /**
+   * Take a break from betting and depositing
+   * @param {String} userId - User ID
+   * @param {String} period - One of COOL_OFF_PERIODS
+   * @returns {Promise<Date>} When the cool-off ends
+   */
+  async coolOff(userId, period) {
+    return await this._exclude(userId, period, COOL_OFF_PERIODS, 'coolOffUntil', 'cool_off')
+  }
+
+  /**
+   * Exclude the user from betting and depositing for a long period
+   * @param {String} userId - User ID
+   * @param {String} period - One of SELF_EXCLUSION_PERIODS
+   * @returns {Promise<Date>} When the exclusion ends
+   */
+  async selfExclude(userId, period) {
+    return await this._exclude(userId, period, SELF_EXCLUSION_PERIODS, 'selfExcludedUntil', 'self_exclusion')
+  }
+
+  /**
+   * Refuse a deposit the user's protections don't allow
+   * @param {String} userId - User ID
+   * @param {Number} amount - Deposit in dollars
+   */
+  async checkDeposit(userId, amount) {
+    const protection = await this._current(userId)
+    this._checkExcluded(protection, 'deposit')
+
+    const usage = await this._usage(userId)
+    this._checkPeriodLimits(protection, LIMIT_TYPES.DEPOSIT, usage, amount, 'DEPOSIT_LIMIT', 'deposit')
+  }
+
+  /**
+   * Refuse a bet the user's protections don't allow
+   * The whole stake counts towards the loss limit, as it could all be lost
+   * @param {String} userId - User ID
+   * @param {Number} stake - Total stake in dollars
+   */
+  async checkBet(userId, stake) {
+    const protection = await this._current(userId)
+    this._checkExcluded(protection, 'bet')
+
+    const perBet = (protection.limits[LIMIT_TYPES.STAKE] || {})[LIMIT_PERIODS.PER_BET]
+    if (perBet !== undefined && stake > perBet) {
+      throw new PlayerProtectionError(
+        `Your stake limit is $${perBet.toFixed(2)} per bet`,
+        'STAKE_LIMIT',
+        { period: LIMIT_PERIODS.PER_BET, limit: perBet, remaining: perBet }
+      )
+    }
+
+    const usage = await this._usage(userId)
+    this._checkPeriodLimits(protection, LIMIT_TYPES.STAKE, usage, stake, 'STAKE_LIMIT', 'stake')
+    this._checkPeriodLimits(protection, LIMIT_TYPES.LOSS, usage, stake, 'LOSS_LIMIT', 'lose')
+  }
+
+  /**
+   * Note betting activity and say whether a session reminder is due
+   * A reminder is a reality check: how long the session has run and what the
+   * player has staked and won or lost in it
+   * @param {String} userId - User ID
+   * @returns {Promise<Object|null>} { minutes, message, staked, net } when a reminder is due
+   */
+  async touchSession(userId) {
+    const protection = await this._current(userId)
+    const now = new Date()
+    const last = protection.session && new Date(protection.session.lastActivityAt)
+
+    const session = !last || now - last > SESSION_IDLE_MINUTES * 60 * 1000
+      ? { startedAt: now, lastActivityAt: now, reminders: 0 }
+      : { ...protection.session, lastActivityAt: now }
+
+    let reminder = null
+    const every = protection.sessionReminderMinutes
+    if (every) {
+      const minutes = Math.floor((now - new Date(session.startedAt)) / 60000)
+      const due = Math.floor(minutes / every)
+      if (due > (session.reminders || 0)) {
+        session.reminders = due
+        const { staked, net } = await AnalyticsService.getActivity(userId, new Date(session.startedAt), now)
+        const position = net < 0 ? `down $${(-net).toFixed(2)}` : `up $${net.toFixed(2)}`
+        reminder = {
+          minutes,
+          staked,
+          net,
+          message: `You have been betting for ${minutes} minutes, staked $${staked.toFixed(2)} and are ${position} this session`,
+        }
+      }
+    }
+
+    await PlayerProtection.update(userId, { session })
+    return reminder
+  }
+
+  /**
+   * Settings with any limit increases that have come due applied
+   * @private
+   */
+  async _current(userId) {
+    const protection = await PlayerProtection.findByUserId(userId)
+    const limits = protection.limits || {}
+    const pendingLimits = protection.pendingLimits || []
+    const due = pendingLimits.filter(pending => new Date(pending.effectiveAt) <= new Date())
+
+    if (due.length === 0) {
+      return { ...protection, limits, pendingLimits }
+    }
+
+    const applied = { ...limits }
+    for (const pending of due) {
+      const forType = { ...applied[pending.type] }
+      if (pending.amount === null) {
+        delete forType[pending.period]
+      } else {
+        forType[pending.period] = pending.amount
+      }
+      applied[pending.type] = forType
+    }
+    const remaining = pendingLimits.filter(pending => !due.includes(pending))
+
+    await PlayerProtection.update(userId, { limits: applied, pendingLimits: remaining },
+      { action: 'limit_applied', changes: due.map(({ type, period, amount }) => ({ type, period, amount })) })
+    return { ...protection, limits: applied, pendingLimits: remaining }
+  }
+
+  /**
+   * @private
+   */
+  async _exclude(userId, period, periods, field, action) {
+    if (!periods[period]) {
+      throw new ValidationError(`Period must be one of: ${Object.keys(periods).join(', ')}`, 'period')
+    }
+
+    const protection = await this._current(userId)
+    const requested = new Date(Date.now() + periods[period])
+    const existing = protection[field] && new Date(protection[field])
+    const until = existing && existing > requested ? existing : requested
+
+    await PlayerProtection.update(userId, { [field]: until }, { action, period, until })
+    return until
+  }
+
+  /**
+   * @private
+   */
+  _active(until) {
+    return until && new Date(until) > new Date() ? until : null
+  }
+
+  /**
+   * @private
+   */
+  _checkExcluded(protection, activity) {
+    const selfExcludedUntil = this._active(protection.selfExcludedUntil)
+    if (selfExcludedUntil) {
+      throw new PlayerProtectionError(
+        `You are self-excluded until ${new Date(selfExcludedUntil).toDateString()} and can't ${activity}`,
+        'SELF_EXCLUDED',
+        { until: selfExcludedUntil }
+      )
+    }
+
+    const coolOffUntil = this._active(protection.coolOffUntil)
+    if (coolOffUntil) {
+      throw new PlayerProtectionError(
+        `You are taking a break until ${new Date(coolOffUntil).toLocaleString()} and can't ${activity}`,
+        'COOL_OFF',
+        { until: coolOffUntil }
+      )
+    }
+  }
+
+  /**
+   * @private
+   */
+  _checkPeriodLimits(protection, type, usage, amount, rule, verb) {
+    const limits = protection.limits[type] || {}
+    for (const period of [LIMIT_PERIODS.DAILY, LIMIT_PERIODS.WEEKLY, LIMIT_PERIODS.MONTHLY]) {
+      if (limits[period] === undefined) continue
+
+      const remaining = round(Math.max(0, limits[period] - usage[type][period]))
+      if (amount > remaining) {
+        throw new PlayerProtectionError(
+          `Your ${period} ${type} limit is $${limits[period].toFixed(2)} - you can ${verb} $${remaining.toFixed(2)} more`,
+          rule,
+          { period, limit: limits[period], remaining }
+        )
+      }
+    }
+  }
+
+  /**
+   * What the user has deposited, staked and lost over each rolling period,
+   * from their wallet and bonus accounts in the ledger
+   * Stakes paid with bonus funds or a free bet count like cash ones, as
+   * checkBet is given the whole stake, and so do their returns
+   * @private
+   */
+  async _usage(userId) {
+    const accounts = [ACCOUNTS.wallet(userId), ACCOUNTS.bonus(userId)]
+    const now = Date.now()
+    const journals = await Ledger.findByAccountSince(accounts, new Date(now - PERIOD_MS[LIMIT_PERIODS.MONTHLY]))
+
+    const staking = [TRANSACTION_TYPES.STAKE, TRANSACTION_TYPES.BONUS_STAKE]
+    const returned = [
+      TRANSACTION_TYPES.PAYOUT, TRANSACTION_TYPES.REFUND, TRANSACTION_TYPES.CASH_OUT,
+      TRANSACTION_TYPES.BONUS_RETURN, TRANSACTION_TYPES.BONUS_WINNINGS,
+    ]
+    const reversed = [
+      TRANSACTION_TYPES.PAYOUT_REVERSAL, TRANSACTION_TYPES.REFUND_REVERSAL,
+      TRANSACTION_TYPES.BONUS_RETURN_REVERSAL, TRANSACTION_TYPES.BONUS_WINNINGS_REVERSAL,
+    ]
+
+    const usage = {}
+    for (const type of Object.values(LIMIT_TYPES)) {
+      usage[type] = {}
+    }
+
+    for (const period of [LIMIT_PERIODS.DAILY, LIMIT_PERIODS.WEEKLY, LIMIT_PERIODS.MONTHLY]) {
+      const since = now - PERIOD_MS[period]
+      let deposited = 0
+      let staked = 0
+      let back = 0
+
+      for (const journal of journals) {
+        if (new Date(journal.postedAt).getTime() < since) continue
+        const line = journal.lines.find(candidate => accounts.includes(candidate.account))
+        const amount = (line.credit || line.debit) / 100
+
+        if (journal.type === TRANSACTION_TYPES.DEPOSIT) deposited += amount
+        else if (staking.includes(journal.type)) staked += amount
+        else if (returned.includes(journal.type)) back += amount
+        else if (reversed.includes(journal.type)) back -= amount
+      }
+
+      usage[LIMIT_TYPES.DEPOSIT][period] = round(deposited)
+      usage[LIMIT_TYPES.STAKE][period] = round(staked)
+      usage[LIMIT_TYPES.LOSS][period] = round(Math.max(0, staked - back))
+    }
+
+    return usage
+  }
+}
+
+module.exports = new ResponsibleGamblingService()
@@ -0,0 +1,252 @@
+/**
+ * Risk Service - Business Logic Layer
+ * Tracks what the house stands to lose on each selection and event from the
+ * bets already taken, and refuses bets that would push the position past the
+ * liability caps
+ *
+ * A selection's liability is what its bets pay if it wins, less the stakes
+ * kept from the rest of its market. An event's worst case adds up the worst
+ * selection of each market.
+ */
+
+const Bet = require('../models/bet')
+const Event = require('../models/event')
+const House = require('../models/house')
+const { LEGACY_MARKET_ID, findSelection } = require('../lib/markets')
+const { LEG_STATUS } = require('../lib/bet-types')
+const { BetRejectedError, NotFoundError } = require('../lib/errors')
+
+// Default caps as a share of the house bankroll; an event can set its own in
+// dollars with liabilityLimits: { selection, event }
+const SELECTION_LIABILITY_LIMIT = parseFloat(process.env.SELECTION_LIABILITY_LIMIT || '0.10')
+const EVENT_LIABILITY_LIMIT = parseFloat(process.env.EVENT_LIABILITY_LIMIT || '0.25')
+
+const { STATES } = Event
+
+// Events whose bets are still open (not yet settled or cancelled)
+const TRACKED_STATES = [STATES.SCHEDULED, STATES.OPEN, STATES.SUSPENDED, STATES.LIVE, STATES.FINISHED, STATES.POSTPONED, STATES.ABANDONED]
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+class RiskService {
+  /**
+   * Liability matrix of every event with open bets on it
+   */
+  async getLiabilityMatrix() {
+    const events = (await Event.findAll()).filter(event => TRACKED_STATES.includes(event.status))
+    const house = await House.getBalance()
+
+    const matrix = []
+    for (const event of events) {
+      const exposure = this._exposure(event, await this.getPositions(event))
+      matrix.push({ ...exposure, caps: this._caps(event, house) })
+    }
+
+    return {
+      events: matrix,
+      totalWorstCase: round(matrix.reduce((sum, event) => sum + event.worstCase, 0)),
+      houseBalance: house.balance,
+    }
+  }
+
+  /**
+   * Caps that apply to an event
+   * @returns {Promise<Object>} { selection, event } in dollars
+   */
+  async getCaps(event, tx = null) {
+    return this._caps(event, await House.getBalance(tx))
+  }
+
+  /**
+   * Refuse a bet if, once taken, any of its selections or events would be
+   * over its cap
+   * Run it in the unit of work that wrote the bet (betId), so bets placed at
+   * the same moment count against each other rather than both passing
+   * @param {Array} legs - [{ event, market, selection }] (one for a single)
+   * @param {Object} bet - { betId, stake, potentialWin, single }
+   */
+  async checkBet(legs, { betId, stake, potentialWin, single }, tx = null) {
+    for (const { event, market, selection } of legs) {
+      const caps = await this.getCaps(event, tx)
+      const positions = (await this.getPositions(event, tx)).filter(position => position.betId !== String(betId))
+      const before = this._exposure(event, positions)
+      const after = this._exposure(event, [
+        ...positions,
+        { marketId: market.id, selectionId: selection.id, stake: single ? stake : 0, payout: potentialWin },
+      ])
+
+      const { liability } = this._selectionExposure(after, market, selection)
+
+      const details = {
+        eventId: String(event._id),
+        selectionId: selection.id,
+        maxStake: single ? this._maxStake(before, market, selection, caps) : undefined,
+      }
+
+      if (liability > caps.selection) {
+        throw new BetRejectedError(
+          `Bet too large - the house can't take more on ${selection.name}`,
+          'LIABILITY_LIMIT',
+          { ...details, scope: 'selection', cap: caps.selection }
+        )
+      }
+
+      if (after.worstCase > caps.event) {
+        throw new BetRejectedError(
+          `Bet too large - the house can't take more on ${event.name}`,
+          'LIABILITY_LIMIT',
+          { ...details, scope: 'event', cap: caps.event }
+        )
+      }
+    }
+  }
+
+  /**
+   * Largest single stake a selection can take right now
+   * Bounded by the liability caps and by the house being able to pay the
+   * win out of half its bankroll
+   * @returns {Promise<Object>} { maxStake, liability, caps }
+   */
+  async maxStake(eventId, marketId, selectionId) {
+    const event = await Event.findById(eventId)
+    const found = event && findSelection(event, marketId, selectionId)
+    if (!found) {
+      throw new NotFoundError('Selection', selectionId)
+    }
+
+    const house = await House.getBalance()
+    const caps = this._caps(event, house)
+    const exposure = this._exposure(event, await this.getPositions(event))
+    const { selection } = found
+
+    return {
+      maxStake: Math.min(
+        this._maxStake(exposure, found.market, selection, caps),
+        Math.floor((house.balance * 0.5) / selection.price)
+      ),
+      odds: selection.price,
+      liability: this._selectionExposure(exposure, found.market, selection).liability,
+      eventWorstCase: exposure.worstCase,
+      caps,
+    }
+  }
+
+  /**
+   * @private
+   */
+  _caps(event, house) {
+    const limits = event.liabilityLimits || {}
+    return {
+      selection: limits.selection > 0 ? limits.selection : round(house.balance * SELECTION_LIABILITY_LIMIT),
+      event: limits.event > 0 ? limits.event : round(house.balance * EVENT_LIABILITY_LIMIT),
+    }
+  }
+
+  /**
+   * A stake adds stake x (odds - 1) to its selection at most, so the headroom
+   * left under both caps bounds it
+   * @private
+   */
+  _maxStake(exposure, market, selection, caps) {
+    const current = this._selectionExposure(exposure, market, selection)
+    const headroom = Math.min(caps.selection - current.liability, caps.event - exposure.worstCase)
+    if (headroom <= 0) return 0
+
+    return Math.floor((headroom / (selection.price - 1)) * 100) / 100
+  }
+
+  /**
+   * @private
+   */
+  _selectionExposure(exposure, market, selection) {
+    return exposure.markets
+      .find(candidate => candidate.marketId === market.id).selections
+      .find(candidate => candidate.selectionId === selection.id)
+  }
+
+  /**
+   * What every active bet on the event stakes and pays per selection
+   * Singles keep their stake if another selection wins; a multiple pays its
+   * whole potential win if its leg here (and the rest) win
+   * @returns {Promise<Array>} [{ marketId, selectionId, stake, payout }]
+   */
+  async getPositions(event, tx = null) {
+    const eventId = String(event._id)
+    const positions = []
+
+    const singles = (await Bet.findByEventId(eventId, tx)).filter(bet => bet.status === 'active')
+    for (const bet of singles) {
+      const marketId = bet.marketId || LEGACY_MARKET_ID
+      positions.push({
+        betId: String(bet._id),
+        marketId,
+        selectionId: bet.selectionId || this._legacySelectionId(event, marketId, bet.selection),
+        stake: bet.amount,
+        payout: bet.potentialWin,
+      })
+    }
+
+    const multiples = (await Bet.findMultiplesByEventId(eventId, tx)).filter(bet => bet.status === 'active')
+    for (const bet of multiples) {
+      const leg = bet.legs.find(candidate => String(candidate.eventId) === eventId)
+      if (!leg || leg.status !== LEG_STATUS.PENDING) continue
+      positions.push({ betId: String(bet._id), marketId: leg.marketId, selectionId: leg.selectionId, stake: 0, payout: bet.potentialWin })
+    }
+
+    return positions
+  }
+
+  /**
+   * Bets placed before markets existed only recorded the selection name
+   * @private
+   */
+  _legacySelectionId(event, marketId, name) {
+    const market = event.markets.find(candidate => candidate.id === marketId)
+    const selection = market && market.selections.find(candidate => candidate.name === name)
+    return selection ? selection.id : null
+  }
+
+  /**
+   * @private
+   */
+  _exposure(event, positions) {
+    const markets = event.markets.map(market => {
+      const inMarket = positions.filter(position => position.marketId === market.id)
+      const stakes = inMarket.reduce((sum, position) => sum + position.stake, 0)
+
+      const selections = market.selections.map(selection => {
+        const onSelection = inMarket.filter(position => position.selectionId === selection.id)
+        const payouts = onSelection.reduce((sum, position) => sum + position.payout, 0)
+        return {
+          selectionId: selection.id,
+          name: selection.name,
+          price: selection.price,
+          stakes: round(onSelection.reduce((sum, position) => sum + position.stake, 0)),
+          payouts: round(payouts),
+          liability: round(payouts - stakes),
+        }
+      })
+
+      return {
+        marketId: market.id,
+        name: market.name,
+        stakes: round(stakes),
+        selections,
+        worstCase: round(Math.max(0, ...selections.map(selection => selection.liability))),
+      }
+    })
+
+    return {
+      eventId: String(event._id),
+      eventName: event.name,
+      status: event.status,
+      startTime: event.startTime,
+      markets,
+      worstCase: round(markets.reduce((sum, market) => sum + market.worstCase, 0)),
+    }
+  }
+}
+
+module.exports = new RiskService()
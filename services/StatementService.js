@@ -0,0 +1,323 @@
+/**
+ * Statement Service - Business Logic Layer
+ * A user's transaction history and monthly statements, read straight from
+ * the ledger so they always agree with the wallet
+ *
+ * Every row carries the signed amount it stands for and the wallet balance
+ * after it. A membership fee (paid by card), a paid withdrawal (already held
+ * when it was requested) and movements of bonus funds (which have their own
+ * balance) are listed but leave the balance where it was.
+ */
+
+const Ledger = require('../models/ledger')
+const Bet = require('../models/bet')
+const { createTextPdf } = require('../lib/pdf')
+const { ValidationError } = require('../lib/errors')
+
+const { ACCOUNTS, TRANSACTION_TYPES } = Ledger
+
+const CATEGORIES = {
+  DEPOSIT: 'deposit',
+  STAKE: 'stake',
+  WINNINGS: 'winnings',
+  CASH_OUT: 'cash_out',
+  REFUND: 'refund',
+  FEE: 'fee',
+  WITHDRAWAL: 'withdrawal',
+  CORRECTION: 'correction', // Re-settlement taking back a payout or refund
+  BONUS: 'bonus', // Bonus funds credited, staked, returned, converted or expired
+}
+
+const TYPE_CATEGORIES = {
+  [TRANSACTION_TYPES.DEPOSIT]: CATEGORIES.DEPOSIT,
+  [TRANSACTION_TYPES.STAKE]: CATEGORIES.STAKE,
+  [TRANSACTION_TYPES.PAYOUT]: CATEGORIES.WINNINGS,
+  [TRANSACTION_TYPES.CASH_OUT]: CATEGORIES.CASH_OUT,
+  [TRANSACTION_TYPES.REFUND]: CATEGORIES.REFUND,
+  [TRANSACTION_TYPES.MEMBERSHIP_FEE]: CATEGORIES.FEE,
+  [TRANSACTION_TYPES.WITHDRAWAL_HOLD]: CATEGORIES.WITHDRAWAL,
+  [TRANSACTION_TYPES.WITHDRAWAL_RELEASE]: CATEGORIES.WITHDRAWAL,
+  [TRANSACTION_TYPES.WITHDRAWAL]: CATEGORIES.WITHDRAWAL,
+  [TRANSACTION_TYPES.PAYOUT_REVERSAL]: CATEGORIES.CORRECTION,
+  [TRANSACTION_TYPES.REFUND_REVERSAL]: CATEGORIES.CORRECTION,
+  [TRANSACTION_TYPES.BONUS_GRANT]: CATEGORIES.BONUS,
+  [TRANSACTION_TYPES.BONUS_STAKE]: CATEGORIES.BONUS,
+  [TRANSACTION_TYPES.BONUS_RETURN]: CATEGORIES.BONUS,
+  [TRANSACTION_TYPES.BONUS_RETURN_REVERSAL]: CATEGORIES.CORRECTION,
+  [TRANSACTION_TYPES.BONUS_CONVERSION]: CATEGORIES.BONUS,
+  [TRANSACTION_TYPES.BONUS_WINNINGS]: CATEGORIES.WINNINGS,
+  [TRANSACTION_TYPES.BONUS_WINNINGS_REVERSAL]: CATEGORIES.CORRECTION,
+  [TRANSACTION_TYPES.BONUS_FORFEIT]: CATEGORIES.BONUS,
+}
+
+const DESCRIPTIONS = {
+  [TRANSACTION_TYPES.DEPOSIT]: 'Deposit',
+  [TRANSACTION_TYPES.STAKE]: 'Stake',
+  [TRANSACTION_TYPES.PAYOUT]: 'Winnings',
+  [TRANSACTION_TYPES.CASH_OUT]: 'Cash out',
+  [TRANSACTION_TYPES.REFUND]: 'Refund',
+  [TRANSACTION_TYPES.MEMBERSHIP_FEE]: 'Membership fee',
+  [TRANSACTION_TYPES.WITHDRAWAL_HOLD]: 'Withdrawal requested',
+  [TRANSACTION_TYPES.WITHDRAWAL_RELEASE]: 'Withdrawal returned',
+  [TRANSACTION_TYPES.WITHDRAWAL]: 'Withdrawal paid',
+  [TRANSACTION_TYPES.PAYOUT_REVERSAL]: 'Winnings corrected',
+  [TRANSACTION_TYPES.REFUND_REVERSAL]: 'Refund corrected',
+  [TRANSACTION_TYPES.BONUS_GRANT]: 'Bonus credited',
+  [TRANSACTION_TYPES.BONUS_STAKE]: 'Bonus stake',
+  [TRANSACTION_TYPES.BONUS_RETURN]: 'Bonus returned',
+  [TRANSACTION_TYPES.BONUS_RETURN_REVERSAL]: 'Bonus return corrected',
+  [TRANSACTION_TYPES.BONUS_CONVERSION]: 'Bonus converted to cash',
+  [TRANSACTION_TYPES.BONUS_WINNINGS]: 'Bonus winnings',
+  [TRANSACTION_TYPES.BONUS_WINNINGS_REVERSAL]: 'Bonus winnings corrected',
+  [TRANSACTION_TYPES.BONUS_FORFEIT]: 'Bonus expired',
+}
+
+// Bet-related journals are referenced by bet ID
+const BET_TYPES = [
+  TRANSACTION_TYPES.STAKE,
+  TRANSACTION_TYPES.PAYOUT,
+  TRANSACTION_TYPES.CASH_OUT,
+  TRANSACTION_TYPES.REFUND,
+  TRANSACTION_TYPES.PAYOUT_REVERSAL,
+  TRANSACTION_TYPES.REFUND_REVERSAL,
+  TRANSACTION_TYPES.BONUS_STAKE,
+  TRANSACTION_TYPES.BONUS_RETURN,
+  TRANSACTION_TYPES.BONUS_RETURN_REVERSAL,
+  TRANSACTION_TYPES.BONUS_WINNINGS,
+  TRANSACTION_TYPES.BONUS_WINNINGS_REVERSAL,
+]
+
+const MAX_PAGE_SIZE = 100
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+function parseDate(value, field, endOfDay = false) {
+  if (!value) return null
+  const date = new Date(value)
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`, field)
+  }
+  // A bare date (YYYY-MM-DD) as the upper bound covers the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1)
+    date.setTime(date.getTime() - 1)
+  }
+  return date
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+class StatementService {
+  /**
+   * A page of the user's transactions, newest first
+   * @param {String} userId - User ID
+   * @param {Object} options - { page, pageSize, type (categories, comma separated), from, to }
+   * @returns {Promise<Object>} { transactions, page, pageSize, total, pages, balance }
+   */
+  async getHistory(userId, options = {}) {
+    const page = Math.max(parseInt(options.page, 10) || 1, 1)
+    const pageSize = Math.min(Math.max(parseInt(options.pageSize, 10) || 25, 1), MAX_PAGE_SIZE)
+    const categories = this._parseCategories(options.type)
+    const from = parseDate(options.from, 'from')
+    const to = parseDate(options.to, 'to', true)
+
+    const entries = await this._entries(userId)
+    const balance = entries.length > 0 ? entries[entries.length - 1].balance : 0
+
+    const matching = entries
+      .filter(entry => !categories || categories.includes(entry.category))
+      .filter(entry => (!from || entry.date >= from) && (!to || entry.date <= to))
+      .reverse()
+
+    return {
+      transactions: matching.slice((page - 1) * pageSize, page * pageSize),
+      page,
+      pageSize,
+      total: matching.length,
+      pages: Math.max(Math.ceil(matching.length / pageSize), 1),
+      balance,
+    }
+  }
+
+  /**
+   * Statement for one calendar month (UTC)
+   * @param {String} userId - User ID
+   * @param {String} month - YYYY-MM
+   * @returns {Promise<Object>} { month, from, to, openingBalance, closingBalance, totals, transactions }
+   */
+  async getStatement(userId, month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '')
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new ValidationError('Month must be in the form YYYY-MM', 'month')
+    }
+
+    const from = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1))
+    const to = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1))
+
+    const entries = await this._entries(userId)
+    const before = entries.filter(entry => entry.date < from)
+    const transactions = entries.filter(entry => entry.date >= from && entry.date < to)
+
+    const openingBalance = before.length > 0 ? before[before.length - 1].balance : 0
+    const closingBalance = transactions.length > 0
+      ? transactions[transactions.length - 1].balance
+      : openingBalance
+
+    const totals = Object.values(CATEGORIES).reduce((sums, category) => ({ ...sums, [category]: 0 }), {})
+    for (const entry of transactions) {
+      totals[entry.category] = round(totals[entry.category] + entry.amount)
+    }
+
+    return {
+      month,
+      from,
+      to: new Date(to.getTime() - 1),
+      openingBalance,
+      closingBalance,
+      totals,
+      transactions,
+    }
+  }
+
+  /**
+   * Statement as CSV
+   * @param {Object} statement - From getStatement
+   * @returns {String} CSV text
+   */
+  toCsv(statement) {
+    const headers = ['Date', 'Type', 'Description', 'Reference', 'Amount', 'Balance']
+
+    const rows = [
+      [statement.from.toISOString(), '', 'Opening balance', '', '', statement.openingBalance.toFixed(2)],
+      ...statement.transactions.map(entry => [
+        entry.date.toISOString(),
+        entry.category,
+        entry.description,
+        entry.reference || '',
+        entry.amount.toFixed(2),
+        entry.balance.toFixed(2),
+      ]),
+      [statement.to.toISOString(), '', 'Closing balance', '', '', statement.closingBalance.toFixed(2)],
+    ]
+
+    return [headers, ...rows].map(row => row.map(csvField).join(',')).join('\n')
+  }
+
+  /**
+   * Statement as a PDF
+   * @param {Object} statement - From getStatement
+   * @param {Object} user - Statement holder { email }
+   * @returns {Buffer} PDF file
+   */
+  toPdf(statement, user = {}) {
+    const money = amount => amount.toFixed(2).padStart(11)
+    const line = (date, description, amount, balance) =>
+      `${date.padEnd(11)}${description.slice(0, 46).padEnd(47)}${amount}${balance}`
+
+    const lines = [
+      `Statement for ${statement.month}`,
+      user.email ? `Account: ${user.email}` : '',
+      `Period: ${statement.from.toISOString().slice(0, 10)} to ${statement.to.toISOString().slice(0, 10)}`,
+      '',
+      line('Date', 'Description', 'Amount'.padStart(11), 'Balance'.padStart(11)),
+      '-'.repeat(80),
+      line('', 'Opening balance', ''.padStart(11), money(statement.openingBalance)),
+      ...statement.transactions.map(entry => line(
+        entry.date.toISOString().slice(0, 10),
+        entry.affectsBalance ? entry.description : `${entry.description} *`,
+        money(entry.amount),
+        money(entry.balance)
+      )),
+      line('', 'Closing balance', ''.padStart(11), money(statement.closingBalance)),
+      '-'.repeat(80),
+      '',
+      'Totals',
+      ...Object.entries(statement.totals)
+        .filter(([, total]) => total !== 0)
+        .map(([category, total]) => `  ${category.replace('_', ' ').padEnd(20)}${money(total)}`),
+      '',
+      '* Does not change the wallet balance (paid by card, held for a withdrawal, or bonus funds)',
+    ]
+
+    return createTextPdf(lines, { title: `Statement ${statement.month}` })
+  }
+
+  /**
+   * Every journal concerning the user as a signed amount with a running
+   * wallet balance, oldest first
+   * @private
+   */
+  async _entries(userId) {
+    const wallet = ACCOUNTS.wallet(userId)
+    const elsewhere = [ACCOUNTS.held(userId), ACCOUNTS.bonus(userId)]
+    const [journals, bets] = await Promise.all([
+      Ledger.findByUser(userId),
+      Bet.findByUserId(userId),
+    ])
+    const betsById = new Map(bets.map(bet => [String(bet._id), bet]))
+
+    let balance = 0
+    return journals.map((journal) => {
+      // Change to the user's accounts in cents: credits add, debits take away
+      const changeTo = accounts => journal.lines
+        .filter(line => accounts.includes(line.account))
+        .reduce((sum, line) => sum + line.credit - line.debit, 0)
+
+      const change = changeTo([wallet])
+      const otherChange = changeTo(elsewhere)
+
+      const affectsBalance = change !== 0
+      const amount = (affectsBalance ? change : (otherChange || -journal.amount)) / 100
+      balance = round(balance + change / 100)
+
+      return {
+        id: journal._id,
+        date: new Date(journal.postedAt),
+        type: journal.type,
+        category: TYPE_CATEGORIES[journal.type],
+        description: this._describe(journal, betsById),
+        reference: journal.reference,
+        amount,
+        affectsBalance,
+        balance,
+      }
+    })
+  }
+
+  /**
+   * @private
+   */
+  _describe(journal, betsById) {
+    const label = DESCRIPTIONS[journal.type] || journal.type
+    const bet = BET_TYPES.includes(journal.type) ? betsById.get(String(journal.reference)) : null
+    if (!bet) return label
+    return `${label}: ${bet.selection} (${bet.eventName})`
+  }
+
+  /**
+   * @private
+   */
+  _parseCategories(type) {
+    if (!type) return null
+    const categories = String(type).split(',').map(category => category.trim()).filter(Boolean)
+    const unknown = categories.filter(category => !Object.values(CATEGORIES).includes(category))
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Type must be one of: ${Object.values(CATEGORIES).join(', ')}`,
+        'type'
+      )
+    }
+    return categories.length > 0 ? categories : null
+  }
+}
+
+const statementService = new StatementService()
+
+statementService.CATEGORIES = CATEGORIES
+
+module.exports = statementService
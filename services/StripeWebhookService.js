@@ -0,0 +1,44 @@
+/**
+ * Stripe Webhook Service - Single entry point for every Stripe webhook
+ * Handlers are registered by the enabled modules (see modules/), which
+ * route on the metadata attached when creating the checkout session
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY)
+const StripeEvent = require('../models/stripe-event')
+const { StripeWebhookDispatcher } = require('../lib/stripe-webhooks')
+
+class StripeWebhookService {
+  constructor() {
+    this.dispatcher = new StripeWebhookDispatcher({
+      store: StripeEvent,
+      stripe,
+      secret: process.env.STRIPE_WEBHOOK_SECRET,
+    })
+  }
+
+  /**
+   * Handle a delivery from Stripe
+   * @param {Buffer|String} rawBody - Raw request body
+   * @param {String} signature - Stripe-Signature header
+   */
+  async receive(rawBody, signature) {
+    return await this.dispatcher.receive(rawBody, signature)
+  }
+
+  /**
+   * Re-run a stored event that failed or was never handled
+   */
+  async replay(stripeEventId) {
+    return await this.dispatcher.replay(stripeEventId)
+  }
+
+  /**
+   * List recently received events
+   */
+  async listEvents(filters = {}, limit = 50) {
+    return await StripeEvent.findRecent(filters, limit)
+  }
+}
+
+module.exports = new StripeWebhookService()
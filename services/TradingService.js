@@ -0,0 +1,147 @@
+/**
+ * Trading Service - Business Logic Layer
+ * Moves the prices of events with automatic odds switched on as money comes
+ * in, so the house isn't left exposed on one side (see lib/trading.js).
+ * Every automatic move is kept in the price history with the figures behind it.
+ */
+
+const Event = require('../models/event')
+const PriceHistory = require('../models/price-history')
+const RiskService = require('./RiskService')
+const { withUnitOfWork } = require('../lib/unit-of-work')
+const { MARKET_STATUS } = require('../lib/markets')
+const { bookPrices } = require('../lib/trading')
+const { createEventStateMachine } = require('../lib/state-machines')
+const { BettingEvents } = require('../lib/events')
+const { NotFoundError, BusinessRuleError } = require('../lib/errors')
+
+const { PRICE_SOURCES } = PriceHistory
+
+// Used for whatever an event's trading config leaves unset
+const TRADING_DEFAULTS = {
+  overround: parseFloat(process.env.TRADING_OVERROUND || '1.05'),
+  minPrice: parseFloat(process.env.TRADING_MIN_PRICE || '1.01'),
+  maxPrice: parseFloat(process.env.TRADING_MAX_PRICE || '50'),
+  sensitivity: parseFloat(process.env.TRADING_SENSITIVITY || '0.5'),
+  liquidity: parseFloat(process.env.TRADING_LIQUIDITY || '1000'),
+}
+
+class TradingService {
+  /**
+   * Trading config of an event with the defaults filled in
+   * @returns {Object|null} Config, or null if automatic odds are off
+   */
+  configFor(event) {
+    if (!event.trading || !event.trading.enabled) return null
+    return { ...TRADING_DEFAULTS, ...event.trading }
+  }
+
+  /**
+   * Reprice the events a bet was just placed on
+   * The bet already stands, so a failed move is logged rather than thrown
+   * @param {Array<String>} eventIds - Events the bet has legs on
+   */
+  async afterBet(eventIds) {
+    for (const eventId of eventIds) {
+      try {
+        const event = await Event.findById(eventId)
+        if (event && this.configFor(event)) {
+          await this.rebalance(event, { changedBy: 'trading' })
+        }
+      } catch (error) {
+        console.error(`Trading: failed to reprice event ${eventId}:`, error.message)
+      }
+    }
+  }
+
+  /**
+   * Reprice every open market of an event from its base prices and the
+   * money on each selection
+   * @param {String|Object} eventOrId - Event or its ID
+   * @param {Object} options - { changedBy }
+   * @returns {Promise<Object>} { moves: [{ marketId, selectionId, previousPrice, price }] }
+   */
+  async rebalance(eventOrId, options = {}) {
+    const event = typeof eventOrId === 'object' ? eventOrId : await Event.findById(eventOrId)
+    if (!event) {
+      throw new NotFoundError('Event', eventOrId)
+    }
+
+    const config = this.configFor(event)
+    if (!config) {
+      throw new BusinessRuleError('Automatic odds are off for this event', 'TRADING_DISABLED')
+    }
+
+    if (!createEventStateMachine(event.status).canTrade()) {
+      return { moves: [] }
+    }
+
+    const positions = await RiskService.getPositions(event)
+    const moves = []
+
+    for (const market of event.markets) {
+      if (market.status !== MARKET_STATUS.OPEN || market.selections.length < 2) continue
+
+      const basePrices = []
+      for (const selection of market.selections) {
+        basePrices.push((await PriceHistory.basePrice(event._id, selection.id)) || selection.price)
+      }
+
+      // Money on a selection: single stakes, plus what accumulators pay if it
+      // wins at its current price
+      const handles = market.selections.map(selection => positions
+        .filter(position => position.marketId === market.id && position.selectionId === selection.id)
+        .reduce((sum, position) => sum + (position.stake || position.payout / selection.price), 0))
+
+      bookPrices(basePrices, handles, config).forEach((quoted, index) => {
+        const selection = market.selections[index]
+        if (quoted.price === selection.price) return
+        moves.push({
+          marketId: market.id,
+          selectionId: selection.id,
+          previousPrice: selection.price,
+          price: quoted.price,
+          details: {
+            basePrice: basePrices[index],
+            probability: quoted.probability,
+            moneyShare: quoted.moneyShare,
+            handle: Math.round(handles[index] * 100) / 100,
+            overround: config.overround,
+          },
+        })
+      })
+    }
+
+    if (moves.length === 0) {
+      return { moves }
+    }
+
+    await withUnitOfWork(async (tx) => {
+      for (const move of moves) {
+        await Event.setSelectionPrice(event._id, move.marketId, move.selectionId, move.price, tx)
+        await PriceHistory.record({
+          eventId: event._id,
+          marketId: move.marketId,
+          selectionId: move.selectionId,
+          price: move.price,
+          previousPrice: move.previousPrice,
+          source: PRICE_SOURCES.TRADING,
+          changedBy: options.changedBy || 'trading',
+          reason: 'Book balance',
+          details: move.details,
+        }, tx)
+      }
+
+      tx.afterCommit(() => BettingEvents.oddsChanged(event._id, moves.map(move => ({
+        marketId: move.marketId,
+        selectionId: move.selectionId,
+        price: move.price,
+        previousPrice: move.previousPrice,
+      }))))
+    })
+
+    return { moves }
+  }
+}
+
+module.exports = new TradingService()
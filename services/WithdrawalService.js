@@ -0,0 +1,279 @@
+/**
+ * Withdrawal Service - Business Logic Layer
+ * Takes withdrawal requests, holds the funds while an admin reviews them and
+ * pays approved ones out through the payout provider (lib/payouts.js)
+ *
+ * Requested -> under review -> approved -> paid, or rejected (funds back in
+ * the wallet) at any point before payment. A user can cancel until review starts.
+ */
+
+const Withdrawal = require('../models/withdrawal')
+const Wallet = require('../models/wallet')
+const Ledger = require('../models/ledger')
+const LedgerService = require('./LedgerService')
+const FraudService = require('./FraudService')
+const KycService = require('./KycService')
+const { withUnitOfWork } = require('../lib/unit-of-work')
+const { createPayoutProvider } = require('../lib/payouts')
+const { createWithdrawalStateMachine } = require('../lib/state-machines')
+const {
+  ValidationError,
+  AuthorizationError,
+  NotFoundError,
+  ConflictError,
+  BusinessRuleError,
+} = require('../lib/errors')
+
+const MIN_WITHDRAWAL = parseFloat(process.env.MIN_WITHDRAWAL || '10')
+
+// Deposits have to be staked this many times before they can be withdrawn
+const WITHDRAWAL_WAGERING_MULTIPLE = parseFloat(process.env.WITHDRAWAL_WAGERING_MULTIPLE || '1')
+
+const { STATES } = Withdrawal
+const { ACCOUNTS, TRANSACTION_TYPES } = Ledger
+
+// Requests still waiting on an admin
+const QUEUE_STATES = [STATES.REQUESTED, STATES.UNDER_REVIEW, STATES.APPROVED]
+
+class WithdrawalService {
+  constructor() {
+    // Set up on first payout, so a missing PAYOUT_PROVIDER only stops payouts
+    this.provider = null
+  }
+
+  /**
+   * Swap the payout provider (checks use a FakePayoutProvider); null goes
+   * back to the one PAYOUT_PROVIDER names
+   */
+  setProvider(provider) {
+    this.provider = provider
+  }
+
+  /**
+   * Ask to withdraw part of the wallet balance; the amount is held at once
+   * @param {Object} user - Signed in user
+   * @param {Object} data - { amount, destination }
+   * @returns {Promise<Object>} Created withdrawal
+   */
+  async request(user, data) {
+    const wallet = await Wallet.findByUserId(user.id)
+    if (!wallet.membershipPaid) {
+      throw new AuthorizationError('Please pay the membership fee first')
+    }
+    await KycService.requireVerified(user.id, 'withdrawing')
+
+    const amount = Math.round(parseFloat(data.amount) * 100) / 100
+    if (isNaN(amount) || amount < MIN_WITHDRAWAL) {
+      throw new ValidationError(`Minimum withdrawal is $${MIN_WITHDRAWAL}`, 'amount')
+    }
+
+    const withdrawal = await withUnitOfWork(async (tx) => {
+      const created = await Withdrawal.create({
+        userId: user.id,
+        userEmail: user.email,
+        amount,
+        destination: data.destination,
+      }, tx)
+
+      await LedgerService.recordWithdrawalHold(user.id, amount, created._id, tx)
+
+      return created
+    })
+
+    // Quick deposit-and-withdraw cycles show up on the fraud review queue
+    await FraudService.afterWithdrawalRequest(user)
+
+    return withdrawal
+  }
+
+  /**
+   * A user's withdrawals, newest first
+   */
+  async listForUser(userId) {
+    return await Withdrawal.findByUserId(userId)
+  }
+
+  /**
+   * Withdrawals waiting on an admin, oldest first, with each user's
+   * wagering so far and whether they are verified
+   * @param {String} status - Optional single status to show
+   */
+  async getQueue(status = null) {
+    const withdrawals = await Withdrawal.findByStatus(status ? [status] : QUEUE_STATES)
+
+    const wagering = {}
+    const verified = {}
+    for (const withdrawal of withdrawals) {
+      if (!wagering[withdrawal.userId]) {
+        wagering[withdrawal.userId] = await this.getWageringStatus(withdrawal.userId)
+        verified[withdrawal.userId] = await KycService.isVerified(withdrawal.userId)
+      }
+    }
+
+    return withdrawals.map(withdrawal => ({
+      ...withdrawal,
+      wagering: wagering[withdrawal.userId],
+      verified: verified[withdrawal.userId],
+    }))
+  }
+
+  /**
+   * Cancel a request that hasn't been picked up yet
+   */
+  async cancel(user, withdrawalId) {
+    const withdrawal = await this._find(withdrawalId)
+    if (withdrawal.userId !== user.id) {
+      throw new NotFoundError('Withdrawal', withdrawalId)
+    }
+
+    createWithdrawalStateMachine(withdrawal.status).cancel()
+    return await this._release(withdrawal, STATES.CANCELLED, { changedBy: user.email })
+  }
+
+  /**
+   * Admin picks a request up
+   */
+  async review(admin, withdrawalId) {
+    const withdrawal = await this._find(withdrawalId)
+    createWithdrawalStateMachine(withdrawal.status).review()
+
+    await this._move(withdrawal, STATES.UNDER_REVIEW, { changedBy: admin.email })
+    return await Withdrawal.findById(withdrawalId)
+  }
+
+  /**
+   * Approve a request under review and pay it out
+   * Refused while the user's deposits haven't been wagered enough
+   * @returns {Promise<Object>} Withdrawal - paid, or approved with payoutError if the provider failed
+   */
+  async approve(admin, withdrawalId) {
+    const withdrawal = await this._find(withdrawalId)
+    createWithdrawalStateMachine(withdrawal.status).approve()
+    this._payoutProvider()
+
+    const wagering = await this.getWageringStatus(withdrawal.userId)
+    if (!wagering.met) {
+      throw new BusinessRuleError(
+        `Wagering requirement not met - $${wagering.remaining.toFixed(2)} more must be staked before withdrawing`,
+        'WAGERING_REQUIREMENT'
+      )
+    }
+
+    // Verification can be withdrawn after the request was made
+    if (!await KycService.isVerified(withdrawal.userId)) {
+      throw new BusinessRuleError('The player has not passed identity verification', 'KYC_REQUIRED')
+    }
+
+    await this._move(withdrawal, STATES.APPROVED, { changedBy: admin.email })
+    return await this.pay(admin, withdrawalId)
+  }
+
+  /**
+   * Send an approved withdrawal through the payout provider
+   * A failed payout leaves it approved so it can be retried or rejected
+   */
+  async pay(admin, withdrawalId) {
+    const withdrawal = await this._find(withdrawalId)
+    createWithdrawalStateMachine(withdrawal.status).pay()
+
+    const provider = this._payoutProvider()
+
+    let reference
+    try {
+      ({ reference } = await provider.send({
+        withdrawalId: withdrawal._id,
+        userId: withdrawal.userId,
+        amount: withdrawal.amount,
+        destination: withdrawal.destination,
+      }))
+    } catch (error) {
+      await Withdrawal.recordPayoutError(withdrawal._id, error.message)
+      return await Withdrawal.findById(withdrawalId)
+    }
+
+    await withUnitOfWork(async (tx) => {
+      await this._move(withdrawal, STATES.PAID, { changedBy: admin.email }, {
+        payoutReference: reference,
+        payoutProvider: provider.name,
+        payoutError: null,
+        paidAt: new Date(),
+      }, tx)
+      await LedgerService.recordWithdrawal(withdrawal.userId, withdrawal.amount, withdrawal._id, tx)
+    })
+
+    return await Withdrawal.findById(withdrawalId)
+  }
+
+  /**
+   * Turn a request down and give the held funds back
+   */
+  async reject(admin, withdrawalId, reason = null) {
+    const withdrawal = await this._find(withdrawalId)
+    createWithdrawalStateMachine(withdrawal.status).reject(reason)
+
+    return await this._release(withdrawal, STATES.REJECTED, { changedBy: admin.email, reason })
+  }
+
+  /**
+   * How much of the user's deposits has been staked
+   * Refunded stakes don't count
+   * @returns {Promise<Object>} { deposited, wagered, required, remaining, met }
+   */
+  async getWageringStatus(userId) {
+    const totals = await Ledger.getAccountTotals(ACCOUNTS.wallet(userId))
+    const byType = (type, side) => (totals.byType[type] ? totals.byType[type][side] : 0)
+
+    const deposited = byType(TRANSACTION_TYPES.DEPOSIT, 'credit')
+    const wagered = byType(TRANSACTION_TYPES.STAKE, 'debit') - byType(TRANSACTION_TYPES.REFUND, 'credit') +
+      byType(TRANSACTION_TYPES.REFUND_REVERSAL, 'debit')
+    const required = Math.round(deposited * WITHDRAWAL_WAGERING_MULTIPLE * 100) / 100
+    const remaining = Math.max(0, Math.round((required - wagered) * 100) / 100)
+
+    return { deposited, wagered: Math.round(wagered * 100) / 100, required, remaining, met: remaining === 0 }
+  }
+
+  /**
+   * @private
+   */
+  async _find(withdrawalId) {
+    const withdrawal = await Withdrawal.findById(withdrawalId)
+    if (!withdrawal) {
+      throw new NotFoundError('Withdrawal', withdrawalId)
+    }
+    return withdrawal
+  }
+
+  /**
+   * The payout provider, created on first use
+   * @private
+   */
+  _payoutProvider() {
+    if (!this.provider) {
+      this.provider = createPayoutProvider()
+    }
+    return this.provider
+  }
+
+  /**
+   * @private
+   */
+  async _move(withdrawal, status, meta, fields = {}, tx = null) {
+    const moved = await Withdrawal.setStatus(withdrawal, status, meta, fields, tx)
+    if (moved === 0) {
+      throw new ConflictError('Withdrawal was changed by someone else - reload and try again', 'WITHDRAWAL_CHANGED')
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _release(withdrawal, status, meta) {
+    await withUnitOfWork(async (tx) => {
+      await this._move(withdrawal, status, meta, {}, tx)
+      await LedgerService.recordWithdrawalRelease(withdrawal.userId, withdrawal.amount, withdrawal._id, tx)
+    })
+    return await Withdrawal.findById(withdrawal._id)
+  }
+}
+
+module.exports = new WithdrawalService()